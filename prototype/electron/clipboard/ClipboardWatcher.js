@@ -0,0 +1,101 @@
+// Watches the PC clipboard for the viewer. Electron has no clipboard change
+// event, so it is polled: text is compared directly, images by size plus a
+// fingerprint of a tiny downscaled copy (full bitmaps would be too slow to
+// compare every second). Text and small images are reported; anything over
+// the size limit is reported as too large without its content.
+
+const crypto = require('crypto');
+
+const POLL_MS = 1000;
+const IMAGE_MAX_WIDTH = 640; // images are downscaled to this before encoding
+
+class ClipboardWatcher {
+  /**
+   * @param {object} options
+   * @param {Electron.Clipboard} options.clipboard - Electron's clipboard module
+   * @param {number} options.maxLength - Largest text length / PNG data URL length reported
+   */
+  constructor({ clipboard, maxLength }) {
+    this.clipboard = clipboard;
+    this.maxLength = maxLength;
+    this.onChange = null; // callback({ text?, image?, width?, height?, bytes, tooLarge? })
+    this._lastKey = null;
+    this._timer = null;
+  }
+
+  start() {
+    if (this._timer) return;
+    this._lastKey = this._read().key; // only report copies made from now on
+    this._timer = setInterval(() => this._poll(), POLL_MS);
+    console.log(`[Clipboard] Watching the clipboard (limit ${Math.round(this.maxLength / 1024)} KB)`);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Put text from the viewer on the clipboard. It isn't echoed back as a change.
+   */
+  writeText(text) {
+    this.clipboard.writeText(text);
+    this._lastKey = textKey(text);
+  }
+
+  _poll() {
+    let current;
+    try {
+      current = this._read();
+    } catch (e) {
+      console.warn('[Clipboard] Reading the clipboard failed:', e.message);
+      return;
+    }
+    if (current.key === this._lastKey) return;
+    this._lastKey = current.key;
+    if (current.content && this.onChange) this.onChange(current.content());
+  }
+
+  /**
+   * The clipboard's identity ({ key }) and a function producing the content to
+   * report, which is only called when the key changed.
+   */
+  _read() {
+    const text = this.clipboard.readText();
+    if (text) {
+      return { key: textKey(text), content: () => this._textContent(text) };
+    }
+
+    const formats = this.clipboard.availableFormats();
+    if (formats.some(f => f.startsWith('image/'))) {
+      const image = this.clipboard.readImage();
+      if (!image.isEmpty()) {
+        const { width, height } = image.getSize();
+        const thumb = image.resize({ width: 16, height: 16 }).toBitmap();
+        const key = `image:${width}x${height}:${crypto.createHash('sha1').update(thumb).digest('hex')}`;
+        return { key, content: () => this._imageContent(image, width, height) };
+      }
+    }
+    return { key: 'empty', content: null };
+  }
+
+  _textContent(text) {
+    const bytes = Buffer.byteLength(text, 'utf8');
+    if (text.length > this.maxLength) return { bytes, tooLarge: true };
+    return { text, bytes };
+  }
+
+  _imageContent(image, width, height) {
+    const small = width > IMAGE_MAX_WIDTH ? image.resize({ width: IMAGE_MAX_WIDTH }) : image;
+    const png = small.toPNG();
+    const dataUrl = `data:image/png;base64,${png.toString('base64')}`;
+    if (dataUrl.length > this.maxLength) return { bytes: png.length, width, height, tooLarge: true };
+    return { image: dataUrl, width, height, bytes: png.length };
+  }
+}
+
+function textKey(text) {
+  return `text:${crypto.createHash('sha1').update(text).digest('hex')}`;
+}
+
+module.exports = { ClipboardWatcher };
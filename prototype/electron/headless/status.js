@@ -0,0 +1,40 @@
+// Machine-readable status for headless runs: one JSON object per line on
+// stdout, so scripts can wait for `connected` or grep the pairing code.
+// Human-readable logs move to stderr to keep stdout parseable.
+//
+//   {"event":"started","time":"...","pid":1234,"room":"default",...}
+//   {"event":"status","state":"connected","text":"..."}
+//   {"event":"pairing-code","code":"123456","expiresAt":1700000000000}
+//   {"event":"panels","panels":[{"panelId":"auto-1","sourceId":"screen:0:0","name":"Screen 1"}]}
+//   {"event":"capture-failed","spec":"title:Code","error":"..."}
+//   {"event":"log","level":"warn"|"err","message":"..."}
+//   {"event":"stopped"}
+
+const STATUS_EVENTS = ['status', 'pairing-code', 'panels', 'capture-failed', 'log'];
+
+/**
+ * Send console.log / console.info to stderr.
+ */
+function redirectLogsToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+}
+
+/**
+ * Print one status line. `fields` must not contain `event` or `time`.
+ */
+function printStatus(event, fields = {}) {
+  process.stdout.write(`${JSON.stringify({ event, time: new Date().toISOString(), ...fields })}\n`);
+}
+
+/**
+ * Status reported by the headless renderer ({ event, ...fields }); unknown
+ * events are dropped so a renderer can't write arbitrary lines.
+ */
+function printRendererStatus(status) {
+  if (!status || !STATUS_EVENTS.includes(status.event)) return;
+  const { event, time, ...fields } = status;
+  printStatus(event, fields);
+}
+
+module.exports = { redirectLogsToStderr, printStatus, printRendererStatus };
@@ -0,0 +1,182 @@
+// Turns viewer input events (shared/protocol/input.js) into calls on an
+// injection backend. The backend only does the OS work, so the event logic —
+// UV mapping, modifier bookkeeping, chords — runs the same against a stub.
+//
+// Backend interface (implementations and startup selection in backends.js):
+//   moveCursor(x, y)                 absolute screen pixels
+//   mouseButton(button, down)        0 = left, 1 = middle, 2 = right
+//   wheel(delta)                     WHEEL_DELTA units (120 per notch), positive = scroll up
+//   hwheel(delta)                    WHEEL_DELTA units, positive = scroll right
+//   key(key, down)                   DOM KeyboardEvent.key name; returns false if it can't map it
+//   typeText(text)                   layout-independent text entry
+//   focusWindow(sourceId)            optional; bring the captured window to the foreground
+//   getWindowRect(sourceId)          optional; { x, y, width, height, minimized? } of a window source, or null
+//   watchWindows(onChange)           optional; call onChange(sourceId) when a window moves, resizes or
+//                                    (un)minimizes; returns an unsubscribe function (see WindowBoundsTracker)
+//   setWindowState(sourceId, state)  optional; 'maximized' | 'minimized' | 'normal'
+//   resizeWindow(sourceId, w, h)     optional; visible window size in physical pixels
+//   closeWindow(sourceId)            optional; ask the window to close (WM_CLOSE / WM_DELETE_WINDOW)
+//   getWindowProcess(sourceId)       optional; executable name of the window's process, or null
+//   close()                          optional; release OS resources on quit
+
+const { uvToScreenPoint } = require('./coordinateMapping');
+
+// Mirrors MODIFIER_KEYS in shared/protocol/input.js (ES module, not loadable from main)
+const MODIFIER_KEYS = {
+  ctrl: 'Control',
+  shift: 'Shift',
+  alt: 'Alt',
+  meta: 'Meta',
+};
+
+class InputInjector {
+  /**
+   * @param {object} backend - See the interface above
+   * @param {object} options
+   * @param {(sourceId: string) => { x, y, width, height } | null} options.getBounds - Physical-pixel rect of a capture source
+   */
+  constructor(backend, { getBounds }) {
+    this.backend = backend;
+    this.getBounds = getBounds;
+    this.heldKeys = new Map(); // key -> modifier keys pressed on its behalf (released with it)
+  }
+
+  /**
+   * Inject one event for a capture source. Returns { ok, error? }.
+   */
+  inject(event) {
+    try {
+      switch (event.type) {
+        case 'mousemove':
+        case 'mousedown':
+        case 'mouseup':
+        case 'click':
+        case 'dblclick':
+        case 'scroll':
+          return this._injectPointer(event);
+        case 'keydown':
+          this._focus(event.sourceId);
+          return this._keyDown(event.key, event.modifiers);
+        case 'keyup':
+          return this._keyUp(event.key);
+        case 'chord': {
+          this._focus(event.sourceId);
+          const result = this._keyDown(event.key, event.modifiers);
+          if (result.ok) this._keyUp(event.key);
+          return result;
+        }
+        case 'text':
+          this._focus(event.sourceId);
+          this.backend.typeText(String(event.text ?? ''));
+          return { ok: true };
+        default:
+          return { ok: false, error: `unsupported input event '${event.type}'` };
+      }
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+  }
+
+  /**
+   * Release every key still held (viewer disconnected mid-chord).
+   */
+  releaseKeys() {
+    for (const key of Array.from(this.heldKeys.keys()).reverse()) {
+      this._keyUp(key);
+    }
+  }
+
+  _injectPointer(event) {
+    const bounds = this.getBounds(event.sourceId);
+    if (!bounds) {
+      return { ok: false, error: 'window bounds not found' };
+    }
+    if (bounds.minimized) {
+      return { ok: false, error: 'window is minimized' };
+    }
+
+    // Convert UV (0-1) on the captured frame to physical screen pixels. mouseup
+    // and scroll may come without a position (act wherever the cursor already is).
+    const hasPoint = typeof event.u === 'number' && typeof event.v === 'number';
+    const { x, y } = uvToScreenPoint(event.u || 0, event.v || 0, {
+      bounds,
+      frame: { width: event.captureWidth, height: event.captureHeight },
+    });
+    const button = event.button ?? 0;
+
+    switch (event.type) {
+      case 'mousemove':
+        this.backend.moveCursor(x, y);
+        break;
+      case 'mousedown':
+        this.backend.moveCursor(x, y);
+        this.backend.mouseButton(button, true);
+        break;
+      case 'mouseup':
+        // Moving first drops a drag where the pointer was released
+        if (hasPoint) this.backend.moveCursor(x, y);
+        this.backend.mouseButton(button, false);
+        break;
+      case 'click':
+      case 'dblclick':
+        this.backend.moveCursor(x, y);
+        // Back-to-back presses on one pixel fall within the OS double-click time
+        for (let i = event.type === 'dblclick' ? 2 : 1; i > 0; i--) {
+          this.backend.mouseButton(button, true);
+          this.backend.mouseButton(button, false);
+        }
+        break;
+      case 'scroll':
+        if (hasPoint) this.backend.moveCursor(x, y);
+        // Deltas from VR are scaled thumbstick deflection (positive = down / right)
+        if (event.deltaY) this.backend.wheel(-event.deltaY * 40);
+        if (event.deltaX) this.backend.hwheel(event.deltaX * 40);
+        break;
+    }
+    return { ok: true };
+  }
+
+  _keyDown(key, modifiers = []) {
+    const pressed = [];
+    for (const name of modifiers) {
+      const modifierKey = MODIFIER_KEYS[name];
+      if (!modifierKey || modifierKey === key || this._isHeld(modifierKey)) continue;
+      this.backend.key(modifierKey, true);
+      pressed.push(modifierKey);
+    }
+
+    if (!this.backend.key(key, true)) {
+      for (const modifierKey of pressed.reverse()) this.backend.key(modifierKey, false);
+      return { ok: false, error: `unknown key '${key}'` };
+    }
+
+    // Auto-repeat keydowns keep the modifiers recorded on the first press
+    if (!this.heldKeys.has(key)) this.heldKeys.set(key, pressed);
+    return { ok: true };
+  }
+
+  _keyUp(key) {
+    const pressed = this.heldKeys.get(key) ?? [];
+    this.heldKeys.delete(key);
+    this.backend.key(key, false);
+    for (const modifierKey of [...pressed].reverse()) {
+      if (!this._isHeld(modifierKey)) this.backend.key(modifierKey, false);
+    }
+    return { ok: true };
+  }
+
+  // Held directly, or on behalf of another held key
+  _isHeld(key) {
+    if (this.heldKeys.has(key)) return true;
+    for (const pressed of this.heldKeys.values()) {
+      if (pressed.includes(key)) return true;
+    }
+    return false;
+  }
+
+  _focus(sourceId) {
+    if (sourceId && this.backend.focusWindow) this.backend.focusWindow(sourceId);
+  }
+}
+
+module.exports = { InputInjector, MODIFIER_KEYS };
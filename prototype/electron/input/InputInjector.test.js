@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { InputInjector } = require('./InputInjector');
+const { createRecordingBackend } = require('./recordingBackend');
+
+// Window on a monitor left of the primary, captured at half size (maxWidth)
+const WINDOW = 'window:42:0';
+const WINDOW_RECT = { x: -1600, y: 200, width: 1200, height: 800 };
+const CAPTURE = { captureWidth: 600, captureHeight: 400 };
+
+function setup(windowRects = { [WINDOW]: WINDOW_RECT }) {
+  const backend = createRecordingBackend({ windowRects });
+  const injector = new InputInjector(backend, { getBounds: sourceId => backend.getWindowRect(sourceId) });
+  const calls = () => backend.calls.map(({ method, args }) => [method, ...args]);
+  return { backend, injector, calls };
+}
+
+test('mousemove lands on the matching physical pixel', () => {
+  const { injector, calls } = setup();
+  assert.deepEqual(injector.inject({ type: 'mousemove', sourceId: WINDOW, u: 0.5, v: 0.25, ...CAPTURE }), { ok: true });
+  assert.deepEqual(calls(), [['moveCursor', -1000, 400]]);
+});
+
+test('press, drag and release record moves around the button changes', () => {
+  const { injector, calls } = setup();
+  injector.inject({ type: 'mousedown', sourceId: WINDOW, u: 0.1, v: 0.1, button: 0, ...CAPTURE });
+  injector.inject({ type: 'mousemove', sourceId: WINDOW, u: 0.2, v: 0.1, ...CAPTURE });
+  injector.inject({ type: 'mouseup', sourceId: WINDOW, u: 0.3, v: 0.5, button: 0, ...CAPTURE });
+  assert.deepEqual(calls(), [
+    ['moveCursor', -1480, 280],
+    ['mouseButton', 0, true],
+    ['moveCursor', -1360, 280],
+    ['moveCursor', -1240, 600],
+    ['mouseButton', 0, false],
+  ]);
+});
+
+test('mouseup without a position releases where the cursor is', () => {
+  const { injector, calls } = setup();
+  injector.inject({ type: 'mouseup', sourceId: WINDOW, button: 2 });
+  assert.deepEqual(calls(), [['mouseButton', 2, false]]);
+});
+
+test('click and dblclick press the button once and twice on one pixel', () => {
+  const { injector, calls } = setup();
+  injector.inject({ type: 'click', sourceId: WINDOW, u: 1, v: 1, button: 1, ...CAPTURE });
+  injector.inject({ type: 'dblclick', sourceId: WINDOW, u: 0, v: 0, ...CAPTURE });
+  assert.deepEqual(calls(), [
+    ['moveCursor', -401, 999],
+    ['mouseButton', 1, true],
+    ['mouseButton', 1, false],
+    ['moveCursor', -1600, 200],
+    ['mouseButton', 0, true],
+    ['mouseButton', 0, false],
+    ['mouseButton', 0, true],
+    ['mouseButton', 0, false],
+  ]);
+});
+
+test('input on a letterboxed frame maps through the bars', () => {
+  // The window turned square after capture started at 600x400: 100 px bars left and right
+  const { injector, calls } = setup({ [WINDOW]: { x: 0, y: -800, width: 800, height: 800 } });
+  injector.inject({ type: 'mousemove', sourceId: WINDOW, u: 0.5, v: 0.5, ...CAPTURE });
+  injector.inject({ type: 'mousemove', sourceId: WINDOW, u: 100 / 600, v: 0, ...CAPTURE });
+  injector.inject({ type: 'mousemove', sourceId: WINDOW, u: 0.05, v: 1, ...CAPTURE });
+  assert.deepEqual(calls(), [
+    ['moveCursor', 400, -400],
+    ['moveCursor', 0, -800],
+    ['moveCursor', 0, -1],
+  ]);
+});
+
+test('scroll moves to the point and converts deltas to wheel units', () => {
+  const { injector, calls } = setup();
+  injector.inject({ type: 'scroll', sourceId: WINDOW, u: 0.5, v: 0.5, deltaY: 3, deltaX: -2, ...CAPTURE });
+  assert.deepEqual(calls(), [
+    ['moveCursor', -1000, 600],
+    ['wheel', -120],
+    ['hwheel', -80],
+  ]);
+});
+
+test('pointer events fail without bounds or on a minimized window', () => {
+  const { injector, calls } = setup({ [WINDOW]: { ...WINDOW_RECT, minimized: true } });
+  assert.deepEqual(injector.inject({ type: 'mousedown', sourceId: 'window:missing', u: 0, v: 0 }),
+    { ok: false, error: 'window bounds not found' });
+  assert.deepEqual(injector.inject({ type: 'mousedown', sourceId: WINDOW, u: 0, v: 0 }),
+    { ok: false, error: 'window is minimized' });
+  assert.deepEqual(calls(), []);
+});
+
+test('chords focus the window and release modifiers in reverse order', () => {
+  const { injector, calls } = setup();
+  assert.deepEqual(injector.inject({ type: 'chord', sourceId: WINDOW, key: 's', modifiers: ['ctrl', 'shift'] }), { ok: true });
+  assert.deepEqual(calls(), [
+    ['focusWindow', WINDOW],
+    ['key', 'Control', true],
+    ['key', 'Shift', true],
+    ['key', 's', true],
+    ['key', 's', false],
+    ['key', 'Shift', false],
+    ['key', 'Control', false],
+  ]);
+});
+
+test('releaseKeys lets go of keys still held', () => {
+  const { injector, calls } = setup();
+  injector.inject({ type: 'keydown', key: 'a', modifiers: ['alt'] });
+  injector.releaseKeys();
+  assert.deepEqual(calls(), [
+    ['key', 'Alt', true],
+    ['key', 'a', true],
+    ['key', 'a', false],
+    ['key', 'Alt', false],
+  ]);
+  assert.equal(injector.heldKeys.size, 0);
+});
+
+test('unsupported events are refused without touching the backend', () => {
+  const { injector, calls } = setup();
+  assert.deepEqual(injector.inject({ type: 'telepathy' }), { ok: false, error: "unsupported input event 'telepathy'" });
+  assert.deepEqual(calls(), []);
+});
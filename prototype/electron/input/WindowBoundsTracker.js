@@ -0,0 +1,134 @@
+// Keeps physical-pixel bounds of the captured sources current, so input from
+// VR lands where the window is now rather than where it was seconds ago.
+//
+// Tracked sources are cached until invalidated: by OS window events when the
+// input backend can watch them (Win32 move/resize/minimize hooks), by display
+// changes, and by a poll that is the only update path on backends without
+// events (X11, uinput) and a safety net on those with them. Untracked sources
+// are read fresh on every lookup.
+
+const WATCHED_POLL_MS = 5000; // safety net for missed events
+const UNWATCHED_POLL_MS = 500; // no OS events: the poll is the tracker
+
+class WindowBoundsTracker {
+  /**
+   * @param {object} options
+   * @param {(sourceId: string) => object | null} options.readBounds - Uncached { x, y, width, height, minimized? }
+   * @param {(onChange: (sourceId: string) => void) => (() => void) | null} [options.watch]
+   *   Subscribe to OS window changes; returns an unsubscribe function, or null if unsupported
+   */
+  constructor({ readBounds, watch = null }) {
+    this.readBounds = readBounds;
+    this.watch = watch;
+    this.cache = new Map(); // sourceId -> bounds | null (tracked sources only)
+    this.trackCounts = new Map(); // sourceId -> number of captures using it
+    this.onBoundsChanged = null; // callback(sourceId, bounds | null)
+    this._unwatch = null;
+    this._watching = false;
+    this._pollTimer = null;
+  }
+
+  /**
+   * Current bounds of a source, or null if it can't be located.
+   */
+  get(sourceId) {
+    if (this.cache.has(sourceId)) return this.cache.get(sourceId);
+    return this._read(sourceId);
+  }
+
+  /**
+   * Start keeping a source's bounds current (one call per capture using it).
+   */
+  track(sourceId) {
+    const count = this.trackCounts.get(sourceId) || 0;
+    this.trackCounts.set(sourceId, count + 1);
+    if (count === 0) {
+      this.cache.set(sourceId, this._read(sourceId));
+      if (this.trackCounts.size === 1) this._start();
+    }
+  }
+
+  untrack(sourceId) {
+    const count = this.trackCounts.get(sourceId);
+    if (!count) return;
+    if (count > 1) {
+      this.trackCounts.set(sourceId, count - 1);
+      return;
+    }
+    this.trackCounts.delete(sourceId);
+    this.cache.delete(sourceId);
+    if (this.trackCounts.size === 0) this._stop();
+  }
+
+  /**
+   * Re-read a tracked source (its window moved, resized or was minimized) and
+   * report it if the bounds changed. Untracked sources are ignored.
+   */
+  invalidate(sourceId) {
+    if (!this.trackCounts.has(sourceId)) return;
+    const previous = this.cache.get(sourceId) ?? null;
+    const bounds = this._read(sourceId);
+    this.cache.set(sourceId, bounds);
+    if (!sameBounds(previous, bounds) && this.onBoundsChanged) {
+      this.onBoundsChanged(sourceId, bounds);
+    }
+  }
+
+  /**
+   * Re-read every tracked source (display layout or scaling changed).
+   */
+  invalidateAll() {
+    for (const sourceId of Array.from(this.trackCounts.keys())) {
+      this.invalidate(sourceId);
+    }
+  }
+
+  dispose() {
+    this._stop();
+    this.trackCounts.clear();
+    this.cache.clear();
+  }
+
+  _read(sourceId) {
+    try {
+      return this.readBounds(sourceId) ?? null;
+    } catch (e) {
+      console.warn(`[Bounds] Reading bounds of ${sourceId} failed:`, e.message);
+      return null;
+    }
+  }
+
+  _start() {
+    try {
+      this._unwatch = this.watch?.((sourceId) => this.invalidate(sourceId)) ?? null;
+    } catch (e) {
+      console.warn('[Bounds] Window events unavailable, polling instead:', e.message);
+      this._unwatch = null;
+    }
+    this._watching = !!this._unwatch;
+    const intervalMs = this._watching ? WATCHED_POLL_MS : UNWATCHED_POLL_MS;
+    this._pollTimer = setInterval(() => this.invalidateAll(), intervalMs);
+    console.log(`[Bounds] Tracking window bounds (${this._watching ? 'OS events' : 'polling'}, checked every ${intervalMs} ms)`);
+  }
+
+  _stop() {
+    if (this._pollTimer) {
+      clearInterval(this._pollTimer);
+      this._pollTimer = null;
+    }
+    if (this._unwatch) {
+      this._unwatch();
+      this._unwatch = null;
+    }
+    this._watching = false;
+  }
+}
+
+function sameBounds(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height &&
+    !!a.minimized === !!b.minimized;
+}
+
+module.exports = { WindowBoundsTracker };
@@ -0,0 +1,54 @@
+// Input backend registry. One backend is chosen at startup from
+// --input-backend / HALOVIEW_INPUT_BACKEND; "auto" probes the platform
+// backends in order and falls back to recording so the app still runs.
+
+const { createWin32Backend } = require('./win32Backend');
+const { createX11Backend } = require('./x11Backend');
+const { createUinputBackend } = require('./uinputBackend');
+const { createRecordingBackend } = require('./recordingBackend');
+
+const BACKENDS = {
+  win32: createWin32Backend,
+  x11: createX11Backend,
+  uinput: createUinputBackend,
+  recording: createRecordingBackend,
+};
+
+const BACKEND_NAMES = ['auto', ...Object.keys(BACKENDS)];
+
+// X11 first on Linux (it can also focus and locate windows); uinput first when
+// only Wayland is around, since xdotool can't reach native Wayland clients.
+function autoOrder() {
+  if (process.platform === 'win32') return ['win32'];
+  if (process.platform === 'linux') {
+    return process.env.WAYLAND_DISPLAY && !process.env.DISPLAY ? ['uinput', 'x11'] : ['x11', 'uinput'];
+  }
+  return [];
+}
+
+/**
+ * Create the requested backend. An explicit name throws if that backend can't
+ * load; "auto" returns the first that does, or the recording backend.
+ * @param {string} requested - One of BACKEND_NAMES
+ * @param {object} [options] - Passed to the factory (uinput needs screenBounds)
+ * @returns {{ backend: object, errors: string[] }} errors - Why skipped backends failed
+ */
+function selectInputBackend(requested = 'auto', options = {}) {
+  if (requested !== 'auto') {
+    const create = BACKENDS[requested];
+    if (!create) throw new Error(`Unknown input backend "${requested}" (expected ${BACKEND_NAMES.join(', ')})`);
+    return { backend: create(options), errors: [] };
+  }
+
+  const errors = [];
+  for (const name of autoOrder()) {
+    try {
+      return { backend: BACKENDS[name](options), errors };
+    } catch (e) {
+      errors.push(`${name}: ${e.message}`);
+    }
+  }
+  return { backend: createRecordingBackend(options), errors };
+}
+
+module.exports = { selectInputBackend, BACKEND_NAMES };
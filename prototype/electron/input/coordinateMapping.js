@@ -0,0 +1,146 @@
+// Maps viewer UVs (0-1 across the video frame) to physical screen pixels, the
+// space SetCursorPos / XTEST / uinput work in. Pure functions so mixed-DPI,
+// multi-monitor layouts can be checked without Electron.
+//
+// Three spaces are involved:
+//   frame    — the captured video (captureInfo width/height). It may be smaller
+//              than the source (maxWidth/maxHeight), and if the source changed
+//              shape since capture started its content is letterboxed in it.
+//   source   — the window's visible frame or the display, in physical pixels.
+//              Monitors left of / above the primary have negative coordinates.
+//   display  — Electron reports display bounds in DIPs; on mixed-DPI Windows
+//              setups DIP and physical layouts differ per monitor, so displays
+//              are converted once with the platform's DIP -> screen mapping.
+
+/**
+ * Where the source content sits inside the captured frame, in frame pixels.
+ * 'contain' = scaled to fit and centred (letterbox / pillarbox bars),
+ * 'cover'   = scaled to fill with the overflow cropped,
+ * 'stretch' = fills the frame exactly.
+ */
+function frameContentRect(frame, source, fit = 'contain') {
+  if (fit === 'stretch' || !(source.width > 0 && source.height > 0)) {
+    return { x: 0, y: 0, width: frame.width, height: frame.height };
+  }
+  const scaleX = frame.width / source.width;
+  const scaleY = frame.height / source.height;
+  const scale = fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+  const width = source.width * scale;
+  const height = source.height * scale;
+  return { x: (frame.width - width) / 2, y: (frame.height - height) / 2, width, height };
+}
+
+/**
+ * Convert a UV on the captured frame to a physical screen pixel inside `bounds`.
+ * Points in letterbox bars clamp to the nearest content edge.
+ * @param {number} u
+ * @param {number} v
+ * @param {object} options
+ * @param {{ x, y, width, height }} options.bounds - Source rect in physical pixels
+ * @param {{ width, height }} [options.frame] - Captured frame size (defaults to bounds: 1:1)
+ * @param {string} [options.fit] - See frameContentRect
+ * @returns {{ x: number, y: number }}
+ */
+function uvToScreenPoint(u, v, { bounds, frame, fit = 'contain' }) {
+  const frameSize = frame?.width > 0 && frame?.height > 0 ? frame : bounds;
+  const content = frameContentRect(frameSize, bounds, fit);
+  const contentU = clamp01((u * frameSize.width - content.x) / content.width);
+  const contentV = clamp01((v * frameSize.height - content.y) / content.height);
+
+  // Stay on the source's last pixel row/column: u = 1 would land on the neighbour
+  return {
+    x: Math.min(bounds.x + Math.floor(contentU * bounds.width), bounds.x + bounds.width - 1),
+    y: Math.min(bounds.y + Math.floor(contentV * bounds.height), bounds.y + bounds.height - 1),
+  };
+}
+
+/**
+ * Electron displays with bounds and work areas converted to physical pixels.
+ * @param {Array<{ id, bounds, workArea?, scaleFactor }>} displays - screen.getAllDisplays()
+ * @param {(rect, display) => { x, y, width, height }} toPhysical - DIP rect -> physical rect
+ * @returns {Array<{ id, bounds, workArea, scaleFactor }>}
+ */
+function physicalDisplays(displays, toPhysical) {
+  return displays.map(display => ({
+    id: display.id,
+    scaleFactor: display.scaleFactor,
+    bounds: roundRect(toPhysical(display.bounds, display)),
+    workArea: roundRect(toPhysical(display.workArea ?? display.bounds, display)),
+  }));
+}
+
+/**
+ * The display containing the centre of `rect` (physical pixels), else the
+ * nearest one, or null if there are no displays.
+ */
+function displayForRect(displays, rect) {
+  const cx = rect.x + rect.width / 2;
+  const cy = rect.y + rect.height / 2;
+  let best = null;
+  let bestDistance = Infinity;
+  for (const display of displays) {
+    const b = display.bounds;
+    const dx = Math.max(b.x - cx, 0, cx - (b.x + b.width));
+    const dy = Math.max(b.y - cy, 0, cy - (b.y + b.height));
+    const distance = Math.hypot(dx, dy);
+    if (distance < bestDistance) {
+      best = display;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Scale `size` down (never up) to fit in `area`, keeping its aspect ratio.
+ */
+function fitSize(size, area) {
+  const scale = Math.min(1, area.width / size.width, area.height / size.height);
+  return { width: Math.floor(size.width * scale), height: Math.floor(size.height * scale) };
+}
+
+/**
+ * DIP -> physical for platforms with one global scale factor (Linux/X11):
+ * every coordinate, origins included, is multiplied by the display's scale.
+ */
+function scaleDipRect(rect, display) {
+  const scale = display?.scaleFactor || 1;
+  return { x: rect.x * scale, y: rect.y * scale, width: rect.width * scale, height: rect.height * scale };
+}
+
+/** Bounding rect of all displays (the virtual desktop). */
+function virtualDesktopRect(displays) {
+  if (displays.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+  const rects = displays.map(d => d.bounds);
+  const x = Math.min(...rects.map(r => r.x));
+  const y = Math.min(...rects.map(r => r.y));
+  return {
+    x,
+    y,
+    width: Math.max(...rects.map(r => r.x + r.width)) - x,
+    height: Math.max(...rects.map(r => r.y + r.height)) - y,
+  };
+}
+
+function clamp01(value) {
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+}
+
+function roundRect(rect) {
+  return {
+    x: Math.round(rect.x),
+    y: Math.round(rect.y),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+  };
+}
+
+module.exports = {
+  frameContentRect,
+  uvToScreenPoint,
+  physicalDisplays,
+  displayForRect,
+  fitSize,
+  scaleDipRect,
+  virtualDesktopRect,
+};
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  frameContentRect,
+  uvToScreenPoint,
+  physicalDisplays,
+  displayForRect,
+  fitSize,
+  scaleDipRect,
+  virtualDesktopRect,
+} = require('./coordinateMapping');
+
+// Windows-style per-monitor DPI: each monitor keeps its physical origin and
+// scales DIPs from its own DIP origin (what screen.dipToScreenRect does)
+function perMonitorToPhysical(origins) {
+  return (rect, display) => {
+    const origin = origins[display.id];
+    const scale = display.scaleFactor;
+    return {
+      x: origin.x + (rect.x - display.bounds.x) * scale,
+      y: origin.y + (rect.y - display.bounds.y) * scale,
+      width: rect.width * scale,
+      height: rect.height * scale,
+    };
+  };
+}
+
+// Laptop at 150 % left of a 100 % primary, and a 4K monitor at 200 % above-right
+const MIXED_DPI_DISPLAYS = [
+  { id: 1, scaleFactor: 1, bounds: { x: 0, y: 0, width: 1920, height: 1080 }, workArea: { x: 0, y: 0, width: 1920, height: 1040 } },
+  { id: 2, scaleFactor: 1.5, bounds: { x: -1280, y: 0, width: 1280, height: 720 } },
+  { id: 3, scaleFactor: 2, bounds: { x: 1920, y: -1080, width: 1920, height: 1080 } },
+];
+const MIXED_DPI_ORIGINS = { 1: { x: 0, y: 0 }, 2: { x: -1920, y: 0 }, 3: { x: 1920, y: -2160 } };
+
+test('frameContentRect fills the frame when the source has its aspect', () => {
+  assert.deepEqual(frameContentRect({ width: 1280, height: 720 }, { width: 2560, height: 1440 }),
+    { x: 0, y: 0, width: 1280, height: 720 });
+});
+
+test('frameContentRect letterboxes and pillarboxes a source of another shape', () => {
+  // Square window in a 16:9 frame: bars left and right
+  assert.deepEqual(frameContentRect({ width: 1920, height: 1080 }, { width: 800, height: 800 }),
+    { x: 420, y: 0, width: 1080, height: 1080 });
+  // 2:1 source in a 4:3 frame: bars above and below
+  assert.deepEqual(frameContentRect({ width: 1024, height: 768 }, { width: 2048, height: 1024 }),
+    { x: 0, y: 128, width: 1024, height: 512 });
+});
+
+test('frameContentRect cover crops and stretch ignores the source shape', () => {
+  assert.deepEqual(frameContentRect({ width: 1920, height: 1080 }, { width: 800, height: 800 }, 'cover'),
+    { x: 0, y: -420, width: 1920, height: 1920 });
+  assert.deepEqual(frameContentRect({ width: 1920, height: 1080 }, { width: 800, height: 800 }, 'stretch'),
+    { x: 0, y: 0, width: 1920, height: 1080 });
+});
+
+test('frameContentRect falls back to the whole frame for an empty source', () => {
+  assert.deepEqual(frameContentRect({ width: 640, height: 480 }, { width: 0, height: 0 }),
+    { x: 0, y: 0, width: 640, height: 480 });
+});
+
+test('uvToScreenPoint maps 1:1 without a frame size', () => {
+  const bounds = { x: 0, y: 0, width: 1920, height: 1080 };
+  assert.deepEqual(uvToScreenPoint(0.5, 0.5, { bounds }), { x: 960, y: 540 });
+  assert.deepEqual(uvToScreenPoint(0, 0, { bounds }), { x: 0, y: 0 });
+});
+
+test('uvToScreenPoint scales a maxWidth/maxHeight-limited frame up to the source', () => {
+  // 4K screen captured at 1920x1080
+  const bounds = { x: 1920, y: -2160, width: 3840, height: 2160 };
+  const frame = { width: 1920, height: 1080 };
+  assert.deepEqual(uvToScreenPoint(0.25, 0.5, { bounds, frame }), { x: 2880, y: -1080 });
+  assert.deepEqual(uvToScreenPoint(0.75, 0.25, { bounds, frame }), { x: 4800, y: -1620 });
+});
+
+test('uvToScreenPoint handles monitors with negative origins', () => {
+  const bounds = { x: -1920, y: -1080, width: 1920, height: 1080 };
+  assert.deepEqual(uvToScreenPoint(0, 0, { bounds }), { x: -1920, y: -1080 });
+  assert.deepEqual(uvToScreenPoint(0.5, 0.5, { bounds }), { x: -960, y: -540 });
+});
+
+test('uvToScreenPoint stays on the source at u = 1 / v = 1', () => {
+  const bounds = { x: -1920, y: -1080, width: 1920, height: 1080 };
+  assert.deepEqual(uvToScreenPoint(1, 1, { bounds }), { x: -1, y: -1 });
+});
+
+test('uvToScreenPoint maps through letterbox bars of a resized window', () => {
+  // The window became square after capture started at 1920x1080
+  const bounds = { x: -900, y: 100, width: 800, height: 800 };
+  const frame = { width: 1920, height: 1080 };
+  assert.deepEqual(uvToScreenPoint(0.5, 0.5, { bounds, frame }), { x: -500, y: 500 });
+  // Left edge of the content (x = 420 of 1920) is the window's left edge
+  assert.deepEqual(uvToScreenPoint(420 / 1920, 0, { bounds, frame }), { x: -900, y: 100 });
+  // Points in the bars clamp to the nearest content edge
+  assert.deepEqual(uvToScreenPoint(0.05, 0.5, { bounds, frame }), { x: -900, y: 500 });
+  assert.deepEqual(uvToScreenPoint(0.95, 0.5, { bounds, frame }), { x: -101, y: 500 });
+});
+
+test('uvToScreenPoint maps a letterboxed, downscaled frame', () => {
+  // Ultrawide 3440x1440 window captured into a 1280x720 frame: bars above and below
+  const bounds = { x: -3440, y: 0, width: 3440, height: 1440 };
+  const frame = { width: 1280, height: 720 };
+  const content = frameContentRect(frame, bounds);
+  const v = (content.y + content.height / 2) / frame.height;
+  assert.deepEqual(uvToScreenPoint(0.5, v, { bounds, frame }), { x: -1720, y: 720 });
+  assert.deepEqual(uvToScreenPoint(0.5, 0, { bounds, frame }), { x: -1720, y: 0 });
+});
+
+test('uvToScreenPoint ignores an invalid frame size', () => {
+  const bounds = { x: 100, y: 100, width: 1000, height: 500 };
+  assert.deepEqual(uvToScreenPoint(0.5, 0.5, { bounds, frame: { width: 0, height: undefined } }), { x: 600, y: 350 });
+});
+
+test('physicalDisplays converts mixed-DPI displays per monitor', () => {
+  const displays = physicalDisplays(MIXED_DPI_DISPLAYS, perMonitorToPhysical(MIXED_DPI_ORIGINS));
+  assert.deepEqual(displays, [
+    { id: 1, scaleFactor: 1, bounds: { x: 0, y: 0, width: 1920, height: 1080 }, workArea: { x: 0, y: 0, width: 1920, height: 1040 } },
+    { id: 2, scaleFactor: 1.5, bounds: { x: -1920, y: 0, width: 1920, height: 1080 }, workArea: { x: -1920, y: 0, width: 1920, height: 1080 } },
+    { id: 3, scaleFactor: 2, bounds: { x: 1920, y: -2160, width: 3840, height: 2160 }, workArea: { x: 1920, y: -2160, width: 3840, height: 2160 } },
+  ]);
+});
+
+test('physicalDisplays rounds fractional physical sizes', () => {
+  const displays = physicalDisplays(
+    [{ id: 7, scaleFactor: 1.25, bounds: { x: 0, y: 0, width: 1365, height: 767 } }],
+    scaleDipRect,
+  );
+  assert.deepEqual(displays[0].bounds, { x: 0, y: 0, width: 1706, height: 959 });
+});
+
+test('scaleDipRect scales origins and sizes by the display scale', () => {
+  assert.deepEqual(scaleDipRect({ x: -960, y: 540, width: 960, height: 540 }, { scaleFactor: 2 }),
+    { x: -1920, y: 1080, width: 1920, height: 1080 });
+  assert.deepEqual(scaleDipRect({ x: 10, y: 20, width: 30, height: 40 }, undefined),
+    { x: 10, y: 20, width: 30, height: 40 });
+});
+
+test('physicalDisplays with scaleDipRect keeps a global-scale layout contiguous', () => {
+  const displays = physicalDisplays([
+    { id: 1, scaleFactor: 2, bounds: { x: 0, y: 0, width: 1280, height: 720 } },
+    { id: 2, scaleFactor: 2, bounds: { x: -960, y: 0, width: 960, height: 540 } },
+  ], scaleDipRect);
+  assert.deepEqual(displays.map(d => d.bounds), [
+    { x: 0, y: 0, width: 2560, height: 1440 },
+    { x: -1920, y: 0, width: 1920, height: 1080 },
+  ]);
+});
+
+test('virtualDesktopRect spans every display, negative origins included', () => {
+  const displays = physicalDisplays(MIXED_DPI_DISPLAYS, perMonitorToPhysical(MIXED_DPI_ORIGINS));
+  assert.deepEqual(virtualDesktopRect(displays), { x: -1920, y: -2160, width: 7680, height: 3240 });
+});
+
+test('virtualDesktopRect of no displays is empty', () => {
+  assert.deepEqual(virtualDesktopRect([]), { x: 0, y: 0, width: 0, height: 0 });
+});
+
+test('displayForRect picks the display holding the centre, else the nearest', () => {
+  const displays = physicalDisplays(MIXED_DPI_DISPLAYS, perMonitorToPhysical(MIXED_DPI_ORIGINS));
+  assert.equal(displayForRect(displays, { x: -1500, y: 100, width: 800, height: 600 }).id, 2);
+  assert.equal(displayForRect(displays, { x: 2500, y: -1500, width: 400, height: 300 }).id, 3);
+  assert.equal(displayForRect(displays, { x: 100, y: 2000, width: 200, height: 200 }).id, 1);
+  assert.equal(displayForRect([], { x: 0, y: 0, width: 1, height: 1 }), null);
+});
+
+test('fitSize only scales down, keeping the aspect ratio', () => {
+  assert.deepEqual(fitSize({ width: 3840, height: 2160 }, { width: 1920, height: 1040 }), { width: 1848, height: 1040 });
+  assert.deepEqual(fitSize({ width: 800, height: 600 }, { width: 1920, height: 1040 }), { width: 800, height: 600 });
+});
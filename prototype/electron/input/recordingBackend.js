@@ -0,0 +1,76 @@
+// No-op injection backend that records every call instead of touching the OS.
+// Used with --input-backend recording to exercise the input path end to end
+// (viewer -> data channel -> IPC -> InputInjector) without moving the real
+// cursor, as the fallback when no platform backend can be loaded, and by
+// InputInjector.test.js to check the UV -> screen mapping without an OS.
+
+const MAX_RECORDED_CALLS = 1000;
+
+/**
+ * @param {object} [options]
+ * @param {Object<string, { x, y, width, height }>} [options.windowRects] - Fixed rects by sourceId
+ */
+function createRecordingBackend({ windowRects = {} } = {}) {
+  const calls = [];
+
+  function record(method, ...args) {
+    calls.push({ method, args, at: Date.now() });
+    if (calls.length > MAX_RECORDED_CALLS) calls.shift();
+  }
+
+  return {
+    name: 'recording',
+    calls,
+
+    moveCursor(x, y) {
+      record('moveCursor', x, y);
+    },
+
+    mouseButton(button, down) {
+      record('mouseButton', button, down);
+    },
+
+    wheel(delta) {
+      record('wheel', delta);
+    },
+
+    hwheel(delta) {
+      record('hwheel', delta);
+    },
+
+    key(key, down) {
+      record('key', key, down);
+      return true;
+    },
+
+    typeText(text) {
+      record('typeText', text);
+    },
+
+    focusWindow(sourceId) {
+      record('focusWindow', sourceId);
+    },
+
+    setWindowState(sourceId, state) {
+      record('setWindowState', sourceId, state);
+    },
+
+    resizeWindow(sourceId, width, height) {
+      record('resizeWindow', sourceId, width, height);
+    },
+
+    closeWindow(sourceId) {
+      record('closeWindow', sourceId);
+    },
+
+    getWindowRect(sourceId) {
+      return windowRects[sourceId] ?? null;
+    },
+
+    clear() {
+      calls.length = 0;
+    },
+  };
+}
+
+module.exports = { createRecordingBackend };
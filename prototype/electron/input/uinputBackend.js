@@ -0,0 +1,191 @@
+// Linux uinput injection backend for InputInjector: a virtual absolute
+// pointer + keyboard created through /dev/uinput. Works under Wayland as well
+// as X11, since events enter at the kernel level. ioctl goes through koffi
+// (libc); events are plain writes of struct input_event.
+//
+// Needs write access to /dev/uinput (e.g. a udev rule granting the `input`
+// group). Text is typed with US-layout keycodes, so only ASCII is supported.
+// Wayland gives no window positions, so only screen sources can be pointed at.
+
+const fs = require('fs');
+
+// linux/uinput.h ioctls
+const UI_DEV_CREATE = 0x5501;
+const UI_DEV_DESTROY = 0x5502;
+const UI_DEV_SETUP = 0x405C5503; // _IOW('U', 3, struct uinput_setup)
+const UI_ABS_SETUP = 0x401C5504; // _IOW('U', 4, struct uinput_abs_setup)
+const UI_SET_EVBIT = 0x40045564;
+const UI_SET_KEYBIT = 0x40045565;
+const UI_SET_RELBIT = 0x40045566;
+const UI_SET_ABSBIT = 0x40045567;
+
+// linux/input-event-codes.h
+const EV_SYN = 0x00;
+const EV_KEY = 0x01;
+const EV_REL = 0x02;
+const EV_ABS = 0x03;
+const SYN_REPORT = 0;
+const REL_HWHEEL = 0x06;
+const REL_WHEEL = 0x08;
+const ABS_X = 0x00;
+const ABS_Y = 0x01;
+const BUS_VIRTUAL = 0x06;
+const MOUSE_BUTTONS = [0x110, 0x112, 0x111]; // BTN_LEFT, BTN_MIDDLE, BTN_RIGHT by button index
+
+const KEY_LEFTSHIFT = 42;
+const KEYCODES = {
+  Escape: 1, Backspace: 14, Tab: 15, Enter: 28, Control: 29, Shift: KEY_LEFTSHIFT, Alt: 56,
+  ' ': 57, CapsLock: 58, NumLock: 69, ScrollLock: 70, PrintScreen: 99, Home: 102,
+  ArrowUp: 103, PageUp: 104, ArrowLeft: 105, ArrowRight: 106, End: 107, ArrowDown: 108,
+  PageDown: 109, Insert: 110, Delete: 111, AudioVolumeMute: 113, AudioVolumeDown: 114,
+  AudioVolumeUp: 115, Pause: 119, Meta: 125, ContextMenu: 127, MediaTrackNext: 163,
+  MediaPlayPause: 164, MediaTrackPrevious: 165,
+  F11: 87, F12: 88,
+};
+for (let n = 1; n <= 10; n++) KEYCODES[`F${n}`] = 58 + n;
+for (let n = 13; n <= 24; n++) KEYCODES[`F${n}`] = 170 + n;
+
+// US layout: unshifted character -> keycode, and shifted character -> its unshifted key
+const CHARACTER_KEYCODES = {};
+const rows = [
+  ['1234567890-=', 2], ['qwertyuiop[]', 16], ["asdfghjkl;'`", 30], ['\\zxcvbnm,./', 43],
+];
+for (const [chars, first] of rows) {
+  [...chars].forEach((ch, i) => { CHARACTER_KEYCODES[ch] = first + i; });
+}
+const SHIFTED = {};
+[...'!@#$%^&*()_+'].forEach((ch, i) => { SHIFTED[ch] = '1234567890-='[i]; });
+Object.assign(SHIFTED, { '{': '[', '}': ']', ':': ';', '"': "'", '~': '`', '|': '\\', '<': ',', '>': '.', '?': '/' });
+
+/** Keycode and Shift state for typing one character (null if not on a US keyboard). */
+function keystrokeFor(ch) {
+  if (ch === '\n') return { code: KEYCODES.Enter, shift: false };
+  if (ch === '\t') return { code: KEYCODES.Tab, shift: false };
+  if (ch === ' ') return { code: KEYCODES[' '], shift: false };
+  if (ch in CHARACTER_KEYCODES) return { code: CHARACTER_KEYCODES[ch], shift: false };
+  if (ch >= 'A' && ch <= 'Z') return { code: CHARACTER_KEYCODES[ch.toLowerCase()], shift: true };
+  if (ch in SHIFTED) return { code: CHARACTER_KEYCODES[SHIFTED[ch]], shift: true };
+  return null;
+}
+
+/**
+ * @param {object} options
+ * @param {{ x, y, width, height }} options.screenBounds - Virtual desktop rect the absolute axes span
+ * Throws if /dev/uinput can't be opened or koffi/libc aren't available.
+ */
+function createUinputBackend({ screenBounds }) {
+  if (process.platform !== 'linux') throw new Error('not running on Linux');
+  const koffi = require('koffi');
+  const libc = koffi.load('libc.so.6');
+  const ioctl = libc.func('int ioctl(int fd, unsigned long request, ...)');
+
+  let fd;
+  try {
+    fd = fs.openSync('/dev/uinput', fs.constants.O_WRONLY | fs.constants.O_NONBLOCK);
+  } catch (e) {
+    throw new Error(`cannot open /dev/uinput (${e.code}) — grant write access, e.g. via a udev rule`);
+  }
+
+  const check = (result, what) => {
+    if (result < 0) {
+      fs.closeSync(fd);
+      throw new Error(`uinput ${what} failed`);
+    }
+  };
+  const setBit = (request, bit) => check(ioctl(fd, request, 'int', bit), `bit ${bit}`);
+
+  setBit(UI_SET_EVBIT, EV_KEY);
+  setBit(UI_SET_EVBIT, EV_REL);
+  setBit(UI_SET_EVBIT, EV_ABS);
+  setBit(UI_SET_RELBIT, REL_WHEEL);
+  setBit(UI_SET_RELBIT, REL_HWHEEL);
+  setBit(UI_SET_ABSBIT, ABS_X);
+  setBit(UI_SET_ABSBIT, ABS_Y);
+  for (const code of MOUSE_BUTTONS) setBit(UI_SET_KEYBIT, code);
+  const keycodes = new Set([...Object.values(KEYCODES), ...Object.values(CHARACTER_KEYCODES)]);
+  for (const code of keycodes) setBit(UI_SET_KEYBIT, code);
+
+  // struct uinput_abs_setup { u16 code; struct input_absinfo { s32 value, min, max, fuzz, flat, resolution } }
+  for (const [code, size] of [[ABS_X, screenBounds.width], [ABS_Y, screenBounds.height]]) {
+    const absSetup = Buffer.alloc(28);
+    absSetup.writeUInt16LE(code, 0);
+    absSetup.writeInt32LE(size - 1, 12); // maximum
+    check(ioctl(fd, UI_ABS_SETUP, 'void *', absSetup), 'abs setup');
+  }
+
+  // struct uinput_setup { struct input_id { u16 bustype, vendor, product, version }; char name[80]; u32 ff_effects_max }
+  const setup = Buffer.alloc(92);
+  setup.writeUInt16LE(BUS_VIRTUAL, 0);
+  setup.writeUInt16LE(0x1209, 2); // pid.codes test vendor
+  setup.writeUInt16LE(0x4856, 4);
+  setup.write('HaloView virtual input', 8, 'ascii');
+  check(ioctl(fd, UI_DEV_SETUP, 'void *', setup), 'device setup');
+  check(ioctl(fd, UI_DEV_CREATE), 'device create');
+
+  // struct input_event { struct timeval time; u16 type; u16 code; s32 value } (64-bit)
+  function emit(events) {
+    const buf = Buffer.alloc(24 * (events.length + 1));
+    [...events, [EV_SYN, SYN_REPORT, 0]].forEach(([type, code, value], i) => {
+      buf.writeUInt16LE(type, i * 24 + 16);
+      buf.writeUInt16LE(code, i * 24 + 18);
+      buf.writeInt32LE(value, i * 24 + 20);
+    });
+    fs.writeSync(fd, buf);
+  }
+
+  function keycodeFor(key) {
+    if (Object.hasOwn(KEYCODES, key)) return KEYCODES[key];
+    if (key.length !== 1) return null;
+    return keystrokeFor(key)?.code ?? null;
+  }
+
+  return {
+    name: 'uinput',
+
+    moveCursor(x, y) {
+      emit([
+        [EV_ABS, ABS_X, Math.max(0, x - screenBounds.x)],
+        [EV_ABS, ABS_Y, Math.max(0, y - screenBounds.y)],
+      ]);
+    },
+
+    mouseButton(button, down) {
+      emit([[EV_KEY, MOUSE_BUTTONS[button] ?? MOUSE_BUTTONS[0], down ? 1 : 0]]);
+    },
+
+    wheel(delta) {
+      emit([[EV_REL, REL_WHEEL, Math.round(delta / 120) || Math.sign(delta)]]);
+    },
+
+    hwheel(delta) {
+      emit([[EV_REL, REL_HWHEEL, Math.round(delta / 120) || Math.sign(delta)]]);
+    },
+
+    key(key, down) {
+      const code = keycodeFor(key);
+      if (code === null) return false;
+      emit([[EV_KEY, code, down ? 1 : 0]]);
+      return true;
+    },
+
+    typeText(text) {
+      const strokes = [...text].filter(ch => ch !== '\r').map(ch => [ch, keystrokeFor(ch)]);
+      const unsupported = strokes.find(([, stroke]) => !stroke);
+      if (unsupported) throw new Error(`uinput can't type '${unsupported[0]}' (US-layout ASCII only)`);
+
+      for (const [, { code, shift }] of strokes) {
+        if (shift) emit([[EV_KEY, KEY_LEFTSHIFT, 1]]);
+        emit([[EV_KEY, code, 1]]);
+        emit([[EV_KEY, code, 0]]);
+        if (shift) emit([[EV_KEY, KEY_LEFTSHIFT, 0]]);
+      }
+    },
+
+    close() {
+      ioctl(fd, UI_DEV_DESTROY);
+      fs.closeSync(fd);
+    },
+  };
+}
+
+module.exports = { createUinputBackend };
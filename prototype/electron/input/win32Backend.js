@@ -0,0 +1,313 @@
+// Win32 injection backend for InputInjector, via koffi (user32.dll).
+// Mouse goes through SetCursorPos + mouse_event, keys through SendInput:
+// virtual-key codes for named keys and chords, KEYEVENTF_UNICODE for text.
+// Window rects are the visible frame from DwmGetWindowAttribute (GetWindowRect
+// also counts the invisible resize borders and shadow), in physical pixels.
+// watchWindows() reports move/resize/minimize through SetWinEventHook.
+// Window commands use ShowWindow / SetWindowPos / WM_CLOSE.
+
+const INPUT_KEYBOARD = 1;
+
+const KEYEVENTF_EXTENDEDKEY = 0x0001;
+const KEYEVENTF_KEYUP = 0x0002;
+const KEYEVENTF_UNICODE = 0x0004;
+
+const DWMWA_EXTENDED_FRAME_BOUNDS = 9;
+
+const SW_MAXIMIZE = 3;
+const SW_MINIMIZE = 6;
+const SW_RESTORE = 9;
+const SWP_NOMOVE = 0x0002;
+const SWP_NOZORDER = 0x0004;
+const SWP_NOACTIVATE = 0x0010;
+const WM_CLOSE = 0x0010;
+const PROCESS_QUERY_LIMITED_INFORMATION = 0x1000;
+const SHOW_COMMANDS = { maximized: SW_MAXIMIZE, minimized: SW_MINIMIZE, normal: SW_RESTORE };
+
+const EVENT_SYSTEM_MINIMIZESTART = 0x0016;
+const EVENT_SYSTEM_MINIMIZEEND = 0x0017;
+const EVENT_OBJECT_LOCATIONCHANGE = 0x800B;
+const OBJID_WINDOW = 0;
+const CHILDID_SELF = 0;
+const WINEVENT_OUTOFCONTEXT = 0x0000;
+const WINEVENT_SKIPOWNPROCESS = 0x0002;
+
+const MOUSEEVENTF_LEFTDOWN = 0x0002;
+const MOUSEEVENTF_LEFTUP = 0x0004;
+const MOUSEEVENTF_RIGHTDOWN = 0x0008;
+const MOUSEEVENTF_RIGHTUP = 0x0010;
+const MOUSEEVENTF_MIDDLEDOWN = 0x0020;
+const MOUSEEVENTF_MIDDLEUP = 0x0040;
+const MOUSEEVENTF_WHEEL = 0x0800;
+const MOUSEEVENTF_HWHEEL = 0x1000;
+
+// [down, up] flags per button index
+const MOUSE_BUTTON_FLAGS = [
+  [MOUSEEVENTF_LEFTDOWN, MOUSEEVENTF_LEFTUP],
+  [MOUSEEVENTF_MIDDLEDOWN, MOUSEEVENTF_MIDDLEUP],
+  [MOUSEEVENTF_RIGHTDOWN, MOUSEEVENTF_RIGHTUP],
+];
+
+// DOM KeyboardEvent.key -> virtual-key code (single characters use VkKeyScanW)
+const VIRTUAL_KEYS = {
+  Backspace: 0x08, Tab: 0x09, Enter: 0x0D, Shift: 0x10, Control: 0x11, Alt: 0x12,
+  Pause: 0x13, CapsLock: 0x14, Escape: 0x1B, ' ': 0x20, PageUp: 0x21, PageDown: 0x22,
+  End: 0x23, Home: 0x24, ArrowLeft: 0x25, ArrowUp: 0x26, ArrowRight: 0x27, ArrowDown: 0x28,
+  PrintScreen: 0x2C, Insert: 0x2D, Delete: 0x2E, Meta: 0x5B, ContextMenu: 0x5D,
+  NumLock: 0x90, ScrollLock: 0x91,
+  AudioVolumeMute: 0xAD, AudioVolumeDown: 0xAE, AudioVolumeUp: 0xAF,
+  MediaTrackNext: 0xB0, MediaTrackPrevious: 0xB1, MediaPlayPause: 0xB3,
+};
+for (let n = 1; n <= 24; n++) VIRTUAL_KEYS[`F${n}`] = 0x6F + n;
+
+// US-layout fallback when VkKeyScanW has no mapping for a character
+const US_CHARACTER_KEYS = {
+  ';': 0xBA, '=': 0xBB, ',': 0xBC, '-': 0xBD, '.': 0xBE, '/': 0xBF, '`': 0xC0,
+  '[': 0xDB, '\\': 0xDC, ']': 0xDD, "'": 0xDE,
+};
+
+// Keys that need KEYEVENTF_EXTENDEDKEY (otherwise they arrive as numpad keys)
+const EXTENDED_KEYS = new Set([0x21, 0x22, 0x23, 0x24, 0x25, 0x26, 0x27, 0x28, 0x2C, 0x2D, 0x2E, 0x5B, 0x5D, 0x90]);
+
+// Parse HWND from sourceId format: "window:HWND:0"
+function hwndOf(sourceId) {
+  const match = /^window:(\d+):/.exec(sourceId);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Throws if koffi or user32.dll can't be loaded (not Windows, or `npm install` not run).
+ */
+function createWin32Backend() {
+  if (process.platform !== 'win32') throw new Error('not running on Windows');
+  const koffi = require('koffi');
+  const user32 = koffi.load('user32.dll');
+
+  const SetCursorPos = user32.func('bool __stdcall SetCursorPos(int x, int y)');
+  const mouse_event = user32.func('void __stdcall mouse_event(uint32 dwFlags, uint32 dx, uint32 dy, int32 dwData, uintptr_t dwExtraInfo)');
+  const VkKeyScanW = user32.func('int16 __stdcall VkKeyScanW(uint16 ch)');
+  const GetForegroundWindow = user32.func('intptr_t __stdcall GetForegroundWindow()');
+  const SetForegroundWindow = user32.func('bool __stdcall SetForegroundWindow(intptr_t hwnd)');
+  const IsIconic = user32.func('bool __stdcall IsIconic(intptr_t hwnd)');
+  const IsZoomed = user32.func('bool __stdcall IsZoomed(intptr_t hwnd)');
+  const ShowWindow = user32.func('bool __stdcall ShowWindow(intptr_t hwnd, int cmd)');
+  const SetWindowPos = user32.func('bool __stdcall SetWindowPos(intptr_t hwnd, intptr_t after, int x, int y, int cx, int cy, uint32 flags)');
+  const PostMessageW = user32.func('bool __stdcall PostMessageW(intptr_t hwnd, uint32 msg, uintptr_t wParam, intptr_t lParam)');
+  const GetWindowThreadProcessId = user32.func('uint32 __stdcall GetWindowThreadProcessId(intptr_t hwnd, _Out_ uint32 *pid)');
+
+  const kernel32 = koffi.load('kernel32.dll');
+  const OpenProcess = kernel32.func('intptr_t __stdcall OpenProcess(uint32 access, bool inherit, uint32 pid)');
+  const QueryFullProcessImageNameW = kernel32.func('bool __stdcall QueryFullProcessImageNameW(intptr_t process, uint32 flags, _Out_ void *name, _Inout_ uint32 *size)');
+  const CloseHandle = kernel32.func('bool __stdcall CloseHandle(intptr_t handle)');
+
+  const WinEventProc = koffi.proto('void __stdcall WinEventProc(intptr_t hook, uint32 event, intptr_t hwnd, int32 idObject, int32 idChild, uint32 thread, uint32 time)');
+  const SetWinEventHook = user32.func('intptr_t __stdcall SetWinEventHook(uint32 eventMin, uint32 eventMax, intptr_t hmod, WinEventProc *proc, uint32 pid, uint32 tid, uint32 flags)');
+  const UnhookWinEvent = user32.func('bool __stdcall UnhookWinEvent(intptr_t hook)');
+
+  const RECT = koffi.struct('RECT', {
+    left: 'int32',
+    top: 'int32',
+    right: 'int32',
+    bottom: 'int32',
+  });
+  const GetWindowRect = user32.func('bool __stdcall GetWindowRect(intptr_t hwnd, _Out_ RECT *rect)');
+  let DwmGetWindowAttribute = null;
+  try {
+    const dwmapi = koffi.load('dwmapi.dll');
+    DwmGetWindowAttribute = dwmapi.func('int32 __stdcall DwmGetWindowAttribute(intptr_t hwnd, uint32 attr, _Out_ RECT *value, uint32 size)');
+  } catch (e) {
+    console.warn('[Input] dwmapi.dll unavailable — window rects include invisible borders');
+  }
+  const RECT_SIZE = koffi.sizeof(RECT);
+
+  const MOUSEINPUT = koffi.struct('MOUSEINPUT', {
+    dx: 'int32',
+    dy: 'int32',
+    mouseData: 'uint32',
+    dwFlags: 'uint32',
+    time: 'uint32',
+    dwExtraInfo: 'uintptr_t',
+  });
+  const KEYBDINPUT = koffi.struct('KEYBDINPUT', {
+    wVk: 'uint16',
+    wScan: 'uint16',
+    dwFlags: 'uint32',
+    time: 'uint32',
+    dwExtraInfo: 'uintptr_t',
+  });
+  const INPUT = koffi.struct('INPUT', {
+    type: 'uint32',
+    u: koffi.union('INPUT_UNION', { mi: MOUSEINPUT, ki: KEYBDINPUT }),
+  });
+  const SendInput = user32.func('uint32 __stdcall SendInput(uint32 cInputs, INPUT *pInputs, int cbSize)');
+  const INPUT_SIZE = koffi.sizeof(INPUT);
+
+  function sendKeyboard(wVk, wScan, dwFlags) {
+    const input = { type: INPUT_KEYBOARD, u: { ki: { wVk, wScan, dwFlags, time: 0, dwExtraInfo: 0 } } };
+    if (SendInput(1, [input], INPUT_SIZE) !== 1) {
+      throw new Error('SendInput was blocked (target runs elevated?)');
+    }
+  }
+
+  function sendVirtualKey(vk, down) {
+    let flags = down ? 0 : KEYEVENTF_KEYUP;
+    if (EXTENDED_KEYS.has(vk)) flags |= KEYEVENTF_EXTENDEDKEY;
+    sendKeyboard(vk, 0, flags);
+  }
+
+  function windowHwnd(sourceId) {
+    const hwnd = hwndOf(sourceId);
+    if (hwnd === null) throw new Error('not a window source');
+    return hwnd;
+  }
+
+  // Visible frame (DWM) if available, else the full window rect
+  function frameRect(hwnd) {
+    const rect = {};
+    const hasFrame = DwmGetWindowAttribute?.(hwnd, DWMWA_EXTENDED_FRAME_BOUNDS, rect, RECT_SIZE) === 0; // S_OK
+    if (!hasFrame && !GetWindowRect(hwnd, rect)) return null;
+    return rect;
+  }
+
+  function virtualKeyFor(key) {
+    if (Object.hasOwn(VIRTUAL_KEYS, key)) return VIRTUAL_KEYS[key];
+    if (key.length !== 1) return null;
+    const scan = VkKeyScanW(key.charCodeAt(0));
+    if (scan !== -1 && (scan & 0xFF) !== 0xFF) return scan & 0xFF; // low byte = VK, high byte = shift state
+    return US_CHARACTER_KEYS[key] ?? null;
+  }
+
+  return {
+    name: 'win32',
+
+    moveCursor(x, y) {
+      SetCursorPos(x, y);
+    },
+
+    mouseButton(button, down) {
+      const flags = MOUSE_BUTTON_FLAGS[button] ?? MOUSE_BUTTON_FLAGS[0];
+      mouse_event(down ? flags[0] : flags[1], 0, 0, 0, 0);
+    },
+
+    wheel(delta) {
+      mouse_event(MOUSEEVENTF_WHEEL, 0, 0, Math.round(delta), 0);
+    },
+
+    hwheel(delta) {
+      mouse_event(MOUSEEVENTF_HWHEEL, 0, 0, Math.round(delta), 0);
+    },
+
+    key(key, down) {
+      const vk = virtualKeyFor(key);
+      if (vk === null) return false;
+      sendVirtualKey(vk, down);
+      return true;
+    },
+
+    typeText(text) {
+      for (const ch of text) {
+        // Apps expect Enter/Tab as real keys, not as unicode characters
+        if (ch === '\n' || ch === '\t') {
+          const vk = ch === '\n' ? VIRTUAL_KEYS.Enter : VIRTUAL_KEYS.Tab;
+          sendVirtualKey(vk, true);
+          sendVirtualKey(vk, false);
+          continue;
+        }
+        if (ch === '\r') continue;
+        // Characters outside the BMP go as two UTF-16 code units
+        for (let i = 0; i < ch.length; i++) {
+          const unit = ch.charCodeAt(i);
+          sendKeyboard(0, unit, KEYEVENTF_UNICODE);
+          sendKeyboard(0, unit, KEYEVENTF_UNICODE | KEYEVENTF_KEYUP);
+        }
+      }
+    },
+
+    focusWindow(sourceId) {
+      const hwnd = hwndOf(sourceId);
+      if (hwnd === null) return; // screens need no focus
+      if (Number(GetForegroundWindow()) === hwnd) return;
+      if (!SetForegroundWindow(hwnd)) {
+        console.warn(`[Input] SetForegroundWindow(${hwnd}) refused — keys go to the current foreground window`);
+      }
+    },
+
+    setWindowState(sourceId, state) {
+      ShowWindow(windowHwnd(sourceId), SHOW_COMMANDS[state]);
+    },
+
+    resizeWindow(sourceId, width, height) {
+      const hwnd = windowHwnd(sourceId);
+      if (IsZoomed(hwnd) || IsIconic(hwnd)) ShowWindow(hwnd, SW_RESTORE);
+      // SetWindowPos sizes include the invisible resize borders; width/height are the visible frame
+      const outer = {};
+      const frame = frameRect(hwnd);
+      if (!frame || !GetWindowRect(hwnd, outer)) throw new Error('window not found');
+      const borderX = (outer.right - outer.left) - (frame.right - frame.left);
+      const borderY = (outer.bottom - outer.top) - (frame.bottom - frame.top);
+      if (!SetWindowPos(hwnd, 0, 0, 0, width + borderX, height + borderY, SWP_NOMOVE | SWP_NOZORDER | SWP_NOACTIVATE)) {
+        throw new Error('SetWindowPos refused');
+      }
+    },
+
+    closeWindow(sourceId) {
+      // Ask politely: the app can still prompt to save
+      if (!PostMessageW(windowHwnd(sourceId), WM_CLOSE, 0, 0)) throw new Error('window not found');
+    },
+
+    getWindowProcess(sourceId) {
+      const hwnd = hwndOf(sourceId);
+      if (hwnd === null) return null;
+      const pid = [0];
+      if (!GetWindowThreadProcessId(hwnd, pid) || !pid[0]) return null;
+      const process = OpenProcess(PROCESS_QUERY_LIMITED_INFORMATION, false, pid[0]);
+      if (!process) return null; // elevated or protected process
+      try {
+        const name = Buffer.alloc(1024); // MAX_PATH-ish UTF-16 buffer, size is in characters
+        const size = [name.length / 2];
+        if (!QueryFullProcessImageNameW(process, 0, name, size)) return null;
+        return name.toString('utf16le', 0, size[0] * 2).split('\\').pop();
+      } finally {
+        CloseHandle(process);
+      }
+    },
+
+    getWindowRect(sourceId) {
+      const hwnd = hwndOf(sourceId);
+      if (hwnd === null) return null;
+      const rect = frameRect(hwnd);
+      if (!rect) return null;
+      return {
+        x: rect.left,
+        y: rect.top,
+        width: rect.right - rect.left,
+        height: rect.bottom - rect.top,
+        minimized: !!IsIconic(hwnd),
+      };
+    },
+
+    watchWindows(onChange) {
+      // Out-of-context hooks are delivered through the main thread's message loop
+      const callback = koffi.register((hook, event, hwnd, idObject, idChild) => {
+        if (idObject !== OBJID_WINDOW || idChild !== CHILDID_SELF || !hwnd) return;
+        onChange(`window:${hwnd}:0`);
+      }, koffi.pointer(WinEventProc));
+      const flags = WINEVENT_OUTOFCONTEXT | WINEVENT_SKIPOWNPROCESS;
+      const hooks = [
+        SetWinEventHook(EVENT_OBJECT_LOCATIONCHANGE, EVENT_OBJECT_LOCATIONCHANGE, 0, callback, 0, 0, flags),
+        SetWinEventHook(EVENT_SYSTEM_MINIMIZESTART, EVENT_SYSTEM_MINIMIZEEND, 0, callback, 0, 0, flags),
+      ];
+      if (hooks.some(hook => !hook)) {
+        hooks.filter(Boolean).forEach(hook => UnhookWinEvent(hook));
+        koffi.unregister(callback);
+        throw new Error('SetWinEventHook failed');
+      }
+      return () => {
+        hooks.forEach(hook => UnhookWinEvent(hook));
+        koffi.unregister(callback);
+      };
+    },
+  };
+}
+
+module.exports = { createWin32Backend };
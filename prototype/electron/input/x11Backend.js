@@ -0,0 +1,179 @@
+// Linux X11 injection backend for InputInjector, via the xdotool CLI
+// (XTEST under the hood). Commands run one at a time in order; consecutive
+// cursor moves that haven't started yet collapse into the latest one.
+// Window rects come from `xdotool getwindowgeometry`; window commands need
+// xdotool 3.20211022+ (windowstate / windowquit).
+
+const { execFile, execFileSync } = require('child_process');
+const fs = require('fs');
+
+// DOM KeyboardEvent.key -> X keysym name (letters and digits are their own keysym)
+const KEYSYMS = {
+  Backspace: 'BackSpace', Tab: 'Tab', Enter: 'Return', Shift: 'Shift_L', Control: 'Control_L',
+  Alt: 'Alt_L', Meta: 'Super_L', Pause: 'Pause', CapsLock: 'Caps_Lock', Escape: 'Escape',
+  ' ': 'space', PageUp: 'Prior', PageDown: 'Next', End: 'End', Home: 'Home',
+  ArrowLeft: 'Left', ArrowUp: 'Up', ArrowRight: 'Right', ArrowDown: 'Down',
+  PrintScreen: 'Print', Insert: 'Insert', Delete: 'Delete', ContextMenu: 'Menu',
+  NumLock: 'Num_Lock', ScrollLock: 'Scroll_Lock',
+  AudioVolumeMute: 'XF86AudioMute', AudioVolumeDown: 'XF86AudioLowerVolume',
+  AudioVolumeUp: 'XF86AudioRaiseVolume', MediaTrackNext: 'XF86AudioNext',
+  MediaTrackPrevious: 'XF86AudioPrev', MediaPlayPause: 'XF86AudioPlay',
+  '`': 'grave', '~': 'asciitilde', '!': 'exclam', '@': 'at', '#': 'numbersign', '$': 'dollar',
+  '%': 'percent', '^': 'asciicircum', '&': 'ampersand', '*': 'asterisk', '(': 'parenleft',
+  ')': 'parenright', '-': 'minus', '_': 'underscore', '=': 'equal', '+': 'plus',
+  '[': 'bracketleft', '{': 'braceleft', ']': 'bracketright', '}': 'braceright',
+  '\\': 'backslash', '|': 'bar', ';': 'semicolon', ':': 'colon', "'": 'apostrophe',
+  '"': 'quotedbl', ',': 'comma', '<': 'less', '.': 'period', '>': 'greater', '/': 'slash',
+  '?': 'question',
+};
+for (let n = 1; n <= 24; n++) KEYSYMS[`F${n}`] = `F${n}`;
+
+// Button index (0 left, 1 middle, 2 right) -> X button number
+const X_BUTTONS = [1, 2, 3];
+
+// WHEEL_DELTA units -> button clicks (at least one)
+function wheelClicks(delta) {
+  return Math.max(1, Math.round(Math.abs(delta) / 120));
+}
+
+// Parse the X window id from sourceId format: "window:XID:0"
+function windowIdOf(sourceId) {
+  const match = /^window:(\d+):/.exec(sourceId);
+  return match ? match[1] : null;
+}
+
+function requireWindowId(sourceId) {
+  const windowId = windowIdOf(sourceId);
+  if (!windowId) throw new Error('not a window source');
+  return windowId;
+}
+
+/**
+ * Throws if there is no X display or xdotool isn't installed.
+ */
+function createX11Backend() {
+  if (process.platform !== 'linux') throw new Error('not running on Linux');
+  if (!process.env.DISPLAY) throw new Error('DISPLAY is not set (no X11 session)');
+  try {
+    execFileSync('xdotool', ['version'], { stdio: 'ignore', timeout: 2000 });
+  } catch (e) {
+    throw new Error('xdotool not found (install it, e.g. apt install xdotool)');
+  }
+
+  const queue = []; // pending xdotool argument lists
+  let running = false;
+
+  function run(args) {
+    // A newer cursor position replaces a move still waiting in the queue
+    if (args[0] === 'mousemove' && queue.length > 0 && queue[queue.length - 1][0] === 'mousemove') {
+      queue[queue.length - 1] = args;
+    } else {
+      queue.push(args);
+    }
+    if (!running) next();
+  }
+
+  function next() {
+    const args = queue.shift();
+    if (!args) {
+      running = false;
+      return;
+    }
+    running = true;
+    execFile('xdotool', args, { timeout: 2000 }, (err) => {
+      if (err) console.warn(`[Input] xdotool ${args[0]} failed: ${err.message}`);
+      next();
+    });
+  }
+
+  function keysymFor(key) {
+    if (Object.hasOwn(KEYSYMS, key)) return KEYSYMS[key];
+    return /^[a-zA-Z0-9]$/.test(key) ? key : null;
+  }
+
+  return {
+    name: 'x11',
+
+    moveCursor(x, y) {
+      run(['mousemove', String(x), String(y)]);
+    },
+
+    mouseButton(button, down) {
+      run([down ? 'mousedown' : 'mouseup', String(X_BUTTONS[button] ?? 1)]);
+    },
+
+    wheel(delta) {
+      // X has no wheel delta: buttons 4 (up) / 5 (down), one click per notch
+      run(['click', '--repeat', String(wheelClicks(delta)), delta > 0 ? '4' : '5']);
+    },
+
+    hwheel(delta) {
+      // Buttons 6 (left) / 7 (right)
+      run(['click', '--repeat', String(wheelClicks(delta)), delta > 0 ? '7' : '6']);
+    },
+
+    key(key, down) {
+      const keysym = keysymFor(key);
+      if (!keysym) return false;
+      run([down ? 'keydown' : 'keyup', keysym]);
+      return true;
+    },
+
+    typeText(text) {
+      run(['type', '--delay', '0', '--', text]);
+    },
+
+    focusWindow(sourceId) {
+      const windowId = windowIdOf(sourceId);
+      if (windowId) run(['windowactivate', windowId]);
+    },
+
+    setWindowState(sourceId, state) {
+      const windowId = requireWindowId(sourceId);
+      const maximize = ['--add', 'MAXIMIZED_VERT', '--add', 'MAXIMIZED_HORZ'];
+      const unmaximize = ['--remove', 'MAXIMIZED_VERT', '--remove', 'MAXIMIZED_HORZ'];
+      if (state === 'minimized') {
+        run(['windowminimize', windowId]);
+      } else {
+        run(['windowstate', ...(state === 'maximized' ? maximize : unmaximize), windowId]);
+        run(['windowactivate', windowId]); // also un-minimizes
+      }
+    },
+
+    resizeWindow(sourceId, width, height) {
+      run(['windowsize', requireWindowId(sourceId), String(width), String(height)]);
+    },
+
+    closeWindow(sourceId) {
+      // WM_DELETE_WINDOW, so the app can still prompt to save
+      run(['windowquit', requireWindowId(sourceId)]);
+    },
+
+    getWindowProcess(sourceId) {
+      const windowId = windowIdOf(sourceId);
+      if (!windowId) return null;
+      try {
+        // _NET_WM_PID: only set by clients that cooperate (and local ones)
+        const pid = parseInt(execFileSync('xdotool', ['getwindowpid', windowId], { encoding: 'utf8', timeout: 2000 }), 10);
+        return pid > 0 ? fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim() : null;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    getWindowRect(sourceId) {
+      const windowId = windowIdOf(sourceId);
+      if (!windowId) return null;
+      try {
+        const out = execFileSync('xdotool', ['getwindowgeometry', '--shell', windowId], { encoding: 'utf8', timeout: 2000 });
+        const value = (name) => Number(new RegExp(`^${name}=(-?\\d+)$`, 'm').exec(out)?.[1]);
+        const rect = { x: value('X'), y: value('Y'), width: value('WIDTH'), height: value('HEIGHT') };
+        return Object.values(rect).every(Number.isFinite) ? rect : null;
+      } catch (e) {
+        return null;
+      }
+    },
+  };
+}
+
+module.exports = { createX11Backend };
@@ -0,0 +1,160 @@
+// Applications the viewer can launch from the window picker: each entry is a
+// command line plus a hint for recognising the window it opens. The capture
+// app spawns the command, waits for a new matching window to appear among the
+// desktopCapturer sources and captures it into a new panel.
+//
+// The list comes from a JSON file (--launchers=<file> / HALOVIEW_LAUNCHERS)
+// holding an array of entries, or the platform defaults below:
+//   id         — stable identifier the viewer sends back (letters, digits, - and _)
+//   name       — card label in the picker
+//   command    — argv array; on Windows it runs through cmd.exe, so .cmd shims
+//                (code.cmd) and `start` work
+//   cwd        — working directory (default: the launch folder)
+//   match      — case-insensitive text the window title must contain (default: any new window)
+//   timeoutMs  — how long to wait for the window (default 20 s)
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const POLL_MS = 500;
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Built-in launchers for this platform.
+ * @param {object} options
+ * @param {string} options.folder - Folder VS Code and the terminal open in
+ * @param {string} options.url - Page the browser launcher opens
+ */
+function defaultLaunchers({ folder, url }) {
+  if (process.platform === 'win32') {
+    return [
+      { id: 'vscode', name: 'VS Code', command: ['code', '--new-window', folder], match: 'Visual Studio Code' },
+      { id: 'terminal', name: 'Terminal', command: ['wt', '-w', 'new', '-d', folder] },
+      { id: 'browser', name: 'Browser', command: ['start', '', 'msedge', '--new-window', url] },
+      { id: 'claude', name: 'Claude', command: ['start', '', 'msedge', '--app=https://claude.ai/new'], match: 'Claude' },
+    ];
+  }
+  if (process.platform === 'linux') {
+    return [
+      { id: 'vscode', name: 'VS Code', command: ['code', '--new-window', folder], match: 'Visual Studio Code' },
+      { id: 'terminal', name: 'Terminal', command: ['x-terminal-emulator'] },
+      { id: 'browser', name: 'Browser', command: ['google-chrome', '--new-window', url] },
+      { id: 'claude', name: 'Claude', command: ['google-chrome', '--app=https://claude.ai/new'], match: 'Claude' },
+    ];
+  }
+  return [];
+}
+
+/**
+ * The launcher list: entries from `file` if given, else the platform defaults.
+ * Invalid entries are skipped with a warning; an unreadable file throws.
+ */
+function loadLaunchers(file, { folder = os.homedir(), url = 'https://www.google.com' } = {}) {
+  const entries = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : defaultLaunchers({ folder, url });
+  if (!Array.isArray(entries)) throw new Error(`${file} must contain an array of launchers`);
+
+  const launchers = [];
+  for (const entry of entries) {
+    const problem = validateLauncher(entry, launchers);
+    if (problem) {
+      console.warn(`[Launch] Skipping launcher ${JSON.stringify(entry?.id ?? entry)}: ${problem}`);
+      continue;
+    }
+    launchers.push({
+      id: entry.id,
+      name: entry.name,
+      command: entry.command,
+      cwd: entry.cwd || folder,
+      match: entry.match || null,
+      timeoutMs: entry.timeoutMs || DEFAULT_TIMEOUT_MS,
+    });
+  }
+  return launchers;
+}
+
+function validateLauncher(entry, accepted) {
+  if (!entry || typeof entry !== 'object') return 'not an object';
+  if (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id)) return 'id must be 1-64 letters, digits, - or _';
+  if (accepted.some(l => l.id === entry.id)) return 'duplicate id';
+  if (typeof entry.name !== 'string' || !entry.name) return 'name must be a non-empty string';
+  if (!Array.isArray(entry.command) || entry.command.length === 0 ||
+      !entry.command.every(arg => typeof arg === 'string')) {
+    return 'command must be a non-empty array of strings';
+  }
+  if (entry.cwd !== undefined && typeof entry.cwd !== 'string') return 'cwd must be a string';
+  if (entry.match !== undefined && typeof entry.match !== 'string') return 'match must be a string';
+  if (entry.timeoutMs !== undefined && !(Number.isInteger(entry.timeoutMs) && entry.timeoutMs > 0)) {
+    return 'timeoutMs must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Start a launcher's command and wait for its window.
+ * Prefers a window that wasn't there before the launch; single-instance apps
+ * that only raise an existing window fall back to an existing matching one
+ * once the timeout passes.
+ * @param {object} launcher - Entry from loadLaunchers
+ * @param {object} options
+ * @param {() => Promise<Array<{ sourceId, name }>>} options.listWindows - Current window sources
+ * @returns {Promise<{ sourceId: string, name: string }>}
+ */
+async function launchApp(launcher, { listWindows }) {
+  const before = new Set((await listWindows()).map(w => w.sourceId));
+  await spawnDetached(launcher.command, launcher.cwd);
+  console.log(`[Launch] Started '${launcher.name}': ${launcher.command.join(' ')}`);
+
+  const matches = (w) => !launcher.match || w.name.toLowerCase().includes(launcher.match.toLowerCase());
+  const deadline = Date.now() + launcher.timeoutMs;
+  let windows = [];
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, POLL_MS));
+    windows = (await listWindows()).filter(w => w.sourceId.startsWith('window:'));
+    const opened = windows.find(w => !before.has(w.sourceId) && matches(w));
+    if (opened) return opened;
+  }
+
+  const existing = launcher.match && windows.find(matches);
+  if (existing) {
+    console.log(`[Launch] No new window for '${launcher.name}', using the existing '${existing.name}'`);
+    return existing;
+  }
+  throw new Error(`no window for '${launcher.name}' appeared within ${launcher.timeoutMs / 1000} s`);
+}
+
+/**
+ * Spawn a command detached from the capture app (it outlives HaloView).
+ * Resolves once the process has started, rejects if it can't be started.
+ */
+function spawnDetached(command, cwd) {
+  const [file, ...args] = process.platform === 'win32' ? windowsCommand(command) : command;
+  return new Promise((resolve, reject) => {
+    const child = spawn(file, args, {
+      cwd,
+      detached: true,
+      stdio: 'ignore',
+      windowsHide: false,
+      windowsVerbatimArguments: process.platform === 'win32',
+    });
+    child.once('error', reject);
+    child.once('spawn', () => {
+      child.unref();
+      resolve();
+    });
+  });
+}
+
+// argv for running `command` through cmd.exe (passed verbatim: /s strips the outer quotes)
+function windowsCommand(command) {
+  return ['cmd.exe', '/d', '/s', '/c', `"${command.map(quoteWindowsArg).join(' ')}"`];
+}
+
+// cmd.exe quoting: wrap arguments with spaces or metacharacters in double quotes
+function quoteWindowsArg(arg) {
+  if (arg === '') return '""';
+  return /[\s"&|<>^()]/.test(arg) ? `"${arg.replace(/"/g, '""')}"` : arg;
+}
+
+module.exports = { loadLaunchers, launchApp, spawnDetached, windowsCommand };
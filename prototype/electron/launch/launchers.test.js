@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadLaunchers, launchApp, spawnDetached, windowsCommand } = require('./launchers');
+
+// A command that starts and exits at once, wherever the tests run
+const NOOP = [process.execPath, '-e', ''];
+
+function launcher(fields = {}) {
+  return { id: 'app', name: 'App', command: NOOP, cwd: os.tmpdir(), match: null, timeoutMs: 2000, ...fields };
+}
+
+// listWindows that returns `before` on the first call and `after` from then on
+function windowsSequence(before, after) {
+  let calls = 0;
+  return async () => (calls++ === 0 ? before : after);
+}
+
+test('cmd.exe command lines quote arguments with spaces and metacharacters', () => {
+  assert.deepEqual(windowsCommand(['start', '', 'msedge', '--new-window', 'https://example.com/?a=1&b=2']),
+    ['cmd.exe', '/d', '/s', '/c', '"start "" msedge --new-window "https://example.com/?a=1&b=2""'],
+  );
+  assert.equal(windowsCommand(['code', 'C:\\My Projects', 'say "hi"'])[4],
+    '"code "C:\\My Projects" "say ""hi""""');
+  assert.equal(windowsCommand(['wt', '-d', 'C:\\src'])[4], '"wt -d C:\\src"');
+});
+
+test('spawnDetached resolves once started and rejects a missing command', async () => {
+  await spawnDetached(NOOP, os.tmpdir());
+  await assert.rejects(spawnDetached(['haloview-no-such-command'], os.tmpdir()), { code: 'ENOENT' });
+});
+
+test('launchApp picks the new window matching the launcher', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const editor = { sourceId: 'window:1:0', name: 'notes.md - Visual Studio Code' };
+  const listWindows = windowsSequence([editor], [
+    editor,
+    { sourceId: 'screen:0:0', name: 'Entire screen - Visual Studio Code' },
+    { sourceId: 'window:2:0', name: 'Calculator' },
+    { sourceId: 'window:3:0', name: 'main.js - HaloView - Visual Studio Code' },
+  ]);
+  const opened = await launchApp(launcher({ match: 'visual studio code' }), { listWindows });
+  assert.equal(opened.sourceId, 'window:3:0');
+});
+
+test('without a match any new window will do', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const listWindows = windowsSequence([], [{ sourceId: 'window:5:0', name: 'Terminal' }]);
+  assert.equal((await launchApp(launcher(), { listWindows })).sourceId, 'window:5:0');
+});
+
+test('a single-instance app falls back to its existing window after the timeout', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const existing = { sourceId: 'window:1:0', name: 'Claude' };
+  const listWindows = async () => [existing];
+  assert.equal(await launchApp(launcher({ match: 'Claude', timeoutMs: 600 }), { listWindows }), existing);
+  await assert.rejects(launchApp(launcher({ timeoutMs: 600 }), { listWindows }),
+    /no window for 'App' appeared within 0.6 s/);
+});
+
+test('loadLaunchers skips invalid entries and fills in defaults', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'haloview-')), 'launchers.json');
+  fs.writeFileSync(file, JSON.stringify([
+    { id: 'editor', name: 'Editor', command: ['code'] },
+    { id: 'editor', name: 'Duplicate', command: ['code'] },
+    { id: 'bad id', name: 'Bad', command: ['x'] },
+    { id: 'shell', name: 'Shell', command: 'bash' },
+    { id: 'slow', name: 'Slow', command: ['x'], timeoutMs: -1 },
+  ]));
+  const launchers = loadLaunchers(file, { folder: '/work' });
+  assert.deepEqual(launchers, [
+    { id: 'editor', name: 'Editor', command: ['code'], cwd: '/work', match: null, timeoutMs: 20000 },
+  ]);
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
@@ -1,56 +1,214 @@
+import {
+  PROTOCOL_VERSION, isCompatibleVersion, validateMessage,
+} from '../../../shared/protocol/signaling.js';
+import { validateInputEvent } from '../../../shared/protocol/input.js';
+import { SharedPeerConnection } from '../../src/streaming/SharedPeerConnection.js';
+import { allocateBitrates, applyEncodingLimits, resolveBitrateBudget } from '../../src/streaming/BitrateAllocator.js';
+import { composeCrop, cropToSourceUV, cropVideoTrack, normalizeCrop } from './crop.js';
+import { blurVideoTrack } from './privacyBlur.js';
+
+const KEYBOARD_EVENTS = ['keydown', 'keyup', 'chord', 'text'];
+
+const RTC_CONFIG = {
+  iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
+};
+
 /**
  * Electron-specific capture client.
  * Uses desktopCapturer + getUserMedia with chromeMediaSourceId for
  * programmatic window capture (no OS picker dialog).
- * Forwards VR input events to main process for Win32 mouse simulation.
+ * Forwards VR input events (mouse and keyboard) to the main process for injection.
  */
 export class ElectronCaptureClient {
-  constructor(signalingUrl) {
+  constructor(signalingUrl, { room = 'default', bitrateBudget = {}, maxPanels = Infinity } = {}) {
     this.signalingUrl = signalingUrl;
+    this.room = room; // signaling room shared with the viewer
+    this.maxPanels = maxPanels; // captures beyond this many panels are refused
     this.ws = null;
     this.peerId = null;
     this.streams = new Map(); // panelId -> MediaStream
     this.peerConnections = new Map(); // `${viewerPeerId}:${panelId}` -> RTCPeerConnection
-    this.captureInfo = new Map(); // panelId -> { sourceId, width, height }
+    this.sharedConnections = new Map(); // viewerPeerId -> SharedPeerConnection (multiplex mode)
+    this.bitrateBudget = resolveBitrateBudget(bitrateBudget); // split across each viewer's panels by gaze
+    this.focusByViewer = new Map(); // viewerPeerId -> focused panelId (null = none)
+    this.captureInfo = new Map(); // panelId -> { sourceId, orientation, width, height, crop, sourceTrack }
+    this.boundsNotifyDelayMs = 250; // coalesce window-bounds updates while a window is being resized
+    this._boundsNotify = new Map(); // panelId -> { timer, sent: { width, height, minimized } }
     this.windowList = [];
+    this.launchers = null; // [{ id, name }] from the main process, sent with the window list
+    this._sensitiveSources = new Set(); // sourceIds whose panels are blurred (privacy rules)
     this._pollInterval = null;
     this._lastSourceIds = null;
+    this._pollIntervalMs = 0;
     this.onStatusChange = null; // callback(status, text)
     this.onLog = null; // callback(msg, level)
+    this.onPairingCode = null; // callback(code, expiresAt)
+    this.onSessionList = null; // callback(sessions[], reason)
+
+    // Reconnect / resume state
+    this.reconnectBaseMs = 500;
+    this.reconnectMaxMs = 10000;
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._resumeToken = null; // from room-joined / resumed; reclaims our peer ID after a drop
+    this._pendingWelcome = null;
+    this._connectWaiter = null;
+    this._closing = false;
+
+    window.haloCapture?.onWindowBoundsChanged?.((sourceId, bounds) => this._onWindowBounds(sourceId, bounds));
+    window.haloCapture?.onClipboardChanged?.((content) => this._onClipboardChanged(content));
+    window.haloCapture?.onSourceSensitiveChanged?.((sourceId, sensitive) => this._onSourceSensitiveChanged(sourceId, sensitive));
   }
 
+  /**
+   * Connect to the signaling server and register as a capture peer.
+   * Dropped connections are retried with exponential backoff and resume the
+   * same peer ID, so viewers keep their PeerConnections.
+   */
   async connect() {
+    this._closing = false;
     return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(this.signalingUrl);
+      this._connectWaiter = { resolve, reject };
+      this._openSocket();
+    });
+  }
 
-      this.ws.onopen = () => {
-        this._log('Connected to signaling server');
-      };
+  _openSocket() {
+    const ws = new WebSocket(this.signalingUrl);
+    this.ws = ws;
+
+    ws.onopen = () => {
+      this._log('Connected to signaling server');
+    };
+
+    ws.onmessage = (event) => {
+      if (this.ws !== ws) return;
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch {
+        this._log('Ignoring non-JSON signaling message', 'warn');
+        return;
+      }
+      const problem = validateMessage(msg, 'peer');
+      if (problem) {
+        this._log(`Ignoring invalid signaling message: ${problem.message}`, 'warn');
+        return;
+      }
+      this._handleSignal(msg).catch((e) => this._log(`Handling '${msg.type}' failed: ${e.message}`, 'warn'));
+      switch (msg.type) {
+        case 'welcome':
+          if (!isCompatibleVersion(PROTOCOL_VERSION, msg.minProtocolVersion, msg.protocolVersion)) {
+            this._log(`Signaling server speaks protocol v${msg.minProtocolVersion}-v${msg.protocolVersion}, this app v${PROTOCOL_VERSION}`, 'err');
+            if (this.onStatusChange) this.onStatusChange('error', 'Incompatible signaling server');
+            this._fail(new Error('Incompatible signaling protocol version'));
+            return;
+          }
+          if (msg.authRequired) {
+            // The capture app must run on the signaling host to be trusted
+            this._log('Signaling server requires pairing — run the capture app on the signaling host', 'err');
+            if (this.onStatusChange) this.onStatusChange('error', 'Not trusted by signaling server');
+            this._fail(new Error('Signaling server requires pairing'));
+            return;
+          }
+          if (this._resumeToken && this.peerId !== null) {
+            this._pendingWelcome = msg;
+            this._send({ type: 'resume', peerId: this.peerId, resumeToken: this._resumeToken });
+          } else {
+            this._register(msg.peerId);
+          }
+          break;
+
+        case 'room-joined':
+          this._resumeToken = msg.resumeToken;
+          this._onJoined(`Registered as capture peer #${this.peerId} in room '${this.room}'`);
+          break;
 
-      this.ws.onmessage = (event) => {
-        const msg = JSON.parse(event.data);
-        this._handleSignal(msg);
-        if (msg.type === 'welcome') {
+        case 'resumed':
           this.peerId = msg.peerId;
-          this._send({ type: 'register', role: 'capture', panelIds: Array.from(this.streams.keys()) });
-          this._log(`Registered as capture peer #${this.peerId}`);
-          if (this.onStatusChange) this.onStatusChange('connected', `Connected (peer #${this.peerId})`);
-          resolve();
-        }
-      };
+          this._resumeToken = msg.resumeToken;
+          this._onJoined(`Resumed as capture peer #${this.peerId} in room '${this.room}'`);
+          break;
+
+        case 'resume-failed':
+          this._log(`Could not resume peer #${this.peerId} (${msg.reason}) — registering again`, 'warn');
+          this._resumeToken = null;
+          // Viewers drop our old peer ID, so its connections are dead; they re-request panels
+          for (const [, pc] of this.peerConnections) pc.close();
+          this.peerConnections.clear();
+          for (const conn of this.sharedConnections.values()) conn.close();
+          this.sharedConnections.clear();
+          this._register(this._pendingWelcome.peerId);
+          break;
+      }
+    };
 
-      this.ws.onerror = (err) => {
-        this._log(`WebSocket error: ${err.message || err}`, 'err');
+    ws.onerror = (err) => {
+      this._log(`WebSocket error: ${err.message || err}`, 'err');
+      if (this._connectWaiter) {
         if (this.onStatusChange) this.onStatusChange('error', 'Connection failed');
-        reject(err);
-      };
+        this._settleConnect(err);
+      }
+    };
 
-      this.ws.onclose = () => {
-        this._log('Disconnected from signaling server', 'warn');
+    ws.onclose = () => {
+      if (this.ws !== ws) return;
+      this._log('Disconnected from signaling server', 'warn');
+      this._stopPolling();
+      if (this._closing) {
         if (this.onStatusChange) this.onStatusChange('disconnected', 'Disconnected');
-        this._stopPolling();
-      };
-    });
+        return;
+      }
+      this._scheduleReconnect();
+    };
+  }
+
+  _register(peerId) {
+    this.peerId = peerId;
+    this._send({ type: 'register', role: 'capture', room: this.room, panelIds: Array.from(this.streams.keys()), protocolVersion: PROTOCOL_VERSION });
+  }
+
+  _onJoined(logText) {
+    this._reconnectAttempts = 0;
+    this._log(logText);
+    if (this.onStatusChange) this.onStatusChange('connected', `Connected (peer #${this.peerId}, room '${this.room}')`);
+    // Polling stops while disconnected; resume it and force a fresh broadcast
+    if (this._pollIntervalMs && !this._pollInterval) {
+      this._lastSourceIds = null;
+      this.startWindowPolling(this._pollIntervalMs);
+    }
+    this._settleConnect();
+  }
+
+  _scheduleReconnect() {
+    if (this._closing || this._reconnectTimer) return;
+    // Exponential backoff with +/-25% jitter
+    const base = Math.min(this.reconnectMaxMs, this.reconnectBaseMs * 2 ** this._reconnectAttempts);
+    const delay = Math.round(base * (0.75 + Math.random() * 0.5));
+    this._reconnectAttempts++;
+    this._log(`Reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${this._reconnectAttempts})`, 'warn');
+    if (this.onStatusChange) this.onStatusChange('connecting', 'Reconnecting...');
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._openSocket();
+    }, delay);
+  }
+
+  _settleConnect(err = null) {
+    const waiter = this._connectWaiter;
+    if (!waiter) return;
+    this._connectWaiter = null;
+    if (err) waiter.reject(err);
+    else waiter.resolve();
+  }
+
+  /**
+   * Give up for good (e.g. protocol mismatch) — no further reconnects.
+   */
+  _fail(err) {
+    this._closing = true;
+    this._settleConnect(err);
+    this.ws?.close();
   }
 
   _send(msg) {
@@ -59,6 +217,28 @@ export class ElectronCaptureClient {
     }
   }
 
+  /**
+   * Ask the signaling server for a pairing code to show to the viewer.
+   */
+  requestPairingCode() {
+    this._send({ type: 'pair-request' });
+  }
+
+  /**
+   * Ask for the list of paired viewer sessions.
+   */
+  listSessions() {
+    this._send({ type: 'list-sessions' });
+  }
+
+  /**
+   * Revoke a paired session by id, or every session if no id is given.
+   * Connected viewers holding a revoked token are disconnected.
+   */
+  revokeSessions(sessionId = null) {
+    this._send(sessionId ? { type: 'revoke-token', sessionId } : { type: 'revoke-token', all: true });
+  }
+
   _log(msg, level = 'info') {
     console.log(`[Capture] ${msg}`);
     if (this.onLog) this.onLog(msg, level);
@@ -69,13 +249,36 @@ export class ElectronCaptureClient {
    */
   async enumerateWindows() {
     this.windowList = await window.haloCapture.enumerateWindows();
+    this.launchers ??= await window.haloCapture.listLaunchers?.() ?? [];
     return this.windowList;
   }
 
+  _sendWindowList(list) {
+    this._send({ type: 'window-list', windows: list, launchers: this.launchers ?? [] });
+  }
+
+  /**
+   * Private mode: window titles go out without thumbnails. The list is re-sent
+   * right away so viewers (and the server's cached copy) drop the old thumbnails.
+   */
+  async setPrivateMode(enabled) {
+    const privateMode = await window.haloCapture?.setPrivateMode?.(enabled);
+    this._log(`Private mode ${privateMode ? 'on: window thumbnails are no longer sent' : 'off'}`);
+    this._lastSourceIds = null;
+    await this._pollAndBroadcast();
+    return !!privateMode;
+  }
+
+  async getPrivateMode() {
+    return !!(await window.haloCapture?.getPrivateMode?.());
+  }
+
   /**
    * Start polling for window list changes and broadcasting.
    */
   startWindowPolling(intervalMs = 5000) {
+    this._stopPolling();
+    this._pollIntervalMs = intervalMs;
     this._pollAndBroadcast();
     this._pollInterval = setInterval(() => this._pollAndBroadcast(), intervalMs);
   }
@@ -93,7 +296,7 @@ export class ElectronCaptureClient {
       const currentIds = list.map(w => w.sourceId).sort().join(',');
       if (currentIds !== this._lastSourceIds) {
         this._lastSourceIds = currentIds;
-        this._send({ type: 'window-list', windows: list });
+        this._sendWindowList(list);
         this._log(`Window list updated: ${list.length} windows`);
       }
     } catch (err) {
@@ -103,17 +306,27 @@ export class ElectronCaptureClient {
 
   /**
    * Programmatic capture of a specific window (no OS dialog).
+   * @param {object|null} crop - Only stream this region: { x, y, width, height } in 0-1 of the source
    */
-  async captureWindow(sourceId, panelId, orientation = 'landscape') {
+  async captureWindow(sourceId, panelId, orientation = 'landscape', crop = null) {
+    this._checkPanelLimit(panelId);
+
     // Clean up existing stream for this panelId before re-capturing
     const existing = this.streams.get(panelId);
     if (existing) {
       existing.getTracks().forEach(t => t.stop());
       this.streams.delete(panelId);
-      this.captureInfo.delete(panelId);
+      this._clearCaptureInfo(panelId);
       this._log(`Stopped existing stream for panel '${panelId}'`);
     }
 
+    // Blocked windows are refused even when a viewer names them directly;
+    // sensitive ones are blurred from the first frame
+    const privacy = await window.haloCapture?.sourcePrivacy?.(sourceId);
+    if (privacy?.blocked) throw new Error(`'${sourceId}' is blocked by the privacy rules`);
+    if (privacy?.sensitive) this._sensitiveSources.add(sourceId);
+    else this._sensitiveSources.delete(sourceId);
+
     const isPortrait = orientation === 'portrait';
     const isScreen = sourceId.startsWith('screen:');
     // Full screens: 2560x1440 for clarity. Individual windows: 1920x1080 (safer).
@@ -151,76 +364,298 @@ export class ElectronCaptureClient {
       });
     }
 
+    const sourceTrack = stream.getVideoTracks()[0];
+    if (sourceTrack && crop) {
+      try {
+        stream = new MediaStream([cropVideoTrack(sourceTrack, crop)]);
+      } catch (err) {
+        sourceTrack.stop();
+        throw err;
+      }
+    }
+
     // Hint encoder to prioritize resolution for text clarity
     const track = stream.getVideoTracks()[0];
+    let size = '';
     if (track) {
       track.contentHint = 'text';
+      // Only a sensitive window pays for frame processing: it streams a blurred
+      // copy of the track from the first frame (see _setPanelBlurred)
+      let blurTrack = null;
+      if (this._sensitiveSources.has(sourceId)) {
+        try {
+          blurTrack = this._blurredCopy(track);
+        } catch (err) {
+          track.stop();
+          throw err;
+        }
+        stream = new MediaStream([blurTrack]);
+      }
 
-      // Store capture dimensions for input coordinate mapping
-      const settings = track.getSettings();
-      this.captureInfo.set(panelId, {
-        sourceId,
-        width: settings.width || maxW,
-        height: settings.height || maxH,
-      });
+      // Store capture dimensions for input coordinate mapping (the panel's picture, cropped or not)
+      const settings = sourceTrack.getSettings();
+      const width = Math.round((settings.width || maxW) * (crop?.width ?? 1));
+      const height = Math.round((settings.height || maxH) * (crop?.height ?? 1));
+      this._setCaptureInfo(panelId, { sourceId, orientation, width, height, crop, sourceTrack, track, blurTrack });
+      size = `${width}x${height}${crop ? ` cropped from ${settings.width}x${settings.height}` : ''}`;
     }
 
     this.streams.set(panelId, stream);
-    this._log(`Captured window '${sourceId}' as panel '${panelId}' (${orientation}, ${track?.getSettings().width}x${track?.getSettings().height}, contentHint=text)`);
+    this._log(`Captured window '${sourceId}' as panel '${panelId}' (${orientation}, ${size}, contentHint=text)`);
 
     // Update registration with new panel
     this._send({
       type: 'register',
       role: 'capture',
+      room: this.room,
       panelIds: Array.from(this.streams.keys()),
+      protocolVersion: PROTOCOL_VERSION,
     });
 
-    stream.getVideoTracks()[0].addEventListener('ended', () => {
+    // A cropped track is fed by the source: the source ending (window closed) ends the panel
+    sourceTrack.addEventListener('ended', () => {
       this._log(`Stream ended for panel '${panelId}'`, 'warn');
+      if (this.streams.get(panelId) !== stream) return; // already replaced by a re-capture
       this.streams.delete(panelId);
-      this.captureInfo.delete(panelId);
+      this._clearCaptureInfo(panelId);
+      for (const conn of this.sharedConnections.values()) conn.removePanel(panelId);
     });
 
     return stream;
   }
 
+  /**
+   * Stream a region of a panel as a new panel. Crops compose: cropping a
+   * cropped panel narrows the region of the same source.
+   * @param {string} panelId - Panel whose picture is cropped
+   * @param {{ x, y, width, height }} rect - Region in 0-1 of that panel's picture
+   * @param {object} options
+   * @param {string} options.newPanelId - Panel the region is captured into
+   * @param {number} [options.viewerPeerId] - Viewer to send it to; without one, viewers
+   *   pick it up from the re-sent registration
+   * @param {boolean} [options.multiplex]
+   */
+  async cropPanel(panelId, rect, { newPanelId, viewerPeerId = null, multiplex = false }) {
+    const info = this.captureInfo.get(panelId);
+    if (!info) throw new Error(`no capture for panel '${panelId}'`);
+    const region = normalizeCrop(rect);
+    if (!region) throw new Error('the region is too small or not a rectangle');
+    if (newPanelId === panelId) throw new Error('the cropped panel needs its own id');
+
+    const crop = composeCrop(info.crop, region);
+    const stream = await this.captureWindow(info.sourceId, newPanelId, info.orientation, crop);
+    if (viewerPeerId !== null) await this._deliverPanel(viewerPeerId, newPanelId, stream, multiplex);
+    return stream;
+  }
+
+  /**
+   * Save a viewer's workspace: its panel layouts plus, added by the main process
+   * (workspace/WorkspaceStore.js), what identifies each panel's window after a restart.
+   * @param {string} name
+   * @param {Array<{ panelId, layout }>} panels - Layouts are the viewer's, stored as is
+   * @returns {Promise<number>} Panels saved
+   */
+  async saveWorkspace(name, panels) {
+    if (!window.haloCapture?.saveWorkspace) throw new Error('workspaces are not supported');
+    return window.haloCapture.saveWorkspace(name, panels.map(({ panelId, layout }) => {
+      const info = this.captureInfo.get(panelId);
+      return {
+        panelId,
+        layout,
+        sourceId: info?.sourceId ?? null,
+        orientation: info?.orientation ?? 'landscape',
+        crop: info?.crop ?? null,
+      };
+    }));
+  }
+
+  /**
+   * Capture the windows of a saved workspace again, each into its saved panel.
+   * The viewer gets the list first, so it can place the panels before their
+   * streams arrive (picked up from the re-sent registration like any new panel).
+   * @param {string} name
+   * @param {number} viewerPeerId - Viewer the `workspace` reply goes to
+   */
+  async restoreWorkspace(name, viewerPeerId) {
+    const saved = await window.haloCapture?.resolveWorkspace?.(name) ?? [];
+    const found = saved.filter(p => p.sourceId).length;
+    this._log(`Restoring workspace '${name}' for viewer ${viewerPeerId}: ${found} of ${saved.length} windows found`);
+    this._send({
+      type: 'workspace',
+      targetId: viewerPeerId,
+      name,
+      panels: saved.map(({ panelId, layout, title, sourceId }) => ({ panelId, layout, title, found: sourceId !== null })),
+    });
+
+    for (const panel of saved) {
+      if (!panel.sourceId) continue;
+      const info = this.captureInfo.get(panel.panelId);
+      if (info?.sourceId === panel.sourceId && JSON.stringify(info.crop) === JSON.stringify(panel.crop)) continue; // still streaming
+      try {
+        await this.captureWindow(panel.sourceId, panel.panelId, panel.orientation, panel.crop);
+      } catch (err) {
+        this._log(`Restoring panel '${panel.panelId}' (${panel.title}) failed: ${err.message}`, 'err');
+      }
+    }
+  }
+
   async _handleSignal(msg) {
     switch (msg.type) {
+      case 'pair-code': {
+        this._log(`Pairing code: ${msg.code}`);
+        if (this.onPairingCode) this.onPairingCode(msg.code, msg.expiresAt);
+        break;
+      }
+
+      case 'session-list': {
+        if (msg.reason === 'paired') this._log('Viewer paired');
+        if (this.onSessionList) this.onSessionList(msg.sessions, msg.reason);
+        break;
+      }
+
+      case 'error': {
+        this._log(`Signaling server rejected '${msg.replyTo}': ${msg.message} (${msg.code})`, 'err');
+        break;
+      }
+
       case 'capture-window': {
         try {
           const stream = await this.captureWindow(msg.sourceId, msg.panelId, msg.orientation);
-          await this._sendStreamToViewer(msg.fromId, msg.panelId, stream);
+          await this._deliverPanel(msg.fromId, msg.panelId, stream, msg.multiplex);
         } catch (err) {
           this._log(`Failed to capture window: ${err.message}`, 'err');
         }
         break;
       }
 
+      case 'launch-app': {
+        // Start an app from the launcher list, then capture its window into the panel
+        try {
+          this._checkPanelLimit(msg.panelId);
+        } catch (err) {
+          this._launchFailed(msg, err.message);
+          break;
+        }
+        this._log(`Launching '${msg.launcherId}' for panel '${msg.panelId}'...`);
+        const result = await window.haloCapture?.launchApp?.(msg.launcherId);
+        if (!result?.ok) {
+          this._launchFailed(msg, result?.error ?? 'launching is not supported');
+          break;
+        }
+        try {
+          this._log(`'${msg.launcherId}' opened '${result.name}'`);
+          const stream = await this.captureWindow(result.sourceId, msg.panelId);
+          await this._deliverPanel(msg.fromId, msg.panelId, stream, msg.multiplex);
+        } catch (err) {
+          this._launchFailed(msg, `capturing its window failed: ${err.message}`);
+        }
+        break;
+      }
+
+      case 'crop-panel': {
+        try {
+          await this.cropPanel(msg.panelId, msg.rect, {
+            newPanelId: msg.newPanelId,
+            viewerPeerId: msg.fromId,
+            multiplex: msg.multiplex,
+          });
+        } catch (err) {
+          this._log(`Cropping panel '${msg.panelId}' failed: ${err.message}`, 'err');
+        }
+        break;
+      }
+
+      case 'clipboard-set': {
+        // Text from the viewer: onto the clipboard, then pasted into the panel's window
+        const result = await window.haloCapture?.writeClipboard?.(msg.text);
+        if (!result?.ok) {
+          this._log(`Clipboard from viewer ${msg.fromId} refused: ${result?.error ?? 'not supported'}`, 'warn');
+          break;
+        }
+        this._log(`Clipboard set by viewer ${msg.fromId} (${msg.text.length} chars)${msg.panelId ? `, pasting into '${msg.panelId}'` : ''}`);
+        if (msg.panelId) {
+          this._handleRemoteInput(msg.panelId, { type: 'chord', key: 'v', modifiers: [result.pasteModifier] });
+        }
+        break;
+      }
+
+      case 'workspace-save': {
+        try {
+          const count = await this.saveWorkspace(msg.name, msg.panels);
+          this._log(`Saved workspace '${msg.name}' for viewer ${msg.fromId} (${count} panels)`);
+        } catch (err) {
+          this._log(`Saving workspace '${msg.name}' failed: ${err.message}`, 'err');
+        }
+        break;
+      }
+
+      case 'workspace-restore': {
+        try {
+          await this.restoreWorkspace(msg.name, msg.fromId);
+        } catch (err) {
+          this._log(`Restoring workspace '${msg.name}' failed: ${err.message}`, 'err');
+        }
+        break;
+      }
+
       case 'release-panel': {
         const stream = this.streams.get(msg.panelId);
         if (stream) {
           stream.getTracks().forEach(t => t.stop());
           this.streams.delete(msg.panelId);
         }
-        this.captureInfo.delete(msg.panelId);
+        this._clearCaptureInfo(msg.panelId);
         const key = `${msg.fromId}:${msg.panelId}`;
         const pc = this.peerConnections.get(key);
         if (pc) {
           pc.close();
           this.peerConnections.delete(key);
         }
+        this.sharedConnections.get(msg.fromId)?.removePanel(msg.panelId);
+        this._applyBitrates(msg.fromId);
         this._log(`Released panel '${msg.panelId}'`);
         break;
       }
 
+      case 'window-command': {
+        const info = this.captureInfo.get(msg.panelId);
+        if (!info) {
+          this._log(`No capture for panel '${msg.panelId}', ignoring window ${msg.action}`, 'warn');
+          break;
+        }
+        const result = await window.haloCapture?.windowCommand?.({
+          sourceId: info.sourceId,
+          action: msg.action,
+          width: msg.width,
+          height: msg.height,
+        });
+        if (result?.ok) {
+          this._log(`Window ${msg.action} for panel '${msg.panelId}'${msg.action === 'resize' ? ` (${msg.width}x${msg.height})` : ''}`);
+        } else {
+          this._log(`Window ${msg.action} for panel '${msg.panelId}' failed: ${result?.error ?? 'not supported'}`, 'warn');
+        }
+        break;
+      }
+
+      case 'panel-focus': {
+        this.focusByViewer.set(msg.fromId, msg.panelId);
+        await this._applyBitrates(msg.fromId);
+        break;
+      }
+
       case 'request-window-list': {
         const list = await this.enumerateWindows();
-        this._send({ type: 'window-list', windows: list });
+        this._sendWindowList(list);
         this._log(`Sent fresh window list (${list.length} windows) to viewer`);
         break;
       }
 
       case 'panel-request': {
+        if (msg.multiplex) {
+          await this._handleSharedPanelRequest(msg);
+          break;
+        }
+        if (msg.iceRestart && await this._restartIce(msg.fromId, msg.panelId)) break;
         const stream = this.streams.get(msg.panelId);
         if (stream) {
           await this._sendStreamToViewer(msg.fromId, msg.panelId, stream);
@@ -229,24 +664,54 @@ export class ElectronCaptureClient {
       }
 
       case 'answer': {
+        if (msg.panelId === undefined) {
+          await this.sharedConnections.get(msg.fromId)?.handleAnswer(msg.sdp);
+          break;
+        }
         const key = `${msg.fromId}:${msg.panelId}`;
         const pc = this.peerConnections.get(key);
         if (pc) {
-          await pc.setRemoteDescription(new RTCSessionDescription(msg.sdp));
+          try {
+            await pc.setRemoteDescription(new RTCSessionDescription(msg.sdp));
+          } catch (e) {
+            // Stale answer to an offer this side replaced; the viewer's recovery takes over
+            this._log(`Answer from viewer ${msg.fromId} for panel '${msg.panelId}' rejected: ${e.message}`, 'warn');
+            break;
+          }
           this._log(`Received answer from viewer ${msg.fromId} for panel '${msg.panelId}'`);
         }
         break;
       }
 
       case 'ice-candidate': {
+        if (msg.panelId === undefined) {
+          await this.sharedConnections.get(msg.fromId)?.addIceCandidate(msg.candidate);
+          break;
+        }
         const key = `${msg.fromId}:${msg.panelId}`;
         const pc = this.peerConnections.get(key);
         if (pc && msg.candidate) {
-          await pc.addIceCandidate(new RTCIceCandidate(msg.candidate));
+          try {
+            await pc.addIceCandidate(new RTCIceCandidate(msg.candidate));
+          } catch (e) {
+            // Late candidates from before an ICE restart no longer match
+            this._log(`Dropped ICE candidate for panel '${msg.panelId}': ${e.message}`);
+          }
         }
         break;
       }
 
+      case 'peer-suspended': {
+        // A viewer lost signaling but may resume — keep its PeerConnections
+        this._log(`Peer ${msg.peerId} lost signaling, waiting for it to resume`);
+        break;
+      }
+
+      case 'peer-resumed': {
+        this._log(`Peer ${msg.peerId} resumed`);
+        break;
+      }
+
       case 'peer-disconnected': {
         for (const [key, pc] of this.peerConnections) {
           if (key.startsWith(`${msg.peerId}:`)) {
@@ -254,18 +719,75 @@ export class ElectronCaptureClient {
             this.peerConnections.delete(key);
           }
         }
+        this.sharedConnections.get(msg.peerId)?.close();
+        this.sharedConnections.delete(msg.peerId);
+        this.focusByViewer.delete(msg.peerId);
         break;
       }
     }
   }
 
+  /**
+   * Send a panel to a viewer — over the shared connection when the viewer asked
+   * for multiplexing, otherwise on its own PeerConnection.
+   */
+  async _deliverPanel(viewerPeerId, panelId, stream, multiplex = false) {
+    if (multiplex) {
+      await this._getSharedConnection(viewerPeerId).addPanel(panelId, stream);
+    } else {
+      await this._sendStreamToViewer(viewerPeerId, panelId, stream);
+    }
+  }
+
+  _getSharedConnection(viewerPeerId) {
+    let conn = this.sharedConnections.get(viewerPeerId);
+    if (!conn) {
+      conn = new SharedPeerConnection(viewerPeerId, {
+        send: (msg) => this._send(msg),
+        rtcConfig: RTC_CONFIG,
+        onInput: (panelId, inputEvent) => this._handleRemoteInput(panelId, inputEvent),
+        onInputClosed: () => this._releaseKeys(),
+        onSendersChanged: () => this._applyBitrates(viewerPeerId),
+        log: (msg) => this._log(msg),
+      });
+      this.sharedConnections.set(viewerPeerId, conn);
+    }
+    return conn;
+  }
+
+  /**
+   * panel-request on the shared connection: add the panel, restart ICE on the
+   * connection carrying it, or (reset) rebuild that connection from scratch.
+   */
+  async _handleSharedPanelRequest(msg) {
+    let conn = this.sharedConnections.get(msg.fromId);
+    if (msg.iceRestart && conn?.hasPanel(msg.panelId)) {
+      await conn.restartIce();
+      return;
+    }
+
+    let panelIds = [msg.panelId];
+    if (msg.reset && conn) {
+      panelIds = [...new Set([...conn.panelIds, msg.panelId])];
+      conn.close();
+      this.sharedConnections.delete(msg.fromId);
+      this._log(`Rebuilding shared connection to viewer ${msg.fromId}`, 'warn');
+    }
+
+    conn = this._getSharedConnection(msg.fromId);
+    for (const panelId of panelIds) {
+      const stream = this.streams.get(panelId);
+      if (stream) await conn.addPanel(panelId, stream);
+    }
+  }
+
   async _sendStreamToViewer(viewerPeerId, panelId, stream) {
     const key = `${viewerPeerId}:${panelId}`;
-    const config = {
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
-    };
 
-    const pc = new RTCPeerConnection(config);
+    // A re-request replaces whatever connection this panel had
+    this.peerConnections.get(key)?.close();
+
+    const pc = new RTCPeerConnection(RTC_CONFIG);
     this.peerConnections.set(key, pc);
 
     for (const track of stream.getTracks()) {
@@ -275,9 +797,16 @@ export class ElectronCaptureClient {
     // Data channel for input forwarding from VR viewer
     const inputChannel = pc.createDataChannel(`input:${panelId}`, { ordered: true });
     inputChannel.onmessage = (event) => {
-      const inputEvent = JSON.parse(event.data);
+      let inputEvent;
+      try {
+        inputEvent = JSON.parse(event.data);
+      } catch {
+        this._log(`Ignoring non-JSON input on panel '${panelId}'`, 'warn');
+        return;
+      }
       this._handleRemoteInput(panelId, inputEvent);
     };
+    inputChannel.onclose = () => this._releaseKeys();
 
     pc.onicecandidate = (event) => {
       if (event.candidate) {
@@ -290,24 +819,56 @@ export class ElectronCaptureClient {
       }
     };
 
-    // Boost bitrate for LAN — 30 Mbps for crisp text at 2560x1440
-    const sender = pc.getSenders().find(s => s.track?.kind === 'video');
-    if (sender) {
+    await this._applyBitrates(viewerPeerId);
+
+    const offer = await pc.createOffer();
+    await pc.setLocalDescription(offer);
+    this._send({
+      type: 'offer',
+      targetId: viewerPeerId,
+      sdp: pc.localDescription,
+      panelId,
+    });
+
+    this._log(`Sent offer to viewer ${viewerPeerId} for panel '${panelId}'`);
+  }
+
+  /**
+   * Re-split the bitrate budget across a viewer's panels, favouring the one it
+   * is looking at. Runs on focus changes and when panels are added or removed.
+   */
+  async _applyBitrates(viewerPeerId) {
+    const senders = new Map(); // panelId -> RTCRtpSender
+    const prefix = `${viewerPeerId}:`;
+    for (const [key, pc] of this.peerConnections) {
+      if (!key.startsWith(prefix)) continue;
+      const sender = pc.getSenders().find(s => s.track?.kind === 'video');
+      if (sender) senders.set(key.slice(prefix.length), sender);
+    }
+    for (const [panelId, { transceiver }] of this.sharedConnections.get(viewerPeerId)?.panels ?? []) {
+      senders.set(panelId, transceiver.sender);
+    }
+
+    const focusedPanelId = this.focusByViewer.get(viewerPeerId) ?? null;
+    const allocation = allocateBitrates(Array.from(senders.keys()), focusedPanelId, this.bitrateBudget);
+    await Promise.all(Array.from(senders, async ([panelId, sender]) => {
       try {
-        const params = sender.getParameters();
-        if (!params.encodings || params.encodings.length === 0) {
-          params.encodings = [{}];
-        }
-        params.encodings[0].maxBitrate = 30_000_000;
-        params.encodings[0].priority = 'high';
-        params.encodings[0].networkPriority = 'high';
-        await sender.setParameters(params);
+        await applyEncodingLimits(sender, allocation.get(panelId));
       } catch (e) {
-        this._log(`Could not set bitrate: ${e.message}`, 'warn');
+        this._log(`Could not set bitrate for panel '${panelId}': ${e.message}`, 'warn');
       }
-    }
+    }));
+  }
 
-    const offer = await pc.createOffer();
+  /**
+   * Renegotiate a panel's existing connection with fresh ICE credentials.
+   * Returns false if there is no connection left to restart.
+   */
+  async _restartIce(viewerPeerId, panelId) {
+    const pc = this.peerConnections.get(`${viewerPeerId}:${panelId}`);
+    if (!pc || pc.signalingState === 'closed') return false;
+
+    const offer = await pc.createOffer({ iceRestart: true });
     await pc.setLocalDescription(offer);
     this._send({
       type: 'offer',
@@ -315,12 +876,141 @@ export class ElectronCaptureClient {
       sdp: pc.localDescription,
       panelId,
     });
+    this._log(`Sent ICE restart offer to viewer ${viewerPeerId} for panel '${panelId}'`);
+    return true;
+  }
 
-    this._log(`Sent offer to viewer ${viewerPeerId} for panel '${panelId}'`);
+  _launchFailed({ fromId, panelId, launcherId }, error) {
+    this._log(`Launching '${launcherId}' failed: ${error}`, 'err');
+    this._send({ type: 'launch-failed', targetId: fromId, panelId, launcherId, error });
+  }
+
+  // Throws if capturing into a new panel would go over maxPanels (re-captures are fine)
+  _checkPanelLimit(panelId) {
+    if (!this.streams.has(panelId) && this.streams.size >= this.maxPanels) {
+      throw new Error(`panel limit reached (${this.maxPanels})`);
+    }
+  }
+
+  _setCaptureInfo(panelId, info) {
+    this._clearCaptureInfo(panelId);
+    this.captureInfo.set(panelId, info);
+    window.haloCapture?.trackWindowBounds?.(info.sourceId);
+    window.haloCapture?.watchPrivacy?.(info.sourceId, this._sensitiveSources.has(info.sourceId));
+  }
+
+  _clearCaptureInfo(panelId) {
+    const info = this.captureInfo.get(panelId);
+    if (!info) return;
+    this.captureInfo.delete(panelId);
+    // The stream holds whichever of the two tracks is being sent; stop both
+    info.blurTrack?.stop();
+    info.track?.stop();
+    window.haloCapture?.untrackWindowBounds?.(info.sourceId);
+    window.haloCapture?.unwatchPrivacy?.(info.sourceId);
+    clearTimeout(this._boundsNotify.get(panelId)?.timer);
+    this._boundsNotify.delete(panelId);
   }
 
   /**
-   * Forward input events from VR viewer to the main process for Win32 simulation.
+   * A captured source moved, resized or was (un)minimized. Viewers only care
+   * about its size (panel aspect ratio), sent once the resize settles.
+   */
+  _onWindowBounds(sourceId, bounds) {
+    if (!bounds) return;
+    for (const [panelId, info] of this.captureInfo) {
+      if (info.sourceId !== sourceId) continue;
+      const state = this._boundsNotify.get(panelId) || { timer: null, sent: null };
+      this._boundsNotify.set(panelId, state);
+      clearTimeout(state.timer);
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        const { sent } = state;
+        // A minimized window's rect is a placeholder: keep reporting its last real size.
+        // Cropped panels report the size of their region.
+        const size = bounds.minimized
+          ? { width: sent?.width ?? info.width, height: sent?.height ?? info.height, minimized: true }
+          : {
+            width: Math.round(bounds.width * (info.crop?.width ?? 1)),
+            height: Math.round(bounds.height * (info.crop?.height ?? 1)),
+            minimized: false,
+          };
+        if (sent && sent.width === size.width && sent.height === size.height && sent.minimized === size.minimized) return;
+        state.sent = size;
+        this._send({ type: 'window-bounds', panelId, ...size });
+        this._log(`Panel '${panelId}' source is now ${size.width}x${size.height}${size.minimized ? ' (minimized)' : ''}`);
+      }, this.boundsNotifyDelayMs);
+    }
+  }
+
+  /**
+   * A captured window's title started or stopped matching the sensitive rules:
+   * its panels swap to a blurred track or back.
+   */
+  _onSourceSensitiveChanged(sourceId, sensitive) {
+    if (sensitive) this._sensitiveSources.add(sourceId);
+    else this._sensitiveSources.delete(sourceId);
+    for (const [panelId, info] of this.captureInfo) {
+      if (info.sourceId !== sourceId) continue;
+      this._setPanelBlurred(panelId, sensitive);
+    }
+  }
+
+  /**
+   * Send a panel blurred or clear: swap its track in the panel's stream and on
+   * every connection sending it. The clear track keeps running underneath,
+   * since the blurred copy is made from it.
+   */
+  _setPanelBlurred(panelId, blurred) {
+    const info = this.captureInfo.get(panelId);
+    const stream = this.streams.get(panelId);
+    if (!info?.track || !stream || blurred === !!info.blurTrack) return;
+
+    let from = info.blurTrack;
+    let to = info.track;
+    if (blurred) {
+      from = info.track;
+      try {
+        to = this._blurredCopy(info.track);
+      } catch (err) {
+        // End the panel rather than keep sending a window that looks sensitive
+        this._log(`Panel '${panelId}' can't be blurred, stopping it: ${err.message}`, 'err');
+        this.streams.delete(panelId);
+        this._clearCaptureInfo(panelId);
+        for (const conn of this.sharedConnections.values()) conn.removePanel(panelId);
+        return;
+      }
+    }
+    info.blurTrack = blurred ? to : null;
+    stream.removeTrack(from);
+    stream.addTrack(to);
+
+    const connections = [...this.peerConnections.values(), ...Array.from(this.sharedConnections.values(), conn => conn.pc)];
+    const swaps = connections
+      .flatMap(pc => pc.getSenders().filter(sender => sender.track === from))
+      .map(sender => sender.replaceTrack(to).catch((e) => this._log(`Swapping panel '${panelId}' track failed: ${e.message}`, 'warn')));
+    if (!blurred) Promise.all(swaps).then(() => from.stop());
+    this._log(`Panel '${panelId}' ${blurred ? 'blurred: its window looks sensitive' : 'no longer blurred'}`, blurred ? 'warn' : 'info');
+  }
+
+  // A blurred track fed by a clone, so stopping it leaves `track` running
+  _blurredCopy(track) {
+    const blurred = blurVideoTrack(track.clone());
+    blurred.contentHint = track.contentHint;
+    return blurred;
+  }
+
+  /**
+   * The PC clipboard changed: push it to the room's viewers.
+   */
+  _onClipboardChanged(content) {
+    this._send({ type: 'clipboard', ...content });
+    const what = content.image ? `image ${content.width}x${content.height}` : 'text';
+    this._log(`Clipboard ${what} (${content.bytes} bytes)${content.tooLarge ? ' is over the size limit, sent without content' : ' sent to viewers'}`);
+  }
+
+  /**
+   * Forward input events from VR viewer to the main process for injection.
    */
   _handleRemoteInput(panelId, inputEvent) {
     const info = this.captureInfo.get(panelId);
@@ -328,18 +1018,48 @@ export class ElectronCaptureClient {
       this._log(`No capture info for panel '${panelId}', ignoring input`, 'warn');
       return;
     }
+    const problem = validateInputEvent(inputEvent);
+    if (problem) {
+      this._log(`Dropped input on panel '${panelId}': ${problem}`, 'warn');
+      return;
+    }
+
+    // UVs are relative to the frame the viewer sees: a cropped panel's UVs are
+    // mapped onto the whole source frame. Its size follows the source (window
+    // resizes), so prefer the source track's current settings
+    const settings = info.sourceTrack?.getSettings() ?? {};
+    const { u, v } = typeof inputEvent.u === 'number'
+      ? cropToSourceUV(info.crop, inputEvent.u, inputEvent.v)
+      : inputEvent;
 
     if (window.haloCapture?.simulateInput) {
       window.haloCapture.simulateInput({
         type: inputEvent.type,
         sourceId: info.sourceId,
-        u: inputEvent.u,
-        v: inputEvent.v,
-        captureWidth: info.width,
-        captureHeight: info.height,
+        u,
+        v,
+        captureWidth: settings.width || Math.round(info.width / (info.crop?.width ?? 1)),
+        captureHeight: settings.height || Math.round(info.height / (info.crop?.height ?? 1)),
         button: inputEvent.button,
+        deltaX: inputEvent.deltaX,
         deltaY: inputEvent.deltaY,
+        key: inputEvent.key,
+        modifiers: inputEvent.modifiers,
+        repeat: inputEvent.repeat,
+        text: inputEvent.text,
+      }).then((result) => {
+        // Only keyboard failures are logged; pointer events arrive at 30 Hz
+        if (result && !result.ok && KEYBOARD_EVENTS.includes(inputEvent.type)) {
+          this._log(`Input '${inputEvent.type}' on panel '${panelId}' failed: ${result.error}`, 'warn');
+        }
       });
     }
   }
+
+  /**
+   * A viewer's input channel closed: don't leave keys (e.g. Ctrl) held on the PC.
+   */
+  _releaseKeys() {
+    window.haloCapture?.releaseKeys?.();
+  }
 }
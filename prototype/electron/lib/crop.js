@@ -0,0 +1,73 @@
+// Region-of-interest capture: a panel can show just a rectangle of its source.
+// Crops are { x, y, width, height } in 0-1 of the source frame, so they survive
+// resolution changes; frames are cut with WebCodecs (VideoFrame.visibleRect),
+// see videoTransform.js.
+
+import { transformVideoTrack } from './videoTransform.js';
+
+const MIN_CROP_SIZE = 0.02; // 2% of the source: smaller is almost certainly a mis-drag
+
+/**
+ * Clamp a crop rect to the frame. Returns null if it isn't a usable rect.
+ */
+export function normalizeCrop(rect) {
+  if (!rect || ![rect.x, rect.y, rect.width, rect.height].every(Number.isFinite)) return null;
+  const x = Math.min(1, Math.max(0, rect.x));
+  const y = Math.min(1, Math.max(0, rect.y));
+  const width = Math.min(1 - x, rect.width);
+  const height = Math.min(1 - y, rect.height);
+  if (width < MIN_CROP_SIZE || height < MIN_CROP_SIZE) return null;
+  return { x, y, width, height };
+}
+
+/**
+ * A crop of an already cropped panel, as a crop of the whole source.
+ */
+export function composeCrop(outer, inner) {
+  if (!outer) return inner;
+  return {
+    x: outer.x + inner.x * outer.width,
+    y: outer.y + inner.y * outer.height,
+    width: inner.width * outer.width,
+    height: inner.height * outer.height,
+  };
+}
+
+/**
+ * Map a UV on the cropped frame (what the viewer sees) to a UV on the whole source frame.
+ */
+export function cropToSourceUV(crop, u, v) {
+  if (!crop) return { u, v };
+  return { u: crop.x + u * crop.width, v: crop.y + v * crop.height };
+}
+
+/**
+ * A track showing only `crop` of `track`. Stopping the returned track stops
+ * the source too; the returned track ends when the source does.
+ * @param {MediaStreamTrack} track - Captured video track
+ * @param {{ x, y, width, height }} crop - Normalized crop rect (see normalizeCrop)
+ * @returns {MediaStreamTrack}
+ */
+export function cropVideoTrack(track, crop) {
+  return transformVideoTrack(track, (frame) => {
+    const visibleRect = cropPixels(crop, frame.visibleRect);
+    return new VideoFrame(frame, {
+      visibleRect,
+      displayWidth: visibleRect.width,
+      displayHeight: visibleRect.height,
+    });
+  });
+}
+
+/**
+ * Crop rect in the frame's coded pixels. Chroma-subsampled formats need even
+ * offsets and sizes, so the rect is snapped outward to even pixels.
+ */
+function cropPixels(crop, frameRect) {
+  const even = (n) => Math.floor(n / 2) * 2;
+  const x = even(frameRect.x + crop.x * frameRect.width);
+  const y = even(frameRect.y + crop.y * frameRect.height);
+  const right = Math.min(frameRect.x + frameRect.width, even(frameRect.x + (crop.x + crop.width) * frameRect.width + 1));
+  const bottom = Math.min(frameRect.y + frameRect.height, even(frameRect.y + (crop.y + crop.height) * frameRect.height + 1));
+  return { x, y, width: Math.max(2, even(right - x)), height: Math.max(2, even(bottom - y)) };
+}
@@ -0,0 +1,45 @@
+// Blurs a captured track on the PC while its window is sensitive (see
+// electron/privacy/PrivacyFilter.js), so the readable picture never leaves the
+// machine. The capture client only swaps a blurred track in while that lasts;
+// other panels send their track untouched. The blur is a downscale to a few
+// dozen pixels and a smooth upscale: cheap enough per frame, and text can't be
+// read back from it.
+
+import { transformVideoTrack } from './videoTransform.js';
+
+const BLUR_FACTOR = 32; // source pixels per blurred pixel
+
+/**
+ * A track that shows `track` blurred. Stopping it stops `track` (pass a clone
+ * to keep the original running).
+ * @param {MediaStreamTrack} track - Captured (possibly cropped) video track
+ * @returns {MediaStreamTrack}
+ */
+export function blurVideoTrack(track) {
+  let small = null;
+  let output = null;
+
+  return transformVideoTrack(track, (frame) => {
+    const width = frame.displayWidth;
+    const height = frame.displayHeight;
+    const smallWidth = Math.max(1, Math.round(width / BLUR_FACTOR));
+    const smallHeight = Math.max(1, Math.round(height / BLUR_FACTOR));
+    small = sizedCanvas(small, smallWidth, smallHeight);
+    output = sizedCanvas(output, width, height);
+
+    const smallCtx = small.getContext('2d');
+    smallCtx.imageSmoothingQuality = 'low';
+    smallCtx.drawImage(frame, 0, 0, smallWidth, smallHeight);
+    const ctx = output.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(small, 0, 0, width, height);
+
+    return new VideoFrame(output, { timestamp: frame.timestamp, duration: frame.duration ?? undefined });
+  });
+}
+
+function sizedCanvas(canvas, width, height) {
+  if (canvas && canvas.width === width && canvas.height === height) return canvas;
+  return new OffscreenCanvas(width, height);
+}
@@ -0,0 +1,45 @@
+// Per-frame processing of captured tracks with WebCodecs: frames flow from a
+// MediaStreamTrackProcessor through a transform into a MediaStreamTrackGenerator,
+// whose track is what gets streamed. Used for cropping (crop.js) and blurring
+// sensitive windows (privacyBlur.js); transforms chain, since a generator is
+// itself a track.
+
+/**
+ * A track whose frames are `transform(frame)` of `track`'s. The transform
+ * returns the frame to send: the input frame itself (passed through untouched)
+ * or a new one, in which case the input frame is closed here. Stopping the
+ * returned track stops the source too; the returned track ends when the source does.
+ * @param {MediaStreamTrack} track - Video track to process
+ * @param {(frame: VideoFrame) => VideoFrame} transform
+ * @returns {MediaStreamTrack}
+ */
+export function transformVideoTrack(track, transform) {
+  if (typeof MediaStreamTrackProcessor === 'undefined' || typeof MediaStreamTrackGenerator === 'undefined') {
+    throw new Error('frame processing needs MediaStreamTrackProcessor / MediaStreamTrackGenerator');
+  }
+  const processor = new MediaStreamTrackProcessor({ track });
+  const generator = new MediaStreamTrackGenerator({ kind: 'video' });
+
+  const stream = new TransformStream({
+    transform(frame, controller) {
+      let output = frame;
+      try {
+        output = transform(frame);
+      } finally {
+        if (output !== frame) frame.close();
+      }
+      controller.enqueue(output);
+    },
+  });
+
+  // Ends when either side stops: the source (window closed) or the generator (panel released)
+  processor.readable.pipeThrough(stream).pipeTo(generator.writable)
+    .catch(() => {})
+    .finally(() => track.stop());
+  const stopGenerator = generator.stop.bind(generator);
+  generator.stop = () => {
+    stopGenerator();
+    track.stop();
+  };
+  return generator;
+}
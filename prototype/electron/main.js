@@ -1,85 +1,200 @@
-const { app, BrowserWindow, Tray, Menu, ipcMain, desktopCapturer, session, screen } = require('electron');
+const { app, BrowserWindow, Tray, Menu, ipcMain, desktopCapturer, session, screen, clipboard } = require('electron');
+const fs = require('fs');
 const path = require('path');
+const { InputInjector } = require('./input/InputInjector');
+const { selectInputBackend } = require('./input/backends');
+const { physicalDisplays, displayForRect, fitSize, scaleDipRect, virtualDesktopRect } = require('./input/coordinateMapping');
+const { WindowBoundsTracker } = require('./input/WindowBoundsTracker');
+const { loadLaunchers, launchApp } = require('./launch/launchers');
+const { ClipboardWatcher } = require('./clipboard/ClipboardWatcher');
+const { PrivacyFilter, loadPrivacyConfig } = require('./privacy/PrivacyFilter');
+const { redirectLogsToStderr, printStatus, printRendererStatus } = require('./headless/status');
+const { WorkspaceStore, matchSource } = require('./workspace/WorkspaceStore');
 
 let mainWindow;
 let tray;
 
-// ── Win32 Input Simulation ──────────────────────────────────────────────
-// Uses koffi (lightweight FFI) for direct Win32 API calls.
-// Falls back gracefully if koffi isn't installed yet.
-let user32 = null;
-let SetCursorPos = null;
-let mouse_event_fn = null;
-let GetWindowRect = null;
-let RECT = null;
-
-const MOUSEEVENTF_LEFTDOWN = 0x0002;
-const MOUSEEVENTF_LEFTUP = 0x0004;
-const MOUSEEVENTF_RIGHTDOWN = 0x0008;
-const MOUSEEVENTF_RIGHTUP = 0x0010;
-const MOUSEEVENTF_WHEEL = 0x0800;
+// Settings file: --config=<file.json> (HALOVIEW_CONFIG) may set any option below
+// under its camelCase name, e.g. { "room": "lab", "headless": true,
+// "capture": ["display:0"] }. Command-line flags and environment variables win.
+let fileConfig = {};
+const configFile = process.argv.find(a => a.startsWith('--config='))?.slice('--config='.length) ||
+  process.env.HALOVIEW_CONFIG;
+if (configFile) {
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (e) {
+    console.error(`[Main] Can't read settings file ${configFile}: ${e.message}`);
+    process.exit(2);
+  }
+}
 
-try {
-  const koffi = require('koffi');
-  user32 = koffi.load('user32.dll');
+// Command-line option (--name=value) with environment variable and settings file fallbacks
+function cliOption(name, envName) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  if (arg) return arg.slice(`--${name}=`.length);
+  if (process.env[envName] !== undefined) return process.env[envName];
+  const value = fileConfig[name.replace(/-(\w)/g, (m, c) => c.toUpperCase())];
+  return value === undefined || value === null ? undefined : String(value);
+}
+
+// On/off option: a bare --name also turns it on
+function cliSwitch(name, envName) {
+  if (process.argv.includes(`--${name}`)) return true;
+  return ['on', 'true', '1'].includes(String(cliOption(name, envName)).toLowerCase());
+}
 
-  SetCursorPos = user32.func('bool __stdcall SetCursorPos(int x, int y)');
-  mouse_event_fn = user32.func('void __stdcall mouse_event(uint32 dwFlags, uint32 dx, uint32 dy, int32 dwData, uintptr_t dwExtraInfo)');
+// Signaling room (must match the viewer's ?room=): --room=<name> or HALOVIEW_ROOM
+const signalingRoom = cliOption('room', 'HALOVIEW_ROOM') || 'default';
 
-  RECT = koffi.struct('RECT', {
-    left: 'int32',
-    top: 'int32',
-    right: 'int32',
-    bottom: 'int32',
+// Signaling server the capture client connects to: --signaling-url=<ws url> (HALOVIEW_SIGNALING_URL)
+const signalingUrl = cliOption('signaling-url', 'HALOVIEW_SIGNALING_URL') || 'ws://localhost:8080';
+
+// Most panels streamed at once; further capture requests are refused:
+// --max-panels=<n> (HALOVIEW_MAX_PANELS)
+const maxPanels = parseInt(cliOption('max-panels', 'HALOVIEW_MAX_PANELS'), 10) || null;
+
+// Headless mode (headless/status.js): --headless (HALOVIEW_HEADLESS=on) runs without
+// the dashboard or tray. Sources named by --capture=<spec> (repeatable; HALOVIEW_CAPTURE
+// separates specs with ';') stream as soon as they exist; stdout carries JSON status lines.
+const headless = cliSwitch('headless', 'HALOVIEW_HEADLESS');
+const captureSpecs = process.argv.filter(a => a.startsWith('--capture=')).map(a => a.slice('--capture='.length));
+if (captureSpecs.length === 0) {
+  if (process.env.HALOVIEW_CAPTURE) captureSpecs.push(...process.env.HALOVIEW_CAPTURE.split(';').filter(Boolean));
+  else if (Array.isArray(fileConfig.capture)) captureSpecs.push(...fileConfig.capture.map(String));
+}
+if (headless) redirectLogsToStderr();
+
+// Bitrate budget per viewer in Mbps, split across its panels by gaze:
+// --total-mbps=<n> (HALOVIEW_TOTAL_MBPS) and --panel-mbps=<n> (HALOVIEW_PANEL_MBPS, focused panel cap)
+const bitrateQuery = {};
+const totalMbps = cliOption('total-mbps', 'HALOVIEW_TOTAL_MBPS');
+const panelMbps = cliOption('panel-mbps', 'HALOVIEW_PANEL_MBPS');
+if (totalMbps) bitrateQuery.totalMbps = totalMbps;
+if (panelMbps) bitrateQuery.panelMbps = panelMbps;
+
+// Applications the viewer can launch (launch/launchers.js): --launchers=<file.json>
+// (HALOVIEW_LAUNCHERS) replaces the defaults, which open VS Code and the terminal
+// in --launch-folder (HALOVIEW_LAUNCH_FOLDER, default: home) and the browser on
+// --launch-url (HALOVIEW_LAUNCH_URL)
+let launchers = [];
+try {
+  launchers = loadLaunchers(cliOption('launchers', 'HALOVIEW_LAUNCHERS'), {
+    folder: cliOption('launch-folder', 'HALOVIEW_LAUNCH_FOLDER'),
+    url: cliOption('launch-url', 'HALOVIEW_LAUNCH_URL'),
   });
+} catch (e) {
+  console.warn(`[Main] Launchers unavailable: ${e.message}`);
+}
 
-  GetWindowRect = user32.func('bool __stdcall GetWindowRect(intptr_t hwnd, _Out_ RECT *rect)');
+// Clipboard sync with viewers (clipboard/ClipboardWatcher.js): --clipboard=off
+// (HALOVIEW_CLIPBOARD=off) disables both directions; --clipboard-max-kb=<n>
+// (HALOVIEW_CLIPBOARD_MAX_KB) lowers the size limit from the protocol's 256 KB
+const CLIPBOARD_MAX_LENGTH = 256 * 1024; // CLIPBOARD_MAX_LENGTH in shared/protocol/signaling.js
+const clipboardMaxKb = parseInt(cliOption('clipboard-max-kb', 'HALOVIEW_CLIPBOARD_MAX_KB'), 10);
+const clipboardWatcher = cliOption('clipboard', 'HALOVIEW_CLIPBOARD') === 'off'
+  ? null
+  : new ClipboardWatcher({
+    clipboard,
+    maxLength: clipboardMaxKb > 0 ? Math.min(clipboardMaxKb * 1024, CLIPBOARD_MAX_LENGTH) : CLIPBOARD_MAX_LENGTH,
+  });
 
-  console.log('[Main] koffi loaded — Win32 input simulation ready');
+// Privacy (privacy/PrivacyFilter.js): --privacy=<file.json> (HALOVIEW_PRIVACY)
+// replaces the default block / sensitive rules; --private=on (HALOVIEW_PRIVATE=on)
+// sends window titles without thumbnails (also switchable from the dashboard).
+// Captured windows' titles are re-checked every --privacy-poll-ms=<ms>
+// (HALOVIEW_PRIVACY_POLL_MS, default 3000).
+// A broken rules file keeps the defaults rather than exposing everything.
+let privacyConfig;
+try {
+  privacyConfig = loadPrivacyConfig(cliOption('privacy', 'HALOVIEW_PRIVACY'));
 } catch (e) {
-  console.warn('[Main] koffi not available — input simulation disabled. Run: cd electron && npm install');
+  console.warn(`[Main] Privacy rules unreadable, using the defaults: ${e.message}`);
+  privacyConfig = loadPrivacyConfig(null);
 }
+const privacy = new PrivacyFilter({
+  block: privacyConfig.block,
+  sensitive: privacyConfig.sensitive,
+  privateMode: privacyConfig.private || cliOption('private', 'HALOVIEW_PRIVATE') === 'on',
+  getProcessName: (sourceId) => inputBackend?.getWindowProcess?.(sourceId) ?? null,
+  listWindows: () => listWindowSources(),
+  pollMs: parseInt(cliOption('privacy-poll-ms', 'HALOVIEW_PRIVACY_POLL_MS'), 10) || undefined,
+});
+privacy.onSensitiveChanged = (sourceId, sensitive) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('source-sensitive-changed', sourceId, sensitive);
+  }
+};
 
-// Cache window bounds to avoid per-frame Win32 calls
-const windowBoundsCache = new Map(); // sourceId -> { x, y, width, height, _time }
-const BOUNDS_CACHE_TTL = 3000; // 3 seconds
+// ── Input Injection ─────────────────────────────────────────────────────
+// The OS backend (input/backends.js) is chosen at startup:
+// --input-backend=<auto|win32|x11|uinput|recording> or HALOVIEW_INPUT_BACKEND.
+const inputBackendName = cliOption('input-backend', 'HALOVIEW_INPUT_BACKEND') || 'auto';
+let inputBackend = null;
+let inputBackendError = 'input backend not initialized';
+let inputInjector = null; // InputInjector on the selected backend (mouse + keyboard)
 
-function getWindowBounds(sourceId) {
-  const cached = windowBoundsCache.get(sourceId);
-  if (cached && Date.now() - cached._time < BOUNDS_CACHE_TTL) {
-    return cached;
-  }
-
-  // Parse HWND from sourceId format: "window:HWND:0"
-  const match = sourceId.match(/^window:(\d+):/);
-  if (match && GetWindowRect && RECT) {
-    const hwnd = parseInt(match[1]);
-    try {
-      const rect = {};
-      const ok = GetWindowRect(hwnd, rect);
-      if (ok) {
-        const bounds = {
-          x: rect.left,
-          y: rect.top,
-          width: rect.right - rect.left,
-          height: rect.bottom - rect.top,
-          _time: Date.now(),
-        };
-        windowBoundsCache.set(sourceId, bounds);
-        return bounds;
-      }
-    } catch (e) {
-      console.warn(`[Main] GetWindowRect failed for hwnd ${hwnd}:`, e.message);
+function initInputBackend() {
+  try {
+    const { backend, errors } = selectInputBackend(inputBackendName, {
+      screenBounds: virtualDesktopRect(getPhysicalDisplays()),
+    });
+    for (const error of errors) console.warn(`[Main] Input backend ${error}`);
+    inputBackend = backend;
+    inputInjector = new InputInjector(backend, { getBounds: getWindowBounds });
+    if (backend.name === 'recording' && inputBackendName === 'auto') {
+      console.warn('[Main] No OS input backend available — input is recorded, not injected');
     }
-    return null;
+    console.log(`[Main] Input backend: ${backend.name}`);
+  } catch (e) {
+    inputBackendError = e.message;
+    console.warn(`[Main] Input backend "${inputBackendName}" unavailable — input simulation disabled: ${e.message}`);
+  }
+}
+
+// Displays in physical pixels, the space input backends and window rects use.
+// Electron reports DIPs: Windows lays them out per monitor (mixed DPI), so use
+// its own conversion; X11 has one global scale factor.
+function getPhysicalDisplays() {
+  const toPhysical = process.platform === 'win32'
+    ? (rect) => screen.dipToScreenRect(null, rect)
+    : process.platform === 'linux' ? scaleDipRect : (rect) => rect;
+  return physicalDisplays(screen.getAllDisplays(), toPhysical);
+}
+
+// Screen sourceId -> Electron display id, recorded while enumerating sources
+// (the number in "screen:N:0" is not a display index on every platform)
+const screenDisplayIds = new Map();
+
+// Bounds of captured sources, kept current by window events (or polling) while
+// the renderer tracks them; changes are pushed to the renderer for the viewer
+const windowBounds = new WindowBoundsTracker({
+  readBounds: readSourceBounds,
+  watch: (onChange) => inputBackend?.watchWindows?.(onChange) ?? null,
+});
+windowBounds.onBoundsChanged = (sourceId, bounds) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('window-bounds-changed', sourceId, bounds);
+  }
+};
+
+function getWindowBounds(sourceId) {
+  return windowBounds.get(sourceId);
+}
+
+// Uncached physical-pixel bounds of a capture source
+function readSourceBounds(sourceId) {
+  if (sourceId.startsWith('window:')) {
+    return inputBackend?.getWindowRect?.(sourceId) ?? null;
   }
 
-  // Screen capture — use Electron display bounds
+  // Screen capture — the display's physical bounds
   const screenMatch = sourceId.match(/^screen:(\d+):/);
   if (screenMatch) {
-    const displays = screen.getAllDisplays();
-    const displayIndex = parseInt(screenMatch[1]);
-    const display = displays[displayIndex] || displays[0];
+    const displays = getPhysicalDisplays();
+    const displayId = screenDisplayIds.get(sourceId);
+    const display = displays.find(d => String(d.id) === displayId) ||
+      displays[parseInt(screenMatch[1])] || displays[0];
     return display ? display.bounds : null;
   }
 
@@ -89,6 +204,22 @@ function getWindowBounds(sourceId) {
 // ── App Setup ───────────────────────────────────────────────────────────
 
 app.whenReady().then(() => {
+  initInputBackend();
+
+  if (clipboardWatcher) {
+    clipboardWatcher.onChange = (content) => {
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('clipboard-changed', content);
+    };
+    clipboardWatcher.start();
+  } else {
+    console.log('[Main] Clipboard sync is off');
+  }
+
+  // Display layout or scaling changes move every source in physical pixels
+  for (const event of ['display-added', 'display-removed', 'display-metrics-changed']) {
+    screen.on(event, () => windowBounds.invalidateAll());
+  }
+
   // Grant media permissions without prompts (required for chromeMediaSource: 'desktop')
   session.defaultSession.setPermissionRequestHandler((webContents, permission, callback) => {
     if (permission === 'media') {
@@ -98,6 +229,18 @@ app.whenReady().then(() => {
     }
   });
 
+  const rendererQuery = {
+    room: signalingRoom,
+    signalingUrl,
+    ...bitrateQuery,
+    ...(maxPanels && { maxPanels }),
+  };
+
+  if (headless) {
+    startHeadless(rendererQuery);
+    return;
+  }
+
   mainWindow = new BrowserWindow({
     width: 900,
     height: 550,
@@ -113,7 +256,9 @@ app.whenReady().then(() => {
     show: true,
   });
 
-  mainWindow.loadFile(path.join(__dirname, 'renderer', 'capture-app.html'));
+  mainWindow.loadFile(path.join(__dirname, 'renderer', 'capture-app.html'), {
+    query: rendererQuery,
+  });
 
   // System tray
   try {
@@ -139,8 +284,46 @@ app.whenReady().then(() => {
   });
 });
 
+// Headless: the capture client runs in a window that is never shown (capture
+// needs a renderer), no tray; Ctrl+C or SIGTERM quits
+function startHeadless(rendererQuery) {
+  mainWindow = new BrowserWindow({
+    show: false,
+    title: 'HaloView Capture',
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      backgroundThrottling: false, // hidden windows would otherwise get throttled timers
+    },
+  });
+  mainWindow.loadFile(path.join(__dirname, 'renderer', 'headless.html'), {
+    query: { ...rendererQuery, capture: JSON.stringify(captureSpecs) },
+  });
+  mainWindow.webContents.on('render-process-gone', (event, details) => {
+    printStatus('log', { level: 'err', message: `capture renderer exited (${details.reason})` });
+    app.quit();
+  });
+
+  for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => app.quit());
+  printStatus('started', {
+    pid: process.pid,
+    config: configFile || null,
+    room: signalingRoom,
+    signalingUrl,
+    capture: captureSpecs,
+    maxPanels,
+    inputBackend: inputBackend?.name ?? null,
+  });
+}
+
 // ── IPC Handlers ────────────────────────────────────────────────────────
 
+// Status lines from the headless renderer (see headless/status.js)
+ipcMain.handle('report-status', async (event, status) => {
+  if (headless) printRendererStatus(status);
+});
+
 // Window enumeration
 ipcMain.handle('enumerate-windows', async () => {
   const sources = await desktopCapturer.getSources({
@@ -149,77 +332,264 @@ ipcMain.handle('enumerate-windows', async () => {
     fetchWindowIcons: true,
   });
 
-  return sources
+  for (const s of sources) {
+    if (s.display_id) screenDisplayIds.set(s.id, s.display_id);
+  }
+
+  return privacy.filterSources(sources)
     .filter(s => s.name && s.name !== 'HaloView Capture')
     .map(s => ({
       sourceId: s.id,
       name: s.name,
-      thumbnail: s.thumbnail.toDataURL('image/jpeg', 0.7),
+      thumbnail: privacy.privateMode ? null : s.thumbnail.toDataURL('image/jpeg', 0.7),
       appIcon: s.appIcon ? s.appIcon.toDataURL() : null,
       display_id: s.display_id || null,
     }));
 });
 
-// Get window bounds for coordinate mapping
-ipcMain.handle('get-window-bounds', async (event, sourceId) => {
-  return getWindowBounds(sourceId);
+// Privacy of a source about to be captured: { blocked, sensitive }.
+// Blocked windows are refused even if a viewer names them directly.
+ipcMain.handle('source-privacy', async (event, sourceId) => {
+  const win = sourceId.startsWith('window:')
+    ? (await listWindowSources()).find(w => w.sourceId === sourceId)
+    : null;
+  const source = { sourceId, name: win?.name ?? '' };
+  return {
+    blocked: !!win && privacy.isBlocked(source),
+    sensitive: !!win && privacy.isSensitive(source),
+  };
 });
 
-// Input simulation — receives events from VR via DataChannel -> renderer -> IPC
-ipcMain.handle('simulate-input', async (event, data) => {
-  if (!SetCursorPos || !mouse_event_fn) {
-    return { ok: false, error: 'koffi not loaded' };
-  }
+// Re-check a captured window's title while it streams (one watch per capture)
+ipcMain.handle('watch-privacy', async (event, sourceId, sensitive) => {
+  privacy.watch(sourceId, sensitive);
+});
+
+ipcMain.handle('unwatch-privacy', async (event, sourceId) => {
+  privacy.unwatch(sourceId);
+});
+
+ipcMain.handle('get-private-mode', async () => privacy.privateMode);
+
+// Private mode: thumbnails stop with the next enumeration
+ipcMain.handle('set-private-mode', async (event, enabled) => {
+  privacy.privateMode = !!enabled;
+  console.log(`[Main] Private mode ${privacy.privateMode ? 'on: no thumbnails' : 'off'}`);
+  return privacy.privateMode;
+});
+
+// Launchers shown in the viewer's window picker (no commands: those stay on the PC)
+ipcMain.handle('list-launchers', async () => {
+  return launchers.map(({ id, name }) => ({ id, name }));
+});
 
-  const bounds = getWindowBounds(data.sourceId);
-  if (!bounds) {
-    return { ok: false, error: 'window bounds not found' };
+// Start a launcher's app and wait for its window; resolves { ok, sourceId, name } or { ok: false, error }
+ipcMain.handle('launch-app', async (event, launcherId) => {
+  const launcher = launchers.find(l => l.id === launcherId);
+  if (!launcher) {
+    return { ok: false, error: `unknown launcher '${launcherId}'` };
+  }
+  try {
+    const { sourceId, name } = await launchApp(launcher, { listWindows: listWindowSources });
+    return { ok: true, sourceId, name };
+  } catch (e) {
+    return { ok: false, error: e.message };
   }
+});
 
-  // Convert UV (0-1) to absolute screen coordinates
-  const absX = Math.round(bounds.x + (data.u || 0) * bounds.width);
-  const absY = Math.round(bounds.y + (data.v || 0) * bounds.height);
+// Window sources without thumbnails (cheap enough to poll while an app starts)
+async function listWindowSources() {
+  const sources = await desktopCapturer.getSources({ types: ['window'], thumbnailSize: { width: 0, height: 0 } });
+  return sources.map(s => ({ sourceId: s.id, name: s.name }));
+}
+
+async function listScreenSources() {
+  const sources = await desktopCapturer.getSources({ types: ['screen'], thumbnailSize: { width: 0, height: 0 } });
+  return sources.map(s => ({ sourceId: s.id, name: s.name, displayId: s.display_id || null }));
+}
+
+// ── Workspaces ──────────────────────────────────────────────────────────
+// Viewers save their panels under a name and get them back on reconnect
+// (workspace/WorkspaceStore.js); the file lives in the user data folder.
+const workspaces = new WorkspaceStore(path.join(app.getPath('userData'), 'workspaces.json'));
 
+function windowProcess(sourceId) {
   try {
-    switch (data.type) {
-      case 'mousemove':
-        SetCursorPos(absX, absY);
-        break;
-
-      case 'mousedown':
-        SetCursorPos(absX, absY);
-        mouse_event_fn(
-          data.button === 2 ? MOUSEEVENTF_RIGHTDOWN : MOUSEEVENTF_LEFTDOWN,
-          0, 0, 0, 0
-        );
-        break;
-
-      case 'mouseup':
-        mouse_event_fn(
-          data.button === 2 ? MOUSEEVENTF_RIGHTUP : MOUSEEVENTF_LEFTUP,
-          0, 0, 0, 0
-        );
-        break;
-
-      case 'click':
-        SetCursorPos(absX, absY);
-        mouse_event_fn(MOUSEEVENTF_LEFTDOWN, 0, 0, 0, 0);
-        mouse_event_fn(MOUSEEVENTF_LEFTUP, 0, 0, 0, 0);
-        break;
-
-      case 'scroll':
-        SetCursorPos(absX, absY);
-        // WHEEL_DELTA = 120 per notch; deltaY from VR is scaled
-        mouse_event_fn(MOUSEEVENTF_WHEEL, 0, 0, -(data.deltaY || 0) * 40, 0);
-        break;
-    }
+    return inputBackend?.getWindowProcess?.(sourceId) ?? null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// What identifies a source across restarts, or null if it's gone
+function describeSource(sourceId, windows, screens) {
+  if (sourceId.startsWith('screen:')) {
+    const index = screens.findIndex(s => s.sourceId === sourceId);
+    return index < 0 ? null : { kind: 'screen', displayId: screens[index].displayId, index };
+  }
+  const win = windows.find(w => w.sourceId === sourceId);
+  return win ? { kind: 'window', title: win.name, process: windowProcess(sourceId) } : null;
+}
+
+// panels: [{ panelId, layout, sourceId, orientation, crop }]; a panel without a
+// live source (its window was missing at restore) keeps what was saved for it before
+ipcMain.handle('save-workspace', async (event, name, panels) => {
+  const previous = new Map(workspaces.get(name).map(p => [p.panelId, p]));
+  const [windows, screens] = await Promise.all([listWindowSources(), listScreenSources()]);
+  const saved = panels.map(p => {
+    const source = p.sourceId && describeSource(p.sourceId, windows, screens);
+    if (source) return { ...p, source };
+    const old = previous.get(p.panelId);
+    return old ? { ...old, layout: p.layout } : null;
+  }).filter(Boolean);
+  workspaces.save(name, saved);
+  return saved.length;
+});
+
+// Saved panels of a workspace with the source now matching each:
+// [{ panelId, layout, orientation, crop, title, sourceId }] (sourceId null: not found)
+ipcMain.handle('resolve-workspace', async (event, name) => {
+  const saved = workspaces.get(name);
+  if (saved.length === 0) return [];
+  const [windows, screens] = await Promise.all([listWindowSources(), listScreenSources()]);
+  const candidates = privacy.filterSources(windows.map(w => ({ id: w.sourceId, name: w.name })))
+    .map(s => ({ sourceId: s.id, name: s.name }));
+  const taken = new Set();
+  const processes = new Map();
+  const processOf = (sourceId) => {
+    if (!processes.has(sourceId)) processes.set(sourceId, windowProcess(sourceId));
+    return processes.get(sourceId);
+  };
+
+  // Exact titles first, so a looser match can't take a window another panel names exactly
+  const exact = (panel) => candidates.some(w => w.name === panel.source.title);
+  const order = [...saved].sort((a, b) => Number(exact(b)) - Number(exact(a)));
+  const found = new Map();
+  for (const panel of order) {
+    const source = matchSource(panel.source, candidates, screens, { taken, processOf });
+    if (source) taken.add(source.sourceId);
+    found.set(panel, source);
+  }
 
+  return saved.map(panel => {
+    const source = found.get(panel);
+    return {
+      panelId: panel.panelId,
+      layout: panel.layout,
+      orientation: panel.orientation,
+      crop: panel.crop,
+      title: source?.name ?? (panel.source.kind === 'screen' ? `Screen ${panel.source.index + 1}` : panel.source.title),
+      sourceId: source?.sourceId ?? null,
+    };
+  });
+});
+
+// Get window bounds for coordinate mapping
+ipcMain.handle('get-window-bounds', async (event, sourceId) => {
+  return getWindowBounds(sourceId);
+});
+
+// Keep a captured source's bounds current (one track per capture, untrack when it stops)
+ipcMain.handle('track-window-bounds', async (event, sourceId) => {
+  windowBounds.track(sourceId);
+  return windowBounds.get(sourceId);
+});
+
+ipcMain.handle('untrack-window-bounds', async (event, sourceId) => {
+  windowBounds.untrack(sourceId);
+});
+
+// Window management from VR ('window-command' in shared/protocol/signaling.js)
+ipcMain.handle('window-command', async (event, { sourceId, action, width, height }) => {
+  if (!inputBackend) {
+    return { ok: false, error: inputBackendError };
+  }
+  if (!sourceId?.startsWith('window:')) {
+    return { ok: false, error: 'not a window source' };
+  }
+  try {
+    runWindowCommand(sourceId, action, width, height);
+    windowBounds.invalidate(sourceId);
     return { ok: true };
   } catch (e) {
     return { ok: false, error: e.message };
   }
 });
 
+function runWindowCommand(sourceId, action, width, height) {
+  const backendMethod = (name) => {
+    if (!inputBackend[name]) throw new Error(`the ${inputBackend.name} input backend can't ${action} windows`);
+    return inputBackend[name].bind(inputBackend);
+  };
+
+  switch (action) {
+    case 'focus':
+      backendMethod('focusWindow')(sourceId);
+      break;
+    case 'maximize':
+      backendMethod('setWindowState')(sourceId, 'maximized');
+      break;
+    case 'restore':
+      backendMethod('setWindowState')(sourceId, 'normal');
+      break;
+    case 'minimize':
+      backendMethod('setWindowState')(sourceId, 'minimized');
+      break;
+    case 'resize':
+    case 'rotate': {
+      const rect = windowBounds.get(sourceId);
+      if (action === 'rotate') {
+        // Landscape <-> portrait: swap the window's current size
+        if (!rect || rect.minimized) throw new Error('the window has no size to rotate (minimized or gone)');
+        [width, height] = [rect.height, rect.width];
+      }
+      if (!(width > 0 && height > 0)) throw new Error('resize needs a positive width and height');
+      // Keep the requested aspect but stay within the work area of the window's display
+      const display = rect && displayForRect(getPhysicalDisplays(), rect);
+      const size = display ? fitSize({ width, height }, display.workArea) : { width, height };
+      backendMethod('resizeWindow')(sourceId, size.width, size.height);
+      break;
+    }
+    case 'close':
+      backendMethod('closeWindow')(sourceId);
+      break;
+    default:
+      throw new Error(`unknown window action '${action}'`);
+  }
+}
+
+// Input simulation — receives events from VR via DataChannel -> renderer -> IPC
+// (validated against shared/protocol/input.js in the renderer)
+ipcMain.handle('simulate-input', async (event, data) => {
+  if (!inputInjector) {
+    return { ok: false, error: inputBackendError };
+  }
+  return inputInjector.inject(data);
+});
+
+// Clipboard text from a viewer; the renderer pastes it with the returned chord modifier
+ipcMain.handle('write-clipboard', async (event, text) => {
+  if (!clipboardWatcher) {
+    return { ok: false, error: 'clipboard sync is off' };
+  }
+  clipboardWatcher.writeText(text);
+  return { ok: true, pasteModifier: process.platform === 'darwin' ? 'meta' : 'ctrl' };
+});
+
+// Release keys the viewer left pressed (its input channel closed)
+ipcMain.handle('release-keys', async () => {
+  inputInjector?.releaseKeys();
+});
+
+app.on('will-quit', () => {
+  if (headless) printStatus('stopped');
+  clipboardWatcher?.stop();
+  privacy.stop();
+  windowBounds.dispose();
+  inputInjector?.releaseKeys();
+  inputBackend?.close?.();
+});
+
 app.on('window-all-closed', () => {
-  // Don't quit — we live in the tray
+  // Don't quit — we live in the tray (headless: until a signal)
 });
@@ -2,6 +2,30 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('haloCapture', {
   enumerateWindows: () => ipcRenderer.invoke('enumerate-windows'),
+  listLaunchers: () => ipcRenderer.invoke('list-launchers'),
+  launchApp: (launcherId) => ipcRenderer.invoke('launch-app', launcherId),
   simulateInput: (data) => ipcRenderer.invoke('simulate-input', data),
   getWindowBounds: (sourceId) => ipcRenderer.invoke('get-window-bounds', sourceId),
+  releaseKeys: () => ipcRenderer.invoke('release-keys'),
+  windowCommand: (command) => ipcRenderer.invoke('window-command', command),
+  trackWindowBounds: (sourceId) => ipcRenderer.invoke('track-window-bounds', sourceId),
+  untrackWindowBounds: (sourceId) => ipcRenderer.invoke('untrack-window-bounds', sourceId),
+  onWindowBoundsChanged: (callback) => {
+    ipcRenderer.on('window-bounds-changed', (event, sourceId, bounds) => callback(sourceId, bounds));
+  },
+  sourcePrivacy: (sourceId) => ipcRenderer.invoke('source-privacy', sourceId),
+  watchPrivacy: (sourceId, sensitive) => ipcRenderer.invoke('watch-privacy', sourceId, sensitive),
+  unwatchPrivacy: (sourceId) => ipcRenderer.invoke('unwatch-privacy', sourceId),
+  onSourceSensitiveChanged: (callback) => {
+    ipcRenderer.on('source-sensitive-changed', (event, sourceId, sensitive) => callback(sourceId, sensitive));
+  },
+  getPrivateMode: () => ipcRenderer.invoke('get-private-mode'),
+  setPrivateMode: (enabled) => ipcRenderer.invoke('set-private-mode', enabled),
+  writeClipboard: (text) => ipcRenderer.invoke('write-clipboard', text),
+  reportStatus: (status) => ipcRenderer.invoke('report-status', status),
+  saveWorkspace: (name, panels) => ipcRenderer.invoke('save-workspace', name, panels),
+  resolveWorkspace: (name) => ipcRenderer.invoke('resolve-workspace', name),
+  onClipboardChanged: (callback) => {
+    ipcRenderer.on('clipboard-changed', (event, content) => callback(content));
+  },
 });
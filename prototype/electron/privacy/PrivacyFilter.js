@@ -0,0 +1,184 @@
+// Keeps private windows away from viewers. Every window title and thumbnail
+// otherwise goes to each viewer (and the server caches the list), so:
+//   block      — matching windows are left out of enumeration and can't be captured
+//   sensitive  — panels are blurred on the PC while their window matches (titles
+//                change: a browser switching to a banking tab), re-checked every few
+//                seconds while captured
+//   private    — window titles are sent without thumbnails
+//
+// Rules come from a JSON file (--privacy=<file> / HALOVIEW_PRIVACY):
+//   { "block": [...], "sensitive": [...], "private": true }
+// Each rule is a title pattern, or { "title": pattern, "process": pattern } where
+// every given field must match. Patterns are case-insensitive substrings, or
+// regular expressions written as "/.../flags" (only the i, m, s and u flags are
+// kept). Process names are the executable (KeePassXC.exe, keepassxc); backends
+// that can't tell only match on titles.
+
+const fs = require('fs');
+
+const SENSITIVE_POLL_MS = 3000;
+
+const DEFAULT_RULES = {
+  block: [
+    { process: '/^(1password|keepass(xc)?|bitwarden|lastpass|dashlane|enpass)(\\.exe)?$/i' },
+    '/\\b(1password|keepass(xc)?|bitwarden)\\b/i',
+  ],
+  sensitive: ['InPrivate', 'Incognito', 'Private Browsing'],
+};
+
+/**
+ * Privacy rules from `file`, or the defaults (password managers blocked,
+ * private browsing windows blurred). An unreadable or malformed file throws.
+ */
+function loadPrivacyConfig(file) {
+  if (!file) return { ...DEFAULT_RULES, private: false };
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${file} must contain an object with block / sensitive rules`);
+  }
+  for (const key of ['block', 'sensitive']) {
+    if (config[key] !== undefined && !Array.isArray(config[key])) throw new Error(`${file}: '${key}' must be an array`);
+  }
+  return { block: config.block ?? [], sensitive: config.sensitive ?? [], private: config.private === true };
+}
+
+class PrivacyFilter {
+  /**
+   * @param {object} options
+   * @param {Array} options.block - Rules for windows hidden from viewers
+   * @param {Array} options.sensitive - Rules for windows blurred while they match
+   * @param {boolean} [options.privateMode] - Send titles without thumbnails
+   * @param {(sourceId: string) => string|null} options.getProcessName - Executable owning a window
+   * @param {() => Promise<Array<{ sourceId, name }>>} options.listWindows - Current window sources
+   * @param {number} [options.pollMs] - How often captured windows' titles are re-checked
+   */
+  constructor({ block, sensitive, privateMode = false, getProcessName, listWindows, pollMs = SENSITIVE_POLL_MS }) {
+    this.blockRules = compileRules(block, 'block');
+    this.sensitiveRules = compileRules(sensitive, 'sensitive');
+    this.privateMode = privateMode;
+    this.getProcessName = getProcessName;
+    this.listWindows = listWindows;
+    this.pollMs = pollMs;
+    this.onSensitiveChanged = null; // callback(sourceId, sensitive)
+    this._processNames = new Map(); // sourceId -> executable (a window never changes process)
+    this._watched = new Map(); // sourceId -> { count, sensitive }
+    this._timer = null;
+    this._polling = false;
+  }
+
+  isBlocked(source) {
+    return this._matches(this.blockRules, source);
+  }
+
+  /** Blocked windows count as sensitive too: their title may have changed after capture began. */
+  isSensitive(source) {
+    return this._matches(this.sensitiveRules, source) || this.isBlocked(source);
+  }
+
+  /**
+   * Drop blocked windows from a desktopCapturer source list.
+   */
+  filterSources(sources) {
+    const live = new Set(sources.map(s => s.id));
+    for (const sourceId of this._processNames.keys()) {
+      if (!live.has(sourceId)) this._processNames.delete(sourceId);
+    }
+    return sources.filter(s => !this.isBlocked({ sourceId: s.id, name: s.name }));
+  }
+
+  /**
+   * Re-check a captured source's title every `pollMs` (one call per capture using it).
+   */
+  watch(sourceId, sensitive) {
+    const entry = this._watched.get(sourceId);
+    if (entry) {
+      entry.count++;
+      return;
+    }
+    this._watched.set(sourceId, { count: 1, sensitive });
+    if (!this._timer) this._timer = setInterval(() => this._poll(), this.pollMs);
+  }
+
+  unwatch(sourceId) {
+    const entry = this._watched.get(sourceId);
+    if (!entry) return;
+    if (--entry.count > 0) return;
+    this._watched.delete(sourceId);
+    if (this._watched.size === 0) this.stop();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  async _poll() {
+    if (this._polling) return; // a slow listing isn't stacked up behind itself
+    this._polling = true;
+    let windows;
+    try {
+      windows = await this.listWindows();
+    } catch (e) {
+      console.warn('[Privacy] Listing windows failed:', e.message);
+      return;
+    } finally {
+      this._polling = false;
+    }
+    const names = new Map(windows.map(w => [w.sourceId, w.name]));
+    for (const [sourceId, entry] of this._watched) {
+      if (!names.has(sourceId)) continue; // closed or a screen: the capture ends on its own
+      const sensitive = this.isSensitive({ sourceId, name: names.get(sourceId) });
+      if (sensitive === entry.sensitive) continue;
+      entry.sensitive = sensitive;
+      console.log(`[Privacy] ${sourceId} is ${sensitive ? 'now sensitive, blurring' : 'no longer sensitive'}`);
+      if (this.onSensitiveChanged) this.onSensitiveChanged(sourceId, sensitive);
+    }
+  }
+
+  _matches(rules, { sourceId, name }) {
+    if (rules.length === 0) return false;
+    return rules.some(rule =>
+      (!rule.title || rule.title.test(name ?? '')) &&
+      (!rule.process || rule.process.test(this._processName(sourceId) ?? '')));
+  }
+
+  _processName(sourceId) {
+    if (!sourceId?.startsWith('window:')) return null;
+    if (!this._processNames.has(sourceId)) {
+      let processName = null;
+      try {
+        processName = this.getProcessName(sourceId);
+      } catch (e) {
+        // Window gone or not ours to inspect: title rules still apply
+      }
+      this._processNames.set(sourceId, processName);
+    }
+    return this._processNames.get(sourceId);
+  }
+}
+
+// Rules as { title?: RegExp, process?: RegExp }; invalid rules are skipped with a warning
+function compileRules(rules, kind) {
+  const compiled = [];
+  for (const rule of rules) {
+    try {
+      const { title, process } = typeof rule === 'string' ? { title: rule } : (rule ?? {});
+      if (!title && !process) throw new Error('needs a title or process pattern');
+      compiled.push({ title: title && toRegExp(title), process: process && toRegExp(process) });
+    } catch (e) {
+      console.warn(`[Privacy] Skipping ${kind} rule ${JSON.stringify(rule)}: ${e.message}`);
+    }
+  }
+  return compiled;
+}
+
+function toRegExp(pattern) {
+  if (typeof pattern !== 'string') throw new Error('patterns must be strings');
+  const literal = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  // Rules are tested over and over: 'g' / 'y' would carry lastIndex between
+  // windows and skip every other match, so only stateless flags are kept
+  if (literal) return new RegExp(literal[1], literal[2].replace(/[^imsu]/g, ''));
+  return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+module.exports = { PrivacyFilter, loadPrivacyConfig };
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PrivacyFilter } = require('./PrivacyFilter');
+
+function filter({ block = [], sensitive = [], processes = {} } = {}) {
+  return new PrivacyFilter({
+    block,
+    sensitive,
+    getProcessName: sourceId => processes[sourceId] ?? null,
+    listWindows: async () => [],
+  });
+}
+
+test('a global or sticky regex rule matches every window, not every other one', () => {
+  const privacy = filter({ block: ['/bank/gi', { process: '/^keepassxc$/y' }] });
+  const sources = [1, 2, 3, 4].map(n => ({ id: `window:${n}:0`, name: `Online Bank ${n}` }));
+  assert.deepEqual(privacy.filterSources(sources), []);
+
+  const vault = filter({ block: [{ process: '/^keepassxc$/y' }], processes: { 'window:9:0': 'keepassxc' } });
+  for (let i = 0; i < 3; i++) {
+    assert.equal(vault.isBlocked({ sourceId: 'window:9:0', name: 'Passwords' }), true);
+  }
+});
+
+test('plain patterns are case-insensitive substrings', () => {
+  const privacy = filter({ sensitive: ['InPrivate', 'a.b'] });
+  assert.equal(privacy.isSensitive({ sourceId: 'window:1:0', name: 'New inprivate tab' }), true);
+  assert.equal(privacy.isSensitive({ sourceId: 'window:2:0', name: 'axb' }), false);
+  assert.equal(privacy.isSensitive({ sourceId: 'window:3:0', name: 'A.B notes' }), true);
+});
+
+test('a rule needs every given field to match', () => {
+  const privacy = filter({
+    block: [{ title: 'Vault', process: 'bitwarden' }],
+    processes: { 'window:1:0': 'Bitwarden.exe', 'window:2:0': 'notepad.exe' },
+  });
+  assert.equal(privacy.isBlocked({ sourceId: 'window:1:0', name: 'My Vault' }), true);
+  assert.equal(privacy.isBlocked({ sourceId: 'window:2:0', name: 'My Vault' }), false);
+  assert.equal(privacy.isBlocked({ sourceId: 'screen:0:0', name: 'My Vault' }), false);
+});
+
+test('invalid rules are skipped', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const privacy = filter({ block: [42, {}, '/(/', 'Secret'] });
+  assert.equal(privacy.blockRules.length, 1);
+  assert.equal(privacy.isBlocked({ sourceId: 'window:1:0', name: 'Top secret' }), true);
+});
+
+test('watched windows are re-checked, without overlapping slow listings', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  let title = 'Notes';
+  let listings = 0;
+  const privacy = new PrivacyFilter({
+    block: [],
+    sensitive: ['Incognito'],
+    getProcessName: () => null,
+    listWindows: async () => {
+      listings++;
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return [{ sourceId: 'window:1:0', name: title }];
+    },
+  });
+  const changes = [];
+  privacy.onSensitiveChanged = (sourceId, sensitive) => changes.push([sourceId, sensitive]);
+  privacy.watch('window:1:0', false);
+  privacy.stop(); // polls are driven by hand below
+
+  title = 'New Incognito tab';
+  await Promise.all([privacy._poll(), privacy._poll()]);
+  assert.equal(listings, 1);
+  assert.deepEqual(changes, [['window:1:0', true]]);
+
+  await privacy._poll();
+  assert.deepEqual(changes, [['window:1:0', true]]);
+  title = 'Notes';
+  await privacy._poll();
+  assert.deepEqual(changes, [['window:1:0', true], ['window:1:0', false]]);
+});
@@ -0,0 +1,136 @@
+// Saved workspaces: which windows a viewer had open as panels, and where. The
+// viewer owns the placement (an opaque `layout` per panel); this side adds what
+// it takes to find each window again. desktopCapturer ids (HWNDs, X window ids)
+// don't survive a restart, so a window is remembered by its title and process,
+// and a screen by its display id and position.
+//
+// Stored as JSON in the app's user data folder (workspaces.json):
+//   { "version": 1, "workspaces": { "<name>": { "savedAt": "...", "panels": [
+//     { "panelId": "panel-2", "layout": {...}, "orientation": "landscape",
+//       "crop": { "x": 0, "y": 0, "width": 0.5, "height": 1 } | null,
+//       "source": { "kind": "window", "title": "...", "process": "Code.exe" }
+//             | { "kind": "screen", "displayId": "2528732444", "index": 0 } } ] } } }
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_VERSION = 1;
+const MAX_WORKSPACES = 32; // oldest saves are dropped past this
+const MAX_LAYOUT_LENGTH = 2048; // JSON characters of one panel's layout
+
+// Window match scores: a window needs MATCH_THRESHOLD to be taken for a saved one
+const SCORE_TITLE = 4; // same title
+const SCORE_PROCESS = 2; // same executable
+const SCORE_APP_SUFFIX = 1; // same " - App" title ending (the document changed)
+const MATCH_THRESHOLD = 3;
+
+class WorkspaceStore {
+  /**
+   * @param {string} file - JSON file holding every saved workspace
+   */
+  constructor(file) {
+    this.file = file;
+    this._workspaces = null; // name -> { savedAt, panels }, read on first use
+  }
+
+  /** Saved panels of `name`, or an empty list. */
+  get(name) {
+    return this._load().get(name)?.panels ?? [];
+  }
+
+  /**
+   * Replace `name` with `panels` ([{ panelId, layout, orientation, crop, source }]).
+   */
+  save(name, panels) {
+    const workspaces = this._load();
+    workspaces.delete(name); // re-insert: Map order is save order
+    workspaces.set(name, { savedAt: new Date().toISOString(), panels: panels.map(sanitizePanel).filter(Boolean) });
+    while (workspaces.size > MAX_WORKSPACES) workspaces.delete(workspaces.keys().next().value);
+    this._write();
+  }
+
+  _load() {
+    if (this._workspaces) return this._workspaces;
+    this._workspaces = new Map();
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const [name, workspace] of Object.entries(data?.workspaces ?? {})) {
+        if (Array.isArray(workspace?.panels)) this._workspaces.set(name, workspace);
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`[Workspace] Can't read ${this.file}, starting empty: ${e.message}`);
+    }
+    return this._workspaces;
+  }
+
+  // Write to a temporary file and rename, so a crash mid-write keeps the old file
+  _write() {
+    const data = { version: FILE_VERSION, workspaces: Object.fromEntries(this._workspaces) };
+    const tmp = `${this.file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (e) {
+      console.warn(`[Workspace] Can't write ${this.file}: ${e.message}`);
+    }
+  }
+}
+
+// A saved panel as stored, or null if it can't be restored anyway
+function sanitizePanel({ panelId, layout, orientation, crop, source }) {
+  if (typeof panelId !== 'string' || !source) return null;
+  if (layout !== undefined && JSON.stringify(layout).length > MAX_LAYOUT_LENGTH) layout = undefined;
+  return {
+    panelId,
+    layout: layout ?? null,
+    orientation: orientation === 'portrait' ? 'portrait' : 'landscape',
+    crop: crop ?? null,
+    source,
+  };
+}
+
+/**
+ * The current source that best matches a saved one, or null.
+ * @param {object} saved - A stored panel's `source`
+ * @param {Array<{ sourceId, name }>} windows - Current window sources
+ * @param {Array<{ sourceId, displayId }>} screens - Current screens, in order
+ * @param {object} [options]
+ * @param {Set<string>} [options.taken] - Sources already given to other panels
+ * @param {(sourceId: string) => string|null} [options.processOf] - Executable owning a
+ *   window; only asked about windows whose title already relates to the saved one
+ */
+function matchSource(saved, windows, screens, { taken = new Set(), processOf = () => null } = {}) {
+  if (saved.kind === 'screen') {
+    const free = screens.filter(s => !taken.has(s.sourceId));
+    return free.find(s => saved.displayId && s.displayId === saved.displayId) ??
+      screens.find((s, i) => i === saved.index && !taken.has(s.sourceId)) ??
+      null;
+  }
+
+  const suffix = appSuffix(saved.title);
+  let best = null;
+  let bestScore = MATCH_THRESHOLD - 1;
+  for (const win of windows) {
+    if (taken.has(win.sourceId)) continue;
+    let score = 0;
+    if (win.name === saved.title) score += SCORE_TITLE;
+    if (suffix && appSuffix(win.name) === suffix) score += SCORE_APP_SUFFIX;
+    if (score === 0) continue; // the process alone isn't enough
+    const owner = saved.process && processOf(win.sourceId);
+    if (owner && owner.toLowerCase() === saved.process.toLowerCase()) score += SCORE_PROCESS;
+    if (score > bestScore) {
+      best = win;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// " - Visual Studio Code" in "main.js - HaloView - Visual Studio Code"
+function appSuffix(title) {
+  const i = title?.lastIndexOf(' - ') ?? -1;
+  return i > 0 ? title.slice(i) : null;
+}
+
+module.exports = { WorkspaceStore, matchSource };
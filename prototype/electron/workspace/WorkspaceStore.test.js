@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkspaceStore, matchSource } = require('./WorkspaceStore');
+
+const saved = { kind: 'window', title: 'main.js - HaloView - Visual Studio Code', process: 'Code.exe' };
+const processes = {
+  'window:1:0': 'Code.exe',
+  'window:2:0': 'Code.exe',
+  'window:3:0': 'notepad.exe',
+};
+const processOf = sourceId => processes[sourceId] ?? null;
+
+test('the same title is enough on its own', () => {
+  const windows = [{ sourceId: 'window:3:0', name: saved.title }];
+  assert.equal(matchSource(saved, windows, [], { processOf })?.sourceId, 'window:3:0');
+});
+
+test('the same app and process match after the document changed', () => {
+  const windows = [{ sourceId: 'window:1:0', name: 'README.md - HaloView - Visual Studio Code' }];
+  assert.equal(matchSource(saved, windows, [], { processOf })?.sourceId, 'window:1:0');
+  // The title ending alone is below the threshold
+  assert.equal(matchSource(saved, windows, []), null);
+});
+
+test('the process alone is not a match, and is only asked about related titles', () => {
+  const asked = [];
+  const windows = [{ sourceId: 'window:1:0', name: 'Settings' }, { sourceId: 'window:2:0', name: 'x - Visual Studio Code' }];
+  const result = matchSource(saved, windows, [], { processOf: (id) => { asked.push(id); return processOf(id); } });
+  assert.equal(result?.sourceId, 'window:2:0');
+  assert.deepEqual(asked, ['window:2:0']);
+});
+
+test('the highest score wins and taken windows are skipped', () => {
+  const windows = [
+    { sourceId: 'window:3:0', name: saved.title }, // 4
+    { sourceId: 'window:1:0', name: saved.title }, // 4 + 2
+  ];
+  assert.equal(matchSource(saved, windows, [], { processOf })?.sourceId, 'window:1:0');
+  assert.equal(matchSource(saved, windows, [], { processOf, taken: new Set(['window:1:0']) })?.sourceId, 'window:3:0');
+});
+
+test('screens match by display id, then by position', () => {
+  const screens = [{ sourceId: 'screen:0:0', displayId: '11' }, { sourceId: 'screen:1:0', displayId: '22' }];
+  assert.equal(matchSource({ kind: 'screen', displayId: '22', index: 0 }, [], screens).sourceId, 'screen:1:0');
+  assert.equal(matchSource({ kind: 'screen', displayId: '99', index: 1 }, [], screens).sourceId, 'screen:1:0');
+  assert.equal(matchSource({ kind: 'screen', displayId: '99', index: 1 }, [], screens, { taken: new Set(['screen:1:0']) }), null);
+});
+
+test('saved workspaces survive a reload and drop oversized layouts', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'haloview-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const file = path.join(dir, 'workspaces.json');
+
+  new WorkspaceStore(file).save('desk', [
+    { panelId: 'panel-1', layout: { x: 1 }, orientation: 'portrait', source: saved },
+    { panelId: 'panel-2', layout: { blob: 'x'.repeat(4096) }, source: saved },
+    { panelId: 'panel-3' },
+  ]);
+  const panels = new WorkspaceStore(file).get('desk');
+  assert.deepEqual(panels.map(p => [p.panelId, p.layout, p.orientation]), [
+    ['panel-1', { x: 1 }, 'portrait'],
+    ['panel-2', null, 'landscape'],
+  ]);
+  assert.deepEqual(new WorkspaceStore(file).get('missing'), []);
+});
@@ -1,15 +1,25 @@
 import * as THREE from 'three';
+import { MOUSE_BUTTONS, modifiersOf } from '../../../shared/protocol/input.js';
+import { PanelSnapper } from './PanelSnapper.js';
 
 /**
  * Handles VR controller input for panel interaction.
  * - Laser pointer ray from each controller
- * - Trigger to click/select (forwarded to PC via per-panel data channel)
- * - Grip to grab and move panels (squeeze button)
- * - Thumbstick Y: scroll (pointing) / push-pull distance (grabbing)
- * - Thumbstick X: rotate (grabbing)
+ * - Trigger to click/select (forwarded to PC via per-panel data channel);
+ *   hold and sweep to drag, tap twice quickly to double-click
+ * - Grip to grab and move panels (squeeze button); right mouse button in Interact mode.
+ *   Dragged panels snap to zones around the head and flush against neighbors (PanelSnapper);
+ *   grabbing a member of a locked group carries the whole group. The other grip on the
+ *   same panel scales it by the distance between the hands and turns it with them
+ * - Window bar under the pointed-at panel (Move mode): focus / rotate / maximize /
+ *   restore / minimize / close the PC window, crop (drag a region with the
+ *   trigger to stream it as a new panel), group (trigger another panel to join it) / lock
+ * - Right thumbstick click: next layout preset (Move mode) / middle mouse button (Interact mode)
+ * - Thumbstick Y/X: vertical/horizontal scroll (pointing) / resize + distance (grabbing)
  * - A/X button: toggle window picker
  * - B/Y button: recenter workspace (hold 1.5s = exit VR)
- * - Double-tap trigger on panel: toggle orientation
+ * - Physical keyboard: forwarded to the panel last clicked (see setupKeyboard)
+ * - Virtual keyboard: laser + trigger or poke with the controller tip
  */
 export class InputManager {
   constructor(renderer, scene, camera, panelManager) {
@@ -30,23 +40,45 @@ export class InputManager {
     this.grabbedPanel = null;
     this.grabOffset = new THREE.Vector3();
     this.grabControllerIndex = -1;
+    this._carriedPanels = []; // other members of the grabbed panel's locked group
+
+    // Two-handed grab: the other grip on the grabbed panel scales and turns it
+    this._twoHandGrab = null; // { controllerIndex, startDistance, startHeight, startAxis, startQuaternion, startOffset, turn }
+    this._grabUsedTwoHands = false; // the panel keeps its two-handed pose on drop (no snapping)
+    this._handPositions = [new THREE.Vector3(), new THREE.Vector3()];
+    this._minTwoHandDistance = 0.05; // meters; hands closer than this don't set a direction
 
     // Per-panel data channels for input forwarding to PC
     this.inputChannels = new Map(); // panelId -> RTCDataChannel
 
+    // Keyboard: events go to the panel last clicked in Interact mode
+    this.keyboardTargetPanelId = null;
+    this._forwardedKeys = new Map(); // physical key code -> key sent as keydown (Shift may change it by keyup)
+
     // Mouse tracking state
-    this._activeClickPanel = null;
-    this._lastClickTime = new Map(); // panelId -> timestamp for double-tap
+    this._pointerPresses = new Map(); // `${controllerIndex}:${button}` -> panelId the button went down on
+    this._lastPress = null; // { panelId, button, u, v, time } for double-click detection
+    this._doubleClickMs = 400;
+    this._clickSlopUV = 0.015; // laser jitter tolerated within a click / double-click
+    this._rightStickWasPressed = false; // right thumbstick click = next layout (Move) / middle button (Interact)
     this._lastMouseSendTime = 0;
     this._mouseThrottleMs = 33; // ~30Hz
 
-    // Snap grid settings
+    // Crop selection (window bar Crop button): the next trigger drag on the panel picks the region
+    this._cropSelection = null; // { panelId, controllerIndex, start: { u, v }, current: { u, v }, outline }
+    this._minCropUV = 0.02; // smaller drags are treated as a mis-click
+
+    // Group selection (window bar Group button): the next trigger press on another panel joins it
+    this._groupSelection = null; // panelId waiting for a second panel
+
+    // Snapping of dropped panels: head-relative zones and neighbor edges
     this.snapEnabled = true;
-    this.snapGridSize = 0.1; // 10cm grid
+    this.snapper = new PanelSnapper(scene, panelManager);
 
     // UI buttons (3D meshes in scene)
     this.exitButton = null;
     this._addPanelButton = null;
+    this._keyboardButton = null;
 
     // Interaction mode: 'move' = manipulate panels, 'interact' = send input to PC
     this._interactionMode = 'move';
@@ -65,13 +97,22 @@ export class InputManager {
     this._byPressStart = [0, 0]; // B/Y press timestamps for long-press detection
     this._byWasPressed = [false, false];
     this._byLongPressMs = 1500; // Hold 1.5s to exit VR
+    this._leftStickWasPressed = false; // left thumbstick click toggles the stats overlay
 
-    // Window picker (set externally)
+    // Window picker, virtual keyboard and window controls bar (set externally)
     this.windowPicker = null;
+    this.virtualKeyboard = null;
+    this.windowControls = null;
+    this._tipWorldPos = new THREE.Vector3();
     this.onWindowSelected = null; // callback(sourceId, panelId, orientation)
+    this.onLaunchApp = null; // callback(launcherId, panelId) — launcher card in the window picker
     this.onPanelDismissed = null; // callback(panelId)
     this.onOrientationToggled = null; // callback(panelId, orientation)
     this.onRecenter = null; // callback()
+    this.onStatsToggled = null; // callback() — left thumbstick click
+    this.onLayoutCycle = null; // callback() — right thumbstick click in Move mode
+    this.onCropSelected = null; // callback(panelId, { x, y, width, height }) — region in 0-1 of the panel
+    this.onGroupSelected = null; // callback(panelId, otherPanelId)
 
     // Hover highlight state
     this._hoveredMesh = null;
@@ -83,6 +124,7 @@ export class InputManager {
     this._hudCanvas = null;
     this._hudCtx = null;
     this._hudTexture = null;
+    this._clipboardSummary = 'empty'; // bottom line of the HUD, see setClipboardSummary
   }
 
   // ── Head tracking helpers ──────────────────────────────────────────
@@ -117,6 +159,71 @@ export class InputManager {
     });
   }
 
+  // ── Keyboard ───────────────────────────────────────────────────────
+
+  /**
+   * Send a keyboard event (keydown / keyup / chord / text, see
+   * shared/protocol/input.js) to the keyboard target panel.
+   * Returns false if there is no target or its channel isn't open.
+   */
+  sendKeyboardEvent(event) {
+    const panelId = this.keyboardTargetPanelId;
+    const channel = panelId ? this.inputChannels.get(panelId) : null;
+    if (channel?.readyState !== 'open') return false;
+    channel.send(JSON.stringify({ ...event, panelId }));
+    return true;
+  }
+
+  /** Press or release one key ('keydown' / 'keyup'), e.g. sendKey('keydown', 'Enter'). */
+  sendKey(type, key, modifiers = []) {
+    return this.sendKeyboardEvent({ type, key, modifiers });
+  }
+
+  /** Tap a key with modifiers held, e.g. sendChord('P', ['ctrl', 'shift']). */
+  sendChord(key, modifiers = []) {
+    return this.sendKeyboardEvent({ type: 'chord', key, modifiers });
+  }
+
+  /** Type a string on the PC, independent of its keyboard layout. */
+  sendText(text) {
+    return this.sendKeyboardEvent({ type: 'text', text });
+  }
+
+  /**
+   * Forward a physical keyboard (Bluetooth keyboard paired with the Quest, or
+   * the desktop keyboard while testing) to the keyboard target panel.
+   */
+  setupKeyboard(target = window) {
+    target.addEventListener('keydown', (e) => this._onKeyboardEvent(e));
+    target.addEventListener('keyup', (e) => this._onKeyboardEvent(e));
+  }
+
+  _onKeyboardEvent(e) {
+    if (!this.keyboardTargetPanelId) return;
+    if (e.target?.closest?.('input, textarea')) return; // typing into the page itself (pairing form)
+
+    // Plain characters go as text so the PC's layout doesn't matter (AltGr counts as plain)
+    const altGraph = e.getModifierState?.('AltGraph');
+    const printable = e.key.length === 1 && (altGraph || (!e.ctrlKey && !e.altKey && !e.metaKey));
+
+    let sent = false;
+    if (e.type === 'keydown') {
+      if (printable) {
+        sent = this.sendText(e.key);
+      } else {
+        sent = this.sendKeyboardEvent({ type: 'keydown', key: e.key, code: e.code, modifiers: modifiersOf(e), repeat: e.repeat });
+        if (sent) this._forwardedKeys.set(e.code, e.key);
+      }
+    } else if (this._forwardedKeys.has(e.code)) {
+      const key = this._forwardedKeys.get(e.code);
+      this._forwardedKeys.delete(e.code);
+      sent = this.sendKeyboardEvent({ type: 'keyup', key, code: e.code });
+    }
+
+    // Keep Tab, Ctrl+W etc. from acting on the viewer page
+    if (sent) e.preventDefault();
+  }
+
   // ── UI creation ────────────────────────────────────────────────────
 
   createExitButton() {
@@ -170,6 +277,50 @@ export class InputManager {
     this.scene.add(this._addPanelButton);
   }
 
+  createKeyboardButton() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#2a2a44';
+    ctx.beginPath();
+    this._roundRect(ctx, 0, 0, 256, 64, 10);
+    ctx.fill();
+    ctx.strokeStyle = '#5599ff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    this._roundRect(ctx, 0, 0, 256, 64, 10);
+    ctx.stroke();
+    ctx.fillStyle = '#5599ff';
+    ctx.font = 'bold 28px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('KEYBOARD', 128, 32);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const geometry = new THREE.PlaneGeometry(0.20, 0.05);
+    const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true });
+    this._keyboardButton = new THREE.Mesh(geometry, material);
+    this._keyboardButton.name = '__keyboardButton';
+    this.scene.add(this._keyboardButton);
+  }
+
+  /**
+   * Show the virtual keyboard for the panel being looked at (or the current
+   * keyboard target), or hide it if it is already up.
+   */
+  toggleVirtualKeyboard() {
+    if (!this.virtualKeyboard) return;
+    if (this.virtualKeyboard.isVisible) {
+      this.virtualKeyboard.hide();
+      return;
+    }
+    const panelId = this.panelManager.focusedPanelId ?? this.keyboardTargetPanelId;
+    const panel = panelId ? this.panelManager.panels.get(panelId) : null;
+    if (panel) this.keyboardTargetPanelId = panel.id;
+    this.virtualKeyboard.summon(panel, this._headPos, this.getHeadForward());
+  }
+
   /**
    * Draw a rounded rectangle (polyfill for browsers without CanvasRenderingContext2D.roundRect).
    */
@@ -196,11 +347,11 @@ export class InputManager {
   _createControlsHUD(parentController) {
     this._hudCanvas = document.createElement('canvas');
     this._hudCanvas.width = 280;
-    this._hudCanvas.height = 200;
+    this._hudCanvas.height = 306;
     this._hudCtx = this._hudCanvas.getContext('2d');
 
     this._hudTexture = new THREE.CanvasTexture(this._hudCanvas);
-    const geom = new THREE.PlaneGeometry(0.18, 0.13);
+    const geom = new THREE.PlaneGeometry(0.18, 0.197);
     const mat = new THREE.MeshBasicMaterial({
       map: this._hudTexture,
       transparent: true,
@@ -225,12 +376,12 @@ export class InputManager {
     // Background
     ctx.fillStyle = 'rgba(16, 16, 40, 0.92)';
     ctx.beginPath();
-    this._roundRect(ctx, 0, 0, 280, 200, 8);
+    this._roundRect(ctx, 0, 0, 280, 306, 8);
     ctx.fill();
     ctx.strokeStyle = '#334488';
     ctx.lineWidth = 1;
     ctx.beginPath();
-    this._roundRect(ctx, 0, 0, 280, 200, 8);
+    this._roundRect(ctx, 0, 0, 280, 306, 8);
     ctx.stroke();
 
     // Title with mode badge
@@ -263,22 +414,28 @@ export class InputManager {
     // Control lines — change based on mode
     const controls = isMove
       ? [
-          ['Trigger', '(no action)'],
+          ['Trigger', 'Window Bar'],
           ['Grip', 'Grab & Move'],
+          ['Both Grips', 'Scale & Turn'],
           ['Stick \u2195', 'Resize (grab)'],
           ['Stick \u2194', 'Distance (grab)'],
           ['A / X', 'Add Window'],
           ['Hold A/X', 'Switch Mode'],
           ['B / Y', 'Recenter View'],
+          ['R-Stick Push', 'Next Layout'],
+          ['L-Stick Push', 'Stream Stats'],
         ]
       : [
-          ['Trigger', 'Click Panel'],
-          ['Grip', 'Grab & Move'],
+          ['Trigger', 'Click / Drag'],
+          ['Trigger x2', 'Double-Click'],
+          ['Grip', 'Right-Click'],
+          ['R-Stick Push', 'Middle-Click'],
           ['Stick \u2195', 'Scroll / Resize'],
-          ['Stick \u2194', 'Distance (grab)'],
+          ['Stick \u2194', 'H-Scroll / Distance'],
           ['A / X', 'Add Window'],
           ['Hold A/X', 'Switch Mode'],
           ['B / Y', 'Recenter View'],
+          ['L-Stick Push', 'Stream Stats'],
         ];
 
     ctx.font = '12px monospace';
@@ -290,6 +447,18 @@ export class InputManager {
       ctx.fillText(desc, 105, y);
     });
 
+    // Clipboard (shared with the PC)
+    ctx.strokeStyle = '#334488';
+    ctx.beginPath();
+    ctx.moveTo(12, 272);
+    ctx.lineTo(268, 272);
+    ctx.stroke();
+    ctx.fillStyle = '#66cc88';
+    ctx.fillText('Clipboard', 12, 292);
+    ctx.fillStyle = '#cccccc';
+    const summary = this._clipboardSummary;
+    ctx.fillText(summary.length > 22 ? summary.substring(0, 21) + '\u2026' : summary, 105, 292);
+
     this._hudTexture.needsUpdate = true;
   }
 
@@ -298,6 +467,12 @@ export class InputManager {
     this._renderControlsHUD();
   }
 
+  /** Show a one-line description of the current clipboard on the HUD. */
+  setClipboardSummary(summary) {
+    this._clipboardSummary = summary;
+    this._updateControlsHUD();
+  }
+
   // ── Controller setup ───────────────────────────────────────────────
 
   setupControllers() {
@@ -350,6 +525,15 @@ export class InputManager {
     raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
     raycaster.ray.direction.set(0, 0, -1).applyMatrix4(this.tempMatrix);
 
+    // Crop selection: a press on the panel starts the drag, anywhere else cancels it
+    if (this._cropSelection) {
+      if (this._beginCropDrag(controllerIndex)) return;
+      this.cancelCropSelection();
+    }
+
+    // Group selection: a press on another panel picks it, anywhere else cancels
+    if (this._groupSelection && this._pickGroupPanel(controllerIndex)) return;
+
     // Check exit button
     if (this.exitButton) {
       const hits = raycaster.intersectObject(this.exitButton);
@@ -365,6 +549,29 @@ export class InputManager {
       }
     }
 
+    // Check keyboard button
+    if (this._keyboardButton) {
+      const hits = raycaster.intersectObject(this._keyboardButton);
+      if (hits.length > 0) {
+        this.toggleVirtualKeyboard();
+        return;
+      }
+    }
+
+    // Check virtual keyboard keys (held until the trigger is released)
+    const keyHit = this.virtualKeyboard?.getKeyAtIntersection(raycaster);
+    if (keyHit) {
+      this.virtualKeyboard.press(`laser-${controllerIndex}`, keyHit.def);
+      return;
+    }
+
+    // Check window controls bar (Move mode)
+    const barHit = this.windowControls?.getButtonAtIntersection(raycaster);
+    if (barHit) {
+      this.windowControls.press(barHit.button);
+      return;
+    }
+
     // Check window picker cards
     if (this.windowPicker?.isVisible) {
       const pickerHit = this.windowPicker.getCardAtIntersection(raycaster);
@@ -378,6 +585,13 @@ export class InputManager {
           pickerHit.mesh.material.color.setHex(0x44ff88);
           setTimeout(() => pickerHit.mesh.material.color.setHex(origColor), 200);
           console.log(`[Input] Selected window '${pickerHit.name}' as ${panelId}`);
+        } else if (pickerHit.launcherId && this.onLaunchApp) {
+          const panelId = this.windowPicker.getNextPanelId();
+          this.onLaunchApp(pickerHit.launcherId, panelId);
+          const origColor = pickerHit.mesh.material.color.getHex();
+          pickerHit.mesh.material.color.setHex(0x44ff88);
+          setTimeout(() => pickerHit.mesh.material.color.setHex(origColor), 200);
+          console.log(`[Input] Launching '${pickerHit.name}' as ${panelId}`);
         }
         return;
       }
@@ -385,80 +599,381 @@ export class InputManager {
 
     // Check panels — only forward mouse events in Interact mode
     if (this._interactionMode === 'interact') {
-      const hit = this._raycastPanel(controllerIndex);
-      if (hit) {
-        const uv = this.panelManager.getHitUV(hit.intersection);
-
-        this._activeClickPanel = hit.panel.id;
-        const channel = this.inputChannels.get(hit.panel.id);
-        if (channel?.readyState === 'open') {
-          channel.send(JSON.stringify({
-            type: 'mousedown',
-            panelId: hit.panel.id,
-            u: uv?.u,
-            v: uv?.v,
-            button: 0,
-          }));
-        }
-
-        this._flashPanel(hit.panel, 0xff8844); // orange flash in interact mode
-      }
+      this._pressPointer(controllerIndex, MOUSE_BUTTONS.left);
     }
   }
 
   onSelectEnd(controllerIndex) {
-    if (this._interactionMode === 'interact' && this._activeClickPanel) {
-      const channel = this.inputChannels.get(this._activeClickPanel);
-      if (channel?.readyState === 'open') {
-        channel.send(JSON.stringify({
-          type: 'mouseup',
-          panelId: this._activeClickPanel,
-          button: 0,
-        }));
+    if (this._cropSelection?.controllerIndex === controllerIndex) {
+      this._finishCropSelection();
+      return;
+    }
+    this.virtualKeyboard?.release(`laser-${controllerIndex}`);
+    this._releasePointer(controllerIndex, MOUSE_BUTTONS.left);
+  }
+
+  // ── Mouse buttons ──────────────────────────────────────────────────
+
+  /**
+   * Press a mouse button on the panel under the controller's laser.
+   * Returns false if the laser isn't on a panel.
+   */
+  _pressPointer(controllerIndex, button) {
+    const hit = this._raycastPanel(controllerIndex);
+    const uv = hit && this.panelManager.getHitUV(hit.intersection);
+    if (!uv) return false;
+
+    // A quick second press near the first continues a double-click. It reuses
+    // the first press's UV so laser jitter can't push it outside the few pixels
+    // the OS allows between the two presses.
+    const panelId = hit.panel.id;
+    const now = performance.now();
+    const last = this._lastPress;
+    let { u, v } = uv;
+    if (last && last.panelId === panelId && last.button === button &&
+        now - last.time < this._doubleClickMs && this._withinClickSlop(uv, last)) {
+      u = last.u;
+      v = last.v;
+    }
+    this._lastPress = { panelId, button, u, v, time: now };
+    this._pointerPresses.set(`${controllerIndex}:${button}`, panelId);
+    this.keyboardTargetPanelId = panelId;
+
+    this._sendPointerEvent(panelId, { type: 'mousedown', u, v, button });
+    this._flashPanel(hit.panel, 0xff8844); // orange flash in interact mode
+    return true;
+  }
+
+  /**
+   * Release a button pressed by _pressPointer (no-op if it isn't down), at
+   * the laser's current position so drags drop where the user points.
+   */
+  _releasePointer(controllerIndex, button) {
+    const pressKey = `${controllerIndex}:${button}`;
+    const panelId = this._pointerPresses.get(pressKey);
+    if (panelId === undefined) return;
+    this._pointerPresses.delete(pressKey);
+
+    const hit = this._raycastPanel(controllerIndex);
+    let uv = hit?.panel.id === panelId ? this.panelManager.getHitUV(hit.intersection) : null;
+    // Jitter during a click must not turn it into a tiny drag
+    const last = this._lastPress;
+    if (uv && last?.panelId === panelId && last.button === button && this._withinClickSlop(uv, last)) {
+      uv = { u: last.u, v: last.v };
+    }
+    this._sendPointerEvent(panelId, uv ? { type: 'mouseup', u: uv.u, v: uv.v, button } : { type: 'mouseup', button });
+  }
+
+  _withinClickSlop(uv, press) {
+    return Math.abs(uv.u - press.u) < this._clickSlopUV && Math.abs(uv.v - press.v) < this._clickSlopUV;
+  }
+
+  _sendPointerEvent(panelId, event) {
+    const channel = this.inputChannels.get(panelId);
+    if (channel?.readyState !== 'open') return false;
+    channel.send(JSON.stringify({ ...event, panelId }));
+    return true;
+  }
+
+  // ── Crop selection ─────────────────────────────────────────────────
+
+  /**
+   * Wait for a trigger drag on the panel; the region is reported through
+   * onCropSelected. Any other trigger press or a mode switch cancels.
+   */
+  startCropSelection(panelId) {
+    this.cancelCropSelection();
+    const panel = this.panelManager.panels.get(panelId);
+    if (!panel) return;
+    this._cropSelection = { panelId, controllerIndex: -1, start: null, current: null, outline: null };
+    this._flashPanel(panel, 0x44ff88);
+    console.log(`[Input] Crop: drag a region on '${panelId}' with the trigger`);
+  }
+
+  cancelCropSelection() {
+    const selection = this._cropSelection;
+    if (!selection) return;
+    this._cropSelection = null;
+    if (selection.outline) {
+      selection.outline.parent?.remove(selection.outline);
+      selection.outline.geometry.dispose();
+      selection.outline.material.dispose();
+    }
+  }
+
+  _beginCropDrag(controllerIndex) {
+    const selection = this._cropSelection;
+    if (selection.controllerIndex >= 0) return true; // the other controller is dragging
+    const hit = this._raycastPanel(controllerIndex);
+    const uv = hit?.panel.id === selection.panelId && this.panelManager.getHitUV(hit.intersection);
+    if (!uv) return false;
+    selection.controllerIndex = controllerIndex;
+    selection.start = uv;
+    selection.current = uv;
+    return true;
+  }
+
+  /**
+   * Follow the dragging laser and redraw the outline.
+   */
+  _updateCropSelection() {
+    const selection = this._cropSelection;
+    if (!selection || selection.controllerIndex < 0) return;
+    const panel = this.panelManager.panels.get(selection.panelId);
+    if (!panel) {
+      this.cancelCropSelection();
+      return;
+    }
+    const hit = this._raycastPanel(selection.controllerIndex);
+    const uv = hit?.panel === panel && this.panelManager.getHitUV(hit.intersection);
+    if (uv) selection.current = uv;
+    this._drawCropOutline(panel, this._cropRect(selection));
+  }
+
+  _finishCropSelection() {
+    const selection = this._cropSelection;
+    const rect = this._cropRect(selection);
+    this.cancelCropSelection();
+    if (rect.width < this._minCropUV || rect.height < this._minCropUV) {
+      console.log('[Input] Crop region too small, cancelled');
+      return;
+    }
+    console.log(`[Input] Cropped '${selection.panelId}' at (${rect.x.toFixed(2)}, ${rect.y.toFixed(2)}) ${rect.width.toFixed(2)}x${rect.height.toFixed(2)}`);
+    if (this.onCropSelected) this.onCropSelected(selection.panelId, rect);
+  }
+
+  _cropRect({ start, current }) {
+    return {
+      x: Math.min(start.u, current.u),
+      y: Math.min(start.v, current.v),
+      width: Math.abs(current.u - start.u),
+      height: Math.abs(current.v - start.v),
+    };
+  }
+
+  /**
+   * Outline of the region on the panel surface (sampled along each edge so it follows the curve).
+   */
+  _drawCropOutline(panel, rect) {
+    const selection = this._cropSelection;
+    const steps = 12;
+    const corners = [
+      [rect.x, rect.y], [rect.x + rect.width, rect.y],
+      [rect.x + rect.width, rect.y + rect.height], [rect.x, rect.y + rect.height],
+    ];
+    const points = [];
+    for (let c = 0; c < 4; c++) {
+      const [u0, v0] = corners[c];
+      const [u1, v1] = corners[(c + 1) % 4];
+      for (let s = 0; s < steps; s++) {
+        const t = s / steps;
+        points.push(this.panelManager.uvToLocal(panel, u0 + (u1 - u0) * t, v0 + (v1 - v0) * t));
       }
-      this._activeClickPanel = null;
     }
+
+    if (!selection.outline) {
+      const material = new THREE.LineBasicMaterial({ color: 0x44ff88, depthTest: false });
+      selection.outline = new THREE.LineLoop(new THREE.BufferGeometry(), material);
+      selection.outline.renderOrder = 1000;
+      panel.mesh.add(selection.outline);
+    }
+    selection.outline.geometry.setFromPoints(points);
+  }
+
+  // ── Group selection ────────────────────────────────────────────────
+
+  /**
+   * Wait for a trigger press on another panel; the pair is reported through
+   * onGroupSelected. A press anywhere else or a mode switch cancels.
+   */
+  startGroupSelection(panelId) {
+    this.cancelGroupSelection();
+    const panel = this.panelManager.panels.get(panelId);
+    if (!panel) return;
+    this._groupSelection = panelId;
+    this._flashPanel(panel, 0x44ddff);
+    console.log(`[Input] Group: pick a panel to group with '${panelId}' with the trigger`);
+  }
+
+  cancelGroupSelection() {
+    this._groupSelection = null;
+  }
+
+  _pickGroupPanel(controllerIndex) {
+    const panelId = this._groupSelection;
+    this.cancelGroupSelection();
+    const hit = this._raycastPanel(controllerIndex);
+    if (!hit || hit.panel.id === panelId || !this.panelManager.panels.has(panelId)) return false;
+    this._flashPanel(hit.panel, 0x44ddff);
+    if (this.onGroupSelected) this.onGroupSelected(panelId, hit.panel.id);
+    return true;
   }
 
   // ── Grip (squeeze) — grab panel ────────────────────────────────────
 
   onSqueezeStart(controllerIndex) {
     console.log(`[Input] Grip pressed (controller ${controllerIndex})`);
+    // Interact mode: grip on a panel is the right mouse button
+    if (this._interactionMode === 'interact' && this._pressPointer(controllerIndex, MOUSE_BUTTONS.right)) {
+      return;
+    }
+    // The other hand while grabbing: both grips on the panel scale and turn it
+    if (this.grabbedPanel) {
+      if (!this._twoHandGrab && controllerIndex !== this.grabControllerIndex) this._beginTwoHandGrab(controllerIndex);
+      return;
+    }
     const hit = this._raycastPanel(controllerIndex);
     if (hit) {
+      this.panelManager.finishAnimation(hit.panel.id);
       this.grabbedPanel = hit.panel;
       this.grabControllerIndex = controllerIndex;
+      this._grabUsedTwoHands = false;
+      this._carriedPanels = this.panelManager.beginGroupMove(hit.panel.id);
 
       const controller = this.controllers[controllerIndex].controller;
       const controllerWorldPos = new THREE.Vector3();
       controller.getWorldPosition(controllerWorldPos);
       this.grabOffset.copy(hit.panel.mesh.position).sub(controllerWorldPos);
 
-      console.log(`[Input] Grabbed panel '${hit.panel.id}'`);
+      const carried = this._carriedPanels.length > 0 ? ` with ${this._carriedPanels.length} grouped panel(s)` : '';
+      console.log(`[Input] Grabbed panel '${hit.panel.id}'${carried}`);
       this._highlightPanel(hit.panel, true);
+      for (const panel of this._carriedPanels) this._highlightPanel(panel, true);
     } else {
       console.log(`[Input] Grip pressed but no panel hit (panels: ${this.panelManager.panels.size})`);
     }
   }
 
   onSqueezeEnd(controllerIndex) {
+    this._releasePointer(controllerIndex, MOUSE_BUTTONS.right);
+    if (this._twoHandGrab && (controllerIndex === this.grabControllerIndex || controllerIndex === this._twoHandGrab.controllerIndex)) {
+      this._endTwoHandGrab(controllerIndex);
+      return;
+    }
     if (this.grabbedPanel && this.grabControllerIndex === controllerIndex) {
       // Finalize any pending resize
       if (this._pendingResizeHeight !== null) {
-        this.panelManager.resizePanel(this.grabbedPanel.id, this._pendingResizeHeight);
+        this.panelManager.resizeGroup(this.grabbedPanel.id, this._pendingResizeHeight);
         this._pendingResizeHeight = null;
       }
-      if (this.snapEnabled) {
-        this._snapToGrid(this.grabbedPanel.mesh);
+      if (this.snapEnabled && !this._grabUsedTwoHands) {
+        const target = this.snapper.drop(this.grabbedPanel, this._headPos, this.getHeadForward());
+        if (target) console.log(`[Input] Snapped panel '${this.grabbedPanel.id}' to ${target.kind} ${target.name}`);
       }
+      this.panelManager.endGroupMove();
       console.log(`[Input] Released panel '${this.grabbedPanel.id}' at (${
         this.grabbedPanel.mesh.position.x.toFixed(2)}, ${
         this.grabbedPanel.mesh.position.y.toFixed(2)}, ${
         this.grabbedPanel.mesh.position.z.toFixed(2)})`);
       this._highlightPanel(this.grabbedPanel, false);
+      for (const panel of this._carriedPanels) this._highlightPanel(panel, false);
       this.grabbedPanel = null;
       this.grabControllerIndex = -1;
+      this._carriedPanels = [];
+    }
+  }
+
+  /**
+   * Second grip on the grabbed panel (or a member of its carried group): from
+   * now on the hands set its size and rotation, and it stays where it sat
+   * relative to the point between them.
+   */
+  _beginTwoHandGrab(controllerIndex) {
+    const hit = this._raycastPanel(controllerIndex);
+    if (!hit || (hit.panel !== this.grabbedPanel && !this._carriedPanels.includes(hit.panel))) {
+      console.log('[Input] Second grip ignored: not on the grabbed panel');
+      return;
+    }
+    const [a, b] = this._readHandPositions(this.grabControllerIndex, controllerIndex);
+    const startDistance = a.distanceTo(b);
+    if (startDistance < this._minTwoHandDistance) return;
+
+    const mesh = this.grabbedPanel.mesh;
+    const midpoint = a.clone().add(b).multiplyScalar(0.5);
+    this._twoHandGrab = {
+      controllerIndex,
+      startDistance,
+      startHeight: this._pendingResizeHeight ?? this.grabbedPanel.config.height,
+      startAxis: b.clone().sub(a).normalize(),
+      startQuaternion: mesh.quaternion.clone(),
+      startOffset: mesh.position.clone().sub(midpoint),
+      turn: null, // rotation of the hand axis since the start
+    };
+    this._grabUsedTwoHands = true;
+    this.snapper.hidePreview();
+    console.log(`[Input] Two-handed grab on '${this.grabbedPanel.id}'`);
+  }
+
+  /**
+   * Scale by the change in distance between the hands (clamped like any
+   * resize) and turn by the change in the direction from one hand to the other.
+   */
+  _updateTwoHandGrab() {
+    const grab = this._twoHandGrab;
+    const [a, b] = this._readHandPositions(this.grabControllerIndex, grab.controllerIndex);
+    const distance = a.distanceTo(b);
+    const height = this._resizeGrabbed(grab.startHeight * Math.max(distance, this._minTwoHandDistance) / grab.startDistance);
+    const scale = height / grab.startHeight;
+
+    // Hands too close together have no direction: keep the last rotation
+    const mesh = this.grabbedPanel.mesh;
+    if (distance >= this._minTwoHandDistance) {
+      const axis = b.clone().sub(a).normalize();
+      grab.turn = new THREE.Quaternion().setFromUnitVectors(grab.startAxis, axis);
+      mesh.quaternion.copy(grab.turn).multiply(grab.startQuaternion);
+    }
+    mesh.position.copy(grab.startOffset).multiplyScalar(scale);
+    if (grab.turn) mesh.position.applyQuaternion(grab.turn);
+    mesh.position.addScaledVector(a, 0.5).addScaledVector(b, 0.5);
+  }
+
+  /**
+   * One hand let go: the other keeps holding the panel as a single-hand grab.
+   */
+  _endTwoHandGrab(releasedIndex) {
+    const remaining = releasedIndex === this.grabControllerIndex ? this._twoHandGrab.controllerIndex : this.grabControllerIndex;
+    this._twoHandGrab = null;
+    this.grabControllerIndex = remaining;
+    const [hand] = this._readHandPositions(remaining);
+    this.grabOffset.copy(this.grabbedPanel.mesh.position).sub(hand);
+    console.log(`[Input] Back to one-handed grab on '${this.grabbedPanel.id}' (controller ${remaining})`);
+  }
+
+  // World positions of the given controllers (reused vectors)
+  _readHandPositions(...controllerIndices) {
+    controllerIndices.forEach((index, i) => this.controllers[index].controller.getWorldPosition(this._handPositions[i]));
+    return this._handPositions;
+  }
+
+  /**
+   * Resize the grabbed panel (and its carried group) to a height, clamped so
+   * every member stays within minPanelHeight..maxPanelHeight. mesh.scale
+   * previews it every frame; geometry is rebuilt at most every _resizeThrottleMs.
+   * Returns the clamped height.
+   */
+  _resizeGrabbed(newHeight) {
+    const { min, max } = this.panelManager.groupHeightRange(this.grabbedPanel.id);
+    newHeight = THREE.MathUtils.clamp(newHeight, min, max);
+    if (Math.abs(newHeight - this.grabbedPanel.config.height) < 0.001) {
+      // Back at (or held at) the built size: nothing to preview or rebuild
+      this.grabbedPanel.mesh.scale.set(1, 1, 1);
+      this._pendingResizeHeight = null;
+      return newHeight;
     }
+
+    // Instant visual preview via mesh.scale (cheap, every frame)
+    const scaleFactor = newHeight / this.grabbedPanel.config.height;
+    this.grabbedPanel.mesh.scale.set(scaleFactor, scaleFactor, 1);
+    this._pendingResizeHeight = newHeight;
+
+    // Throttled geometry rebuild (expensive, every 200ms)
+    const now = Date.now();
+    if (now - this._lastResizeRebuildTime > this._resizeThrottleMs) {
+      this.panelManager.resizeGroup(this.grabbedPanel.id, newHeight);
+      this._pendingResizeHeight = null;
+      this._lastResizeRebuildTime = now;
+    }
+    return newHeight;
   }
 
   // ── Main update loop ───────────────────────────────────────────────
@@ -477,18 +992,34 @@ export class InputManager {
     // Poll face buttons
     this._checkBYButton();
     this._checkPickerToggle();
+    this._checkStatsToggle();
+    this._checkRightStickClick();
 
-    // Update grabbed panel position to follow controller
+    // Update grabbed panel position to follow controller (or both, two-handed)
     if (this.grabbedPanel && this.grabControllerIndex >= 0) {
-      const controller = this.controllers[this.grabControllerIndex].controller;
-      const controllerWorldPos = new THREE.Vector3();
-      controller.getWorldPosition(controllerWorldPos);
-      this.grabbedPanel.mesh.position.copy(controllerWorldPos).add(this.grabOffset);
+      if (this._twoHandGrab) {
+        this._updateTwoHandGrab();
+      } else {
+        const controller = this.controllers[this.grabControllerIndex].controller;
+        const controllerWorldPos = new THREE.Vector3();
+        controller.getWorldPosition(controllerWorldPos);
+        this.grabbedPanel.mesh.position.copy(controllerWorldPos).add(this.grabOffset);
+      }
+      if (this.snapEnabled && !this._grabUsedTwoHands) this.snapper.showPreview(this.grabbedPanel, this._headPos, this.getHeadForward());
     }
 
     // Thumbstick input
     this._processThumbstick();
 
+    // Virtual keyboard: pokes with the controller tips, key repeat
+    if (this.virtualKeyboard?.isVisible) {
+      this.controllers.forEach(({ controller }, i) => {
+        controller.getWorldPosition(this._tipWorldPos);
+        this.virtualKeyboard.updatePoke(i, this._tipWorldPos);
+      });
+      this.virtualKeyboard.update(performance.now());
+    }
+
     // Update laser pointer visuals, hover highlight, and send mouse position
     const now = Date.now();
     const sendMouse = now - this._lastMouseSendTime > this._mouseThrottleMs;
@@ -509,6 +1040,7 @@ export class InputManager {
       const uiTargets = [];
       if (this.exitButton) uiTargets.push(this.exitButton);
       if (this._addPanelButton) uiTargets.push(this._addPanelButton);
+      if (this._keyboardButton) uiTargets.push(this._keyboardButton);
       if (uiTargets.length > 0) {
         const uiHits = raycaster.intersectObjects(uiTargets, false);
         if (uiHits.length > 0 && uiHits[0].distance < hitDist) {
@@ -518,6 +1050,16 @@ export class InputManager {
         }
       }
 
+      // Check virtual keyboard (highlights the key under the laser)
+      if (this.virtualKeyboard?.isVisible) {
+        const keyHit = this.virtualKeyboard.getKeyAtIntersection(raycaster);
+        if (keyHit && keyHit.distance < hitDist) {
+          hitDist = keyHit.distance;
+          hitSomething = true;
+        }
+        this.virtualKeyboard.setHover(`laser-${i}`, keyHit?.def ?? null);
+      }
+
       // Check window picker cards
       if (this.windowPicker?.isVisible) {
         const pickerHit = this.windowPicker.getCardAtIntersection(raycaster);
@@ -531,6 +1073,14 @@ export class InputManager {
         }
       }
 
+      // Check window controls bar
+      const barHit = this.windowControls?.getButtonAtIntersection(raycaster);
+      if (barHit && barHit.distance < hitDist) {
+        hitDist = barHit.distance;
+        newHoveredMesh = barHit.button.mesh;
+        hitSomething = true;
+      }
+
       // Check panels
       const panelHit = this.panelManager.getPanelAtIntersection(raycaster);
       if (panelHit && panelHit.intersection.distance < hitDist) {
@@ -538,19 +1088,17 @@ export class InputManager {
         newHoveredMesh = panelHit.panel.mesh;
         hitSomething = true;
 
+        // Move mode: the window bar follows the panel being pointed at
+        if (this.windowControls && this._interactionMode === 'move' && !this.grabbedPanel) {
+          this.windowControls.showFor(panelHit.panel);
+        }
+
         // Send continuous mouse position (throttled, not while grabbing)
         if (sendMouse && !this.grabbedPanel && this._interactionMode === 'interact') {
+          // Hover, or drag while a button is down
           const uv = this.panelManager.getHitUV(panelHit.intersection);
           if (uv) {
-            const channel = this.inputChannels.get(panelHit.panel.id);
-            if (channel?.readyState === 'open') {
-              channel.send(JSON.stringify({
-                type: 'mousemove',
-                panelId: panelHit.panel.id,
-                u: uv.u,
-                v: uv.v,
-              }));
-            }
+            this._sendPointerEvent(panelHit.panel.id, { type: 'mousemove', u: uv.u, v: uv.v });
           }
         }
       }
@@ -575,6 +1123,8 @@ export class InputManager {
     }
 
     this._updateHover(newHoveredMesh);
+    this.windowControls?.update();
+    this._updateCropSelection();
     if (sendMouse) this._lastMouseSendTime = now;
   }
 
@@ -615,9 +1165,9 @@ export class InputManager {
     const sources = session.inputSources;
     if (!sources) return;
 
-    // When grabbing: resize (Y) and push/pull distance (X)
+    // When grabbing: resize (Y) and push/pull distance (X); both hands on the panel set those instead
     if (this.grabbedPanel && this.grabControllerIndex >= 0) {
-      if (this.grabControllerIndex >= sources.length) return;
+      if (this._twoHandGrab || this.grabControllerIndex >= sources.length) return;
       const source = sources[this.grabControllerIndex];
       if (!source?.gamepad) return;
 
@@ -626,28 +1176,10 @@ export class InputManager {
       const thumbY = axes.length > 3 ? axes[3] : 0;
       const deadzone = 0.15;
 
-      // Y axis: resize panel (aspect-locked)
+      // Y axis: resize panel (aspect-locked; a carried group resizes with it)
       if (Math.abs(thumbY) > deadzone) {
-        const currentHeight = this.grabbedPanel.config.height;
         const delta = thumbY * -0.008; // up = grow
-        const newHeight = THREE.MathUtils.clamp(
-          currentHeight + delta,
-          this.panelManager.minPanelHeight,
-          this.panelManager.maxPanelHeight
-        );
-
-        // Instant visual preview via mesh.scale (cheap, every frame)
-        const scaleFactor = newHeight / this.grabbedPanel.config.height;
-        this.grabbedPanel.mesh.scale.set(scaleFactor, scaleFactor, 1);
-        this._pendingResizeHeight = newHeight;
-
-        // Throttled geometry rebuild (expensive, every 200ms)
-        const now = Date.now();
-        if (now - this._lastResizeRebuildTime > this._resizeThrottleMs) {
-          this.panelManager.resizePanel(this.grabbedPanel.id, newHeight);
-          this._pendingResizeHeight = null;
-          this._lastResizeRebuildTime = now;
-        }
+        this._resizeGrabbed(this.grabbedPanel.config.height + delta);
       }
 
       // X axis: push/pull distance from controller
@@ -663,25 +1195,23 @@ export class InputManager {
       return;
     }
 
-    // When not grabbing: scroll panel being pointed at (interact mode only)
+    // When not grabbing: scroll panel being pointed at (interact mode only),
+    // Y = vertical, X = horizontal
     if (this._interactionMode === 'interact') {
       for (let i = 0; i < Math.min(sources.length, 2); i++) {
         const source = sources[i];
         if (!source?.gamepad) continue;
         const axes = source.gamepad.axes;
+        const thumbX = axes.length > 2 ? axes[2] : 0;
         const thumbY = axes.length > 3 ? axes[3] : 0;
+        const deltaX = Math.abs(thumbX) > 0.2 ? Math.round(thumbX * 3) : 0;
+        const deltaY = Math.abs(thumbY) > 0.2 ? Math.round(thumbY * 3) : 0;
 
-        if (Math.abs(thumbY) > 0.2) {
+        if (deltaX || deltaY) {
           const hit = this._raycastPanel(i);
-          if (hit) {
-            const channel = this.inputChannels.get(hit.panel.id);
-            if (channel?.readyState === 'open') {
-              channel.send(JSON.stringify({
-                type: 'scroll',
-                panelId: hit.panel.id,
-                deltaY: Math.round(thumbY * 3),
-              }));
-            }
+          const uv = hit && this.panelManager.getHitUV(hit.intersection);
+          if (uv) {
+            this._sendPointerEvent(hit.panel.id, { type: 'scroll', u: uv.u, v: uv.v, deltaX, deltaY });
           }
         }
       }
@@ -785,9 +1315,56 @@ export class InputManager {
     }
   }
 
+  /**
+   * Left thumbstick click (index 3): toggle the stream stats overlay.
+   */
+  _checkStatsToggle() {
+    const session = this.renderer.xr.getSession();
+    if (!session?.inputSources) return;
+
+    const source = Array.from(session.inputSources).find(s => s.handedness === 'left');
+    const gp = source?.gamepad;
+    const pressed = !!gp && gp.buttons.length > 3 && gp.buttons[3].pressed;
+
+    if (pressed && !this._leftStickWasPressed && this.onStatsToggled) {
+      this.onStatsToggled();
+    }
+    this._leftStickWasPressed = pressed;
+  }
+
+  /**
+   * Right thumbstick click (index 3): next layout preset in Move mode; in
+   * Interact mode the middle mouse button on the panel the right controller points at.
+   */
+  _checkRightStickClick() {
+    const session = this.renderer.xr.getSession();
+    if (!session?.inputSources) return;
+
+    const sources = Array.from(session.inputSources);
+    const index = sources.findIndex(s => s.handedness === 'right');
+    const gp = sources[index]?.gamepad;
+    const pressed = index >= 0 && index < this.controllers.length &&
+      !!gp && gp.buttons.length > 3 && gp.buttons[3].pressed;
+
+    if (pressed && !this._rightStickWasPressed) {
+      if (this._interactionMode === 'interact') {
+        this._pressPointer(index, MOUSE_BUTTONS.middle);
+      } else if (!this.grabbedPanel && this.onLayoutCycle) {
+        this.onLayoutCycle();
+      }
+    }
+    if (!pressed && this._rightStickWasPressed) {
+      this._releasePointer(index, MOUSE_BUTTONS.middle);
+    }
+    this._rightStickWasPressed = pressed;
+  }
+
   _toggleInteractionMode() {
     this._interactionMode = this._interactionMode === 'move' ? 'interact' : 'move';
     console.log(`[Input] Mode switched to: ${this._interactionMode.toUpperCase()}`);
+    if (this._interactionMode === 'interact') this.windowControls?.hide();
+    this.cancelCropSelection();
+    this.cancelGroupSelection();
 
     const color = this._interactionMode === 'move' ? 0x4488ff : 0xff8844;
     for (const { line } of this.controllers) {
@@ -813,7 +1390,7 @@ export class InputManager {
   }
 
   /**
-   * Position the exit/add buttons below the panels, facing the user.
+   * Position the exit/keyboard/add buttons below the panels, facing the user.
    */
   repositionButtons() {
     this._repositionButtons();
@@ -828,7 +1405,7 @@ export class InputManager {
     const right = new THREE.Vector3(-fwd.z, 0, fwd.x);
 
     if (this.exitButton) {
-      const pos = buttonCenter.clone().add(right.clone().multiplyScalar(-0.12));
+      const pos = buttonCenter.clone().add(right.clone().multiplyScalar(-0.23));
       pos.y = buttonY;
       this.exitButton.position.copy(pos);
       // Face button toward user
@@ -837,8 +1414,17 @@ export class InputManager {
       this.exitButton.rotation.set(0, Math.atan2(dx, dz), 0);
     }
 
+    if (this._keyboardButton) {
+      const pos = buttonCenter.clone();
+      pos.y = buttonY;
+      this._keyboardButton.position.copy(pos);
+      const dx = this._headPos.x - pos.x;
+      const dz = this._headPos.z - pos.z;
+      this._keyboardButton.rotation.set(0, Math.atan2(dx, dz), 0);
+    }
+
     if (this._addPanelButton) {
-      const pos = buttonCenter.clone().add(right.clone().multiplyScalar(0.12));
+      const pos = buttonCenter.clone().add(right.clone().multiplyScalar(0.23));
       pos.y = buttonY;
       this._addPanelButton.position.copy(pos);
       const dx = this._headPos.x - pos.x;
@@ -849,13 +1435,6 @@ export class InputManager {
 
   // ── Helpers ────────────────────────────────────────────────────────
 
-  _snapToGrid(mesh) {
-    const g = this.snapGridSize;
-    mesh.position.x = Math.round(mesh.position.x / g) * g;
-    mesh.position.y = Math.round(mesh.position.y / g) * g;
-    mesh.position.z = Math.round(mesh.position.z / g) * g;
-  }
-
   _raycastPanel(controllerIndex) {
     const { controller } = this.controllers[controllerIndex];
     // Force matrix update — events fire before renderer.render() calls scene.updateMatrixWorld()
@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+
+// Zones around the head a dragged panel snaps into: a direction from the head
+// as yaw (degrees, + to the right of forward) and pitch (degrees, + up). The
+// panel keeps its distance, so the thumbstick still sets how far it sits.
+export const SNAP_ZONES = [
+  { name: 'center', yaw: 0, pitch: 0 },
+  { name: 'left', yaw: -45, pitch: 0 },
+  { name: 'right', yaw: 45, pitch: 0 },
+  { name: 'above', yaw: 0, pitch: 30 },
+  { name: 'below', yaw: 0, pitch: -25 },
+];
+
+const ZONE_RADIUS = THREE.MathUtils.degToRad(10); // panel center this close to a zone snaps into it
+const EDGE_SNAP = 0.08; // meters between facing edges that pull panels flush
+const ALIGN_SNAP = 0.08; // meters off a neighbor's center / top / side that get aligned with it
+const DEPTH_SNAP = 0.4; // neighbors further in front or behind than this don't attract
+const GAP = 0.02; // meters left between flush panels
+const PREVIEW_COLOR = 0x44ddff;
+
+const _offset = new THREE.Vector3();
+const _facing = new THREE.Object3D();
+
+/**
+ * Snapping for dragged panels, replacing a plain world grid: head-relative
+ * zones (center, left, right, above, below) and edge magnetism, which puts a
+ * panel flush beside or above a neighbor on the same curve around the user.
+ * Neighbors win over zones. An outline previews the landing spot during the
+ * drag; dropped panels always end up facing the user.
+ */
+export class PanelSnapper {
+  constructor(scene, panelManager) {
+    this.scene = scene;
+    this.panelManager = panelManager;
+    this.zones = SNAP_ZONES;
+    this._preview = null; // LineLoop outline of the landing spot
+  }
+
+  /**
+   * Where `panel` would land if dropped now: { position, quaternion, kind: 'zone' | 'edge', name },
+   * or null to leave it where it is.
+   */
+  find(panel, headPos, headForward) {
+    const headYaw = Math.atan2(headForward.x, -headForward.z);
+    const dragged = this._polar(panel, headPos, headYaw);
+    return this._edgeSnap(panel, dragged, headPos, headYaw) ?? this._zoneSnap(dragged, headPos, headYaw);
+  }
+
+  /**
+   * Outline the landing spot of a panel being dragged (call every frame of the drag).
+   */
+  showPreview(panel, headPos, headForward) {
+    const target = this.find(panel, headPos, headForward);
+    if (!target) {
+      this.hidePreview();
+      return;
+    }
+    const outline = this._ensurePreview();
+    outline.position.copy(target.position);
+    outline.quaternion.copy(target.quaternion);
+    outline.scale.set(panel.config.width * panel.mesh.scale.x, panel.config.height * panel.mesh.scale.y, 1);
+    outline.visible = true;
+  }
+
+  hidePreview() {
+    if (this._preview) this._preview.visible = false;
+  }
+
+  /**
+   * Drop a dragged panel: onto its snap target if there is one, and turned to
+   * face the user either way. Returns the target used, or null.
+   */
+  drop(panel, headPos, headForward) {
+    this.hidePreview();
+    const target = this.find(panel, headPos, headForward);
+    if (target) {
+      panel.mesh.position.copy(target.position);
+      panel.mesh.quaternion.copy(target.quaternion);
+    } else {
+      panel.mesh.quaternion.copy(faceHead(panel.mesh.position, headPos, false));
+    }
+    return target;
+  }
+
+  // Panel center around the head: yaw (world, radians), height, horizontal distance, size in meters
+  _polar(panel, headPos, headYaw) {
+    _offset.subVectors(panel.mesh.position, headPos);
+    const distance = Math.hypot(_offset.x, _offset.z);
+    return {
+      yaw: headYaw + normalizeAngle(Math.atan2(_offset.x, -_offset.z) - headYaw),
+      y: panel.mesh.position.y,
+      distance,
+      range: _offset.length(),
+      width: panel.config.width * panel.mesh.scale.x,
+      height: panel.config.height * panel.mesh.scale.y,
+    };
+  }
+
+  _zoneSnap(dragged, headPos, headYaw) {
+    const pitch = Math.atan2(dragged.y - headPos.y, dragged.distance);
+    const yaw = normalizeAngle(dragged.yaw - headYaw);
+    let best = null;
+    let bestError = ZONE_RADIUS;
+    for (const zone of this.zones) {
+      const zoneYaw = THREE.MathUtils.degToRad(zone.yaw);
+      const zonePitch = THREE.MathUtils.degToRad(zone.pitch);
+      const error = Math.hypot(normalizeAngle(yaw - zoneYaw), pitch - zonePitch);
+      if (error >= bestError) continue;
+      bestError = error;
+      best = zone;
+    }
+    if (!best) return null;
+
+    const worldYaw = headYaw + THREE.MathUtils.degToRad(best.yaw);
+    const pitchRad = THREE.MathUtils.degToRad(best.pitch);
+    const position = new THREE.Vector3(
+      Math.sin(worldYaw) * Math.cos(pitchRad),
+      Math.sin(pitchRad),
+      -Math.cos(worldYaw) * Math.cos(pitchRad),
+    ).multiplyScalar(dragged.range).add(headPos);
+    return { position, quaternion: faceHead(position, headPos, true), kind: 'zone', name: best.name };
+  }
+
+  // Flush against the nearest neighbor edge: beside it (same curve, edges touching)
+  // or stacked above / below it; the other axis aligns when close
+  _edgeSnap(panel, dragged, headPos, headYaw) {
+    let best = null;
+    let bestError = EDGE_SNAP;
+    const group = this.panelManager.groupOf(panel.id);
+    for (const other of this.panelManager.panels.values()) {
+      if (other === panel) continue;
+      if (group?.locked && group.members.has(other.id)) continue; // carried along, not a neighbor
+      const neighbor = this._polar(other, headPos, headYaw);
+      if (Math.abs(neighbor.distance - dragged.distance) > DEPTH_SNAP) continue;
+
+      const d = neighbor.distance;
+      const halfNeighbor = Math.atan(neighbor.width / 2 / d);
+      const halfDragged = Math.atan(dragged.width / 2 / d);
+      const yawOffset = normalizeAngle(dragged.yaw - neighbor.yaw);
+      const yOffset = dragged.y - neighbor.y;
+
+      // Beside: the facing edges touch; needs some vertical overlap
+      if (Math.abs(yOffset) < (neighbor.height + dragged.height) / 2) {
+        for (const side of [-1, 1]) {
+          const yaw = side * (halfNeighbor + halfDragged + GAP / d);
+          const error = Math.abs(yawOffset - yaw) * d;
+          if (error >= bestError) continue;
+          bestError = error;
+          best = { yaw: neighbor.yaw + yaw, y: neighbor.y + alignHeight(yOffset, neighbor, dragged), d, name: side < 0 ? 'left-of' : 'right-of', other };
+        }
+      }
+
+      // Stacked: bottom on top (or top on bottom); needs some horizontal overlap
+      if (Math.abs(yawOffset) < halfNeighbor + halfDragged) {
+        for (const side of [-1, 1]) {
+          const y = side * ((neighbor.height + dragged.height) / 2 + GAP);
+          const error = Math.abs(yOffset - y);
+          if (error >= bestError) continue;
+          bestError = error;
+          best = { yaw: neighbor.yaw + alignYaw(yawOffset, halfNeighbor, halfDragged, d), y: neighbor.y + y, d, name: side < 0 ? 'below' : 'above', other };
+        }
+      }
+    }
+    if (!best) return null;
+
+    const position = new THREE.Vector3(
+      headPos.x + Math.sin(best.yaw) * best.d,
+      best.y,
+      headPos.z - Math.cos(best.yaw) * best.d,
+    );
+    return { position, quaternion: faceHead(position, headPos, false), kind: 'edge', name: `${best.name} ${best.other.id}` };
+  }
+
+  _ensurePreview() {
+    if (!this._preview) {
+      const corners = [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]].map(([x, y]) => new THREE.Vector3(x, y, 0));
+      const material = new THREE.LineBasicMaterial({ color: PREVIEW_COLOR, transparent: true, opacity: 0.8, depthTest: false });
+      this._preview = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(corners), material);
+      this._preview.renderOrder = 1000;
+      this._preview.visible = false;
+      this.scene.add(this._preview);
+    }
+    return this._preview;
+  }
+}
+
+// Vertical offset from a neighbor for a panel beside it: centers or tops line up when close
+function alignHeight(yOffset, neighbor, dragged) {
+  if (Math.abs(yOffset) < ALIGN_SNAP) return 0;
+  const topsAligned = (neighbor.height - dragged.height) / 2;
+  if (Math.abs(yOffset - topsAligned) < ALIGN_SNAP) return topsAligned;
+  return yOffset;
+}
+
+// Yaw offset from a neighbor for a panel stacked on it: centers or left edges line up when close
+function alignYaw(yawOffset, halfNeighbor, halfDragged, distance) {
+  if (Math.abs(yawOffset) * distance < ALIGN_SNAP) return 0;
+  const leftAligned = halfDragged - halfNeighbor;
+  if (Math.abs(yawOffset - leftAligned) * distance < ALIGN_SNAP) return leftAligned;
+  return yawOffset;
+}
+
+// Orientation with the panel's front (+Z) toward the head; level (turned about Y only) unless tilt
+function faceHead(position, headPos, tilt) {
+  _facing.position.copy(position);
+  _facing.rotation.set(0, 0, 0);
+  if (tilt) {
+    _facing.lookAt(headPos);
+  } else {
+    _facing.rotation.y = Math.atan2(headPos.x - position.x, headPos.z - position.z);
+  }
+  return _facing.quaternion.clone();
+}
+
+function normalizeAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
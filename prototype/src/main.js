@@ -4,6 +4,19 @@ import { PanelManager } from './scene/PanelManager.js';
 import { InputManager } from './input/InputManager.js';
 import { StreamClient } from './streaming/StreamClient.js';
 import { WindowPicker } from './scene/WindowPicker.js';
+import { VirtualKeyboard } from './scene/VirtualKeyboard.js';
+import { WindowControls } from './scene/WindowControls.js';
+import { Workspace } from './scene/Workspace.js';
+import { LayoutPresets } from './scene/LayoutPresets.js';
+import { CLIPBOARD_MAX_LENGTH } from '../../shared/protocol/signaling.js';
+
+const SESSION_TOKEN_KEY = 'haloview.sessionToken';
+const WORKSPACE_SAVE_MS = 2000; // layout changes are saved at most this often
+const WORKSPACE_RESTORE_TIMEOUT_MS = 5000; // capture apps without workspaces never reply
+const PAIRING_ERRORS = {
+  'invalid-code': 'Invalid or expired code',
+  'too-many-attempts': 'Too many wrong codes. Try again in a few minutes.',
+};
 
 class HaloViewApp {
   constructor() {
@@ -14,8 +27,16 @@ class HaloViewApp {
     this.inputManager = null;
     this.streamClient = null;
     this.windowPicker = null;
+    this.virtualKeyboard = null;
     this.controllers = [];
     this._panelSourceIds = new Map(); // panelId -> sourceId (for re-capture on orientation change)
+    this._clipboardEnabled = true;
+    this._clipboardText = null; // last text copied on a PC or pasted into the page
+    this.workspace = null;
+    this.layouts = new LayoutPresets();
+    this._workspaceState = 'idle'; // 'idle' | 'restoring' | 'done'
+    this._workspaceTimer = null;
+    this._windowList = [];
   }
 
   async init() {
@@ -45,21 +66,45 @@ class HaloViewApp {
     // Panel manager — panels are created dynamically when streams arrive
     this.panelManager = new PanelManager(this.scene, this.renderer);
 
+    // Saved panel arrangement (?workspace=name; 'default' otherwise), restored on connect
+    this.workspace = new Workspace(this.panelManager, new URLSearchParams(location.search).get('workspace') || 'default');
+
     // Window picker — 3D overlay for selecting PC windows from VR
     this.windowPicker = new WindowPicker(this.scene);
 
+    // Virtual keyboard — types into the keyboard target panel
+    this.virtualKeyboard = new VirtualKeyboard(this.scene);
+
+    // Window controls bar — shown under the panel pointed at in Move mode
+    this.windowControls = new WindowControls(this.panelManager);
+
     // Input handling
     this.inputManager = new InputManager(this.renderer, this.scene, this.camera, this.panelManager);
     this.inputManager.setupControllers();
     this.inputManager.createExitButton();
     this.inputManager.createAddPanelButton();
+    this.inputManager.createKeyboardButton();
+    this.inputManager.setupKeyboard();
     this.inputManager.windowPicker = this.windowPicker;
+    this.inputManager.virtualKeyboard = this.virtualKeyboard;
+    this.inputManager.windowControls = this.windowControls;
+    this.virtualKeyboard.onKeyEvent = (event) => this.inputManager.sendKeyboardEvent(event);
+    this.virtualKeyboard.onPaste = () => this._pasteClipboard();
 
-    // Recenter callback — re-place buttons when user recenters
+    // Recenter callback — re-place buttons when user recenters (back to the default arc)
     this.inputManager.onRecenter = () => {
+      this.workspace.setAnchor(this.inputManager.getHeadPosition(), this.inputManager.getHeadForward());
+      this.layouts.clear();
       console.log('[HaloView] Workspace recentered');
     };
 
+    // Layout presets (built-in plus layouts.json) — right thumbstick click in Move mode
+    this.layouts.load();
+    this.inputManager.onLayoutCycle = () => {
+      if (this.panelManager.panels.size === 0) return;
+      this._applyLayout(this.layouts.next());
+    };
+
     // Window selection from picker -> request capture from Electron app
     this.inputManager.onWindowSelected = (sourceId, panelId, orientation) => {
       if (this.streamClient.capturePeerIds.length > 0) {
@@ -75,6 +120,72 @@ class HaloViewApp {
       }
     };
 
+    // Launcher card from picker -> the capture app starts the app and streams its window
+    this.inputManager.onLaunchApp = (launcherId, panelId) => {
+      if (this.streamClient.capturePeerIds.length === 0) {
+        console.warn('[HaloView] No capture peer connected');
+        this._updateInfo('No PC capture app connected');
+        return;
+      }
+      this.streamClient.launchApp(this.streamClient.capturePeerIds[0], launcherId, panelId);
+      this.windowPicker.hide();
+      this._updateInfo(`Launching ${launcherId} for ${panelId}...`);
+    };
+
+    // Window bar -> window-command to the capture app (the panel reshapes
+    // itself when the resulting window-bounds update comes back). Crop is
+    // local first: the region is dragged on the panel before anything is sent.
+    // Group and Lock never leave the viewer.
+    this.windowControls.onCommand = (panelId, action) => {
+      if (action === 'crop') {
+        this.inputManager.startCropSelection(panelId);
+        this._updateInfo(`Drag a region on ${panelId} with the trigger`);
+        return;
+      }
+      if (action === 'group') {
+        if (this.panelManager.groupOf(panelId)) {
+          this.panelManager.ungroupPanel(panelId);
+          this._updateInfo(`Ungrouped ${panelId}`);
+        } else {
+          this.inputManager.startGroupSelection(panelId);
+          this._updateInfo(`Point at a panel to group with ${panelId} and pull the trigger`);
+        }
+        return;
+      }
+      if (action === 'lock') {
+        const group = this.panelManager.groupOf(panelId);
+        if (group) {
+          this.panelManager.setGroupLocked(group.id, !group.locked);
+          this._updateInfo(group.locked ? 'Group locked: grab any panel to move them all' : 'Group unlocked: panels move one at a time');
+        }
+        return;
+      }
+      if (this.streamClient.capturePeerIds.length === 0) {
+        this._updateInfo('No PC capture app connected');
+        return;
+      }
+      this.streamClient.sendWindowCommand(this.streamClient.capturePeerIds[0], panelId, action);
+      console.log(`[HaloView] Window command '${action}' for ${panelId}`);
+    };
+
+    // Dragged crop region -> the capture app streams it as a new panel
+    this.inputManager.onCropSelected = (panelId, rect) => {
+      if (this.streamClient.capturePeerIds.length === 0) {
+        this._updateInfo('No PC capture app connected');
+        return;
+      }
+      const newPanelId = this.windowPicker.getNextPanelId();
+      this.streamClient.cropPanel(this.streamClient.capturePeerIds[0], panelId, newPanelId, rect);
+      this._updateInfo(`Cropping ${panelId} into ${newPanelId}...`);
+    };
+
+    // Second panel picked after the Group button
+    this.inputManager.onGroupSelected = (panelId, otherPanelId) => {
+      const group = this.panelManager.groupPanels(panelId, otherPanelId);
+      this.windowControls.refresh();
+      if (group) this._updateInfo(`Grouped ${group.members.size} panels`);
+    };
+
     // Panel dismissal (grab + throw far)
     this.inputManager.onPanelDismissed = (panelId) => {
       if (this.streamClient.capturePeerIds.length > 0) {
@@ -83,9 +194,14 @@ class HaloViewApp {
       }
       this.panelManager.removePanel(panelId);
       this._panelSourceIds.delete(panelId);
-      const headPos = this.inputManager.getHeadPosition();
-      const headFwd = this.inputManager.getHeadForward();
-      this.panelManager.arrangeCurved(1.4, headPos.y, 60, headPos, headFwd);
+      this.workspace.placeholders.delete(panelId);
+      if (this.layouts.current) {
+        this._applyLayout(this.layouts.current);
+      } else if (!this.workspace.restored) {
+        const headPos = this.inputManager.getHeadPosition();
+        const headFwd = this.inputManager.getHeadForward();
+        this.panelManager.arrangeCurved(1.4, headPos.y, 60, headPos, headFwd);
+      }
       this._updateInfo(`${this.panelManager.panels.size} panel(s) streaming`);
     };
 
@@ -105,9 +221,15 @@ class HaloViewApp {
       const session = this.renderer.xr.getSession();
       this.panelManager.initXRLayers(session, this.renderer);
 
-      // Delay recenter to let head tracking initialize, then snap panels in front of user
+      // Delay recenter to let head tracking initialize, then snap panels in front of user.
+      // A restored workspace or a layout preset keeps its arrangement and only moves to the new head pose.
       setTimeout(() => {
-        if (this.panelManager.panels.size > 0) {
+        if (this.panelManager.panels.size === 0) return;
+        if (this.workspace.restored || this.layouts.current) {
+          this.workspace.moveAnchor(this.inputManager.getHeadPosition(), this.inputManager.getHeadForward());
+          this.inputManager.repositionButtons();
+          console.log('[HaloView] Moved workspace in front of the user on VR session start');
+        } else {
           this.inputManager._recenter();
           console.log('[HaloView] Auto-recentered panels on VR session start');
         }
@@ -135,7 +257,39 @@ class HaloViewApp {
     const proto = location.protocol === 'https:' ? 'wss' : 'ws';
     const signalingUrl = `${proto}://${location.host}/signal`;
 
-    this.streamClient = new StreamClient(signalingUrl);
+    // Room must match the capture app's (?room=name; 'default' otherwise).
+    // ?mux=1 streams all panels over one PeerConnection per capture peer.
+    const params = new URLSearchParams(location.search);
+    this.streamClient = new StreamClient(signalingUrl, {
+      token: localStorage.getItem(SESSION_TOKEN_KEY),
+      room: params.get('room') || 'default',
+      multiplex: params.get('mux') === '1',
+    });
+
+    // Pairing: the PC capture app shows a short code; enter it here (or open ?pair=CODE)
+    const pairParam = params.get('pair');
+    this.streamClient.onPairingRequired = (reason) => {
+      localStorage.removeItem(SESSION_TOKEN_KEY);
+      if (pairParam && reason === 'unpaired') {
+        console.log('[HaloView] Pairing with code from URL');
+        this.streamClient.pair(pairParam);
+        return;
+      }
+      if (reason === 'invalid-token') {
+        // The saved session was revoked on the PC (or the server restarted)
+        console.log('[HaloView] Stored session is no longer valid');
+        this._showPairingForm();
+        this._updateInfo('This headset is no longer paired. Enter the code shown on the PC to pair again.');
+        return;
+      }
+      this._showPairingForm(PAIRING_ERRORS[reason] ?? '');
+      this._updateInfo('Pairing required. Enter the code shown on the PC.');
+    };
+    this.streamClient.onToken = (token) => {
+      localStorage.setItem(SESSION_TOKEN_KEY, token);
+      this._hidePairingForm();
+      console.log('[HaloView] Paired with signaling server');
+    };
 
     // When a video stream arrives, create a panel if it doesn't exist, then attach
     this.streamClient.onStream = (panelId, mediaStream) => {
@@ -162,15 +316,21 @@ class HaloViewApp {
           label: panelId,
         });
 
-        // If multiple panels, arrange in a curve around user's CURRENT forward
-        if (this.panelManager.panels.size > 1) {
-          const headFwd = this.inputManager.getHeadForward();
-          this.panelManager.arrangeCurved(1.4, headPos.y, 60, headPos, headFwd);
+        // A layout preset makes room for the new panel; a restored workspace stays as
+        // it was saved and the new panel just appears in front.
+        // Otherwise, if multiple panels, arrange in a curve around user's CURRENT forward
+        if (this.layouts.current) {
+          this._applyLayout(this.layouts.current);
+        } else if (!this.workspace.restored) {
+          if (this.panelManager.panels.size > 1) {
+            const headFwd = this.inputManager.getHeadForward();
+            this.panelManager.arrangeCurved(1.4, headPos.y, 60, headPos, headFwd);
+          }
+
+          // Recenter after adding a panel so everything is in front of user
+          this.inputManager._recenter();
         }
 
-        // Always recenter after adding a panel so everything is in front of user
-        this.inputManager._recenter();
-
         // Position buttons relative to user after first panel arrives
         if (isFirstPanel) {
           this.inputManager.repositionButtons();
@@ -178,6 +338,7 @@ class HaloViewApp {
 
         console.log(`[HaloView] Created panel '${panelId}' at (${panelPos.x.toFixed(2)}, ${panelPos.y.toFixed(2)}, ${panelPos.z.toFixed(2)}) (${this.panelManager.panels.size} total)`);
       }
+      this.workspace.placeholders.delete(panelId); // its window is back
 
       // Prefer XRQuadLayer (native compositor path — same as Quest system menus).
       // Falls back to VideoTexture if layers aren't supported.
@@ -198,27 +359,75 @@ class HaloViewApp {
       console.log(`[HaloView] Input channel wired for panel '${panelId}'`);
     };
 
+    // Per-panel WebRTC recovery (ICE restart, then re-request) — badge on the panel + HUD text
+    this.streamClient.onPanelConnectionState = (panelId, state) => {
+      this.panelManager.setConnectionState(panelId, state);
+      if (state === 'reconnecting') {
+        this._updateInfo(`Panel '${panelId}' reconnecting...`);
+      } else if (state === 'failed') {
+        this._updateInfo(`Panel '${panelId}' lost its stream`);
+      } else if (state === 'connected') {
+        this._updateInfo(`${this.panelManager.panels.size} panel(s) streaming`);
+      }
+    };
+
+    // Gaze focus -> capture side shifts bitrate/frame rate to the focused panel
+    this.panelManager.onFocusChange = (panelId) => {
+      this.streamClient.reportFocus(panelId);
+    };
+
+    // Per-panel getStats() metrics -> stats overlay (left thumbstick click toggles it)
+    this.streamClient.onStats = (stats) => {
+      this.panelManager.updateStats(stats);
+    };
+    this.inputManager.onStatsToggled = () => {
+      const visible = this.panelManager.toggleStats();
+      if (visible) this.panelManager.updateStats(this.streamClient.panelStats);
+    };
+    this.streamClient.startStatsPolling();
+
+    this.streamClient.onLaunchFailed = (panelId, launcherId, error) => {
+      this._updateInfo(`Could not launch ${launcherId}: ${error}`);
+    };
+
+    // Saved workspace from the capture app (asked for on the first window list)
+    this.streamClient.onWorkspace = (name, panels) => this._onWorkspace(name, panels);
+
+    // Clipboard: PC copies show on the HUD; Paste on the virtual keyboard (or the
+    // browser's own paste) sends text to the PC and pastes it into the keyboard
+    // target panel. ?clipboard=off disables both directions.
+    this._clipboardEnabled = params.get('clipboard') !== 'off';
+    if (this._clipboardEnabled) {
+      this.streamClient.onClipboard = (content) => this._onPCClipboard(content);
+      window.addEventListener('paste', (e) => this._onPagePaste(e));
+    } else {
+      this.inputManager.setClipboardSummary('sync off');
+    }
+
+    // Captured window resized / minimized on the PC -> reshape or badge its panel
+    this.streamClient.onWindowBounds = (panelId, bounds) => {
+      this.panelManager.updateSourceBounds(panelId, bounds);
+    };
+
     // Window list from Electron capture app
-    this.streamClient.onWindowList = (windows) => {
-      console.log(`[HaloView] Window list: ${windows.length} windows, capturePeers: ${this.streamClient.capturePeerIds.length}, panels: ${this.panelManager.panels.size}`);
-      this.windowPicker.updateWindowList(windows);
-
-      // Auto-capture primary display on first connect (no picker needed)
-      if (this.panelManager.panels.size === 0 && this.streamClient.capturePeerIds.length > 0) {
-        const primaryScreen = windows.find(w => w.sourceId.startsWith('screen:'));
-        if (primaryScreen) {
-          const captureId = this.streamClient.capturePeerIds[0];
-          const panelId = 'panel-main';
-          this.streamClient.requestWindowCapture(captureId, primaryScreen.sourceId, panelId, 'landscape');
-          this._panelSourceIds.set(panelId, primaryScreen.sourceId);
-          this.windowPicker._nextPanelId = 2;
-          this._updateInfo('Streaming primary display...');
-          console.log(`[HaloView] Auto-capturing primary display: ${primaryScreen.name}`);
-        } else {
-          // No screens found, show picker as fallback
-          this.windowPicker.show();
-          this._updateInfo(`${windows.length} windows available. Press A/X to pick.`);
-        }
+    this.streamClient.onWindowList = (windows, launchers) => {
+      console.log(`[HaloView] Window list: ${windows.length} windows, ${launchers.length} launchers, capturePeers: ${this.streamClient.capturePeerIds.length}, panels: ${this.panelManager.panels.size}`);
+      this.windowPicker.updateWindowList(windows, launchers);
+      this._windowList = windows;
+      if (this.streamClient.capturePeerIds.length === 0) return;
+
+      // First list from a capture app: bring back the saved workspace before anything else
+      if (this._workspaceState === 'idle') {
+        this._workspaceState = 'restoring';
+        this.streamClient.restoreWorkspace(this.streamClient.capturePeerIds[0], this.workspace.name);
+        this._workspaceTimer = setTimeout(() => this._onWorkspace(this.workspace.name, null), WORKSPACE_RESTORE_TIMEOUT_MS);
+        this._updateInfo(`Restoring workspace '${this.workspace.name}'...`);
+        return;
+      }
+      if (this._workspaceState === 'restoring') return;
+
+      if (this.panelManager.panels.size === 0) {
+        this._autoCapture(windows);
       } else {
         this._updateInfo(`${this.panelManager.panels.size} panel(s). Press A/X to add more.`);
       }
@@ -231,9 +440,18 @@ class HaloViewApp {
       this.streamClient.requestWindowList();
     };
 
+    // Signaling drops are retried in the background; streams keep playing meanwhile
+    this.streamClient.onConnectionStateChange = (state) => {
+      if (state === 'reconnecting') {
+        this._updateInfo('Signaling lost. Reconnecting...');
+      } else if (state === 'resumed') {
+        this._updateInfo(`Reconnected. ${this.panelManager.panels.size} panel(s) streaming`);
+      }
+    };
+
     try {
       await this.streamClient.connect();
-      console.log('[HaloView] Connected to signaling server');
+      console.log(`[HaloView] Connected to signaling server (room '${this.streamClient.room}')`);
       this._updateInfo('Connected. Waiting for window list...');
       this.streamClient.requestWindowList();
     } catch (err) {
@@ -242,6 +460,150 @@ class HaloViewApp {
     }
   }
 
+  /**
+   * Glide the panels into a layout preset around the user's current head pose.
+   */
+  _applyLayout(preset) {
+    if (!preset) return;
+    const headPos = this.inputManager.getHeadPosition();
+    const headFwd = this.inputManager.getHeadForward();
+    const targets = this.layouts.targets(preset, this.panelManager.panels.values(), headPos, headFwd, this.panelManager.focusedPanelId);
+    for (const [panelId, target] of targets) {
+      this.panelManager.animatePanel(panelId, target);
+    }
+    this.workspace.setAnchor(headPos, headFwd);
+    this.inputManager.repositionButtons();
+    this._updateInfo(`Layout: ${preset.name} (${this.panelManager.panels.size} panel(s))`);
+    console.log(`[HaloView] Applied layout preset '${preset.name}'`);
+  }
+
+  /**
+   * Auto-capture primary display on first connect (no picker needed).
+   */
+  _autoCapture(windows) {
+    const primaryScreen = windows.find(w => w.sourceId.startsWith('screen:'));
+    if (primaryScreen) {
+      const captureId = this.streamClient.capturePeerIds[0];
+      const panelId = 'panel-main';
+      this.streamClient.requestWindowCapture(captureId, primaryScreen.sourceId, panelId, 'landscape');
+      this._panelSourceIds.set(panelId, primaryScreen.sourceId);
+      this.windowPicker._nextPanelId = 2;
+      this._updateInfo('Streaming primary display...');
+      console.log(`[HaloView] Auto-capturing primary display: ${primaryScreen.name}`);
+    } else {
+      // No screens found, show picker as fallback
+      this.windowPicker.show();
+      this._updateInfo(`${windows.length} windows available. Press A/X to pick.`);
+    }
+  }
+
+  /**
+   * Reply to the workspace restore (panels null: the capture app never answered).
+   * Saved panels are placed, or the primary display is captured as on a first
+   * connect. Layout changes are saved from then on, once the capture app has
+   * shown it keeps workspaces.
+   */
+  _onWorkspace(name, panels) {
+    if (this._workspaceState !== 'restoring' || name !== this.workspace.name) return;
+    this._workspaceState = 'done';
+    clearTimeout(this._workspaceTimer);
+    this._workspaceTimer = null;
+
+    const placed = panels?.length
+      ? this.workspace.restore(panels, this.inputManager.getHeadPosition(), this.inputManager.getHeadForward())
+      : 0;
+    if (placed > 0) {
+      // New panels from the picker continue after the restored panel-N ids
+      for (const { panelId } of panels) {
+        const n = Number(/^panel-(\d+)$/.exec(panelId)?.[1]);
+        if (n >= this.windowPicker._nextPanelId) this.windowPicker._nextPanelId = n + 1;
+      }
+      this.inputManager.repositionButtons();
+      const missing = this.workspace.placeholders.size;
+      this._updateInfo(`Restored workspace '${name}' (${placed} panel(s)${missing ? `, ${missing} window(s) not open` : ''})`);
+    } else if (this.panelManager.panels.size === 0) {
+      this._autoCapture(this._windowList);
+    }
+
+    if (panels) {
+      this._workspaceTimer = setInterval(() => this._saveWorkspace(), WORKSPACE_SAVE_MS);
+    } else {
+      console.warn('[HaloView] Capture app did not answer the workspace restore; layouts will not be saved');
+    }
+  }
+
+  _saveWorkspace() {
+    if (this.streamClient.capturePeerIds.length === 0) return;
+    if (!this.workspace.anchor) {
+      this.workspace.setAnchor(this.inputManager.getHeadPosition(), this.inputManager.getHeadForward());
+    }
+    const panels = this.workspace.changes();
+    if (!panels) return;
+    this.streamClient.saveWorkspace(this.streamClient.capturePeerIds[0], this.workspace.name, panels);
+  }
+
+  _showPairingForm(error = '') {
+    const form = document.getElementById('pairing');
+    if (!form) return;
+    document.getElementById('pairingError').textContent = error;
+    form.classList.add('visible');
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const code = document.getElementById('pairingCode').value;
+      if (code.trim()) this.streamClient.pair(code);
+    };
+    document.getElementById('pairingCode').focus();
+  }
+
+  _hidePairingForm() {
+    document.getElementById('pairing')?.classList.remove('visible');
+  }
+
+  _onPCClipboard({ text, image, width, height, bytes, tooLarge }) {
+    if (tooLarge) {
+      this._clipboardText = null;
+      this.inputManager.setClipboardSummary(`too large (${Math.ceil(bytes / 1024)} KB)`);
+    } else if (text !== undefined) {
+      this._clipboardText = text;
+      this.inputManager.setClipboardSummary(`"${text.replace(/\s+/g, ' ').trim()}"`);
+      // Best effort: also the Quest's clipboard (browsers may refuse without a user gesture)
+      navigator.clipboard?.writeText(text).catch(() => {});
+    } else if (image) {
+      this._clipboardText = null;
+      this.inputManager.setClipboardSummary(`image ${width}x${height}`);
+    }
+    console.log(`[HaloView] PC clipboard changed (${bytes} bytes${tooLarge ? ', too large to sync' : ''})`);
+  }
+
+  _onPagePaste(e) {
+    if (e.target?.closest?.('input, textarea')) return; // pasting into the page itself (pairing form)
+    const text = e.clipboardData?.getData('text/plain');
+    if (!text) return;
+    e.preventDefault();
+    this._clipboardText = text;
+    this.inputManager.setClipboardSummary(`"${text.replace(/\s+/g, ' ').trim()}"`);
+    this._pasteClipboard();
+  }
+
+  /**
+   * Put the viewer's clipboard text on the PC and paste it into the keyboard target panel.
+   */
+  _pasteClipboard() {
+    const panelId = this.inputManager.keyboardTargetPanelId;
+    if (!this._clipboardEnabled) {
+      this._updateInfo('Clipboard sync is off');
+    } else if (!this._clipboardText) {
+      this._updateInfo('Nothing to paste: copy text on the PC first');
+    } else if (!panelId || this.streamClient.capturePeerIds.length === 0) {
+      this._updateInfo('Click a panel in Interact mode to paste into it');
+    } else if (this._clipboardText.length > CLIPBOARD_MAX_LENGTH) {
+      this._updateInfo(`Clipboard too large to paste (limit ${CLIPBOARD_MAX_LENGTH / 1024} KB)`);
+    } else {
+      this.streamClient.sendClipboard(this.streamClient.capturePeerIds[0], this._clipboardText, panelId);
+      console.log(`[HaloView] Pasting ${this._clipboardText.length} chars into ${panelId}`);
+    }
+  }
+
   _updateInfo(text) {
     const el = document.querySelector('#info .dim');
     if (el) el.textContent = text;
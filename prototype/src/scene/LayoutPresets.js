@@ -0,0 +1,199 @@
+import * as THREE from 'three';
+
+// Built-in presets. A slot is where one panel goes, relative to the head:
+//   angle      degrees around the head, + to the right of forward
+//   elevation  meters above (+) or below (-) eye height
+//   distance   meters from the head, horizontally
+//   height     panel height in meters (width follows the panel's aspect)
+//   primary    the panel being looked at goes here (one per preset at most)
+// Instead of slots a preset can give `grid: { cols, rows, distance, height, gap }`.
+export const DEFAULT_LAYOUT_PRESETS = [
+  {
+    name: 'focus',
+    slots: [
+      { angle: 0, elevation: 0, distance: 1.0, height: 0.9, primary: true },
+      { angle: -60, elevation: 0.22, distance: 1.1, height: 0.4 },
+      { angle: -60, elevation: -0.22, distance: 1.1, height: 0.4 },
+      { angle: 60, elevation: 0.22, distance: 1.1, height: 0.4 },
+      { angle: 60, elevation: -0.22, distance: 1.1, height: 0.4 },
+    ],
+  },
+  {
+    name: 'review',
+    slots: [
+      { angle: -29, elevation: 0, distance: 1.3, height: 0.75 },
+      { angle: 29, elevation: 0, distance: 1.3, height: 0.75 },
+    ],
+  },
+  { name: 'wall', grid: { cols: 4, rows: 3, distance: 1.6, height: 0.45, gap: 0.05 } },
+];
+
+// Panels beyond a preset's slots line up small in a row beneath it
+const OVERFLOW = { elevation: -0.75, distance: 1.4, height: 0.3, gap: 0.05 };
+const ASSUMED_ASPECT = 16 / 9; // grid spacing: panels are mostly landscape
+
+const _toPanel = new THREE.Vector3();
+
+/**
+ * Named panel arrangements ("focus", "review", "wall" and any from
+ * layouts.json) that the right thumbstick cycles through in Move mode.
+ * A preset only computes where panels go; PanelManager animates them there.
+ */
+export class LayoutPresets {
+  constructor(presets = DEFAULT_LAYOUT_PRESETS) {
+    this.presets = [];
+    this.index = -1; // preset last applied (-1: none, panels are arranged freely)
+    this.define(presets);
+  }
+
+  /** The preset currently applied, or null. */
+  get current() {
+    return this.presets[this.index] ?? null;
+  }
+
+  /**
+   * Add presets, replacing built-in ones with the same name. Invalid entries
+   * are skipped with a warning.
+   */
+  define(presets) {
+    for (const preset of presets) {
+      const slots = preset?.grid ? gridSlots(preset.grid) : preset?.slots;
+      if (typeof preset?.name !== 'string' || !Array.isArray(slots) || !slots.every(isSlot)) {
+        console.warn('[Layouts] Skipping invalid preset', preset);
+        continue;
+      }
+      const existing = this.presets.findIndex(p => p.name === preset.name);
+      if (existing >= 0) this.presets[existing] = { name: preset.name, slots };
+      else this.presets.push({ name: preset.name, slots });
+    }
+  }
+
+  /**
+   * Load user presets from a JSON file served next to the viewer
+   * (an array of presets, in the format of DEFAULT_LAYOUT_PRESETS). A missing
+   * file is fine: the built-in presets stay.
+   */
+  async load(url = 'layouts.json') {
+    try {
+      const response = await fetch(url);
+      if (!response.ok || !response.headers.get('content-type')?.includes('json')) return;
+      const presets = await response.json();
+      if (!Array.isArray(presets)) throw new Error('expected an array of presets');
+      this.define(presets);
+      console.log(`[Layouts] Loaded ${presets.length} preset(s) from ${url}`);
+    } catch (err) {
+      console.warn(`[Layouts] Ignoring ${url}: ${err.message}`);
+    }
+  }
+
+  /** Step to the next preset (wrapping) and return it. */
+  next() {
+    if (this.presets.length === 0) return null;
+    this.index = (this.index + 1) % this.presets.length;
+    return this.presets[this.index];
+  }
+
+  /** Forget the applied preset (the user arranged panels another way). */
+  clear() {
+    this.index = -1;
+  }
+
+  /**
+   * Where each panel goes under `preset` around the head: Map panelId ->
+   * { position, quaternion, height }. The focused panel takes the primary slot;
+   * the others keep their left-to-right order across the remaining slots.
+   * @param {Iterable<{ id, mesh, config }>} panels
+   * @param {string|null} focusedPanelId
+   */
+  targets(preset, panels, headPos, headForward, focusedPanelId = null) {
+    const yaw = Math.atan2(headForward.x, -headForward.z); // 0 = -Z, + to the right
+    const angleOf = (panel) => {
+      _toPanel.subVectors(panel.mesh.position, headPos);
+      return normalizeAngle(Math.atan2(_toPanel.x, -_toPanel.z) - yaw);
+    };
+    const byPlacement = (a, b) => a.angle - b.angle || b.elevation - a.elevation;
+
+    let remaining = Array.from(panels, panel => ({ panel, angle: angleOf(panel), elevation: panel.mesh.position.y }))
+      .sort(byPlacement);
+    const order = [];
+    const primary = preset.slots.find(s => s.primary);
+    const focused = remaining.find(entry => entry.panel.id === focusedPanelId) ?? null;
+    if (primary) {
+      const first = focused ?? remaining[0];
+      if (first) {
+        order.push([first.panel, primary]);
+        remaining = remaining.filter(entry => entry !== first);
+      }
+    }
+    const slots = preset.slots.filter(s => s !== primary)
+      .map(s => ({ slot: s, angle: s.angle * Math.PI / 180, elevation: s.elevation }))
+      .sort(byPlacement);
+    remaining.forEach((entry, i) => order.push([entry.panel, slots[i]?.slot ?? null]));
+
+    const overflow = order.filter(([, slot]) => !slot).map(([panel]) => panel);
+    const overflowSlots = overflowRow(overflow);
+
+    const targets = new Map();
+    for (const [panel, slot] of order) {
+      const placement = slot ?? overflowSlots.get(panel.id);
+      targets.set(panel.id, slotPose(placement, headPos, yaw));
+    }
+    return targets;
+  }
+}
+
+// World pose of a slot around the head: panels face the eye
+function slotPose({ angle, elevation, distance, height }, headPos, yaw) {
+  const worldAngle = yaw + angle * Math.PI / 180;
+  const position = new THREE.Vector3(
+    headPos.x + Math.sin(worldAngle) * distance,
+    headPos.y + elevation,
+    headPos.z - Math.cos(worldAngle) * distance,
+  );
+  const facing = new THREE.Object3D();
+  facing.position.copy(position);
+  facing.lookAt(headPos); // +Z (the panel's front) toward the eye
+  return { position, quaternion: facing.quaternion.clone(), height };
+}
+
+// Slots for a cols x rows wall of equally sized panels, centered on forward / eye height
+function gridSlots({ cols, rows, distance = 1.6, height = 0.45, gap = 0.05 }) {
+  if (!(cols >= 1 && rows >= 1)) return null;
+  const step = 2 * Math.atan((height * ASSUMED_ASPECT + gap) / 2 / distance) * 180 / Math.PI;
+  const slots = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      slots.push({
+        angle: (col - (cols - 1) / 2) * step,
+        elevation: ((rows - 1) / 2 - row) * (height + gap),
+        distance,
+        height,
+      });
+    }
+  }
+  return slots;
+}
+
+// Row of small slots for panels a preset has no room for, centered beneath it
+function overflowRow(panels) {
+  const { elevation, distance, height, gap } = OVERFLOW;
+  const widths = panels.map(p => height * (p.config.width / p.config.height) + gap);
+  const total = widths.reduce((sum, w) => sum + w, 0);
+  const slots = new Map();
+  let x = -total / 2;
+  panels.forEach((panel, i) => {
+    const center = x + widths[i] / 2;
+    slots.set(panel.id, { angle: (center / distance) * 180 / Math.PI, elevation, distance, height });
+    x += widths[i];
+  });
+  return slots;
+}
+
+function isSlot(slot) {
+  return !!slot && ['angle', 'elevation', 'distance', 'height'].every(key => Number.isFinite(slot[key])) &&
+    slot.distance > 0 && slot.height > 0;
+}
+
+function normalizeAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
@@ -1,5 +1,45 @@
 import * as THREE from 'three';
 
+// Badge shown above a panel while its stream is not connected
+const CONNECTION_BADGES = {
+  connecting: { text: 'Connecting…', color: '#4a9eff' },
+  reconnecting: { text: 'Reconnecting…', color: '#f0a030' },
+  failed: { text: 'Connection lost', color: '#e05050' },
+};
+// Shown when no connection badge is: the captured window is minimized on the PC
+const MINIMIZED_BADGE = { text: 'Window minimized', color: '#888' };
+
+// Stream stats overlay shown beside each panel (toggled with setStatsVisible)
+const STATS_OVERLAY = { canvasWidth: 320, canvasHeight: 208, width: 0.24, height: 0.156, gap: 0.02 };
+
+const LAYOUT_ANIMATION_MS = 400; // panels gliding into a layout preset
+
+const _groupFrame = new THREE.Matrix4();
+const _memberPose = new THREE.Matrix4();
+const _unitScale = new THREE.Vector3(1, 1, 1);
+const _decomposedScale = new THREE.Vector3();
+
+function roundRectPath(ctx, x, y, w, h, r) {
+  if (typeof ctx.roundRect === 'function') {
+    ctx.roundRect(x, y, w, h, r);
+  } else {
+    ctx.moveTo(x + r, y);
+    ctx.lineTo(x + w - r, y);
+    ctx.quadraticCurveTo(x + w, y, x + w, y + r);
+    ctx.lineTo(x + w, y + h - r);
+    ctx.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
+    ctx.lineTo(x + r, y + h);
+    ctx.quadraticCurveTo(x, y + h, x, y + h - r);
+    ctx.lineTo(x, y + r);
+    ctx.quadraticCurveTo(x, y, x + r, y);
+    ctx.closePath();
+  }
+}
+
+function formatStat(value, unit, digits = 0) {
+  return value === null || value === undefined ? '–' : `${value.toFixed(digits)}${unit}`;
+}
+
 /**
  * Manages virtual desktop panels in the VR scene.
  * Each panel is a quad (plane mesh) that can display:
@@ -14,7 +54,7 @@ export class PanelManager {
   constructor(scene, renderer) {
     this.scene = scene;
     this.renderer = renderer;
-    this.panels = new Map(); // id -> { mesh, config, stream?, videoTexture?, quadLayer? }
+    this.panels = new Map(); // id -> { mesh, config, stream?, videoTexture?, quadLayer?, connectionState?, sourceMinimized?, statusBadge?, statsOverlay?, animation?, groupId? }
     this.maxAnisotropy = renderer ? renderer.capabilities.getMaxAnisotropy() : 1;
 
     // XR Layers state (initialized on XR session start)
@@ -36,6 +76,23 @@ export class PanelManager {
     // Gaze-based focus tracking
     this._focusedPanelId = null;
     this._gazeDir = new THREE.Vector3();
+    this.onFocusChange = null; // callback(panelId | null) — drives adaptive bitrate on the capture side
+    this.focusDwellMs = 300; // gaze must settle this long before a focus change is reported
+    this._focusChangedAt = 0;
+    this._reportedFocusId = null;
+
+    // Per-panel stream stats overlay
+    this.statsVisible = false;
+
+    // Panel groups: members of a locked group move, turn and resize together
+    this.groups = new Map(); // groupId -> { id, members: Set<panelId>, locked }
+    this._nextGroupId = 1;
+    this._groupMove = null; // { panelId, offsets: Map<panelId, Matrix4> } while a locked group's member is grabbed
+  }
+
+  /** Panel the user is currently looking at (null = none). */
+  get focusedPanelId() {
+    return this._focusedPanelId;
   }
 
   /**
@@ -193,6 +250,7 @@ export class PanelManager {
       return;
     }
     console.log(`[PanelManager] Attempting XRQuadLayer path for '${panelId}'`);
+    this._releaseVideo(panel);
 
     const video = document.createElement('video');
     video.srcObject = mediaStream;
@@ -255,6 +313,7 @@ export class PanelManager {
       console.warn(`[PanelManager] Panel not found: ${panelId}`);
       return;
     }
+    this._releaseVideo(panel);
 
     const video = document.createElement('video');
     video.srcObject = mediaStream;
@@ -304,22 +363,226 @@ export class PanelManager {
     const panel = this.panels.get(panelId);
     if (!panel) return;
 
+    this.ungroupPanel(panelId);
     this.scene.remove(panel.mesh);
     panel.mesh.geometry.dispose();
     panel.mesh.material.dispose();
+    this._releaseVideo(panel);
+    for (const overlay of [panel.statusBadge, panel.statsOverlay]) {
+      if (!overlay) continue;
+      overlay.geometry.dispose();
+      overlay.material.map.dispose();
+      overlay.material.dispose();
+    }
+    this.panels.delete(panelId);
+    console.log(`[PanelManager] Removed panel: ${panelId}`);
+  }
+
+  /**
+   * Stop a panel's current video (element, texture, quad layer) before it is
+   * replaced by a new stream or the panel is removed.
+   */
+  _releaseVideo(panel) {
     if (panel.videoElement) {
       panel.videoElement.pause();
       panel.videoElement.srcObject = null;
+      panel.videoElement = null;
     }
     if (panel.videoTexture) {
       panel.videoTexture.dispose();
+      panel.videoTexture = null;
     }
     if (panel.quadLayer) {
-      this.quadLayers.delete(panelId);
+      this.quadLayers.delete(panel.id);
+      panel.quadLayer = null;
       this._updateLayersArray();
     }
-    this.panels.delete(panelId);
-    console.log(`[PanelManager] Removed panel: ${panelId}`);
+  }
+
+  /**
+   * Show a panel's stream connection state ('connecting' | 'connected' |
+   * 'reconnecting' | 'failed') as a badge above its top edge.
+   * The last frame stays on the panel; 'connected' hides the badge.
+   */
+  setConnectionState(panelId, state) {
+    const panel = this.panels.get(panelId);
+    if (!panel) return;
+    panel.connectionState = state;
+    this._renderStatusBadge(panel);
+  }
+
+  /**
+   * The captured window changed size or was (un)minimized on the PC
+   * ({ width, height, minimized } from the capture side). Reshapes the panel
+   * to the window's aspect ratio, keeping its height, and badges minimized windows.
+   */
+  updateSourceBounds(panelId, { width, height, minimized = false }) {
+    const panel = this.panels.get(panelId);
+    if (!panel) return;
+
+    if (panel.sourceMinimized !== minimized) {
+      panel.sourceMinimized = minimized;
+      this._renderStatusBadge(panel);
+    }
+    if (minimized || !(width > 0 && height > 0)) return;
+
+    const aspect = width / height;
+    const currentAspect = panel.config.width / panel.config.height;
+    if (Math.abs(aspect - currentAspect) / currentAspect < 0.01) return;
+
+    this._setPanelSize(panel, panel.config.height * aspect, panel.config.height);
+    console.log(`[PanelManager] Source of '${panelId}' is now ${width}x${height}, reshaped panel to ${panel.config.width.toFixed(2)}x${panel.config.height.toFixed(2)}m`);
+  }
+
+  _renderStatusBadge(panel) {
+    const badgeStyle = CONNECTION_BADGES[panel.connectionState] ?? (panel.sourceMinimized ? MINIMIZED_BADGE : null);
+    if (!badgeStyle) {
+      if (panel.statusBadge) panel.statusBadge.visible = false;
+      return;
+    }
+
+    if (!panel.statusBadge) {
+      const canvas = document.createElement('canvas');
+      canvas.width = 512;
+      canvas.height = 64;
+      const texture = new THREE.CanvasTexture(canvas);
+      texture.minFilter = THREE.LinearFilter;
+      const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthTest: false });
+      panel.statusBadge = new THREE.Mesh(new THREE.PlaneGeometry(0.32, 0.04), material);
+      panel.statusBadge.renderOrder = 1000;
+      panel.mesh.add(panel.statusBadge);
+    }
+
+    const badge = panel.statusBadge;
+    const canvas = badge.material.map.image;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = 'rgba(10, 10, 20, 0.85)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = badgeStyle.color;
+    ctx.fillRect(0, 0, 8, canvas.height);
+    ctx.font = 'bold 32px JetBrains Mono, Cascadia Code, monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(badgeStyle.text, canvas.width / 2, canvas.height / 2);
+    badge.material.map.needsUpdate = true;
+    badge.material.opacity = 1;
+    badge.visible = true;
+  }
+
+  /**
+   * Show or hide the stream stats overlay beside every panel.
+   */
+  setStatsVisible(visible) {
+    this.statsVisible = visible;
+    for (const panel of this.panels.values()) {
+      if (panel.statsOverlay) panel.statsOverlay.visible = visible;
+    }
+    console.log(`[PanelManager] Stats overlay ${visible ? 'shown' : 'hidden'}`);
+  }
+
+  toggleStats() {
+    this.setStatsVisible(!this.statsVisible);
+    return this.statsVisible;
+  }
+
+  /**
+   * Redraw the stats overlays from StreamClient's per-panel metrics
+   * (Map panelId -> metrics). Panels missing from the map show no data.
+   * Skipped entirely while the overlay is hidden.
+   */
+  updateStats(statsByPanel) {
+    if (!this.statsVisible) return;
+    for (const [panelId, panel] of this.panels) {
+      if (!panel.statsOverlay) {
+        const canvas = document.createElement('canvas');
+        canvas.width = STATS_OVERLAY.canvasWidth;
+        canvas.height = STATS_OVERLAY.canvasHeight;
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.minFilter = THREE.LinearFilter;
+        const material = new THREE.MeshBasicMaterial({
+          map: texture,
+          transparent: true,
+          depthTest: false,
+          side: THREE.DoubleSide,
+        });
+        panel.statsOverlay = new THREE.Mesh(new THREE.PlaneGeometry(STATS_OVERLAY.width, STATS_OVERLAY.height), material);
+        panel.statsOverlay.renderOrder = 999;
+        panel.mesh.add(panel.statsOverlay);
+      }
+      panel.statsOverlay.visible = true;
+      this._renderStatsOverlay(panel, statsByPanel.get(panelId) ?? null);
+    }
+  }
+
+  _renderStatsOverlay(panel, stats) {
+    const canvas = panel.statsOverlay.material.map.image;
+    const ctx = canvas.getContext('2d');
+    const { canvasWidth: w, canvasHeight: h } = STATS_OVERLAY;
+    ctx.clearRect(0, 0, w, h);
+
+    // Background
+    ctx.fillStyle = 'rgba(16, 16, 40, 0.92)';
+    ctx.beginPath();
+    roundRectPath(ctx, 0, 0, w, h, 8);
+    ctx.fill();
+    ctx.strokeStyle = '#334488';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    roundRectPath(ctx, 0, 0, w, h, 8);
+    ctx.stroke();
+
+    // Title: panel id + connection kind
+    ctx.fillStyle = '#5599ff';
+    ctx.font = 'bold 16px monospace';
+    ctx.fillText(panel.id, 12, 24);
+    if (stats) {
+      ctx.fillStyle = '#2244aa';
+      ctx.beginPath();
+      roundRectPath(ctx, w - 76, 8, 64, 22, 4);
+      ctx.fill();
+      ctx.fillStyle = '#88bbff';
+      ctx.font = 'bold 14px monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(stats.multiplexed ? 'MUX' : 'PC', w - 44, 23);
+      ctx.textAlign = 'left';
+    }
+
+    // Divider
+    ctx.strokeStyle = '#334488';
+    ctx.beginPath();
+    ctx.moveTo(12, 34);
+    ctx.lineTo(w - 12, 34);
+    ctx.stroke();
+
+    ctx.font = '13px monospace';
+    if (!stats) {
+      ctx.fillStyle = '#999';
+      ctx.fillText('No stream stats', 12, 58);
+      panel.statsOverlay.material.map.needsUpdate = true;
+      return;
+    }
+
+    // [label, value, warn?]
+    const rows = [
+      ['Resolution', stats.width ? `${stats.width}x${stats.height}` : '–', false],
+      ['Codec', stats.codec ?? '–', false],
+      ['Bitrate', stats.bitrateKbps === null ? '–' : `${(stats.bitrateKbps / 1000).toFixed(1)} Mbps`, false],
+      ['FPS', formatStat(stats.fps, ''), stats.fps !== null && stats.fps < 10],
+      ['Decode', formatStat(stats.decodeMs, ' ms', 1), stats.decodeMs > 16],
+      ['Jitter', formatStat(stats.jitterMs, ' ms', 1), stats.jitterMs > 30],
+      ['Loss', formatStat(stats.lossPercent, ' %', 1), stats.lossPercent > 2],
+      ['RTT', formatStat(stats.rttMs, ' ms'), stats.rttMs > 100],
+    ];
+    rows.forEach(([label, value, warn], i) => {
+      const y = 54 + i * 19;
+      ctx.fillStyle = '#77aaff';
+      ctx.fillText(label, 12, y);
+      ctx.fillStyle = warn ? '#f0a030' : '#ccc';
+      ctx.fillText(value, 130, y);
+    });
+
+    panel.statsOverlay.material.map.needsUpdate = true;
   }
 
   /**
@@ -360,21 +623,175 @@ export class PanelManager {
     const currentAspect = panel.config.width / panel.config.height;
     const newWidth = newHeight * currentAspect;
 
-    panel.config.width = newWidth;
-    panel.config.height = newHeight;
+    this._setPanelSize(panel, newWidth, newHeight);
+    panel.mesh.scale.set(1, 1, 1);
+    console.log(`[PanelManager] Resized '${panelId}' to ${newWidth.toFixed(2)}x${newHeight.toFixed(2)}m`);
+    return { width: newWidth, height: newHeight };
+  }
+
+  /**
+   * Rebuild a panel's geometry (and quad layer) at a new size in meters.
+   */
+  _setPanelSize(panel, width, height) {
+    panel.config.width = width;
+    panel.config.height = height;
 
     panel.mesh.geometry.dispose();
     if (panel.quadLayer) {
-      panel.mesh.geometry = new THREE.PlaneGeometry(newWidth, newHeight);
-      panel.quadLayer.width = newWidth;
-      panel.quadLayer.height = newHeight;
+      panel.mesh.geometry = new THREE.PlaneGeometry(width, height);
+      panel.quadLayer.width = width;
+      panel.quadLayer.height = height;
     } else {
-      panel.mesh.geometry = this._createCurvedGeometry(newWidth, newHeight);
+      panel.mesh.geometry = this._createCurvedGeometry(width, height);
     }
+  }
 
-    panel.mesh.scale.set(1, 1, 1);
-    console.log(`[PanelManager] Resized '${panelId}' to ${newWidth.toFixed(2)}x${newHeight.toFixed(2)}m`);
-    return { width: newWidth, height: newHeight };
+  // ── Groups ──
+
+  /** The group a panel belongs to, or null. */
+  groupOf(panelId) {
+    const groupId = this.panels.get(panelId)?.groupId;
+    return groupId ? this.groups.get(groupId) ?? null : null;
+  }
+
+  /**
+   * Put two panels in one group, merging the groups they were already in.
+   * New groups start locked. Returns the group, or null if either panel is missing.
+   */
+  groupPanels(panelId, otherPanelId) {
+    if (panelId === otherPanelId || !this.panels.has(panelId) || !this.panels.has(otherPanelId)) return null;
+
+    let group = this.groupOf(panelId) ?? this.groupOf(otherPanelId);
+    if (!group) {
+      group = { id: `group-${this._nextGroupId++}`, members: new Set(), locked: true };
+      this.groups.set(group.id, group);
+    }
+    for (const id of [panelId, otherPanelId]) {
+      const previous = this.groupOf(id);
+      if (previous === group) continue;
+      for (const member of previous ? previous.members : [id]) {
+        group.members.add(member);
+        this.panels.get(member).groupId = group.id;
+      }
+      if (previous) this.groups.delete(previous.id);
+    }
+    console.log(`[PanelManager] Grouped '${panelId}' with '${otherPanelId}' (${group.id}: ${group.members.size} panels)`);
+    return group;
+  }
+
+  /**
+   * Take a panel out of its group; a group left with one panel is dissolved.
+   */
+  ungroupPanel(panelId) {
+    const group = this.groupOf(panelId);
+    if (!group) return;
+
+    const leaving = group.members.size <= 2 ? [...group.members] : [panelId];
+    for (const id of leaving) {
+      group.members.delete(id);
+      this.panels.get(id).groupId = null;
+      if (this._groupMove?.panelId === id) this._groupMove = null;
+      else this._groupMove?.offsets.delete(id);
+    }
+    if (group.members.size === 0) this.groups.delete(group.id);
+    console.log(`[PanelManager] Ungrouped '${panelId}'${group.members.size === 0 ? ` (${group.id} dissolved)` : ''}`);
+  }
+
+  /**
+   * Lock a group (members keep their offsets and move as one) or unlock it
+   * (members are grabbed one at a time, to rearrange them). Takes effect on the next grab.
+   */
+  setGroupLocked(groupId, locked) {
+    const group = this.groups.get(groupId);
+    if (!group) return;
+    group.locked = locked;
+    console.log(`[PanelManager] ${locked ? 'Locked' : 'Unlocked'} ${group.id}`);
+  }
+
+  /**
+   * A panel is being grabbed: if it is in a locked group, the other members
+   * follow its position, rotation and scale from now until endGroupMove().
+   * Returns the panels carried along.
+   */
+  beginGroupMove(panelId) {
+    this._groupMove = null;
+    const group = this.groupOf(panelId);
+    if (!group?.locked) return [];
+
+    const leader = this.panels.get(panelId);
+    const inverse = _groupFrame.compose(leader.mesh.position, leader.mesh.quaternion, _unitScale).invert();
+    const offsets = new Map();
+    for (const id of group.members) {
+      if (id === panelId) continue;
+      this.finishAnimation(id);
+      const { mesh } = this.panels.get(id);
+      offsets.set(id, new THREE.Matrix4().multiplyMatrices(inverse, _memberPose.compose(mesh.position, mesh.quaternion, _unitScale)));
+    }
+    this._groupMove = { panelId, offsets };
+    return Array.from(offsets.keys(), id => this.panels.get(id));
+  }
+
+  /**
+   * The grabbed panel was dropped: put the carried members in place around it.
+   */
+  endGroupMove() {
+    this._followGroup();
+    this._groupMove = null;
+  }
+
+  /**
+   * Heights the grabbed panel can be resized to without any member of its
+   * carried group leaving minPanelHeight..maxPanelHeight: { min, max }.
+   */
+  groupHeightRange(panelId) {
+    const panel = this.panels.get(panelId);
+    let min = this.minPanelHeight;
+    let max = this.maxPanelHeight;
+    if (panel && this._groupMove?.panelId === panelId) {
+      for (const id of this._groupMove.offsets.keys()) {
+        const ratio = panel.config.height / this.panels.get(id).config.height;
+        min = Math.max(min, this.minPanelHeight * ratio);
+        max = Math.min(max, this.maxPanelHeight * ratio);
+      }
+    }
+    return { min, max };
+  }
+
+  /**
+   * resizePanel() for a grabbed panel: members of its carried group are resized
+   * by the same factor and their offsets scaled, so the group grows as a whole.
+   */
+  resizeGroup(panelId, newHeight) {
+    const panel = this.panels.get(panelId);
+    if (!panel) return null;
+    const move = this._groupMove?.panelId === panelId ? this._groupMove : null;
+    if (!move) return this.resizePanel(panelId, newHeight);
+
+    const { min, max } = this.groupHeightRange(panelId);
+    const factor = THREE.MathUtils.clamp(newHeight, min, max) / panel.config.height;
+    const result = this.resizePanel(panelId, panel.config.height * factor);
+    for (const [id, offset] of move.offsets) {
+      this.resizePanel(id, this.panels.get(id).config.height * factor);
+      offset.elements[12] *= factor;
+      offset.elements[13] *= factor;
+      offset.elements[14] *= factor;
+    }
+    this._followGroup();
+    return result;
+  }
+
+  // Carried members take their offset from the grabbed panel, scaled like its resize preview
+  _followGroup() {
+    const move = this._groupMove;
+    if (!move) return;
+    const leader = this.panels.get(move.panelId);
+    const scale = leader.mesh.scale.x;
+    _groupFrame.compose(leader.mesh.position, leader.mesh.quaternion, _decomposedScale.setScalar(scale));
+    for (const [id, offset] of move.offsets) {
+      const { mesh } = this.panels.get(id);
+      _memberPose.multiplyMatrices(_groupFrame, offset).decompose(mesh.position, mesh.quaternion, _decomposedScale);
+      mesh.scale.set(scale, scale, 1);
+    }
   }
 
   /**
@@ -399,6 +816,28 @@ export class PanelManager {
     return { u: intersection.uv.x, v: 1.0 - intersection.uv.y }; // Flip V for screen coords
   }
 
+  /**
+   * Point on a panel's surface in its mesh's local space for a screen UV
+   * (inverse of getHitUV), lifted `lift` meters toward the viewer so overlays
+   * drawn there aren't hidden by the video. Flat for quad layers, which the
+   * compositor draws flat.
+   */
+  uvToLocal(panel, u, v, lift = 0.005) {
+    const x = (u - 0.5) * panel.config.width;
+    const y = (0.5 - v) * panel.config.height;
+    if (panel.quadLayer) return new THREE.Vector3(x, y, lift);
+    // Same sphere as _createCurvedGeometry, with a slightly smaller radius
+    const radius = this.curveRadius;
+    const theta = x / radius;
+    const phi = y / radius;
+    const r = radius - lift;
+    return new THREE.Vector3(
+      r * Math.sin(theta) * Math.cos(phi),
+      r * Math.sin(phi),
+      radius - r * Math.cos(theta) * Math.cos(phi)
+    );
+  }
+
   /**
    * Arrange all panels in a curved (cylindrical) layout around the user.
    * @param {number} radius - Distance from center to panels
@@ -411,6 +850,7 @@ export class PanelManager {
     const panelList = Array.from(this.panels.values());
     const n = panelList.length;
     if (n === 0) return;
+    this._stopAnimations();
 
     const cx = centerPos ? centerPos.x : 0;
     const cz = centerPos ? centerPos.z : 0;
@@ -446,6 +886,7 @@ export class PanelManager {
     if (panelList.length === 0) return;
 
     const height = headPos.y;
+    this._stopAnimations();
     if (panelList.length === 1) {
       // Single panel: place directly in front
       const fwd = headForward.clone();
@@ -473,6 +914,65 @@ export class PanelManager {
     console.log(`[PanelManager] Recentered ${panelList.length} panel(s) to head position`);
   }
 
+  /**
+   * Glide a panel to a new pose, ending at `height` meters tall. The size is
+   * previewed with the mesh scale and the geometry rebuilt once at the end,
+   * as when resizing a grabbed panel.
+   * @param {{ position: THREE.Vector3, quaternion: THREE.Quaternion, height: number }} target
+   */
+  animatePanel(panelId, { position, quaternion, height }, durationMs = LAYOUT_ANIMATION_MS) {
+    const panel = this.panels.get(panelId);
+    if (!panel) return;
+    height = THREE.MathUtils.clamp(height, this.minPanelHeight, this.maxPanelHeight);
+    panel.animation = {
+      fromPosition: panel.mesh.position.clone(),
+      fromQuaternion: panel.mesh.quaternion.clone(),
+      fromScale: panel.mesh.scale.x,
+      position: position.clone(),
+      quaternion: quaternion.clone(),
+      scale: height / panel.config.height,
+      height,
+      duration: durationMs,
+      start: null, // first update() after this call
+    };
+  }
+
+  /**
+   * Jump a gliding panel to where it was going (it is about to be grabbed).
+   */
+  finishAnimation(panelId) {
+    const panel = this.panels.get(panelId);
+    if (panel?.animation) this._stepAnimation(panel, Infinity);
+  }
+
+  // Another arrangement takes over: gliding panels stay at their current size
+  _stopAnimations() {
+    for (const panel of this.panels.values()) {
+      if (!panel.animation) continue;
+      panel.animation = null;
+      panel.mesh.scale.set(1, 1, 1);
+    }
+  }
+
+  _stepAnimation(panel, time) {
+    const anim = panel.animation;
+    if (anim.start === null) anim.start = time;
+    const t = anim.duration > 0 ? Math.min(1, (time - anim.start) / anim.duration) : 1;
+    const eased = t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2; // ease in-out
+
+    panel.mesh.position.lerpVectors(anim.fromPosition, anim.position, eased);
+    panel.mesh.quaternion.slerpQuaternions(anim.fromQuaternion, anim.quaternion, eased);
+    panel.mesh.scale.setScalar(THREE.MathUtils.lerp(anim.fromScale, anim.scale, eased));
+    if (t < 1) return;
+
+    panel.animation = null;
+    if (Math.abs(anim.height - panel.config.height) > 0.001) {
+      this.resizePanel(panel.id, anim.height);
+    } else {
+      panel.mesh.scale.set(1, 1, 1);
+    }
+  }
+
   /**
    * Arrange panels in a flat grid layout.
    */
@@ -482,6 +982,7 @@ export class PanelManager {
     if (n === 0) return;
 
     const rows = Math.ceil(n / cols);
+    this._stopAnimations();
 
     for (let i = 0; i < n; i++) {
       const col = i % cols;
@@ -532,16 +1033,16 @@ export class PanelManager {
   }
 
   /**
-   * Gaze-based focus tracking: identifies which panel the user is looking at.
-   * Used for future enhancements (e.g., adaptive bitrate per panel).
+   * Gaze-based focus tracking: identifies which panel the user is looking at
+   * and reports settled changes via onFocusChange (adaptive bitrate per panel).
    * No longer toggles mipmaps — mipmaps are disabled entirely for video textures.
    */
-  _updateFoveatedFocus(headPos, headDir) {
+  _updateFoveatedFocus(headPos, headDir, time) {
     let bestPanelId = null;
     let bestDot = -1;
 
     for (const [panelId, panel] of this.panels) {
-      if (!panel.videoTexture) continue;
+      if (!panel.videoElement) continue; // streaming panels (VideoTexture or quad layer)
       this._gazeDir.copy(panel.mesh.position).sub(headPos).normalize();
       const dot = this._gazeDir.dot(headDir);
       if (dot > bestDot) {
@@ -552,13 +1053,54 @@ export class PanelManager {
 
     // Only count as "focused" if within ~30 deg of gaze center (cos 30 ~ 0.87)
     if (bestDot < 0.87) bestPanelId = null;
+    if (bestPanelId !== this._focusedPanelId) this._focusChangedAt = time;
     this._focusedPanelId = bestPanelId;
+
+    // Report once the gaze has settled, so sweeping across panels doesn't thrash encoders
+    if (bestPanelId !== this._reportedFocusId && time - this._focusChangedAt >= this.focusDwellMs) {
+      this._reportedFocusId = bestPanelId;
+      if (this.onFocusChange) this.onFocusChange(bestPanelId);
+    }
   }
 
   update(time, headPos, headDir) {
+    // Panels gliding into a layout preset
+    for (const panel of this.panels.values()) {
+      if (panel.animation) this._stepAnimation(panel, time);
+    }
+
+    // Members of a grabbed locked group follow it (before the quad layers sync below)
+    this._followGroup();
+
     // Gaze-based focus tracking
     if (headPos && headDir) {
-      this._updateFoveatedFocus(headPos, headDir);
+      this._updateFoveatedFocus(headPos, headDir, time);
+    }
+
+    // Keep connection badges on the top edge (panels resize) and pulse while reconnecting
+    for (const panel of this.panels.values()) {
+      const badge = panel.statusBadge;
+      if (!badge?.visible) continue;
+      badge.position.set(0, panel.config.height / 2 + 0.035, 0);
+      badge.material.opacity = panel.connectionState === 'reconnecting'
+        ? 0.65 + 0.35 * Math.sin(time * 0.005)
+        : 1;
+    }
+
+    // Keep stats overlays beside the right edge, top-aligned, following the curve
+    if (this.statsVisible) {
+      for (const panel of this.panels.values()) {
+        const overlay = panel.statsOverlay;
+        if (!overlay) continue;
+        const x = panel.config.width / 2 + STATS_OVERLAY.gap + STATS_OVERLAY.width / 2;
+        const theta = panel.quadLayer ? 0 : x / this.curveRadius;
+        overlay.position.set(
+          panel.quadLayer ? x : this.curveRadius * Math.sin(theta),
+          panel.config.height / 2 - STATS_OVERLAY.height / 2,
+          this.curveRadius * (1 - Math.cos(theta)),
+        );
+        overlay.rotation.set(0, -theta, 0);
+      }
     }
 
     // Sync quad layer transforms with mesh positions (handles drag/move)
@@ -0,0 +1,344 @@
+import * as THREE from 'three';
+
+// Key kinds: 'char' (typed as text), 'key' (named key), 'modifier', 'layer', 'hide',
+// 'paste' (the viewer's clipboard, see onPaste).
+// Widths are in key units; every row adds up to 15.
+const char = (label, shifted) => ({ label, key: label, kind: 'char', shifted });
+const named = (label, key, width = 1) => ({ label, key, kind: 'key', width });
+const modifier = (label, name, width = 1) => ({ label, modifier: name, kind: 'modifier', width });
+const LAYER_KEY = { label: '{&}', kind: 'layer', width: 1.5 };
+const HIDE_KEY = { label: 'Hide', kind: 'hide', width: 1.5 };
+const PASTE_KEY = { label: 'Paste', kind: 'paste', width: 1.5 };
+
+const BOTTOM_ROW = [
+  modifier('Ctrl', 'ctrl', 1.5), modifier('Win', 'meta'), modifier('Alt', 'alt'),
+  named('Space', ' ', 5.5), PASTE_KEY, named('←', 'ArrowLeft'), named('↓', 'ArrowDown'),
+  named('→', 'ArrowRight'), HIDE_KEY,
+];
+
+const LAYOUTS = {
+  base: [
+    [named('Esc', 'Escape'), char('`', '~'), char('1', '!'), char('2', '@'), char('3', '#'), char('4', '$'),
+      char('5', '%'), char('6', '^'), char('7', '&'), char('8', '*'), char('9', '('), char('0', ')'),
+      char('-', '_'), named('⌫', 'Backspace', 2)],
+    [named('Tab', 'Tab'), ...'qwertyuiop'.split('').map(c => char(c, c.toUpperCase())),
+      char('[', '{'), char(']', '}'), char('\\', '|'), named('Del', 'Delete')],
+    [LAYER_KEY, ...'asdfghjkl'.split('').map(c => char(c, c.toUpperCase())),
+      char(';', ':'), char("'", '"'), char('=', '+'), named('Enter', 'Enter', 1.5)],
+    [modifier('Shift', 'shift', 2), ...'zxcvbnm'.split('').map(c => char(c, c.toUpperCase())),
+      char(',', '<'), char('.', '>'), char('/', '?'), named('↑', 'ArrowUp'), modifier('Shift', 'shift', 2)],
+    BOTTOM_ROW,
+  ],
+  // Programmer layer: brackets and operators without Shift, F-keys and navigation
+  symbols: [
+    [named('Esc', 'Escape'), ...Array.from({ length: 12 }, (_, i) => named(`F${i + 1}`, `F${i + 1}`)),
+      named('⌫', 'Backspace', 2)],
+    [named('Tab', 'Tab'), char('{'), char('}'), char('['), char(']'), char('('), char(')'),
+      char('<'), char('>'), char('"'), char("'"), char('`'), named('Home', 'Home', 1.5), named('End', 'End', 1.5)],
+    [LAYER_KEY, char('='), char('+'), char('-'), char('*'), char('/'), char('\\'), char('|'),
+      char('&'), char('!'), char('?'), char('_'), named('Enter', 'Enter', 2.5)],
+    [modifier('Shift', 'shift', 3), char(':'), char(';'), char('@'), char('#'), char('$'), char('%'),
+      char('^'), char('~'), named('PgUp', 'PageUp', 1.5), named('↑', 'ArrowUp'),
+      named('PgDn', 'PageDown', 1.5)],
+    BOTTOM_ROW,
+  ],
+};
+
+const ROW_UNITS = 15;
+
+/**
+ * 3D virtual keyboard for typing into the keyboard target panel from the headset.
+ *
+ * One canvas-textured plane; keys are hit-tested by UV (laser) or by the
+ * controller tip pushing through the key face (poke). Modifiers are sticky:
+ * tap once for the next key, twice to lock, again to release. A second layer
+ * holds programmer symbols, F-keys and navigation. Held keys repeat.
+ *
+ * Emits input events (shared/protocol/input.js) through onKeyEvent:
+ * plain characters as `text`, anything with Ctrl/Alt/Win or a named key as
+ * `keydown` (+ repeats) and `keyup` on release.
+ */
+export class VirtualKeyboard {
+  constructor(scene) {
+    this.scene = scene;
+    this.onKeyEvent = null; // callback(event) — send on the target panel's input channel
+    this.onPaste = null; // callback() — Paste key: paste the viewer's clipboard into the target panel
+
+    this.width = 0.54; // meters
+    this.height = 0.19;
+    this.reachDistance = 0.45; // from the head, so keys can be poked
+    this.repeatDelayMs = 450;
+    this.repeatIntervalMs = 60;
+    this.pokeDepth = 0.03; // how far behind the key face a poke still counts
+
+    this.layer = 'base';
+    this.modifiers = { ctrl: 'off', shift: 'off', alt: 'off', meta: 'off' }; // 'off' | 'latched' | 'locked'
+    this._keyRects = []; // { def, x, y, w, h } in canvas pixels for the current layer
+    this._hovered = new Map(); // source -> def (laser hover)
+    this._pressed = new Map(); // source -> { def, event, pressedAt, lastRepeat }
+    this._pokeFront = new Map(); // controller index -> tip was in front of the key face last frame
+    this._localTip = new THREE.Vector3();
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 1536;
+    this.canvas.height = 540;
+    this.ctx = this.canvas.getContext('2d');
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.minFilter = THREE.LinearFilter;
+
+    const material = new THREE.MeshBasicMaterial({ map: this.texture, transparent: true, side: THREE.DoubleSide });
+    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(this.width, this.height), material);
+    this.mesh.name = '__virtualKeyboard';
+    this.mesh.rotation.order = 'YXZ';
+    this.mesh.visible = false;
+    this.scene.add(this.mesh);
+
+    this._layoutKeys();
+    this._render();
+  }
+
+  get isVisible() { return this.mesh.visible; }
+
+  /**
+   * Show the keyboard below a panel, pulled within arm's reach and tilted
+   * toward the user like a desk keyboard. Without a panel it appears straight ahead.
+   */
+  summon(panel, headPos, headForward) {
+    const target = new THREE.Vector3();
+    if (panel) {
+      panel.mesh.getWorldPosition(target);
+      target.y -= panel.config.height / 2;
+    } else {
+      target.copy(headPos).add(headForward);
+    }
+
+    const dir = target.sub(headPos);
+    dir.y = 0;
+    if (dir.lengthSq() < 1e-6) dir.copy(headForward);
+    dir.normalize();
+
+    this.mesh.position.copy(headPos).addScaledVector(dir, this.reachDistance);
+    this.mesh.position.y = headPos.y - 0.4;
+    this.mesh.rotation.set(-0.6, Math.atan2(-dir.x, -dir.z), 0);
+    this.mesh.visible = true;
+    console.log(`[Keyboard] Summoned${panel ? ` for panel '${panel.id}'` : ''}`);
+  }
+
+  hide() {
+    this._releaseAll();
+    this.mesh.visible = false;
+  }
+
+  // ── Pointing ───────────────────────────────────────────────────────
+
+  /**
+   * Key under a ray (laser), with the hit distance. Null when nothing is hit.
+   */
+  getKeyAtIntersection(raycaster) {
+    if (!this.mesh.visible) return null;
+    const hits = raycaster.intersectObject(this.mesh, false);
+    if (hits.length === 0 || !hits[0].uv) return null;
+    const { uv, distance } = hits[0];
+    return { def: this._keyAt(uv.x * this.canvas.width, (1 - uv.y) * this.canvas.height), distance };
+  }
+
+  /** Highlight the key a laser points at (def null = none). */
+  setHover(source, def) {
+    if ((this._hovered.get(source) ?? null) === def) return;
+    if (def) this._hovered.set(source, def);
+    else this._hovered.delete(source);
+    this._render();
+  }
+
+  /** Press a key on behalf of a source (laser trigger or poke). */
+  press(source, def) {
+    if (!def || this._pressed.has(source)) return;
+
+    switch (def.kind) {
+      case 'modifier': {
+        const next = { off: 'latched', latched: 'locked', locked: 'off' };
+        // Both Shift keys share one state
+        this.modifiers[def.modifier] = next[this.modifiers[def.modifier]];
+        break;
+      }
+      case 'layer':
+        this.layer = this.layer === 'base' ? 'symbols' : 'base';
+        this._hovered.clear();
+        this._layoutKeys();
+        break;
+      case 'hide':
+        this.hide();
+        return;
+      case 'paste':
+        if (this.onPaste) this.onPaste();
+        break;
+      default: {
+        const event = this._keyEvent(def);
+        this._emit(event);
+        const now = performance.now();
+        this._pressed.set(source, { def, event, pressedAt: now, lastRepeat: now });
+        // Latched modifiers apply to one key
+        for (const name of Object.keys(this.modifiers)) {
+          if (this.modifiers[name] === 'latched') this.modifiers[name] = 'off';
+        }
+      }
+    }
+    this._render();
+  }
+
+  /** Release whatever a source is holding. */
+  release(source) {
+    const held = this._pressed.get(source);
+    if (!held) return;
+    this._pressed.delete(source);
+    if (held.event.type === 'keydown') {
+      this._emit({ type: 'keyup', key: held.event.key });
+    }
+    this._render();
+  }
+
+  /**
+   * Poke: press when a controller tip pushes through a key face, release when
+   * it is pulled back out. Call every frame per controller.
+   */
+  updatePoke(index, tipWorldPos) {
+    const source = `poke-${index}`;
+    if (!this.mesh.visible) return;
+
+    this.mesh.worldToLocal(this._localTip.copy(tipWorldPos));
+    const { x, y, z } = this._localTip;
+    const inside = Math.abs(x) <= this.width / 2 && Math.abs(y) <= this.height / 2;
+    const front = z > 0.005; // small hysteresis between "in front" and "pushed in"
+
+    if (this._pressed.has(source)) {
+      if (!inside || z > 0.01 || z < -this.pokeDepth) this.release(source);
+    } else if (inside && !front && z > -this.pokeDepth && this._pokeFront.get(index)) {
+      const px = (x / this.width + 0.5) * this.canvas.width;
+      const py = (0.5 - y / this.height) * this.canvas.height;
+      this.press(source, this._keyAt(px, py));
+    }
+    this._pokeFront.set(index, front);
+  }
+
+  /**
+   * Key repeat for held keys. Call every frame.
+   */
+  update(now = performance.now()) {
+    for (const held of this._pressed.values()) {
+      if (now - held.pressedAt < this.repeatDelayMs || now - held.lastRepeat < this.repeatIntervalMs) continue;
+      held.lastRepeat = now;
+      this._emit(held.event.type === 'keydown' ? { ...held.event, repeat: true } : held.event);
+    }
+  }
+
+  // ── Events ─────────────────────────────────────────────────────────
+
+  _keyEvent(def) {
+    const held = Object.keys(this.modifiers).filter(name => this.modifiers[name] !== 'off');
+    const shift = held.includes('shift');
+    const chordModifiers = held.filter(name => name !== 'shift');
+
+    if (def.kind === 'char' && chordModifiers.length === 0) {
+      return { type: 'text', text: shift && def.shifted ? def.shifted : def.key };
+    }
+    // Shortcuts name the unshifted key and send Shift as a modifier (Ctrl+Shift+P)
+    const key = def.kind === 'char' && def.key.length === 1 && /[a-z]/.test(def.key) && shift
+      ? def.key.toUpperCase()
+      : def.key;
+    return { type: 'keydown', key, modifiers: held };
+  }
+
+  _emit(event) {
+    if (this.onKeyEvent) this.onKeyEvent(event);
+  }
+
+  _releaseAll() {
+    for (const source of Array.from(this._pressed.keys())) this.release(source);
+    this._hovered.clear();
+  }
+
+  // ── Layout & drawing ───────────────────────────────────────────────
+
+  _layoutKeys() {
+    const rows = LAYOUTS[this.layer];
+    const pad = 12;
+    const gap = 8;
+    const unit = (this.canvas.width - pad * 2) / ROW_UNITS;
+    const rowHeight = (this.canvas.height - pad * 2) / rows.length;
+
+    this._keyRects = [];
+    rows.forEach((row, r) => {
+      let x = pad;
+      for (const def of row) {
+        const w = (def.width ?? 1) * unit;
+        this._keyRects.push({ def, x: x + gap / 2, y: pad + r * rowHeight + gap / 2, w: w - gap, h: rowHeight - gap });
+        x += w;
+      }
+    });
+  }
+
+  _keyAt(px, py) {
+    const rect = this._keyRects.find(k => px >= k.x && px <= k.x + k.w && py >= k.y && py <= k.y + k.h);
+    return rect ? rect.def : null;
+  }
+
+  _render() {
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    // Background
+    ctx.fillStyle = 'rgba(16, 16, 40, 0.92)';
+    ctx.beginPath();
+    this._roundRect(ctx, 0, 0, width, height, 16);
+    ctx.fill();
+    ctx.strokeStyle = '#334488';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    this._roundRect(ctx, 0, 0, width, height, 16);
+    ctx.stroke();
+
+    const hovered = new Set(this._hovered.values());
+    const pressed = new Set(Array.from(this._pressed.values(), held => held.def));
+    const shift = this.modifiers.shift !== 'off';
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const { def, x, y, w, h } of this._keyRects) {
+      const modState = def.kind === 'modifier' ? this.modifiers[def.modifier] : 'off';
+      const active = modState !== 'off' || (def.kind === 'layer' && this.layer === 'symbols');
+
+      ctx.fillStyle = pressed.has(def) ? '#44aa66'
+        : active ? (modState === 'locked' ? '#aa4422' : '#2244aa')
+        : hovered.has(def) ? '#3a3a5e'
+        : def.kind === 'char' ? '#1e1e32' : '#262640';
+      ctx.beginPath();
+      this._roundRect(ctx, x, y, w, h, 8);
+      ctx.fill();
+
+      const label = def.kind === 'char' && shift && def.shifted ? def.shifted : def.label;
+      ctx.fillStyle = active ? '#ffffff' : def.kind === 'char' ? '#dddddd' : '#88bbff';
+      ctx.font = `${label.length > 2 ? 'bold 26px' : '36px'} monospace`;
+      ctx.fillText(label, x + w / 2, y + h / 2 + 2);
+    }
+
+    this.texture.needsUpdate = true;
+  }
+
+  _roundRect(ctx, x, y, w, h, r) {
+    if (typeof ctx.roundRect === 'function') {
+      ctx.roundRect(x, y, w, h, r);
+    } else {
+      ctx.moveTo(x + r, y);
+      ctx.lineTo(x + w - r, y);
+      ctx.quadraticCurveTo(x + w, y, x + w, y + r);
+      ctx.lineTo(x + w, y + h - r);
+      ctx.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
+      ctx.lineTo(x + r, y + h);
+      ctx.quadraticCurveTo(x, y + h, x, y + h - r);
+      ctx.lineTo(x, y + r);
+      ctx.quadraticCurveTo(x, y, x + r, y);
+      ctx.closePath();
+    }
+  }
+}
@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+
+// Bar buttons, left to right; actions are WINDOW_ACTIONS in shared/protocol/signaling.js,
+// except 'crop', which starts a region selection on the panel in the viewer, and
+// 'group' / 'lock', which group panels in the viewer (labels follow the panel's group)
+const BUTTONS = [
+  { action: 'focus', label: 'Focus' },
+  { action: 'rotate', label: 'Rotate' },
+  { action: 'maximize', label: 'Max' },
+  { action: 'restore', label: 'Restore' },
+  { action: 'minimize', label: 'Min' },
+  { action: 'crop', label: 'Crop' },
+  { action: 'group', label: 'Group' },
+  { action: 'lock', label: 'Lock' },
+  { action: 'close', label: 'Close', color: '#e05050' },
+];
+const BUTTON_SIZE = { width: 0.07, height: 0.03, gap: 0.008, canvasWidth: 224, canvasHeight: 96 };
+const BAR_GAP = 0.03; // below the panel's bottom edge
+const CLOSE_CONFIRM_MS = 2000;
+const DISABLED_COLOR = '#666';
+
+/**
+ * Window controls bar shown under one panel in Move mode: focus, rotate,
+ * maximize / restore, minimize and close the PC window the panel captures,
+ * crop a region of it into a new panel, or group it with other panels and
+ * lock / unlock the group. Close needs a second press within 2 s.
+ */
+export class WindowControls {
+  constructor(panelManager) {
+    this.panelManager = panelManager;
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    this.panel = null;
+    this.buttons = []; // { mesh, action, label, color, canvas }
+    this.onCommand = null; // callback(panelId, action)
+    this._closeArmedUntil = 0;
+
+    const totalWidth = BUTTONS.length * BUTTON_SIZE.width + (BUTTONS.length - 1) * BUTTON_SIZE.gap;
+    BUTTONS.forEach(({ action, label, color = '#5599ff' }, i) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = BUTTON_SIZE.canvasWidth;
+      canvas.height = BUTTON_SIZE.canvasHeight;
+      const texture = new THREE.CanvasTexture(canvas);
+      texture.minFilter = THREE.LinearFilter;
+      const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true });
+      const mesh = new THREE.Mesh(new THREE.PlaneGeometry(BUTTON_SIZE.width, BUTTON_SIZE.height), material);
+      mesh.position.x = -totalWidth / 2 + BUTTON_SIZE.width / 2 + i * (BUTTON_SIZE.width + BUTTON_SIZE.gap);
+      mesh.renderOrder = 1000;
+      mesh.name = `__windowControl-${action}`;
+      this.group.add(mesh);
+
+      const button = { mesh, action, label, color, canvas };
+      this.buttons.push(button);
+      this._drawButton(button, label);
+    });
+  }
+
+  get isVisible() { return this.group.visible; }
+
+  /**
+   * Attach the bar under a panel (no-op if it is already there).
+   */
+  showFor(panel) {
+    if (this.panel === panel && this.group.visible) return;
+    this.panel = panel;
+    panel.mesh.add(this.group);
+    this.group.visible = true;
+    this._disarmClose();
+    this.refresh();
+    this.update();
+  }
+
+  /**
+   * Redraw the Group and Lock buttons for the panel's current group.
+   */
+  refresh() {
+    if (!this.panel) return;
+    const group = this.panelManager.groupOf(this.panel.id);
+    for (const button of this.buttons) {
+      if (button.action === 'group') {
+        this._drawButton(button, group ? 'Ungroup' : 'Group');
+      } else if (button.action === 'lock') {
+        this._drawButton(button, group?.locked ? 'Unlock' : 'Lock', group ? button.color : DISABLED_COLOR);
+      }
+    }
+  }
+
+  hide() {
+    this.group.visible = false;
+    this.group.parent?.remove(this.group);
+    this.panel = null;
+    this._disarmClose();
+  }
+
+  /**
+   * Follow the panel's bottom edge (panels resize) and expire the close confirmation.
+   */
+  update(now = performance.now()) {
+    if (!this.panel) return;
+    if (!this.panelManager.panels.has(this.panel.id)) {
+      this.hide();
+      return;
+    }
+    const offset = this.panel.config.height / 2 + BAR_GAP;
+    if (this.panel.quadLayer) {
+      this.group.position.set(0, -offset, 0);
+      this.group.rotation.x = 0;
+    } else {
+      // Curved panels bend toward the viewer along the sphere (see _createCurvedGeometry)
+      const radius = this.panelManager.curveRadius;
+      const phi = offset / radius;
+      this.group.position.set(0, -radius * Math.sin(phi), radius * (1 - Math.cos(phi)));
+      this.group.rotation.x = -phi; // face the sphere's centre, like the panel surface there
+    }
+    if (this._closeArmedUntil && now > this._closeArmedUntil) this._disarmClose();
+  }
+
+  /**
+   * The bar button hit by a ray, as { button, distance }, or null.
+   */
+  getButtonAtIntersection(raycaster) {
+    if (!this.group.visible) return null;
+    const hits = raycaster.intersectObjects(this.buttons.map(b => b.mesh), false);
+    if (hits.length === 0) return null;
+    return { button: this.buttons.find(b => b.mesh === hits[0].object), distance: hits[0].distance };
+  }
+
+  /**
+   * Press a bar button: fires onCommand(panelId, action), except that the
+   * first press of Close only arms it.
+   */
+  press(button) {
+    if (!this.panel) return;
+    if (button.action === 'close' && !this._closeArmedUntil) {
+      this._closeArmedUntil = performance.now() + CLOSE_CONFIRM_MS;
+      this._drawButton(button, 'Sure?');
+      return;
+    }
+    this._disarmClose();
+    this._flash(button);
+    if (this.onCommand) this.onCommand(this.panel.id, button.action);
+    this.refresh();
+  }
+
+  _disarmClose() {
+    if (!this._closeArmedUntil) return;
+    this._closeArmedUntil = 0;
+    const close = this.buttons.find(b => b.action === 'close');
+    this._drawButton(close, close.label);
+  }
+
+  _flash(button) {
+    button.mesh.material.color.setHex(0x44ff88);
+    setTimeout(() => button.mesh.material.color.setHex(0xffffff), 150);
+  }
+
+  _drawButton(button, text, color = button.color) {
+    const { canvas } = button;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#2a2a44';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.strokeRect(2, 2, canvas.width - 4, canvas.height - 4);
+    ctx.fillStyle = color;
+    ctx.font = 'bold 36px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+    button.mesh.material.map.needsUpdate = true;
+  }
+}
@@ -3,6 +3,7 @@ import * as THREE from 'three';
 /**
  * 3D window picker overlay for the VR scene.
  * Shows thumbnails of open PC windows; user points and clicks to start streaming.
+ * A row of launcher cards above them starts an app on the PC and streams its window.
  */
 export class WindowPicker {
   constructor(scene) {
@@ -29,6 +30,7 @@ export class WindowPicker {
     this.scene.add(this.group);
 
     this.windowCards = new Map(); // sourceId -> { mesh, data }
+    this.launcherCards = new Map(); // launcherId -> { mesh, data }
     this.onWindowSelected = null; // callback(sourceId, panelId, orientation)
     this._nextPanelId = 1;
     this._closeButton = null;
@@ -45,14 +47,15 @@ export class WindowPicker {
   }
 
   /**
-   * Update the picker with a new window list from the capture peer.
+   * Update the picker with a new window list (and launchers) from the capture peer.
    */
-  updateWindowList(windows) {
+  updateWindowList(windows, launchers = []) {
     // Clear existing
     while (this.group.children.length > 0) {
       this.group.remove(this.group.children[0]);
     }
     this.windowCards.clear();
+    this.launcherCards.clear();
 
     const cardWidth = 0.30;
     const cardHeight = 0.22;
@@ -67,6 +70,7 @@ export class WindowPicker {
     });
 
     this._arrangeCurved(cols, radius, centerHeight, cardHeight);
+    this._addLaunchers(launchers, radius, centerHeight);
     this._addTitle(centerHeight, radius, windows.length);
     this._addCloseButton(centerHeight, radius);
   }
@@ -156,6 +160,61 @@ export class WindowPicker {
     }
   }
 
+  /**
+   * One row of launcher cards above the window cards, spread along the same arc.
+   */
+  _addLaunchers(launchers, radius, centerHeight) {
+    if (launchers.length === 0) return;
+    const width = 0.16;
+    const height = 0.06;
+    const windowTops = Array.from(this.windowCards.values()).map(c => c.mesh.position.y + 0.11);
+    const y = (windowTops.length > 0 ? Math.max(...windowTops) : centerHeight) + 0.02 + height / 2;
+    const step = (width + 0.02) / radius; // angle per card
+
+    launchers.forEach((launcher, i) => {
+      const mesh = this._createLauncherCard(launcher, width, height);
+      const angle = (i - (launchers.length - 1) / 2) * step;
+      mesh.position.set(Math.sin(angle) * radius, y, -Math.cos(angle) * radius);
+      mesh.rotation.set(0, -angle, 0);
+      this.launcherCards.set(launcher.id, { mesh, data: launcher });
+      this.group.add(mesh);
+    });
+  }
+
+  _createLauncherCard(launcher, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 96;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#1e2a1e';
+    ctx.beginPath();
+    this._roundRect(ctx, 0, 0, canvas.width, canvas.height, 12);
+    ctx.fill();
+    ctx.strokeStyle = '#44aa66';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    this._roundRect(ctx, 0, 0, canvas.width, canvas.height, 12);
+    ctx.stroke();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#cceecc';
+    ctx.font = 'bold 22px sans-serif';
+    const name = launcher.name.length > 18 ? launcher.name.substring(0, 15) + '...' : launcher.name;
+    ctx.fillText(name, canvas.width / 2, 38);
+    ctx.fillStyle = '#66cc88';
+    ctx.font = '14px sans-serif';
+    ctx.fillText('click to launch', canvas.width / 2, 70);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    const material = new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+    mesh.userData = { isLauncherCard: true, launcherId: launcher.id, launcherName: launcher.name };
+    return mesh;
+  }
+
   _addTitle(centerHeight, radius, count) {
     const canvas = document.createElement('canvas');
     canvas.width = 512;
@@ -172,7 +231,7 @@ export class WindowPicker {
     const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true });
     this._titleMesh = new THREE.Mesh(geometry, material);
 
-    const cards = Array.from(this.windowCards.values()).map(c => c.mesh);
+    const cards = [...this.windowCards.values(), ...this.launcherCards.values()].map(c => c.mesh);
     const topY = cards.length > 0
       ? Math.max(...cards.map(c => c.position.y)) + 0.18
       : centerHeight + 0.3;
@@ -218,6 +277,9 @@ export class WindowPicker {
     for (const { mesh } of this.windowCards.values()) {
       targets.push(mesh);
     }
+    for (const { mesh } of this.launcherCards.values()) {
+      targets.push(mesh);
+    }
     if (this._closeButton) targets.push(this._closeButton);
 
     const hits = raycaster.intersectObjects(targets, false);
@@ -226,6 +288,9 @@ export class WindowPicker {
       if (obj.userData.isWindowCard) {
         return { sourceId: obj.userData.sourceId, mesh: obj, name: obj.userData.windowName };
       }
+      if (obj.userData.isLauncherCard) {
+        return { launcherId: obj.userData.launcherId, mesh: obj, name: obj.userData.launcherName };
+      }
       if (obj.userData.isCloseButton) {
         return { action: 'close-picker' };
       }
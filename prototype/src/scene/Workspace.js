@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+
+const PLACEHOLDER_COLOR = 0x2a2030;
+const MAX_ASPECT = 8; // widest (or tallest) panel a saved layout may ask for
+
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+
+/**
+ * The viewer's panel arrangement, saved on the capture app by name and
+ * brought back on the next connect. Poses are kept relative to an anchor (the
+ * head's position and heading when the workspace was placed), so a restored
+ * workspace comes back around the user rather than around this session's
+ * room origin. Which window fills each panel (title, process, crop) is the
+ * capture app's part of the save; a layout here is only where the panel is.
+ */
+export class Workspace {
+  constructor(panelManager, name = 'default') {
+    this.panelManager = panelManager;
+    this.name = name;
+    this.anchor = null; // THREE.Matrix4, anchor space -> world
+    this.restored = false; // panels were placed from a saved workspace
+    this.placeholders = new Map(); // panelId -> title of a window that wasn't open on the PC
+    this._lastSaved = null; // JSON of the last layouts handed out by changes()
+  }
+
+  /**
+   * Put the anchor at the head: its position and its heading around Y.
+   */
+  setAnchor(headPos, headForward) {
+    this.anchor = anchorMatrix(headPos, headForward);
+  }
+
+  /**
+   * Move the anchor to a new head pose, carrying every panel along rigidly:
+   * the arrangement stays as it is, only where it sits changes.
+   */
+  moveAnchor(headPos, headForward) {
+    const next = anchorMatrix(headPos, headForward);
+    if (this.anchor) {
+      const delta = next.clone().multiply(this.anchor.clone().invert());
+      for (const panel of this.panelManager.panels.values()) {
+        panel.mesh.applyMatrix4(delta);
+      }
+    }
+    this.anchor = next;
+  }
+
+  /**
+   * Every panel's layout relative to the anchor: [{ panelId, layout }], where
+   * layout is { position: [x, y, z], quaternion: [x, y, z, w], width, height }
+   * plus { group, locked } for grouped panels.
+   */
+  serialize() {
+    const inverse = this.anchor.clone().invert();
+    return Array.from(this.panelManager.panels.values(), (panel) => {
+      panel.mesh.updateMatrix();
+      _matrix.multiplyMatrices(inverse, panel.mesh.matrix).decompose(_position, _quaternion, _scale);
+      const group = this.panelManager.groupOf(panel.id);
+      return {
+        panelId: panel.id,
+        layout: {
+          position: _position.toArray().map(v => round(v, 3)),
+          quaternion: _quaternion.toArray().map(v => round(v, 4)),
+          width: round(panel.config.width, 3),
+          height: round(panel.config.height, 3),
+          ...(group && { group: group.id, locked: group.locked }),
+        },
+      };
+    });
+  }
+
+  /**
+   * Layouts to save if anything moved, resized, appeared or closed since the
+   * last call; null otherwise.
+   */
+  changes() {
+    const panels = this.serialize();
+    const json = JSON.stringify(panels);
+    if (json === this._lastSaved) return null;
+    this._lastSaved = json;
+    return panels;
+  }
+
+  /**
+   * Place the panels of a restored workspace around the head. Panels whose
+   * window is being captured again are created now, so their streams land
+   * where they were; the others stay as placeholders titled with the window
+   * that is missing. Panels that already exist are moved into place.
+   * @param {Array<{ panelId, layout, title, found }>} panels - From the capture app
+   * @returns {number} Panels placed
+   */
+  restore(panels, headPos, headForward) {
+    this.setAnchor(headPos, headForward);
+    let placed = 0;
+    const groups = new Map(); // saved group id -> { panelIds, locked }
+    for (const { panelId, layout, title, found } of panels) {
+      const pose = this._worldPose(layout);
+      if (!pose || typeof panelId !== 'string') continue;
+
+      const existing = this.panelManager.panels.get(panelId);
+      if (existing) {
+        existing.mesh.position.copy(pose.position);
+        existing.mesh.quaternion.copy(pose.quaternion);
+        if (Math.abs(existing.config.height - pose.height) > 0.001) this.panelManager.resizePanel(panelId, pose.height);
+      } else {
+        const label = typeof title === 'string' ? title.slice(0, 60) : panelId;
+        this.panelManager.addDemoPanel({
+          id: panelId,
+          position: pose.position,
+          rotation: new THREE.Euler().setFromQuaternion(pose.quaternion),
+          width: pose.width,
+          height: pose.height,
+          color: found ? 0x1a1a2e : PLACEHOLDER_COLOR,
+          label: found ? label : `${label} (not open)`,
+        });
+        if (!found) this.placeholders.set(panelId, label);
+      }
+      placed++;
+
+      if (typeof layout.group === 'string') {
+        if (!groups.has(layout.group)) groups.set(layout.group, { panelIds: [], locked: layout.locked !== false });
+        groups.get(layout.group).panelIds.push(panelId);
+      }
+    }
+    for (const { panelIds: [first, ...others], locked } of groups.values()) {
+      let group = null;
+      for (const other of others) group = this.panelManager.groupPanels(first, other) ?? group;
+      if (group) this.panelManager.setGroupLocked(group.id, locked);
+    }
+    this.restored = placed > 0;
+    this._lastSaved = JSON.stringify(this.serialize()); // nothing to save until something changes
+    console.log(`[Workspace] Restored '${this.name}': ${placed} panel(s), ${this.placeholders.size} window(s) not open`);
+    return placed;
+  }
+
+  // World pose of a saved layout, or null if it isn't one
+  _worldPose(layout) {
+    const { position, quaternion, width, height } = layout ?? {};
+    const isNumbers = (a, n) => Array.isArray(a) && a.length === n && a.every(Number.isFinite);
+    if (!isNumbers(position, 3) || !isNumbers(quaternion, 4) || !(height > 0) || !(width > 0)) return null;
+
+    const { minPanelHeight, maxPanelHeight } = this.panelManager;
+    const h = THREE.MathUtils.clamp(height, minPanelHeight, maxPanelHeight);
+    const w = THREE.MathUtils.clamp(width * (h / height), h / MAX_ASPECT, h * MAX_ASPECT);
+    _position.fromArray(position);
+    _quaternion.fromArray(quaternion).normalize();
+    _matrix.compose(_position, _quaternion, _scale.set(1, 1, 1)).premultiply(this.anchor);
+    const pose = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), width: w, height: h };
+    _matrix.decompose(pose.position, pose.quaternion, _scale);
+    return pose;
+  }
+}
+
+// Head position with its heading around Y (pitch and roll dropped)
+function anchorMatrix(headPos, headForward) {
+  const yaw = Math.atan2(-headForward.x, -headForward.z);
+  return new THREE.Matrix4().compose(
+    headPos.clone(),
+    new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw),
+    new THREE.Vector3(1, 1, 1),
+  );
+}
+
+function round(value, digits) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
@@ -0,0 +1,124 @@
+import { randomBytes, randomInt } from 'crypto';
+
+/**
+ * Pairing codes and session tokens for the signaling server.
+ *
+ * The capture app (running on the signaling host) asks for a short numeric
+ * pairing code and shows it on its dashboard. A viewer redeems the code once
+ * and receives a session token, which it presents on every later connection.
+ * Tokens live in memory only — restarting the server revokes everything.
+ * Peers on the signaling host get `local` tokens that are not pairing-based.
+ */
+export class SessionAuth {
+  constructor({ codeLength = 6, codeTtlMs = 120_000 } = {}) {
+    this.codeLength = codeLength;
+    this.codeTtlMs = codeTtlMs;
+    this.sessions = new Map(); // token -> { id, label, local, createdAt, lastSeen }
+    this.pairingCodes = new Map(); // code -> expiresAt
+  }
+
+  /**
+   * Create a single-use pairing code. Returns { code, expiresAt }.
+   */
+  createPairingCode() {
+    this._pruneCodes();
+    let code;
+    do {
+      code = String(randomInt(0, 10 ** this.codeLength)).padStart(this.codeLength, '0');
+    } while (this.pairingCodes.has(code));
+
+    const expiresAt = Date.now() + this.codeTtlMs;
+    this.pairingCodes.set(code, expiresAt);
+    return { code, expiresAt };
+  }
+
+  /**
+   * Exchange a pairing code for a session token.
+   * Returns the token, or null if the code is unknown or expired.
+   */
+  redeemPairingCode(code, label = '') {
+    this._pruneCodes();
+    const key = String(code ?? '').trim();
+    if (!this.pairingCodes.has(key)) return null;
+    this.pairingCodes.delete(key);
+    return this.issueToken(label);
+  }
+
+  /**
+   * Issue a session token directly (`local: true` for peers on the signaling host).
+   */
+  issueToken(label = '', { local = false } = {}) {
+    const token = randomBytes(24).toString('hex');
+    const now = Date.now();
+    this.sessions.set(token, {
+      id: randomBytes(4).toString('hex'),
+      label,
+      local,
+      createdAt: now,
+      lastSeen: now,
+    });
+    return token;
+  }
+
+  /**
+   * Check a token and refresh its last-seen time.
+   */
+  validate(token) {
+    const session = typeof token === 'string' ? this.sessions.get(token) : null;
+    if (!session) return false;
+    session.lastSeen = Date.now();
+    return true;
+  }
+
+  /**
+   * Drop a token without a revocation (e.g. a per-connection local token on close).
+   */
+  forget(token) {
+    this.sessions.delete(token);
+  }
+
+  /**
+   * Revoke a session by its public id. Returns the revoked token, or null.
+   */
+  revoke(sessionId) {
+    for (const [token, session] of this.sessions) {
+      if (session.id === sessionId) {
+        this.sessions.delete(token);
+        return token;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Revoke every session matching `filter` (all by default) and invalidate
+   * outstanding pairing codes. Returns the revoked tokens.
+   */
+  revokeAll(filter = () => true) {
+    const tokens = [];
+    for (const [token, session] of this.sessions) {
+      if (filter(session)) {
+        this.sessions.delete(token);
+        tokens.push(token);
+      }
+    }
+    this.pairingCodes.clear();
+    return tokens;
+  }
+
+  /**
+   * Public view of active sessions (never exposes the tokens themselves).
+   */
+  listSessions() {
+    return Array.from(this.sessions.values()).map(({ id, label, local, createdAt, lastSeen }) => ({
+      id, label, local, createdAt, lastSeen,
+    }));
+  }
+
+  _pruneCodes() {
+    const now = Date.now();
+    for (const [code, expiresAt] of this.pairingCodes) {
+      if (expiresAt <= now) this.pairingCodes.delete(code);
+    }
+  }
+}
@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionAuth } from './SessionAuth.js';
+
+test('a pairing code is redeemed once', () => {
+  const auth = new SessionAuth();
+  const { code } = auth.createPairingCode();
+  const token = auth.redeemPairingCode(code, 'quest');
+  assert.ok(auth.validate(token));
+  assert.equal(auth.redeemPairingCode(code), null);
+});
+
+test('wrong codes leave outstanding codes alone', () => {
+  const auth = new SessionAuth();
+  const { code } = auth.createPairingCode();
+  const wrong = code === '000000' ? '000001' : '000000';
+  for (let i = 0; i < 50; i++) assert.equal(auth.redeemPairingCode(wrong), null);
+  assert.ok(auth.redeemPairingCode(code));
+});
+
+test('expired codes are refused', () => {
+  const auth = new SessionAuth({ codeTtlMs: -1 });
+  const { code } = auth.createPairingCode();
+  assert.equal(auth.redeemPairingCode(code), null);
+});
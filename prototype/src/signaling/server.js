@@ -2,19 +2,56 @@
  * HaloView WebRTC Signaling Server
  *
  * Lightweight WebSocket server for LAN WebRTC signaling.
- * Peers register as either 'capture' (PC screen capture) or 'viewer' (Quest 3 browser).
- * Routes SDP offers/answers and ICE candidates between them.
+ * Peers register as either 'capture' (PC screen capture) or 'viewer' (Quest 3 browser)
+ * inside a named room ('default' if none is given). Routes SDP offers/answers and
+ * ICE candidates between them; all routing and broadcasts stay within the room.
+ *
+ * Every message is validated against the shared schema (shared/protocol/signaling.js);
+ * bad messages get a structured `error` reply. Peers must authenticate before they
+ * can register or signal. Peers on the signaling host (the capture app) are trusted
+ * and receive a token in `welcome`; LAN viewers redeem a pairing code shown by the
+ * capture app.
+ *
+ * When a registered peer's socket drops, it is suspended rather than removed:
+ * messages for it are queued, and a new connection can take its identity back
+ * with `resume` + the resume token from `room-joined`. Only after the grace
+ * period does the room see `peer-disconnected`.
  *
  * Usage: node src/signaling/server.js
  * Default port: 8080
+ * SIGNAL_AUTH=off disables authentication (trusted networks only).
+ * SIGNAL_RESUME_GRACE_MS sets how long a dropped peer can resume (default 20000).
  */
 
 import { WebSocketServer } from 'ws';
 import { createServer } from 'https';
 import { readFileSync, existsSync } from 'fs';
+import { randomBytes, timingSafeEqual } from 'crypto';
 import { networkInterfaces } from 'os';
+import { SessionAuth } from './SessionAuth.js';
+import {
+  PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, ErrorCode,
+  isCompatibleVersion, validateMessage, errorMessage,
+} from '../../../shared/protocol/signaling.js';
 
 const PORT = parseInt(process.env.SIGNAL_PORT || '8080', 10);
+const AUTH_ENABLED = process.env.SIGNAL_AUTH !== 'off';
+const MAX_PAIR_ATTEMPTS = 5; // wrong codes per client address within PAIR_LOCKOUT_MS, then it is locked out
+const PAIR_LOCKOUT_MS = 10 * 60 * 1000;
+const MAX_CONNECTIONS_PER_WINDOW = 20; // new sockets per remote address within CONNECTION_WINDOW_MS
+const CONNECTION_WINDOW_MS = 10000;
+const DEFAULT_ROOM = 'default';
+const MAX_ROOM_NAME_LENGTH = 64;
+const RESUME_GRACE_MS = parseInt(process.env.SIGNAL_RESUME_GRACE_MS || '20000', 10);
+const MAX_OUTBOX = 200; // messages queued for a suspended peer before the oldest are dropped
+const HEARTBEAT_MS = 10000; // ping interval; sockets that miss a pong are treated as dropped
+
+const auth = new SessionAuth();
+
+// Per-address abuse tracking for non-local clients. Counting per socket is not
+// enough: a client could reconnect for fresh pairing guesses.
+const pairFailures = new Map(); // remoteAddr -> { count, since }
+const recentConnections = new Map(); // remoteAddr -> [connectedAt, ...]
 
 // Try to use the same self-signed certs as Vite for consistency
 // If not available, fall back to plain WS (WebRTC still works on LAN without HTTPS signaling)
@@ -36,22 +73,42 @@ const wss = server
   : new WebSocketServer({ port: PORT });
 
 // Track connected peers
-const peers = new Map(); // peerId -> { ws, role, panelIds, windowList? }
+// peerId -> { ws, role, room, panelIds, windowList?, launchers?, protocolVersion?, authed, token, isLocal, remoteAddr,
+//             conn, resumeToken?, suspended?, outbox?, suspendTimer? }
+const peers = new Map();
 let nextPeerId = 1;
 
 wss.on('connection', (ws, req) => {
-  const peerId = nextPeerId++;
-  const remoteAddr = req.socket.remoteAddress;
-  console.log(`[Signal] Peer ${peerId} connected from ${remoteAddr}`);
+  const remoteAddr = getClientAddress(req);
+  const isLocal = isLoopback(remoteAddr);
+  if (!isLocal && refuseConnection(ws, remoteAddr)) return;
 
-  peers.set(peerId, { ws, role: null, panelIds: [] });
+  // `conn.peerId` changes if this socket resumes a suspended peer
+  const conn = { peerId: nextPeerId++ };
+  console.log(`[Signal] Peer ${conn.peerId} connected from ${remoteAddr}${isLocal ? ' (local)' : ''}`);
+
+  // Peers on this machine are trusted; everyone else must pair or present a token
+  const token = AUTH_ENABLED && isLocal ? auth.issueToken(`local peer ${conn.peerId}`, { local: true }) : null;
+  const authed = !AUTH_ENABLED || isLocal;
+  peers.set(conn.peerId, {
+    ws, role: null, room: null, panelIds: [], authed, token, isLocal, remoteAddr, conn,
+  });
 
   ws.on('message', (data) => {
+    const peerId = conn.peerId;
     let msg;
     try {
       msg = JSON.parse(data);
     } catch {
       console.warn(`[Signal] Invalid JSON from peer ${peerId}`);
+      send(ws, errorMessage(ErrorCode.BAD_JSON, 'message is not valid JSON'));
+      return;
+    }
+
+    const problem = validateMessage(msg, 'server');
+    if (problem) {
+      console.warn(`[Signal] Rejected message from peer ${peerId}: ${problem.message}`);
+      send(ws, errorMessage(problem.code, problem.message, typeof msg?.type === 'string' ? msg.type : null));
       return;
     }
 
@@ -59,115 +116,542 @@ wss.on('connection', (ws, req) => {
   });
 
   ws.on('close', () => {
-    console.log(`[Signal] Peer ${peerId} disconnected (role: ${peers.get(peerId)?.role})`);
-    peers.delete(peerId);
-    // Notify remaining peers
-    broadcast({ type: 'peer-disconnected', peerId });
+    const peer = peers.get(conn.peerId);
+    // A socket that was superseded by a resume no longer owns the peer
+    if (!peer || peer.ws !== ws) return;
+    if (peer.authed && peer.room && RESUME_GRACE_MS > 0) {
+      suspendPeer(conn.peerId, peer);
+    } else {
+      removePeer(conn.peerId);
+    }
   });
 
   ws.on('error', (err) => {
-    console.error(`[Signal] Peer ${peerId} error:`, err.message);
+    console.error(`[Signal] Peer ${conn.peerId} error:`, err.message);
   });
 
-  // Send welcome with peer ID, list of existing peers, and cached window list
-  const capturePeer = Array.from(peers.values()).find(p => p.role === 'capture' && p.windowList);
+  ws.isAlive = true;
+  ws.on('pong', () => { ws.isAlive = true; });
+
+  // Send welcome with peer ID. Room state (peers, cached window list) follows
+  // in 'room-joined' once the peer has authenticated and registered.
   send(ws, {
     type: 'welcome',
-    peerId,
-    peers: Array.from(peers.entries())
-      .filter(([id]) => id !== peerId)
-      .map(([id, p]) => ({ peerId: id, role: p.role, panelIds: p.panelIds })),
-    windowList: capturePeer?.windowList || null,
+    peerId: conn.peerId,
+    protocolVersion: PROTOCOL_VERSION,
+    minProtocolVersion: MIN_PROTOCOL_VERSION,
+    authRequired: !authed,
+    ...(authed ? { token } : {}),
   });
 });
 
+/**
+ * Keep a dropped peer's identity for RESUME_GRACE_MS; messages for it are queued.
+ */
+function suspendPeer(peerId, peer) {
+  console.log(`[Signal] Peer ${peerId} dropped (role: ${peer.role}, room: ${peer.room}) — holding for ${RESUME_GRACE_MS}ms`);
+  peer.ws = null;
+  peer.suspended = true;
+  peer.outbox = [];
+  peer.suspendTimer = setTimeout(() => {
+    console.log(`[Signal] Peer ${peerId} did not resume`);
+    removePeer(peerId);
+  }, RESUME_GRACE_MS);
+  broadcast(peer.room, { type: 'peer-suspended', peerId }, peerId);
+}
+
+/**
+ * Forget a peer for good and tell its room.
+ */
+function removePeer(peerId) {
+  const peer = peers.get(peerId);
+  if (!peer) return;
+  clearTimeout(peer.suspendTimer);
+  peers.delete(peerId);
+  console.log(`[Signal] Peer ${peerId} disconnected (role: ${peer.role}, room: ${peer.room})`);
+  // Local tokens are per-connection; paired tokens outlive the socket
+  if (peer.isLocal && peer.token) {
+    auth.forget(peer.token);
+  }
+  // Notify remaining peers in the same room
+  if (peer.room) {
+    broadcast(peer.room, { type: 'peer-disconnected', peerId });
+  }
+}
+
+/**
+ * Hand a suspended peer's identity to the socket of connection `fromId`.
+ */
+function resumePeer(fromId, newPeer, msg) {
+  const target = peers.get(msg.peerId);
+  const tokenMatches = target?.resumeToken && safeEqual(target.resumeToken, msg.resumeToken);
+  // A paired (non-local) session must still be valid; local peers must resume from the host
+  const stillAuthorized = target && (target.isLocal ? newPeer.isLocal : !AUTH_ENABLED || auth.validate(target.token));
+  if (!target || !tokenMatches || !stillAuthorized) {
+    console.warn(`[Signal] Peer ${fromId} failed to resume peer ${msg.peerId}`);
+    send(newPeer.ws, { type: 'resume-failed', reason: target ? 'rejected' : 'expired' });
+    return;
+  }
+
+  // The client noticed the drop before we did (half-open socket) — retire the old one
+  if (!target.suspended && target.ws) {
+    target.ws.terminate();
+  }
+
+  // The temporary identity of this connection is discarded
+  peers.delete(fromId);
+  if (newPeer.isLocal && newPeer.token && newPeer.token !== target.token) {
+    auth.forget(newPeer.token);
+  }
+
+  clearTimeout(target.suspendTimer);
+  target.ws = newPeer.ws;
+  target.conn = newPeer.conn;
+  target.conn.peerId = msg.peerId;
+  target.remoteAddr = newPeer.remoteAddr;
+  target.suspended = false;
+  target.resumeToken = randomBytes(16).toString('hex');
+  const queued = target.outbox || [];
+  target.outbox = null;
+
+  console.log(`[Signal] Peer ${msg.peerId} resumed (was connection ${fromId}), flushing ${queued.length} queued message(s)`);
+  send(target.ws, {
+    type: 'resumed',
+    peerId: msg.peerId,
+    room: target.room,
+    resumeToken: target.resumeToken,
+    ...roomSnapshot(target.room, msg.peerId),
+  });
+  for (const queuedMsg of queued) {
+    send(target.ws, queuedMsg);
+  }
+  broadcast(target.room, { type: 'peer-resumed', peerId: msg.peerId }, msg.peerId);
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Existing peers and the cached window and launcher lists of a room, as sent to a peer joining it.
+ */
+function roomSnapshot(room, peerId) {
+  const members = roomPeers(room, peerId);
+  const capturePeer = members.find(([, p]) => p.role === 'capture' && p.windowList)?.[1];
+  return {
+    peers: members.map(([id, p]) => ({ peerId: id, role: p.role, panelIds: p.panelIds })),
+    windowList: capturePeer?.windowList || null,
+    launchers: capturePeer?.launchers || null,
+  };
+}
+
+/**
+ * Authenticated peers in a room, as [peerId, peer] entries.
+ */
+function roomPeers(room, excludeId = null) {
+  return Array.from(peers.entries())
+    .filter(([id, p]) => id !== excludeId && p.authed && p.room === room);
+}
+
+function normalizeRoomName(name) {
+  if (typeof name !== 'string') return DEFAULT_ROOM;
+  const trimmed = name.trim().slice(0, MAX_ROOM_NAME_LENGTH);
+  return trimmed || DEFAULT_ROOM;
+}
+
 function handleMessage(fromId, msg) {
   const peer = peers.get(fromId);
   if (!peer) return;
 
+  if (handleAuthMessage(fromId, peer, msg)) return;
+
+  if (!peer.authed) {
+    console.warn(`[Signal] Rejected '${msg.type}' from unauthenticated peer ${fromId}`);
+    send(peer.ws, errorMessage(ErrorCode.AUTH_REQUIRED, 'authenticate or pair before sending this message', msg.type));
+    return;
+  }
+
   switch (msg.type) {
     case 'register': {
-      // Peer declares its role: 'capture' (PC) or 'viewer' (Quest)
+      // Peer declares its role: 'capture' (PC) or 'viewer' (Quest), and its room.
+      // Peers that predate versioning omit protocolVersion and are treated as v1.
+      const version = msg.protocolVersion ?? 1;
+      if (!isCompatibleVersion(version)) {
+        console.warn(`[Signal] Peer ${fromId} speaks protocol v${version} (supported: v${MIN_PROTOCOL_VERSION}-v${PROTOCOL_VERSION})`);
+        send(peer.ws, errorMessage(
+          ErrorCode.UNSUPPORTED_VERSION,
+          `protocol v${version} is not supported (server supports v${MIN_PROTOCOL_VERSION}-v${PROTOCOL_VERSION})`,
+          msg.type,
+        ));
+        break;
+      }
+      peer.protocolVersion = version;
+      const room = normalizeRoomName(msg.room);
+      const previousRoom = peer.room;
+      if (previousRoom && previousRoom !== room) {
+        // Leaving a room looks like a disconnect to the peers left behind
+        broadcast(previousRoom, { type: 'peer-disconnected', peerId: fromId }, fromId);
+        peer.windowList = undefined;
+        peer.launchers = undefined;
+      }
       peer.role = msg.role;
+      peer.room = room;
       peer.panelIds = msg.panelIds || [];
-      console.log(`[Signal] Peer ${fromId} registered as '${msg.role}', panels: [${peer.panelIds.join(', ')}]`);
-      broadcast({ type: 'peer-registered', peerId: fromId, role: msg.role, panelIds: peer.panelIds });
+      console.log(`[Signal] Peer ${fromId} registered as '${msg.role}' in room '${room}', panels: [${peer.panelIds.join(', ')}]`);
+      if (previousRoom !== room) {
+        peer.resumeToken = randomBytes(16).toString('hex');
+        send(peer.ws, { type: 'room-joined', room, resumeToken: peer.resumeToken, ...roomSnapshot(room, fromId) });
+      }
+      broadcast(room, { type: 'peer-registered', peerId: fromId, role: msg.role, panelIds: peer.panelIds });
+      break;
+    }
+
+    case 'list-rooms': {
+      // Active rooms with member counts (rooms exist while they have peers)
+      const rooms = new Map(); // name -> { name, captures, viewers }
+      for (const p of peers.values()) {
+        if (!p.authed || !p.room) continue;
+        const entry = rooms.get(p.room) || { name: p.room, captures: 0, viewers: 0 };
+        if (p.role === 'capture') entry.captures++;
+        else if (p.role === 'viewer') entry.viewers++;
+        rooms.set(p.room, entry);
+      }
+      send(peer.ws, { type: 'room-list', rooms: Array.from(rooms.values()) });
       break;
     }
 
     case 'offer':
     case 'answer':
     case 'ice-candidate': {
-      // Relay WebRTC signaling to target peer
+      // Relay WebRTC signaling to target peer (same room only)
       const target = peers.get(msg.targetId);
-      if (target) {
-        send(target.ws, { ...msg, fromId });
+      if (target?.authed && target.room === peer.room) {
+        sendToPeer(target, { ...msg, fromId });
       } else {
-        console.warn(`[Signal] Target peer ${msg.targetId} not found for ${msg.type}`);
+        console.warn(`[Signal] Target peer ${msg.targetId} not found in room '${peer.room}' for ${msg.type}`);
       }
       break;
     }
 
-    case 'panel-request': {
-      // Viewer requests a new panel stream from capture peer
-      const capturePeers = Array.from(peers.entries())
-        .filter(([, p]) => p.role === 'capture');
-      for (const [id, p] of capturePeers) {
-        send(p.ws, { type: 'panel-request', fromId, panelId: msg.panelId });
+    case 'panel-request':
+    case 'panel-focus': {
+      // Viewer requests a panel stream (or reports gaze focus) to one capture peer
+      // (targetId) or all in the room. Flags (multiplex, iceRestart, reset) are passed through.
+      if (!requireRole(fromId, peer, 'viewer', msg.type)) break;
+      for (const [id, p] of roomPeers(peer.room, fromId)) {
+        if (p.role === 'capture' && (msg.targetId === undefined || msg.targetId === id)) {
+          sendToPeer(p, { ...msg, fromId });
+        }
       }
       break;
     }
 
     case 'window-list': {
-      // Capture peer broadcasts available windows; cache and forward to viewers
+      // Capture peer broadcasts available windows; cache and forward to the room's viewers
+      if (!requireRole(fromId, peer, 'capture', msg.type)) break;
       peer.windowList = msg.windows;
-      for (const [id, p] of peers) {
+      peer.launchers = msg.launchers;
+      for (const [, p] of roomPeers(peer.room, fromId)) {
         if (p.role === 'viewer') {
-          send(p.ws, { type: 'window-list', fromId, windows: msg.windows });
+          sendToPeer(p, { type: 'window-list', fromId, windows: msg.windows, launchers: msg.launchers });
+        }
+      }
+      break;
+    }
+
+    case 'window-bounds':
+    case 'clipboard': {
+      // Capture peer reports a captured window's new size or its clipboard; forward to the room's viewers.
+      // A viewer must not be able to plant clipboard text on the others.
+      if (!requireRole(fromId, peer, 'capture', msg.type)) break;
+      for (const [, p] of roomPeers(peer.room, fromId)) {
+        if (p.role === 'viewer') {
+          sendToPeer(p, { ...msg, fromId });
         }
       }
       break;
     }
 
     case 'request-window-list': {
-      // Viewer wants a fresh window list from all capture peers
-      for (const [id, p] of peers) {
+      // Viewer wants a fresh window list from the room's capture peers
+      if (!requireRole(fromId, peer, 'viewer', msg.type)) break;
+      for (const [, p] of roomPeers(peer.room, fromId)) {
         if (p.role === 'capture') {
-          send(p.ws, { type: 'request-window-list', fromId });
+          sendToPeer(p, { type: 'request-window-list', fromId });
         }
       }
       break;
     }
 
     case 'capture-window':
-    case 'release-panel': {
-      // Viewer tells a capture peer to start/stop capturing a window
+    case 'release-panel':
+    case 'window-command':
+    case 'launch-app':
+    case 'crop-panel':
+    case 'clipboard-set':
+    case 'workspace-save':
+    case 'workspace-restore': {
+      // Viewer tells a capture peer in its room to start/stop capturing a window,
+      // to focus/resize/close the window behind a panel, to launch an app into one,
+      // to split a region of a panel into its own, to take text onto its clipboard,
+      // or to save / restore its workspace
+      if (!requireRole(fromId, peer, 'viewer', msg.type)) break;
+      const target = peers.get(msg.targetId);
+      if (target?.authed && target.room === peer.room && target.role === 'capture') {
+        sendToPeer(target, { ...msg, fromId });
+      }
+      break;
+    }
+
+    case 'launch-failed':
+    case 'workspace': {
+      // Capture peer reports a failed launch, or a restored workspace, to the viewer that asked for it
+      if (!requireRole(fromId, peer, 'capture', msg.type)) break;
       const target = peers.get(msg.targetId);
-      if (target && target.role === 'capture') {
-        send(target.ws, { ...msg, fromId });
+      if (target?.authed && target.room === peer.room && target.role === 'viewer') {
+        sendToPeer(target, { ...msg, fromId });
       }
       break;
     }
 
     default:
-      console.log(`[Signal] Unknown message type '${msg.type}' from peer ${fromId}`);
+      // Schema-valid but not handled here (e.g. a server -> peer type)
+      console.log(`[Signal] Unhandled message type '${msg.type}' from peer ${fromId}`);
+      send(peer.ws, errorMessage(ErrorCode.UNKNOWN_TYPE, `'${msg.type}' is not handled by the server`, msg.type));
+  }
+}
+
+/**
+ * Pairing, token and revocation messages. Returns true if the message was handled.
+ */
+function handleAuthMessage(fromId, peer, msg) {
+  switch (msg.type) {
+    case 'resume': {
+      // Reconnecting peer reclaims its previous identity (the resume token is the credential)
+      resumePeer(fromId, peer, msg);
+      return true;
+    }
+
+    case 'auth': {
+      // Returning peer presents a previously issued session token
+      if (AUTH_ENABLED && !auth.validate(msg.token)) {
+        console.warn(`[Signal] Peer ${fromId} presented an invalid token`);
+        send(peer.ws, { type: 'auth-failed', reason: 'invalid-token' });
+        return true;
+      }
+      authenticate(fromId, peer, msg.token);
+      return true;
+    }
+
+    case 'pair': {
+      // Viewer redeems a pairing code shown on the capture app
+      const token = AUTH_ENABLED
+        ? auth.redeemPairingCode(msg.code, `${peer.remoteAddr} (peer ${fromId})`)
+        : null;
+      if (AUTH_ENABLED && !token) {
+        const failures = recordPairFailure(peer.remoteAddr);
+        console.warn(`[Signal] Peer ${fromId} failed pairing from ${peer.remoteAddr} (${failures}/${MAX_PAIR_ATTEMPTS})`);
+        send(peer.ws, { type: 'auth-failed', reason: 'invalid-code' });
+        if (failures >= MAX_PAIR_ATTEMPTS) {
+          // Lock out every socket from this address, not just the one guessing
+          for (const p of peers.values()) {
+            if (p.remoteAddr === peer.remoteAddr && !p.authed && !p.suspended) {
+              p.ws.close(4003, 'too many pairing attempts');
+            }
+          }
+        }
+        return true;
+      }
+      console.log(`[Signal] Peer ${fromId} paired from ${peer.remoteAddr}`);
+      authenticate(fromId, peer, token);
+      if (token) notifySessionsChanged('paired');
+      return true;
+    }
+
+    case 'pair-request': {
+      // Capture app asks for a pairing code to display
+      if (!requireLocal(fromId, peer, msg.type)) return true;
+      const { code, expiresAt } = auth.createPairingCode();
+      console.log(`[Signal] Pairing code issued to peer ${fromId} (expires in ${Math.round(auth.codeTtlMs / 1000)}s)`);
+      send(peer.ws, { type: 'pair-code', code, expiresAt });
+      return true;
+    }
+
+    case 'list-sessions': {
+      if (!requireLocal(fromId, peer, msg.type)) return true;
+      send(peer.ws, { type: 'session-list', sessions: auth.listSessions() });
+      return true;
+    }
+
+    case 'revoke-token': {
+      // Revoke one paired session by id, or all of them; connected holders are disconnected
+      if (!requireLocal(fromId, peer, msg.type)) return true;
+      const tokens = msg.all
+        ? auth.revokeAll(s => !s.local)
+        : [auth.revoke(msg.sessionId)].filter(Boolean);
+      for (const [id, p] of peers) {
+        if (id !== fromId && p.token && tokens.includes(p.token)) {
+          p.authed = false;
+          if (p.suspended) {
+            removePeer(id);
+          } else {
+            p.ws.close(4001, 'token revoked');
+          }
+        }
+      }
+      console.log(`[Signal] Peer ${fromId} revoked ${tokens.length} session(s)`);
+      notifySessionsChanged('revoked');
+      return true;
+    }
+  }
+  return false;
+}
+
+function authenticate(peerId, peer, token) {
+  peer.authed = true;
+  peer.token = token;
+  send(peer.ws, { type: 'auth-ok', token });
+}
+
+/**
+ * Push the session list to local peers (the capture dashboard) after a change.
+ */
+function notifySessionsChanged(reason) {
+  const sessions = auth.listSessions();
+  for (const p of peers.values()) {
+    if (p.isLocal && p.authed) {
+      send(p.ws, { type: 'session-list', sessions, reason });
+    }
   }
 }
 
+function requireLocal(peerId, peer, type) {
+  if (peer.isLocal && peer.authed) return true;
+  console.warn(`[Signal] Rejected '${type}' from non-local peer ${peerId}`);
+  send(peer.ws, errorMessage(ErrorCode.FORBIDDEN, 'only peers on the signaling host may do this', type));
+  return false;
+}
+
+function requireRole(peerId, peer, role, type) {
+  if (peer.role === role) return true;
+  console.warn(`[Signal] Rejected '${type}' from peer ${peerId} (registered as '${peer.role ?? 'nothing'}', not '${role}')`);
+  send(peer.ws, errorMessage(ErrorCode.FORBIDDEN, `only ${role} peers may send '${type}'`, type));
+  return false;
+}
+
+/**
+ * Close a new non-local socket whose address is locked out after failed pairing
+ * or is opening connections too fast. Returns true if the socket was refused.
+ */
+function refuseConnection(ws, remoteAddr) {
+  const now = Date.now();
+  pruneAbuseTracking(now);
+
+  if ((pairFailures.get(remoteAddr)?.count ?? 0) >= MAX_PAIR_ATTEMPTS) {
+    console.warn(`[Signal] Refused connection from ${remoteAddr}: locked out after failed pairing`);
+    send(ws, { type: 'auth-failed', reason: 'too-many-attempts' });
+    ws.close(4003, 'too many pairing attempts');
+    return true;
+  }
+
+  const recent = recentConnections.get(remoteAddr) ?? [];
+  recent.push(now);
+  recentConnections.set(remoteAddr, recent);
+  if (recent.length > MAX_CONNECTIONS_PER_WINDOW) {
+    console.warn(`[Signal] Refused connection from ${remoteAddr}: too many connections`);
+    ws.close(4029, 'too many connections');
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Count a wrong pairing code against a client address. Returns the failures
+ * within the current lockout window.
+ */
+function recordPairFailure(remoteAddr) {
+  const now = Date.now();
+  const entry = pairFailures.get(remoteAddr);
+  if (!entry || now - entry.since >= PAIR_LOCKOUT_MS) {
+    pairFailures.set(remoteAddr, { count: 1, since: now });
+    return 1;
+  }
+  entry.count++;
+  return entry.count;
+}
+
+function pruneAbuseTracking(now) {
+  for (const [addr, entry] of pairFailures) {
+    if (now - entry.since >= PAIR_LOCKOUT_MS) pairFailures.delete(addr);
+  }
+  for (const [addr, times] of recentConnections) {
+    const recent = times.filter(t => now - t < CONNECTION_WINDOW_MS);
+    if (recent.length > 0) {
+      recentConnections.set(addr, recent);
+    } else {
+      recentConnections.delete(addr);
+    }
+  }
+}
+
+/**
+ * Resolve the real client address. Requests proxied through Vite arrive from
+ * loopback with the original address appended to X-Forwarded-For; the header
+ * is only trusted when the socket itself is loopback.
+ */
+function getClientAddress(req) {
+  const socketAddr = req.socket.remoteAddress;
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded && isLoopback(socketAddr)) {
+    const hops = String(forwarded).split(',').map(h => h.trim()).filter(Boolean);
+    if (hops.length > 0) return hops[hops.length - 1];
+  }
+  return socketAddr;
+}
+
+function isLoopback(addr) {
+  return addr === '127.0.0.1' || addr === '::1' || addr === '::ffff:127.0.0.1';
+}
+
 function send(ws, msg) {
-  if (ws.readyState === ws.OPEN) {
+  if (ws && ws.readyState === ws.OPEN) {
     ws.send(JSON.stringify(msg));
   }
 }
 
-function broadcast(msg, excludeId = null) {
-  for (const [id, peer] of peers) {
-    if (id !== excludeId) {
-      send(peer.ws, msg);
-    }
+/**
+ * Send to a peer, queueing while it is suspended (flushed on resume).
+ */
+function sendToPeer(peer, msg) {
+  if (peer.suspended) {
+    peer.outbox.push(msg);
+    if (peer.outbox.length > MAX_OUTBOX) peer.outbox.shift();
+    return;
+  }
+  send(peer.ws, msg);
+}
+
+function broadcast(room, msg, excludeId = null) {
+  for (const [, peer] of roomPeers(room, excludeId)) {
+    sendToPeer(peer, msg);
   }
 }
 
+// Heartbeat: a Wi-Fi drop often leaves the socket half-open, so ping and
+// terminate sockets that stop answering (which suspends their peer)
+setInterval(() => {
+  for (const ws of wss.clients) {
+    if (!ws.isAlive) {
+      ws.terminate();
+      continue;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  }
+}, HEARTBEAT_MS);
+
 // Start server
 if (server) {
   server.listen(PORT, () => {
@@ -181,6 +665,7 @@ if (server) {
 
 function printListening() {
   console.log(`[Signal] Signaling server listening on port ${PORT}`);
+  console.log(`[Signal] Authentication: ${AUTH_ENABLED ? 'pairing required for LAN peers' : 'DISABLED (SIGNAL_AUTH=off)'}`);
   console.log('[Signal] LAN addresses:');
   const ifaces = networkInterfaces();
   for (const [name, addrs] of Object.entries(ifaces)) {
@@ -0,0 +1,103 @@
+/**
+ * Gaze-driven bitrate allocation for the panels sent to one viewer.
+ *
+ * The viewer reports which panel it is looking at (panel-focus). The focused
+ * panel gets the largest share of the link budget and full frame rate, while
+ * peripheral panels are throttled. With no focus (looking away) every panel
+ * gets an equal share at a middle frame rate.
+ *
+ * allocateBitrates() is a pure function; applyEncodingLimits() sets one
+ * panel's result on its RTCRtpSender.
+ */
+
+/** Default budget (bits per second / frames per second). */
+export const DEFAULT_BITRATE_BUDGET = {
+  totalBitrate: 60_000_000, // all panels to one viewer
+  maxPanelBitrate: 30_000_000, // cap for any single panel (the focused one)
+  minPanelBitrate: 1_000_000, // floor so peripheral text stays legible
+  focusWeight: 4, // focused panel's share relative to a peripheral panel
+  focusedFramerate: 60,
+  peripheralFramerate: 15,
+  unfocusedFramerate: 30, // when no panel is focused
+};
+
+/**
+ * Merge a partial budget over the defaults, dropping invalid values.
+ */
+export function resolveBitrateBudget(overrides = {}) {
+  const budget = { ...DEFAULT_BITRATE_BUDGET };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (key in budget && Number.isFinite(value) && value > 0) budget[key] = value;
+  }
+  budget.minPanelBitrate = Math.min(budget.minPanelBitrate, budget.maxPanelBitrate);
+  return budget;
+}
+
+/**
+ * Split the budget across panels.
+ * @param {string[]} panelIds - Panels currently sent to the viewer
+ * @param {string|null} focusedPanelId - Panel the viewer is looking at (null = none)
+ * @param {object} budget - A resolved budget (see resolveBitrateBudget)
+ * @returns {Map<string, { maxBitrate: number, maxFramerate: number, priority: string }>}
+ */
+export function allocateBitrates(panelIds, focusedPanelId, budget = DEFAULT_BITRATE_BUDGET) {
+  const result = new Map();
+  if (panelIds.length === 0) return result;
+
+  const hasFocus = focusedPanelId !== null && panelIds.includes(focusedPanelId);
+  const weights = new Map(panelIds.map(id => [id, hasFocus && id === focusedPanelId ? budget.focusWeight : 1]));
+
+  // Every panel gets the floor first (scaled down if the panels can't all have
+  // it), so the allocations never add up to more than totalBitrate
+  const floor = Math.min(budget.minPanelBitrate, budget.totalBitrate / panelIds.length);
+  const headroom = budget.maxPanelBitrate - floor;
+
+  // The rest goes out as weighted shares on top of the floor, capped at
+  // maxPanelBitrate; what the caps free up goes to the others
+  const bitrates = new Map();
+  let remaining = budget.totalBitrate - floor * panelIds.length;
+  let open = [...panelIds];
+  while (open.length > 0) {
+    const totalWeight = open.reduce((sum, id) => sum + weights.get(id), 0);
+    const capped = open.filter(id => remaining * weights.get(id) / totalWeight >= headroom);
+    if (capped.length === 0) {
+      for (const id of open) bitrates.set(id, floor + remaining * weights.get(id) / totalWeight);
+      break;
+    }
+    for (const id of capped) {
+      bitrates.set(id, budget.maxPanelBitrate);
+      remaining -= headroom;
+    }
+    open = open.filter(id => !capped.includes(id));
+  }
+
+  for (const id of panelIds) {
+    const focused = hasFocus && id === focusedPanelId;
+    result.set(id, {
+      maxBitrate: Math.floor(bitrates.get(id)),
+      maxFramerate: !hasFocus ? budget.unfocusedFramerate
+        : focused ? budget.focusedFramerate : budget.peripheralFramerate,
+      priority: !hasFocus || focused ? 'high' : 'low',
+    });
+  }
+  return result;
+}
+
+/**
+ * Apply one panel's allocation to its RTCRtpSender (no-op if unchanged).
+ */
+export async function applyEncodingLimits(sender, { maxBitrate, maxFramerate, priority }) {
+  const params = sender.getParameters();
+  if (!params.encodings || params.encodings.length === 0) {
+    params.encodings = [{}];
+  }
+  const encoding = params.encodings[0];
+  if (encoding.maxBitrate === maxBitrate && encoding.maxFramerate === maxFramerate && encoding.priority === priority) {
+    return;
+  }
+  encoding.maxBitrate = maxBitrate;
+  encoding.maxFramerate = maxFramerate;
+  encoding.priority = priority;
+  encoding.networkPriority = priority;
+  await sender.setParameters(params);
+}
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateBitrates, resolveBitrateBudget, DEFAULT_BITRATE_BUDGET } from './BitrateAllocator.js';
+
+const panels = n => Array.from({ length: n }, (_, i) => `panel-${i + 1}`);
+const total = allocation => [...allocation.values()].reduce((sum, a) => sum + a.maxBitrate, 0);
+
+test('allocations never exceed the total budget, however many panels', () => {
+  const budget = resolveBitrateBudget({ totalBitrate: 20_000_000, minPanelBitrate: 1_000_000 });
+  for (const n of [1, 2, 5, 12, 20, 40]) {
+    for (const focus of [null, 'panel-1']) {
+      const allocation = allocateBitrates(panels(n), focus, budget);
+      assert.ok(total(allocation) <= budget.totalBitrate, `${n} panels, focus ${focus}: ${total(allocation)}`);
+    }
+  }
+});
+
+test('every panel keeps the floor while the budget allows it', () => {
+  const budget = resolveBitrateBudget({ totalBitrate: 20_000_000, minPanelBitrate: 1_000_000 });
+  const allocation = allocateBitrates(panels(16), 'panel-1', budget);
+  for (const { maxBitrate } of allocation.values()) assert.ok(maxBitrate >= 1_000_000);
+  assert.ok(allocation.get('panel-1').maxBitrate > allocation.get('panel-2').maxBitrate);
+});
+
+test('the floor is shared out evenly when the panels cannot all have it', () => {
+  const budget = resolveBitrateBudget({ totalBitrate: 10_000_000, minPanelBitrate: 1_000_000 });
+  const allocation = allocateBitrates(panels(40), 'panel-1', budget);
+  for (const { maxBitrate } of allocation.values()) assert.equal(maxBitrate, 250_000);
+});
+
+test('the focused panel gets the weighted share up to maxPanelBitrate', () => {
+  const allocation = allocateBitrates(panels(3), 'panel-2');
+  assert.equal(allocation.get('panel-2').maxBitrate, DEFAULT_BITRATE_BUDGET.maxPanelBitrate);
+  assert.equal(allocation.get('panel-2').maxFramerate, 60);
+  // The 28 Mbps left after the cap is split between the others, on top of their floors
+  assert.deepEqual(allocation.get('panel-1'), { maxBitrate: 15_000_000, maxFramerate: 15, priority: 'low' });
+});
+
+test('without focus every panel gets an equal share at the middle frame rate', () => {
+  const allocation = allocateBitrates(panels(4), null);
+  for (const a of allocation.values()) {
+    assert.deepEqual(a, { maxBitrate: 15_000_000, maxFramerate: 30, priority: 'high' });
+  }
+  assert.equal(allocateBitrates(panels(2), 'panel-9').get('panel-1').maxFramerate, 30);
+});
+
+test('no panels, no allocations', () => {
+  assert.equal(allocateBitrates([], null).size, 0);
+});
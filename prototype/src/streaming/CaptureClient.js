@@ -1,3 +1,13 @@
+import {
+  PROTOCOL_VERSION, isCompatibleVersion, validateMessage,
+} from '../../../shared/protocol/signaling.js';
+import { SharedPeerConnection } from './SharedPeerConnection.js';
+import { allocateBitrates, applyEncodingLimits, resolveBitrateBudget } from './BitrateAllocator.js';
+
+const RTC_CONFIG = {
+  iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
+};
+
 /**
  * PC-side screen capture client.
  * Run this in a browser on the PC to capture screens and stream them to Quest 3 via WebRTC.
@@ -6,12 +16,16 @@
  * then open the VR app on Quest 3 -- they connect via the signaling server.
  */
 export class CaptureClient {
-  constructor(signalingUrl) {
+  constructor(signalingUrl, { room = 'default', bitrateBudget = {} } = {}) {
     this.signalingUrl = signalingUrl;
+    this.room = room; // signaling room shared with the viewer
     this.ws = null;
     this.peerId = null;
     this.streams = new Map(); // panelId -> MediaStream
     this.peerConnections = new Map(); // `${viewerPeerId}:${panelId}` -> RTCPeerConnection
+    this.sharedConnections = new Map(); // viewerPeerId -> SharedPeerConnection (multiplex mode)
+    this.bitrateBudget = resolveBitrateBudget(bitrateBudget); // split across each viewer's panels by gaze
+    this.focusByViewer = new Map(); // viewerPeerId -> focused panelId (null = none)
   }
 
   async connect() {
@@ -23,13 +37,33 @@ export class CaptureClient {
       };
 
       this.ws.onmessage = (event) => {
-        const msg = JSON.parse(event.data);
-        this._handleSignal(msg);
+        let msg;
+        try {
+          msg = JSON.parse(event.data);
+        } catch {
+          console.warn('[Capture] Ignoring non-JSON signaling message');
+          return;
+        }
+        const problem = validateMessage(msg, 'peer');
+        if (problem) {
+          console.warn(`[Capture] Ignoring invalid signaling message: ${problem.message}`);
+          return;
+        }
+        this._handleSignal(msg).catch((e) => console.error(`[Capture] Handling '${msg.type}' failed:`, e));
         if (msg.type === 'welcome') {
           this.peerId = msg.peerId;
+          if (!isCompatibleVersion(PROTOCOL_VERSION, msg.minProtocolVersion, msg.protocolVersion)) {
+            reject(new Error(`Signaling server speaks protocol v${msg.minProtocolVersion}-v${msg.protocolVersion}, this page v${PROTOCOL_VERSION}`));
+            return;
+          }
+          if (msg.authRequired) {
+            // Only peers on the signaling host are trusted as capture sources
+            reject(new Error('Signaling server requires pairing; open the capture page on the PC running the server'));
+            return;
+          }
           const panelIds = Array.from(this.streams.keys());
-          this._send({ type: 'register', role: 'capture', panelIds });
-          console.log(`[Capture] Registered as capture (peerId: ${this.peerId}), panels: [${panelIds.join(', ')}]`);
+          this._send({ type: 'register', role: 'capture', room: this.room, panelIds, protocolVersion: PROTOCOL_VERSION });
+          console.log(`[Capture] Registered as capture in room '${this.room}' (peerId: ${this.peerId}), panels: [${panelIds.join(', ')}]`);
           resolve();
         }
       };
@@ -77,13 +111,16 @@ export class CaptureClient {
     this._send({
       type: 'register',
       role: 'capture',
+      room: this.room,
       panelIds: Array.from(this.streams.keys()),
+      protocolVersion: PROTOCOL_VERSION,
     });
 
     // Handle stream ending (user clicks "Stop sharing")
     stream.getVideoTracks()[0].onended = () => {
       console.log(`[Capture] Stream ended for panel '${panelId}'`);
       this.streams.delete(panelId);
+      for (const conn of this.sharedConnections.values()) conn.removePanel(panelId);
     };
 
     return stream;
@@ -91,8 +128,18 @@ export class CaptureClient {
 
   async _handleSignal(msg) {
     switch (msg.type) {
+      case 'error': {
+        console.warn(`[Capture] Server rejected '${msg.replyTo}': ${msg.message} (${msg.code})`);
+        break;
+      }
+
       case 'panel-request': {
-        // Viewer wants a stream for a specific panel
+        // Viewer wants a stream for a specific panel (or an ICE restart of it)
+        if (msg.multiplex) {
+          await this._handleSharedPanelRequest(msg);
+          break;
+        }
+        if (msg.iceRestart && await this._restartIce(msg.fromId, msg.panelId)) break;
         const stream = this.streams.get(msg.panelId);
         if (stream) {
           await this._sendStreamToViewer(msg.fromId, msg.panelId, stream);
@@ -102,21 +149,46 @@ export class CaptureClient {
         break;
       }
 
+      case 'panel-focus': {
+        this.focusByViewer.set(msg.fromId, msg.panelId);
+        await this._applyBitrates(msg.fromId);
+        break;
+      }
+
       case 'answer': {
+        if (msg.panelId === undefined) {
+          await this.sharedConnections.get(msg.fromId)?.handleAnswer(msg.sdp);
+          break;
+        }
         const key = `${msg.fromId}:${msg.panelId}`;
         const pc = this.peerConnections.get(key);
         if (pc) {
-          await pc.setRemoteDescription(new RTCSessionDescription(msg.sdp));
+          try {
+            await pc.setRemoteDescription(new RTCSessionDescription(msg.sdp));
+          } catch (e) {
+            // Stale answer to an offer this side replaced; the viewer's recovery takes over
+            console.warn(`[Capture] Answer from viewer ${msg.fromId} for panel '${msg.panelId}' rejected: ${e.message}`);
+            break;
+          }
           console.log(`[Capture] Received answer from viewer ${msg.fromId} for panel '${msg.panelId}'`);
         }
         break;
       }
 
       case 'ice-candidate': {
+        if (msg.panelId === undefined) {
+          await this.sharedConnections.get(msg.fromId)?.addIceCandidate(msg.candidate);
+          break;
+        }
         const key = `${msg.fromId}:${msg.panelId}`;
         const pc = this.peerConnections.get(key);
         if (pc && msg.candidate) {
-          await pc.addIceCandidate(new RTCIceCandidate(msg.candidate));
+          try {
+            await pc.addIceCandidate(new RTCIceCandidate(msg.candidate));
+          } catch (e) {
+            // Late candidates from before an ICE restart no longer match
+            console.log(`[Capture] Dropped ICE candidate for panel '${msg.panelId}': ${e.message}`);
+          }
         }
         break;
       }
@@ -129,18 +201,60 @@ export class CaptureClient {
             this.peerConnections.delete(key);
           }
         }
+        this.sharedConnections.get(msg.peerId)?.close();
+        this.sharedConnections.delete(msg.peerId);
+        this.focusByViewer.delete(msg.peerId);
         break;
       }
     }
   }
 
+  /**
+   * panel-request on the shared connection: add the panel, restart ICE on the
+   * connection carrying it, or (reset) rebuild that connection from scratch.
+   */
+  async _handleSharedPanelRequest(msg) {
+    let conn = this.sharedConnections.get(msg.fromId);
+    if (msg.iceRestart && conn?.hasPanel(msg.panelId)) {
+      await conn.restartIce();
+      return;
+    }
+
+    let panelIds = [msg.panelId];
+    if (msg.reset && conn) {
+      panelIds = [...new Set([...conn.panelIds, msg.panelId])];
+      conn.close();
+      this.sharedConnections.delete(msg.fromId);
+      console.log(`[Capture] Rebuilding shared connection to viewer ${msg.fromId}`);
+    }
+
+    if (!this.sharedConnections.has(msg.fromId)) {
+      this.sharedConnections.set(msg.fromId, new SharedPeerConnection(msg.fromId, {
+        send: (m) => this._send(m),
+        rtcConfig: RTC_CONFIG,
+        onInput: (panelId, inputEvent) => this._handleRemoteInput(panelId, inputEvent),
+        onSendersChanged: () => this._applyBitrates(viewerPeerId),
+        log: (m) => console.log(`[Capture] ${m}`),
+      }));
+    }
+    conn = this.sharedConnections.get(msg.fromId);
+    for (const panelId of panelIds) {
+      const stream = this.streams.get(panelId);
+      if (stream) {
+        await conn.addPanel(panelId, stream);
+      } else {
+        console.warn(`[Capture] No stream for panel '${panelId}'`);
+      }
+    }
+  }
+
   async _sendStreamToViewer(viewerPeerId, panelId, stream) {
     const key = `${viewerPeerId}:${panelId}`;
-    const config = {
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
-    };
 
-    const pc = new RTCPeerConnection(config);
+    // A re-request replaces whatever connection this panel had
+    this.peerConnections.get(key)?.close();
+
+    const pc = new RTCPeerConnection(RTC_CONFIG);
     this.peerConnections.set(key, pc);
 
     // Add video track
@@ -151,7 +265,13 @@ export class CaptureClient {
     // Create data channel for input forwarding (labeled with panelId)
     const inputChannel = pc.createDataChannel(`input:${panelId}`, { ordered: true });
     inputChannel.onmessage = (event) => {
-      const inputEvent = JSON.parse(event.data);
+      let inputEvent;
+      try {
+        inputEvent = JSON.parse(event.data);
+      } catch {
+        console.warn(`[Capture] Ignoring non-JSON input on panel '${panelId}'`);
+        return;
+      }
       this._handleRemoteInput(panelId, inputEvent);
     };
 
@@ -166,20 +286,7 @@ export class CaptureClient {
       }
     };
 
-    // Boost bitrate for LAN — 8 Mbps for crisp text
-    const sender = pc.getSenders().find(s => s.track?.kind === 'video');
-    if (sender) {
-      try {
-        const params = sender.getParameters();
-        if (!params.encodings || params.encodings.length === 0) {
-          params.encodings = [{}];
-        }
-        params.encodings[0].maxBitrate = 8_000_000;
-        await sender.setParameters(params);
-      } catch (e) {
-        console.warn(`[Capture] Could not set bitrate:`, e.message);
-      }
-    }
+    await this._applyBitrates(viewerPeerId);
 
     // Create and send offer
     const offer = await pc.createOffer();
@@ -194,6 +301,53 @@ export class CaptureClient {
     console.log(`[Capture] Sent offer to viewer ${viewerPeerId} for panel '${panelId}'`);
   }
 
+  /**
+   * Re-split the bitrate budget across a viewer's panels, favouring the one it
+   * is looking at. Runs on focus changes and when panels are added or removed.
+   */
+  async _applyBitrates(viewerPeerId) {
+    const senders = new Map(); // panelId -> RTCRtpSender
+    const prefix = `${viewerPeerId}:`;
+    for (const [key, pc] of this.peerConnections) {
+      if (!key.startsWith(prefix)) continue;
+      const sender = pc.getSenders().find(s => s.track?.kind === 'video');
+      if (sender) senders.set(key.slice(prefix.length), sender);
+    }
+    for (const [panelId, { transceiver }] of this.sharedConnections.get(viewerPeerId)?.panels ?? []) {
+      senders.set(panelId, transceiver.sender);
+    }
+
+    const focusedPanelId = this.focusByViewer.get(viewerPeerId) ?? null;
+    const allocation = allocateBitrates(Array.from(senders.keys()), focusedPanelId, this.bitrateBudget);
+    await Promise.all(Array.from(senders, async ([panelId, sender]) => {
+      try {
+        await applyEncodingLimits(sender, allocation.get(panelId));
+      } catch (e) {
+        console.warn(`[Capture] Could not set bitrate for panel '${panelId}':`, e.message);
+      }
+    }));
+  }
+
+  /**
+   * Renegotiate a panel's existing connection with fresh ICE credentials.
+   * Returns false if there is no connection left to restart.
+   */
+  async _restartIce(viewerPeerId, panelId) {
+    const pc = this.peerConnections.get(`${viewerPeerId}:${panelId}`);
+    if (!pc || pc.signalingState === 'closed') return false;
+
+    const offer = await pc.createOffer({ iceRestart: true });
+    await pc.setLocalDescription(offer);
+    this._send({
+      type: 'offer',
+      targetId: viewerPeerId,
+      sdp: pc.localDescription,
+      panelId,
+    });
+    console.log(`[Capture] Sent ICE restart offer to viewer ${viewerPeerId} for panel '${panelId}'`);
+    return true;
+  }
+
   _handleRemoteInput(panelId, inputEvent) {
     // TODO: Forward input events to the appropriate virtual desktop
     console.log(`[Capture] Input on panel '${panelId}':`, inputEvent);
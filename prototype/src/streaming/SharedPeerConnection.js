@@ -0,0 +1,220 @@
+/**
+ * Sending side of a multiplexed connection: every panel streamed from one
+ * capture peer to one viewer shares a single RTCPeerConnection (one DTLS
+ * handshake, one ICE negotiation, one congestion controller).
+ *
+ * Each panel gets a sendonly video transceiver, identified on the wire by its
+ * `mid`, plus an `input:${panelId}` data channel on the same SCTP association.
+ * Adding or removing panels renegotiates. The capture side is always the
+ * offerer and sends the panelId <-> mid map with every offer. Freed
+ * transceivers are parked as inactive and reused, so the SDP doesn't grow
+ * with every panel change.
+ *
+ * Used by CaptureClient and ElectronCaptureClient when the viewer asks for
+ * `multiplex` in panel-request / capture-window.
+ */
+export class SharedPeerConnection {
+  /**
+   * @param {number} viewerPeerId
+   * @param {object} options
+   * @param {(msg: object) => void} options.send - Send a signaling message
+   * @param {RTCConfiguration} options.rtcConfig
+   * @param {(panelId: string, event: object) => void} options.onInput - Input event from a panel's data channel
+   * @param {(panelId: string) => void} [options.onInputClosed] - A panel's data channel closed
+   * @param {() => Promise<void>} [options.onSendersChanged] - Panels added/removed (re-split the bitrate budget)
+   * @param {(msg: string) => void} [options.log]
+   */
+  constructor(viewerPeerId, { send, rtcConfig, onInput, onInputClosed = null, onSendersChanged = null, log = console.log }) {
+    this.viewerPeerId = viewerPeerId;
+    this.pc = new RTCPeerConnection(rtcConfig);
+    this.panels = new Map(); // panelId -> { stream, transceiver, channel }
+    this._idleTransceivers = [];
+    this._send = send;
+    this._onInput = onInput;
+    this._onInputClosed = onInputClosed;
+    this._onSendersChanged = onSendersChanged;
+    this._log = log;
+
+    // Only one offer in flight; changes made meanwhile go into the next one
+    this._awaitingAnswer = false;
+    this._negotiationPending = false;
+    this._iceRestartPending = false;
+
+    this.pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this._send({ type: 'ice-candidate', targetId: viewerPeerId, candidate: event.candidate });
+      }
+    };
+
+    this.pc.onconnectionstatechange = () => {
+      this._log(`Shared connection to viewer ${viewerPeerId}: ${this.pc.connectionState}`);
+    };
+  }
+
+  get panelIds() {
+    return Array.from(this.panels.keys());
+  }
+
+  hasPanel(panelId) {
+    return this.panels.has(panelId);
+  }
+
+  /**
+   * Start sending `stream` as `panelId`. Re-adding a panel with a new stream
+   * (re-capture) moves it to another transceiver so the viewer gets a new track.
+   */
+  async addPanel(panelId, stream) {
+    const previous = this.panels.get(panelId);
+    if (previous?.stream === stream) return;
+    const track = stream.getVideoTracks()[0];
+    if (!track) return;
+
+    let transceiver = this._idleTransceivers.shift();
+    if (transceiver) {
+      await transceiver.sender.replaceTrack(track);
+      transceiver.sender.setStreams(stream);
+      transceiver.direction = 'sendonly';
+    } else {
+      transceiver = this.pc.addTransceiver(track, { direction: 'sendonly', streams: [stream] });
+    }
+
+    let channel = previous?.channel;
+    if (!channel) {
+      channel = this.pc.createDataChannel(`input:${panelId}`, { ordered: true });
+      channel.onmessage = (event) => {
+        let inputEvent;
+        try {
+          inputEvent = JSON.parse(event.data);
+        } catch {
+          this._log(`Ignoring non-JSON input on panel '${panelId}'`);
+          return;
+        }
+        this._onInput(panelId, inputEvent);
+      };
+      channel.onclose = () => {
+        if (this._onInputClosed) this._onInputClosed(panelId);
+      };
+    }
+    if (previous) this._park(previous.transceiver);
+
+    this.panels.set(panelId, { stream, transceiver, channel });
+    if (this._onSendersChanged) await this._onSendersChanged();
+    this._log(`Added panel '${panelId}' to shared connection with viewer ${this.viewerPeerId}`);
+    await this.negotiate();
+  }
+
+  /**
+   * Stop sending a panel. Returns false if it wasn't on this connection.
+   */
+  removePanel(panelId) {
+    const entry = this.panels.get(panelId);
+    if (!entry) return false;
+
+    this.panels.delete(panelId);
+    entry.channel.close();
+    this._park(entry.transceiver);
+    this._log(`Removed panel '${panelId}' from shared connection with viewer ${this.viewerPeerId}`);
+    if (this._onSendersChanged) {
+      Promise.resolve(this._onSendersChanged()).catch((e) => this._log(`Re-splitting bitrates failed: ${e.message}`));
+    }
+    this.negotiate().catch(() => {}); // negotiate() logs its own failures
+    return true;
+  }
+
+  /**
+   * Create and send an offer carrying the current panelId <-> mid map.
+   */
+  async negotiate({ iceRestart = false } = {}) {
+    if (this._awaitingAnswer) {
+      this._negotiationPending = true;
+      this._iceRestartPending ||= iceRestart;
+      return;
+    }
+    this._awaitingAnswer = true;
+
+    try {
+      const offer = await this.pc.createOffer({ iceRestart });
+      await this.pc.setLocalDescription(offer);
+    } catch (e) {
+      // Don't block later renegotiations on an offer that was never sent
+      this._awaitingAnswer = false;
+      this._log(`Shared offer to viewer ${this.viewerPeerId} failed: ${e.message}`);
+      throw e;
+    }
+    const panels = Array.from(this.panels, ([panelId, { transceiver }]) => ({ panelId, mid: transceiver.mid }));
+    this._send({
+      type: 'offer',
+      targetId: this.viewerPeerId,
+      sdp: this.pc.localDescription,
+      panels,
+    });
+    this._log(`Sent shared offer to viewer ${this.viewerPeerId} (${panels.length} panel(s)${iceRestart ? ', ICE restart' : ''})`);
+  }
+
+  /**
+   * Renegotiate with fresh ICE credentials. The viewer asks for this when the
+   * connection failed, so an offer still waiting for its answer is given up
+   * on (and rolled back) rather than queued behind.
+   */
+  async restartIce() {
+    if (this._awaitingAnswer) {
+      this._resetNegotiation();
+      if (this.pc.signalingState === 'have-local-offer') {
+        await this.pc.setLocalDescription({ type: 'rollback' });
+      }
+    }
+    return this.negotiate({ iceRestart: true });
+  }
+
+  async handleAnswer(sdp) {
+    try {
+      await this.pc.setRemoteDescription(new RTCSessionDescription(sdp));
+    } catch (e) {
+      // A stale answer (e.g. to an offer an ICE restart rolled back) must not
+      // leave later renegotiations queued behind an answer that never comes
+      const { _negotiationPending: pending, _iceRestartPending: iceRestart } = this;
+      this._resetNegotiation();
+      this._log(`Shared answer from viewer ${this.viewerPeerId} rejected: ${e.message}`);
+      if (pending) await this.negotiate({ iceRestart });
+      return;
+    }
+    this._awaitingAnswer = false;
+    this._log(`Received shared answer from viewer ${this.viewerPeerId}`);
+
+    if (this._negotiationPending) {
+      const iceRestart = this._iceRestartPending;
+      this._negotiationPending = false;
+      this._iceRestartPending = false;
+      await this.negotiate({ iceRestart });
+    }
+  }
+
+  async addIceCandidate(candidate) {
+    if (!candidate) return;
+    try {
+      await this.pc.addIceCandidate(new RTCIceCandidate(candidate));
+    } catch (e) {
+      // Late candidates from before an ICE restart no longer match
+      this._log(`Dropped ICE candidate from viewer ${this.viewerPeerId}: ${e.message}`);
+    }
+  }
+
+  close() {
+    this.pc.close();
+    this.panels.clear();
+    this._idleTransceivers = [];
+    this._resetNegotiation();
+  }
+
+  _resetNegotiation() {
+    this._awaitingAnswer = false;
+    this._negotiationPending = false;
+    this._iceRestartPending = false;
+  }
+
+  _park(transceiver) {
+    transceiver.sender.replaceTrack(null).catch(() => {});
+    transceiver.direction = 'inactive';
+    this._idleTransceivers.push(transceiver);
+  }
+}
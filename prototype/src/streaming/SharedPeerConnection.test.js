@@ -0,0 +1,167 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// Just enough of RTCPeerConnection for the offer / answer bookkeeping
+class FakePeerConnection {
+  constructor() {
+    this.signalingState = 'stable';
+    this.localDescription = null;
+    this.failNextOffer = false;
+    this.failNextAnswer = false;
+    this.channels = [];
+    this.transceivers = [];
+  }
+
+  async createOffer({ iceRestart = false } = {}) {
+    if (this.failNextOffer) {
+      this.failNextOffer = false;
+      throw new Error('createOffer failed');
+    }
+    return { type: 'offer', sdp: `offer${iceRestart ? ' ice-restart' : ''}` };
+  }
+
+  async setLocalDescription(description) {
+    if (description.type === 'rollback') {
+      this.signalingState = 'stable';
+      this.localDescription = null;
+      return;
+    }
+    this.signalingState = 'have-local-offer';
+    this.localDescription = description;
+  }
+
+  async setRemoteDescription() {
+    if (this.failNextAnswer) {
+      this.failNextAnswer = false;
+      throw new Error('setRemoteDescription failed');
+    }
+    this.signalingState = 'stable';
+  }
+
+  addTransceiver() {
+    const transceiver = { mid: String(this.transceivers.length), direction: 'sendonly', sender: { replaceTrack: async () => {}, setStreams() {} } };
+    this.transceivers.push(transceiver);
+    return transceiver;
+  }
+
+  createDataChannel(label) {
+    const channel = { label, close() {} };
+    this.channels.push(channel);
+    return channel;
+  }
+
+  close() {
+    this.signalingState = 'closed';
+  }
+}
+
+globalThis.RTCPeerConnection = FakePeerConnection;
+globalThis.RTCSessionDescription = class { constructor(init) { Object.assign(this, init); } };
+
+const { SharedPeerConnection } = await import('./SharedPeerConnection.js');
+
+function setup(options = {}) {
+  const sent = [];
+  const inputs = [];
+  const logs = [];
+  const conn = new SharedPeerConnection(7, {
+    send: (msg) => sent.push(msg),
+    rtcConfig: {},
+    onInput: (panelId, event) => inputs.push([panelId, event]),
+    log: (msg) => logs.push(msg),
+    ...options,
+  });
+  const offers = () => sent.filter(m => m.type === 'offer');
+  return { conn, sent, offers, inputs, logs };
+}
+
+const fakeStream = () => ({ getVideoTracks: () => [{ kind: 'video' }] });
+
+test('a failed offer does not block later renegotiations', async () => {
+  const { conn, offers } = setup();
+  conn.pc.failNextOffer = true;
+  await assert.rejects(conn.negotiate(), /createOffer failed/);
+  assert.equal(offers().length, 0);
+
+  await conn.negotiate();
+  assert.equal(offers().length, 1);
+});
+
+test('changes while an answer is outstanding go into the next offer', async () => {
+  const { conn, offers } = setup();
+  await conn.negotiate();
+  await conn.negotiate();
+  assert.equal(offers().length, 1);
+
+  await conn.handleAnswer({ type: 'answer', sdp: 'answer' });
+  assert.equal(offers().length, 2);
+});
+
+test('an ICE restart gives up on an offer whose answer never came', async () => {
+  const { conn, offers } = setup();
+  await conn.negotiate();
+  await conn.negotiate(); // queued behind the first
+  await conn.restartIce();
+  assert.equal(offers().length, 2);
+  assert.equal(offers()[1].sdp.sdp, 'offer ice-restart');
+
+  // Only the restart offer is outstanding: its answer leaves nothing queued
+  await conn.handleAnswer({ type: 'answer', sdp: 'answer' });
+  assert.equal(offers().length, 2);
+  await conn.negotiate();
+  assert.equal(offers().length, 3);
+});
+
+test('a rejected answer does not block later renegotiations', async () => {
+  const { conn, offers, logs } = setup();
+  await conn.negotiate();
+  await conn.negotiate(); // queued behind the first
+  conn.pc.failNextAnswer = true;
+  await conn.handleAnswer({ type: 'answer', sdp: 'stale' });
+  assert.ok(logs.some(m => m.includes('setRemoteDescription failed')));
+  // The queued change still goes out...
+  assert.equal(offers().length, 2);
+
+  // ...and so does the next one once that is answered
+  await conn.handleAnswer({ type: 'answer', sdp: 'answer' });
+  await conn.negotiate();
+  assert.equal(offers().length, 3);
+});
+
+test('close clears the negotiation state', async () => {
+  const { conn } = setup();
+  await conn.negotiate();
+  conn.close();
+  assert.equal(conn._awaitingAnswer, false);
+  assert.equal(conn._negotiationPending, false);
+});
+
+test('removePanel reports negotiation and bitrate failures instead of rejecting', async () => {
+  const { conn, logs } = setup({ onSendersChanged: async () => {} });
+  await conn.addPanel('panel-1', fakeStream());
+  await conn.handleAnswer({ type: 'answer', sdp: 'answer' });
+
+  conn._onSendersChanged = async () => { throw new Error('no encodings'); };
+  conn.pc.failNextOffer = true;
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  try {
+    assert.equal(conn.removePanel('panel-1'), true);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+  }
+  assert.deepEqual(unhandled, []);
+  assert.ok(logs.some(m => m.includes('no encodings')));
+  assert.ok(logs.some(m => m.includes('createOffer failed')));
+});
+
+test('malformed input messages are dropped', async () => {
+  const { conn, inputs } = setup();
+  await conn.addPanel('panel-1', fakeStream());
+  const channel = conn.pc.channels[0];
+  channel.onmessage({ data: '{not json' });
+  channel.onmessage({ data: JSON.stringify({ type: 'mousemove', u: 0.5, v: 0.5 }) });
+  assert.deepEqual(inputs, [['panel-1', { type: 'mousemove', u: 0.5, v: 0.5 }]]);
+});
@@ -1,70 +1,299 @@
+import {
+  PROTOCOL_VERSION, ErrorCode, isCompatibleVersion, validateMessage,
+} from '../../../shared/protocol/signaling.js';
+import { summarizeConnectionStats } from './StreamStats.js';
+
+// peerConnections key suffix for the connection shared by all panels of a capture peer
+const SHARED_CONNECTION = '*';
+
 /**
  * WebRTC streaming client for the VR viewer (Quest 3 browser).
  * Connects to the signaling server, negotiates WebRTC connections
  * with the PC capture peer, and provides MediaStreams for panels.
  */
 export class StreamClient {
-  constructor(signalingUrl) {
+  constructor(signalingUrl, { token = null, room = 'default', multiplex = false } = {}) {
     this.signalingUrl = signalingUrl;
+    this.room = room; // signaling room — peers only see others in the same room
     this.ws = null;
     this.peerId = null;
-    this.peerConnections = new Map(); // `${capturePeerId}:${panelId}` -> RTCPeerConnection
+    this.token = token; // session token from pairing (persist it to skip pairing next time)
+    this.peerConnections = new Map(); // `${capturePeerId}:${panelId}` (or `:*` when shared) -> RTCPeerConnection
+    this.multiplex = multiplex; // ask for one shared PeerConnection per capture peer instead of one per panel
+    this.sharedPanels = new Map(); // capturePeerId -> Map(mid -> panelId) on the shared connection
+    this._requestedPanels = new Set(); // `${capturePeerId}:${panelId}` requested, no offer yet
     this.dataChannels = new Map(); // panelId -> RTCDataChannel
     this.onStream = null; // callback(panelId, MediaStream)
     this.onInputChannel = null; // callback(panelId, dataChannel)
-    this.onWindowList = null; // callback(windows[])
+    this.onWindowList = null; // callback(windows[], launchers[]) — launchers: [{ id, name }] apps the PC can start
+    this.onLaunchFailed = null; // callback(panelId, launcherId, error)
+    this.onWorkspace = null; // callback(name, panels) — reply to restoreWorkspace(): [{ panelId, layout, title, found }]
+    this.onClipboard = null; // callback({ text?, image?, width?, height?, bytes, tooLarge?, fromId }) — PC clipboard changed
+    this.onWindowBounds = null; // callback(panelId, { width, height, minimized }) — captured window resized/minimized
     this.capturePeers = [];
+    this.focusedPanelId = null; // last gaze focus reported via reportFocus()
     this.capturePeerIds = []; // tracked for targeting capture-window requests
     this.onCapturePeerConnected = null; // callback(peerId) — fires when a new capture peer registers
+    this.onPairingRequired = null; // callback(reason) — call pair(code) with the code shown on the PC
+    this.onToken = null; // callback(token) — new session token issued (persist it)
+    this.onRoomList = null; // callback(rooms[]) — reply to listRooms()
+    this.onConnectionStateChange = null; // callback('joined' | 'reconnecting' | 'resumed' | 'disconnected')
+    this.onPanelConnectionState = null; // callback(panelId, 'connecting' | 'connected' | 'reconnecting' | 'failed')
+
+    // Per-panel WebRTC recovery: ICE restart first, then a fresh panel-request
+    this.panelStates = new Map(); // panelId -> last state reported via onPanelConnectionState
+    this.disconnectGraceMs = 2000; // 'disconnected' often recovers on its own
+    this.recoveryTimeoutMs = 8000; // per recovery step before escalating
+    this.maxRecoveryAttempts = 4;
+    this._recovery = new Map(); // `${capturePeerId}:${panelId}` -> { attempts, timer }
+
+    // Per-panel stream metrics from getStats() (see startStatsPolling)
+    this.panelStats = new Map(); // panelId -> latest metrics
+    this.statsIntervalMs = 1000;
+    this.onStats = null; // callback(Map(panelId -> metrics)) — after every poll
+    this._statsTimer = null;
+    this._statsInFlight = false;
+
+    // Reconnect / resume state
+    this.connectionState = 'disconnected';
+    this.reconnectBaseMs = 500;
+    this.reconnectMaxMs = 10000;
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._resumeToken = null; // from room-joined / resumed; reclaims our peer ID after a drop
+    this._pendingWelcome = null;
+    this._connectWaiter = null;
+    this._closing = false;
   }
 
   /**
-   * Connect to signaling server and register as a viewer.
+   * Connect to signaling server and register as a viewer in this.room.
+   * Resolves once the room is joined — after authenticating either immediately
+   * (stored token / local peer) or after pair() succeeds.
+   *
+   * If the connection drops later it is re-established with exponential backoff,
+   * resuming the same peer identity so panels and PeerConnections survive.
    */
   async connect() {
+    this._closing = false;
     return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(this.signalingUrl);
-
-      this.ws.onopen = () => {
-        console.log('[StreamClient] Connected to signaling server');
-      };
-
-      this.ws.onmessage = (event) => {
-        const msg = JSON.parse(event.data);
-        this._handleSignal(msg);
-        if (msg.type === 'welcome') {
-          this.peerId = msg.peerId;
-          this._send({ type: 'register', role: 'viewer' });
-          console.log(`[StreamClient] Registered as viewer (peerId: ${this.peerId})`);
-
-          // Check if any capture peers are already connected
-          this.capturePeers = msg.peers.filter(p => p.role === 'capture');
-          this.capturePeerIds = this.capturePeers.map(p => p.peerId);
-          if (this.capturePeers.length > 0) {
-            console.log(`[StreamClient] Found ${this.capturePeers.length} capture peer(s), requesting streams...`);
-            for (const cp of this.capturePeers) {
-              this._requestStreams(cp.peerId, cp.panelIds);
-            }
+      this._connectWaiter = { resolve, reject };
+      this._openSocket();
+    });
+  }
+
+  _openSocket() {
+    const ws = new WebSocket(this.signalingUrl);
+    this.ws = ws;
+
+    ws.onopen = () => {
+      console.log('[StreamClient] Connected to signaling server');
+    };
+
+    ws.onmessage = (event) => {
+      if (this.ws !== ws) return;
+      const msg = this._parseSignal(event.data);
+      if (!msg) return;
+      this._handleSignal(msg).catch((e) => console.error(`[StreamClient] Handling '${msg.type}' failed:`, e));
+      switch (msg.type) {
+        case 'welcome':
+          if (!isCompatibleVersion(PROTOCOL_VERSION, msg.minProtocolVersion, msg.protocolVersion)) {
+            console.error(`[StreamClient] Server speaks protocol v${msg.minProtocolVersion}-v${msg.protocolVersion}, this viewer v${PROTOCOL_VERSION}`);
+            this._fail(new Error('Incompatible signaling protocol version'));
+            return;
           }
+          if (this._resumeToken && this.peerId !== null) {
+            // Try to reclaim our previous identity before anything else
+            this._pendingWelcome = msg;
+            this._send({ type: 'resume', peerId: this.peerId, resumeToken: this._resumeToken });
+          } else {
+            this._onWelcome(msg);
+          }
+          break;
+
+        case 'resumed':
+          this._onResumed(msg);
+          break;
+
+        case 'resume-failed':
+          console.warn(`[StreamClient] Could not resume peer ${this.peerId} (${msg.reason}) — rejoining`);
+          this._resumeToken = null;
+          this._closeAllPeerConnections();
+          this._onWelcome(this._pendingWelcome);
+          break;
 
-          // If the welcome includes a cached window list, surface it
-          if (msg.windowList && this.onWindowList) {
-            this.onWindowList(msg.windowList);
+        case 'auth-ok':
+          console.log('[StreamClient] Authenticated with signaling server');
+          this._onAuthenticated(msg);
+          break;
+
+        case 'room-joined':
+          this._onRoomJoined(msg);
+          break;
+
+        case 'error':
+          console.warn(`[StreamClient] Server rejected '${msg.replyTo}': ${msg.message} (${msg.code})`);
+          if (msg.code === ErrorCode.UNSUPPORTED_VERSION) {
+            this._fail(new Error(msg.message));
           }
+          break;
 
-          resolve();
-        }
-      };
+        case 'auth-failed':
+          console.warn(`[StreamClient] Authentication failed: ${msg.reason}`);
+          this.token = null;
+          if (this.onPairingRequired) this.onPairingRequired(msg.reason);
+          break;
+      }
+    };
 
-      this.ws.onerror = (err) => {
-        console.error('[StreamClient] WebSocket error:', err);
-        reject(err);
-      };
+    ws.onerror = (err) => {
+      console.error('[StreamClient] WebSocket error:', err);
+      this._settleConnect(err);
+    };
 
-      this.ws.onclose = () => {
-        console.log('[StreamClient] Disconnected from signaling server');
-      };
-    });
+    ws.onclose = (event) => {
+      if (this.ws !== ws) return;
+      console.log(`[StreamClient] Disconnected from signaling server${event?.reason ? ` (${event.reason})` : ''}`);
+      this._scheduleReconnect();
+    };
+  }
+
+  _onWelcome(msg) {
+    this.peerId = msg.peerId;
+    if (!msg.authRequired) {
+      this._onAuthenticated(msg);
+    } else if (this.token) {
+      this._send({ type: 'auth', token: this.token });
+    } else {
+      console.log('[StreamClient] Pairing required');
+      if (this.onPairingRequired) this.onPairingRequired('unpaired');
+    }
+  }
+
+  _onResumed(msg) {
+    this.peerId = msg.peerId;
+    this.room = msg.room;
+    this._resumeToken = msg.resumeToken;
+    this._reconnectAttempts = 0;
+    console.log(`[StreamClient] Resumed as peer ${this.peerId} in room '${this.room}'`);
+
+    // PeerConnections survived; _requestStreams only asks for panels we don't have yet
+    this.capturePeers = msg.peers.filter(p => p.role === 'capture');
+    this.capturePeerIds = this.capturePeers.map(p => p.peerId);
+    for (const cp of this.capturePeers) {
+      this._requestStreams(cp.peerId, cp.panelIds);
+    }
+    if (msg.windowList && this.onWindowList) {
+      this.onWindowList(msg.windowList, msg.launchers ?? []);
+    }
+
+    this._setConnectionState('resumed');
+    this._settleConnect();
+  }
+
+  _scheduleReconnect() {
+    if (this._closing || this._reconnectTimer) return;
+    // Exponential backoff with +/-25% jitter
+    const base = Math.min(this.reconnectMaxMs, this.reconnectBaseMs * 2 ** this._reconnectAttempts);
+    const delay = Math.round(base * (0.75 + Math.random() * 0.5));
+    this._reconnectAttempts++;
+    console.log(`[StreamClient] Reconnecting in ${delay}ms (attempt ${this._reconnectAttempts})`);
+    this._setConnectionState('reconnecting');
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._openSocket();
+    }, delay);
+  }
+
+  _setConnectionState(state) {
+    this.connectionState = state;
+    if (this.onConnectionStateChange) this.onConnectionStateChange(state);
+  }
+
+  /**
+   * Resolve (or reject, with an error) the pending connect() promise, once.
+   */
+  _settleConnect(err = null) {
+    const waiter = this._connectWaiter;
+    if (!waiter) return;
+    this._connectWaiter = null;
+    if (err) waiter.reject(err);
+    else waiter.resolve();
+  }
+
+  /**
+   * Give up for good (e.g. protocol mismatch) — no further reconnects.
+   */
+  _fail(err) {
+    this._closing = true;
+    this._settleConnect(err);
+    this.ws?.close();
+  }
+
+  /**
+   * Redeem a pairing code shown on the PC capture app.
+   */
+  pair(code) {
+    this._send({ type: 'pair', code: String(code).trim() });
+  }
+
+  /**
+   * Parse and validate an incoming signaling message. Returns null if it is unusable.
+   */
+  _parseSignal(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      console.warn('[StreamClient] Ignoring non-JSON signaling message');
+      return null;
+    }
+    const problem = validateMessage(msg, 'peer');
+    if (problem) {
+      console.warn(`[StreamClient] Ignoring invalid signaling message: ${problem.message}`);
+      return null;
+    }
+    return msg;
+  }
+
+  _onAuthenticated(msg) {
+    // Only paired tokens are worth keeping; local peers get a fresh one per connection
+    if (msg.type === 'auth-ok' && msg.token && msg.token !== this.token) {
+      this.token = msg.token;
+      if (this.onToken) this.onToken(msg.token);
+    }
+
+    this._send({ type: 'register', role: 'viewer', room: this.room, protocolVersion: PROTOCOL_VERSION });
+  }
+
+  _onRoomJoined(msg) {
+    this.room = msg.room;
+    this._resumeToken = msg.resumeToken;
+    this._reconnectAttempts = 0;
+    console.log(`[StreamClient] Registered as viewer in room '${msg.room}' (peerId: ${this.peerId})`);
+
+    // Check if any capture peers are already connected
+    this.capturePeers = (msg.peers || []).filter(p => p.role === 'capture');
+    this.capturePeerIds = this.capturePeers.map(p => p.peerId);
+    if (this.capturePeers.length > 0) {
+      console.log(`[StreamClient] Found ${this.capturePeers.length} capture peer(s), requesting streams...`);
+      for (const cp of this.capturePeers) {
+        this._requestStreams(cp.peerId, cp.panelIds);
+      }
+    }
+
+    // If the room snapshot includes a cached window list, surface it
+    if (msg.windowList && this.onWindowList) {
+      this.onWindowList(msg.windowList, msg.launchers ?? []);
+    }
+
+    // Capture peers know us by a new peer ID — tell them where we're looking again
+    if (this.focusedPanelId !== null) {
+      this._send({ type: 'panel-focus', panelId: this.focusedPanelId });
+    }
+
+    this._setConnectionState('joined');
+    this._settleConnect();
   }
 
   _send(msg) {
@@ -80,6 +309,9 @@ export class StreamClient {
           console.log(`[StreamClient] Capture peer ${msg.peerId} registered with panels: [${msg.panelIds.join(', ')}]`);
           if (!this.capturePeerIds.includes(msg.peerId)) {
             this.capturePeerIds.push(msg.peerId);
+            if (this.focusedPanelId !== null) {
+              this._send({ type: 'panel-focus', panelId: this.focusedPanelId, targetId: msg.peerId });
+            }
           }
           this._requestStreams(msg.peerId, msg.panelIds);
           if (this.onCapturePeerConnected) {
@@ -90,41 +322,122 @@ export class StreamClient {
       }
 
       case 'offer': {
-        // Capture peer sent us an SDP offer for a specific panel
-        const pc = this._getOrCreatePC(msg.fromId, msg.panelId);
-        await pc.setRemoteDescription(new RTCSessionDescription(msg.sdp));
-        const answer = await pc.createAnswer();
-        await pc.setLocalDescription(answer);
+        // Capture peer sent us an SDP offer for a specific panel, or for the shared connection (no panelId)
+        const panelId = msg.panelId ?? null;
+        if (panelId === null) {
+          this._updateSharedPanels(msg.fromId, msg.panels || []);
+        }
+        const pc = this._getOrCreatePC(msg.fromId, panelId);
+        const label = panelId === null ? `shared connection (${msg.panels?.length ?? 0} panels)` : `panel '${panelId}'`;
+        try {
+          await pc.setRemoteDescription(new RTCSessionDescription(msg.sdp));
+          const answer = await pc.createAnswer();
+          await pc.setLocalDescription(answer);
+        } catch (e) {
+          // Glare, or an offer for a state this side has left (mid-recovery):
+          // the connection can't follow the capture side, so rebuild it
+          console.warn(`[StreamClient] Answering capture peer ${msg.fromId} for ${label} failed: ${e.message}`);
+          this._abandonConnection(msg.fromId, panelId, pc);
+          return;
+        }
         this._send({ type: 'answer', targetId: msg.fromId, sdp: pc.localDescription, panelId: msg.panelId });
-        console.log(`[StreamClient] Sent answer to capture peer ${msg.fromId} for panel '${msg.panelId}'`);
+        console.log(`[StreamClient] Sent answer to capture peer ${msg.fromId} for ${label}`);
         break;
       }
 
       case 'ice-candidate': {
-        const key = `${msg.fromId}:${msg.panelId}`;
+        const key = this._connectionKey(msg.fromId, msg.panelId);
         const pc = this.peerConnections.get(key);
         if (pc && msg.candidate) {
-          await pc.addIceCandidate(new RTCIceCandidate(msg.candidate));
+          try {
+            await pc.addIceCandidate(new RTCIceCandidate(msg.candidate));
+          } catch (e) {
+            // Late candidates from before an ICE restart no longer match
+            console.log(`[StreamClient] Dropped ICE candidate for panel '${msg.panelId}': ${e.message}`);
+          }
         }
         break;
       }
 
+      case 'room-list': {
+        if (this.onRoomList) this.onRoomList(msg.rooms);
+        break;
+      }
+
       case 'window-list': {
         console.log(`[StreamClient] Received window list: ${msg.windows.length} windows`);
         if (this.onWindowList) {
-          this.onWindowList(msg.windows);
+          this.onWindowList(msg.windows, msg.launchers ?? []);
+        }
+        break;
+      }
+
+      case 'clipboard': {
+        if (this.onClipboard) {
+          const { text, image, width, height, bytes, tooLarge, fromId } = msg;
+          this.onClipboard({ text, image, width, height, bytes, tooLarge: !!tooLarge, fromId });
+        }
+        break;
+      }
+
+      case 'launch-failed': {
+        console.warn(`[StreamClient] Launching '${msg.launcherId}' for ${msg.panelId} failed: ${msg.error}`);
+        if (this.onLaunchFailed) this.onLaunchFailed(msg.panelId, msg.launcherId, msg.error);
+        break;
+      }
+
+      case 'workspace': {
+        console.log(`[StreamClient] Workspace '${msg.name}' from capture peer ${msg.fromId}: ${msg.panels.length} panel(s)`);
+        if (this.onWorkspace) this.onWorkspace(msg.name, msg.panels);
+        break;
+      }
+
+      case 'window-bounds': {
+        if (this.onWindowBounds) {
+          this.onWindowBounds(msg.panelId, { width: msg.width, height: msg.height, minimized: !!msg.minimized });
+        }
+        break;
+      }
+
+      case 'peer-suspended': {
+        // Peer lost signaling but may resume — keep its PeerConnections
+        if (this.capturePeerIds.includes(msg.peerId)) {
+          console.log(`[StreamClient] Capture peer ${msg.peerId} lost signaling, waiting for it to resume`);
+        }
+        break;
+      }
+
+      case 'peer-resumed': {
+        if (this.capturePeerIds.includes(msg.peerId)) {
+          console.log(`[StreamClient] Capture peer ${msg.peerId} resumed`);
         }
         break;
       }
 
       case 'peer-disconnected': {
-        // Close all peer connections for the disconnected peer
+        // Close all peer connections (and pending recoveries/requests) for the disconnected peer
+        const prefix = `${msg.peerId}:`;
+        const lostPanels = new Set();
         for (const [key, pc] of this.peerConnections) {
-          if (key.startsWith(`${msg.peerId}:`)) {
+          if (key.startsWith(prefix)) {
+            const suffix = key.slice(prefix.length);
+            const panelIds = suffix === SHARED_CONNECTION ? this._panelsOn(msg.peerId, null) : [suffix];
+            panelIds.forEach(id => lostPanels.add(id));
             pc.close();
             this.peerConnections.delete(key);
           }
         }
+        for (const [key, recovery] of this._recovery) {
+          if (key.startsWith(prefix)) {
+            recovery.panelIds.forEach(id => lostPanels.add(id));
+            this._clearRecovery(key);
+          }
+        }
+        for (const key of this._requestedPanels) {
+          if (key.startsWith(prefix)) this._requestedPanels.delete(key);
+        }
+        this.sharedPanels.delete(msg.peerId);
+        lostPanels.forEach(id => this._setPanelState(id, 'failed'));
         this.capturePeerIds = this.capturePeerIds.filter(id => id !== msg.peerId);
         console.log(`[StreamClient] Peer ${msg.peerId} disconnected`);
         break;
@@ -132,17 +445,61 @@ export class StreamClient {
     }
   }
 
+  /**
+   * Request panels from a capture peer, skipping ones already streaming or requested
+   * (capture peers re-register, and we get peer-registered, on every new window).
+   */
   _requestStreams(capturePeerId, panelIds) {
     for (const panelId of panelIds) {
-      this._send({ type: 'panel-request', panelId, targetId: capturePeerId });
+      if (this._hasPanel(capturePeerId, panelId)) continue;
+      this._requestedPanels.add(`${capturePeerId}:${panelId}`);
+      this._send({ type: 'panel-request', panelId, targetId: capturePeerId, ...(this.multiplex && { multiplex: true }) });
+    }
+  }
+
+  _connectionKey(capturePeerId, panelId) {
+    return `${capturePeerId}:${panelId ?? SHARED_CONNECTION}`;
+  }
+
+  /**
+   * Panels carried by a connection: the panel itself, or every panel on the
+   * shared connection when panelId is null.
+   */
+  _panelsOn(capturePeerId, panelId) {
+    if (panelId !== null) return [panelId];
+    return Array.from(this.sharedPanels.get(capturePeerId)?.values() ?? []);
+  }
+
+  _hasPanel(capturePeerId, panelId) {
+    const key = `${capturePeerId}:${panelId}`;
+    return this.peerConnections.has(key)
+      || this._requestedPanels.has(key)
+      || this._panelsOn(capturePeerId, null).includes(panelId);
+  }
+
+  /**
+   * Apply the panelId <-> mid map sent with a shared-connection offer.
+   * Runs before setRemoteDescription so ontrack can resolve each track's panel.
+   */
+  _updateSharedPanels(capturePeerId, panels) {
+    const mids = new Map();
+    for (const { panelId, mid } of panels) {
+      if (typeof panelId !== 'string' || mid === null || mid === undefined) continue;
+      mids.set(String(mid), panelId);
+      this._requestedPanels.delete(`${capturePeerId}:${panelId}`);
     }
+    this.sharedPanels.set(capturePeerId, mids);
   }
 
+  /**
+   * Get the connection for one panel, or the shared connection (panelId null).
+   */
   _getOrCreatePC(remotePeerId, panelId) {
-    const key = `${remotePeerId}:${panelId}`;
+    const key = this._connectionKey(remotePeerId, panelId);
     if (this.peerConnections.has(key)) {
       return this.peerConnections.get(key);
     }
+    this._requestedPanels.delete(key);
 
     const config = {
       iceServers: [
@@ -151,10 +508,18 @@ export class StreamClient {
     };
 
     const pc = new RTCPeerConnection(config);
+    if (!this._recovery.has(key)) {
+      this._panelsOn(remotePeerId, panelId).forEach(id => this._setPanelState(id, 'connecting'));
+    }
 
     // Prefer H.264 High profile for screen content (better text quality than VP8)
     pc.ontrack = (event) => {
-      console.log(`[StreamClient] Received track for panel '${panelId}': ${event.track.kind}`);
+      const trackPanelId = panelId ?? this.sharedPanels.get(remotePeerId)?.get(event.transceiver?.mid);
+      if (!trackPanelId) {
+        console.warn(`[StreamClient] Track on shared connection has unknown mid '${event.transceiver?.mid}'`);
+        return;
+      }
+      console.log(`[StreamClient] Received track for panel '${trackPanelId}': ${event.track.kind}`);
       // Try to prefer H.264 for screen content
       try {
         const transceiver = event.transceiver;
@@ -172,8 +537,8 @@ export class StreamClient {
       } catch (e) {
         console.log(`[StreamClient] Could not set codec preference: ${e.message}`);
       }
-      if (event.streams.length > 0 && this.onStream) {
-        this.onStream(panelId, event.streams[0]);
+      if (this.onStream) {
+        this.onStream(trackPanelId, event.streams[0] ?? new MediaStream([event.track]));
       }
     };
 
@@ -195,7 +560,7 @@ export class StreamClient {
         this._send({
           type: 'ice-candidate',
           targetId: remotePeerId,
-          panelId,
+          panelId: panelId ?? undefined,
           candidate: event.candidate,
         });
       }
@@ -203,22 +568,234 @@ export class StreamClient {
 
     pc.onconnectionstatechange = () => {
       console.log(`[StreamClient] Connection state for panel '${panelId}': ${pc.connectionState}`);
+      if (this.peerConnections.get(key) !== pc) return; // superseded by a re-request
+      switch (pc.connectionState) {
+        case 'connected':
+          this._onConnectionUp(remotePeerId, panelId);
+          break;
+        case 'disconnected':
+          this._scheduleRecovery(remotePeerId, panelId, this.disconnectGraceMs);
+          break;
+        case 'failed':
+          this._scheduleRecovery(remotePeerId, panelId, 0);
+          break;
+      }
     };
 
     this.peerConnections.set(key, pc);
     return pc;
   }
 
+  _setPanelState(panelId, state) {
+    if (this.panelStates.get(panelId) === state) return;
+    this.panelStates.set(panelId, state);
+    if (this.onPanelConnectionState) this.onPanelConnectionState(panelId, state);
+  }
+
+  _onConnectionUp(capturePeerId, panelId) {
+    const key = this._connectionKey(capturePeerId, panelId);
+    if (this._recovery.has(key)) {
+      console.log(`[StreamClient] ${panelId === null ? `Shared connection to ${capturePeerId}` : `Panel '${panelId}'`} recovered`);
+      this._clearRecovery(key);
+    }
+    this._panelsOn(capturePeerId, panelId).forEach(id => this._setPanelState(id, 'connected'));
+  }
+
+  /**
+   * Run the next recovery step for a connection after `delayMs`, unless one is already pending.
+   */
+  _scheduleRecovery(capturePeerId, panelId, delayMs) {
+    const key = this._connectionKey(capturePeerId, panelId);
+    let recovery = this._recovery.get(key);
+    if (!recovery) {
+      recovery = { attempts: 0, timer: null, panelIds: [] };
+      this._recovery.set(key, recovery);
+    }
+    // Remember the panels — a shared connection loses its mid map when it is rebuilt
+    const panelIds = this._panelsOn(capturePeerId, panelId);
+    if (panelIds.length > 0) recovery.panelIds = panelIds;
+    if (recovery.timer) return;
+    recovery.timer = setTimeout(() => {
+      recovery.timer = null;
+      this._recoverConnection(capturePeerId, panelId);
+    }, delayMs);
+  }
+
+  /**
+   * One recovery step: ICE restart on the first attempt, then tear down and
+   * re-request the panel (or rebuild the shared connection). Each step re-arms
+   * a timeout that escalates to the next.
+   */
+  _recoverConnection(capturePeerId, panelId) {
+    const key = this._connectionKey(capturePeerId, panelId);
+    const recovery = this._recovery.get(key);
+    if (!recovery) return;
+    const pc = this.peerConnections.get(key);
+    const setState = (state) => recovery.panelIds.forEach(id => this._setPanelState(id, state));
+
+    if (pc?.connectionState === 'connected') {
+      this._onConnectionUp(capturePeerId, panelId);
+      return;
+    }
+    if (!this.capturePeerIds.includes(capturePeerId) || recovery.panelIds.length === 0) {
+      this._clearRecovery(key);
+      setState('failed');
+      return;
+    }
+    setState('reconnecting');
+
+    // Without signaling nothing can be renegotiated — wait without spending an attempt
+    if (this.ws?.readyState !== WebSocket.OPEN) {
+      this._scheduleRecovery(capturePeerId, panelId, this.disconnectGraceMs);
+      return;
+    }
+    if (recovery.attempts >= this.maxRecoveryAttempts) {
+      console.warn(`[StreamClient] Giving up on [${recovery.panelIds.join(', ')}] after ${recovery.attempts} recovery attempts`);
+      this._clearRecovery(key);
+      setState('failed');
+      return;
+    }
+
+    recovery.attempts++;
+    const shared = panelId === null;
+    const [firstPanelId] = recovery.panelIds;
+    const muxFlag = shared ? { multiplex: true } : {};
+    if (recovery.attempts === 1 && pc) {
+      console.log(`[StreamClient] [${recovery.panelIds.join(', ')}] ${pc.connectionState} — requesting ICE restart`);
+      this._send({ type: 'panel-request', panelId: firstPanelId, targetId: capturePeerId, iceRestart: true, ...muxFlag });
+    } else {
+      console.log(`[StreamClient] Re-requesting [${recovery.panelIds.join(', ')}] (attempt ${recovery.attempts}/${this.maxRecoveryAttempts})`);
+      pc?.close();
+      this.peerConnections.delete(key);
+      recovery.panelIds.forEach(id => this.dataChannels.delete(id));
+      if (shared) {
+        // First request rebuilds the shared connection; the rest re-add panels it may have lost
+        this.sharedPanels.delete(capturePeerId);
+        recovery.panelIds.forEach((id, i) => {
+          this._send({ type: 'panel-request', panelId: id, targetId: capturePeerId, multiplex: true, ...(i === 0 && { reset: true }) });
+        });
+      } else {
+        this._send({ type: 'panel-request', panelId, targetId: capturePeerId });
+      }
+    }
+    this._scheduleRecovery(capturePeerId, panelId, this.recoveryTimeoutMs);
+  }
+
+  /**
+   * Drop a connection that can no longer negotiate and hand it to recovery,
+   * which re-requests its panels (there is no connection left to ICE-restart).
+   */
+  _abandonConnection(capturePeerId, panelId, pc) {
+    const key = this._connectionKey(capturePeerId, panelId);
+    this._scheduleRecovery(capturePeerId, panelId, 0);
+    pc.close();
+    if (this.peerConnections.get(key) === pc) this.peerConnections.delete(key);
+  }
+
+  _clearRecovery(key) {
+    const recovery = this._recovery.get(key);
+    if (recovery) {
+      clearTimeout(recovery.timer);
+      this._recovery.delete(key);
+    }
+  }
+
   /**
    * Request capture of a specific window (Electron capture app).
    */
   requestWindowCapture(targetCapturePeerId, sourceId, panelId, orientation = 'landscape') {
+    const key = `${targetCapturePeerId}:${panelId}`;
+    // Re-capturing a panel: the capture side replaces its per-panel connection with a new one
+    const pc = this.peerConnections.get(key);
+    if (pc) {
+      pc.close();
+      this.peerConnections.delete(key);
+      this._clearRecovery(key);
+    }
+    this._requestedPanels.add(key);
     this._send({
       type: 'capture-window',
       targetId: targetCapturePeerId,
       sourceId,
       panelId,
       orientation,
+      ...(this.multiplex && { multiplex: true }),
+    });
+  }
+
+  /**
+   * Ask the capture app to start an app from its launcher list and stream the
+   * window it opens as a new panel (it arrives like a requestWindowCapture panel).
+   */
+  launchApp(targetCapturePeerId, launcherId, panelId) {
+    this._requestedPanels.add(`${targetCapturePeerId}:${panelId}`);
+    this._send({
+      type: 'launch-app',
+      targetId: targetCapturePeerId,
+      launcherId,
+      panelId,
+      ...(this.multiplex && { multiplex: true }),
+    });
+  }
+
+  /**
+   * Ask a capture peer to stream a region of a panel as a new panel.
+   * @param {{ x, y, width, height }} rect - Region in 0-1 of the panel's picture (top-left origin)
+   */
+  cropPanel(targetCapturePeerId, panelId, newPanelId, rect) {
+    this._requestedPanels.add(`${targetCapturePeerId}:${newPanelId}`);
+    this._send({
+      type: 'crop-panel',
+      targetId: targetCapturePeerId,
+      panelId,
+      newPanelId,
+      rect,
+      ...(this.multiplex && { multiplex: true }),
+    });
+  }
+
+  /**
+   * Put text on a capture peer's clipboard, and paste it into the window
+   * behind `panelId` if given.
+   */
+  sendClipboard(targetCapturePeerId, text, panelId = null) {
+    this._send({
+      type: 'clipboard-set',
+      targetId: targetCapturePeerId,
+      text,
+      ...(panelId && { panelId }),
+    });
+  }
+
+  /**
+   * Save this viewer's panel layouts on a capture peer under `name`; it adds
+   * what it needs to find each panel's window again.
+   * @param {Array<{ panelId, layout }>} panels
+   */
+  saveWorkspace(targetCapturePeerId, name, panels) {
+    this._send({ type: 'workspace-save', targetId: targetCapturePeerId, name, panels });
+  }
+
+  /**
+   * Ask a capture peer to restore a saved workspace: it captures the windows
+   * it still finds into their panels (picked up from its registration) and
+   * replies with the layouts (onWorkspace).
+   */
+  restoreWorkspace(targetCapturePeerId, name) {
+    this._send({ type: 'workspace-restore', targetId: targetCapturePeerId, name });
+  }
+
+  /**
+   * Ask the capture app to act on the window behind a panel: focus, maximize,
+   * restore, minimize, close, or resize (with width / height in pixels).
+   */
+  sendWindowCommand(targetCapturePeerId, panelId, action, { width, height } = {}) {
+    this._send({
+      type: 'window-command',
+      targetId: targetCapturePeerId,
+      panelId,
+      action,
+      ...(width !== undefined && { width, height }),
     });
   }
 
@@ -238,7 +815,96 @@ export class StreamClient {
       pc.close();
       this.peerConnections.delete(key);
     }
+    this._clearRecovery(key);
+    this._requestedPanels.delete(key);
+    // On the shared connection the capture side drops the panel's transceiver and renegotiates
+    const mids = this.sharedPanels.get(targetCapturePeerId);
+    for (const [mid, id] of mids ?? []) {
+      if (id === panelId) mids.delete(mid);
+    }
     this.dataChannels.delete(panelId);
+    this.panelStates.delete(panelId);
+    this.panelStats.delete(panelId);
+  }
+
+  /**
+   * Tell capture peers which panel the user is looking at (null = none) so they
+   * can shift bitrate and frame rate toward it.
+   */
+  reportFocus(panelId) {
+    this.focusedPanelId = panelId;
+    this._send({ type: 'panel-focus', panelId });
+  }
+
+  /**
+   * Poll getStats() on every panel connection and publish per-panel metrics
+   * to this.panelStats and onStats. Each entry holds bitrateKbps, fps, width,
+   * height, codec, decodeMs, jitterMs, lossPercent, framesDropped, rttMs, plus
+   * capturePeerId, multiplexed and connectionState.
+   */
+  startStatsPolling(intervalMs = this.statsIntervalMs) {
+    this.stopStatsPolling();
+    this.statsIntervalMs = intervalMs;
+    this._statsTimer = setInterval(() => this._pollStats(), intervalMs);
+    this._pollStats();
+  }
+
+  stopStatsPolling() {
+    clearInterval(this._statsTimer);
+    this._statsTimer = null;
+  }
+
+  async _pollStats() {
+    if (this._statsInFlight) return; // a slow getStats() shouldn't pile up polls
+    this._statsInFlight = true;
+    const stats = new Map();
+    try {
+      await Promise.all(Array.from(this.peerConnections, async ([key, pc]) => {
+        if (pc.connectionState === 'closed') return;
+        const separator = key.indexOf(':');
+        const capturePeerId = Number(key.slice(0, separator));
+        const keyPanelId = key.slice(separator + 1);
+        const multiplexed = keyPanelId === SHARED_CONNECTION;
+
+        let report;
+        try {
+          report = await pc.getStats();
+        } catch (e) {
+          return; // closed mid-poll
+        }
+        const panelForStream = multiplexed
+          ? (inbound) => this._sharedPanelForStream(capturePeerId, pc, inbound)
+          : () => keyPanelId;
+        for (const [panelId, metrics] of summarizeConnectionStats(report, panelForStream, this.panelStats)) {
+          stats.set(panelId, { ...metrics, capturePeerId, multiplexed, connectionState: pc.connectionState });
+        }
+      }));
+    } finally {
+      this._statsInFlight = false;
+    }
+
+    this.panelStats = stats;
+    if (this.onStats) this.onStats(stats);
+  }
+
+  /**
+   * Panel of an inbound stream on a shared connection: by mid, or via the
+   * receiving transceiver on browsers that don't report mid in stats.
+   */
+  _sharedPanelForStream(capturePeerId, pc, inbound) {
+    const mids = this.sharedPanels.get(capturePeerId);
+    let mid = inbound.mid;
+    if (mid === undefined) {
+      mid = pc.getTransceivers().find(t => t.receiver.track?.id === inbound.trackIdentifier)?.mid;
+    }
+    return mid === undefined || mid === null ? undefined : mids?.get(String(mid));
+  }
+
+  /**
+   * Ask the signaling server which rooms are active (reply via onRoomList).
+   */
+  listRooms() {
+    this._send({ type: 'list-rooms' });
   }
 
   /**
@@ -258,12 +924,26 @@ export class StreamClient {
     }
   }
 
-  disconnect() {
+  _closeAllPeerConnections() {
     for (const [, pc] of this.peerConnections) {
       pc.close();
     }
+    for (const key of this._recovery.keys()) {
+      this._clearRecovery(key);
+    }
     this.peerConnections.clear();
     this.dataChannels.clear();
+    this.sharedPanels.clear();
+    this._requestedPanels.clear();
+  }
+
+  disconnect() {
+    this._closing = true;
+    this.stopStatsPolling();
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._closeAllPeerConnections();
     this.ws?.close();
+    this._setConnectionState('disconnected');
   }
 }
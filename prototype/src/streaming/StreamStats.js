@@ -0,0 +1,91 @@
+/**
+ * Per-panel stream metrics from RTCPeerConnection.getStats().
+ *
+ * StreamClient polls every panel connection and feeds each report through
+ * summarizeConnectionStats(). Rates (bitrate, fps, loss) are deltas against
+ * the previous poll, so the caller keeps the returned `raw` counters and
+ * passes them back in next time.
+ */
+
+/**
+ * Round-trip time of the active candidate pair, in ms (null if unknown).
+ * @param {RTCStatsReport} report
+ */
+export function selectedRoundTripMs(report) {
+  let selectedPairId = null;
+  for (const stat of report.values()) {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+      selectedPairId = stat.selectedCandidatePairId;
+      break;
+    }
+  }
+  for (const stat of report.values()) {
+    if (stat.type !== 'candidate-pair') continue;
+    const active = selectedPairId ? stat.id === selectedPairId : stat.nominated && stat.state === 'succeeded';
+    if (active && Number.isFinite(stat.currentRoundTripTime)) {
+      return stat.currentRoundTripTime * 1000;
+    }
+  }
+  return null;
+}
+
+/**
+ * Summarize one inbound video RTP stream.
+ * @param {RTCStatsReport} report - The full report (for codec lookup)
+ * @param {object} inbound - The 'inbound-rtp' stat
+ * @param {object|null} previous - `raw` from the last summary of this panel
+ * @param {number|null} rttMs - From selectedRoundTripMs()
+ * @returns {object} Metrics for one panel, plus `raw` counters for the next delta
+ */
+export function summarizeInboundVideo(report, inbound, previous, rttMs) {
+  const raw = {
+    timestamp: inbound.timestamp,
+    bytesReceived: inbound.bytesReceived ?? 0,
+    framesDecoded: inbound.framesDecoded ?? 0,
+    totalDecodeTime: inbound.totalDecodeTime ?? 0,
+    packetsReceived: inbound.packetsReceived ?? 0,
+    packetsLost: inbound.packetsLost ?? 0,
+  };
+
+  // First sample, or counters reset (new track after a re-request): no rates yet
+  const usable = previous && raw.timestamp > previous.timestamp && raw.bytesReceived >= previous.bytesReceived;
+  const seconds = usable ? (raw.timestamp - previous.timestamp) / 1000 : 0;
+  const delta = (field) => (usable ? raw[field] - previous[field] : 0);
+
+  const frames = delta('framesDecoded');
+  const packets = delta('packetsReceived') + delta('packetsLost');
+  const codec = inbound.codecId ? report.get(inbound.codecId) : null;
+
+  return {
+    bitrateKbps: seconds > 0 ? Math.round((delta('bytesReceived') * 8) / seconds / 1000) : null,
+    fps: seconds > 0 ? Math.round(frames / seconds) : (inbound.framesPerSecond ?? null),
+    width: inbound.frameWidth ?? null,
+    height: inbound.frameHeight ?? null,
+    codec: codec?.mimeType?.replace(/^video\//, '') ?? null,
+    decodeMs: frames > 0 ? (delta('totalDecodeTime') / frames) * 1000 : null,
+    jitterMs: Number.isFinite(inbound.jitter) ? inbound.jitter * 1000 : null,
+    lossPercent: packets > 0 ? (Math.max(0, delta('packetsLost')) / packets) * 100 : 0,
+    framesDropped: inbound.framesDropped ?? 0,
+    rttMs,
+    raw,
+  };
+}
+
+/**
+ * Metrics for every panel on one connection.
+ * @param {RTCStatsReport} report
+ * @param {(inbound: object) => string|undefined} panelForStream - Resolve an inbound-rtp stat's panel
+ * @param {Map<string, object>} previous - panelId -> last metrics (for deltas)
+ * @returns {Map<string, object>} panelId -> metrics
+ */
+export function summarizeConnectionStats(report, panelForStream, previous) {
+  const rttMs = selectedRoundTripMs(report);
+  const result = new Map();
+  for (const stat of report.values()) {
+    if (stat.type !== 'inbound-rtp' || stat.kind !== 'video') continue;
+    const panelId = panelForStream(stat);
+    if (!panelId) continue;
+    result.set(panelId, summarizeInboundVideo(report, stat, previous.get(panelId)?.raw ?? null, rttMs));
+  }
+  return result;
+}
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { selectedRoundTripMs, summarizeInboundVideo, summarizeConnectionStats } from './StreamStats.js';
+
+// RTCStatsReport is a Map of id -> stat
+const report = (...stats) => new Map(stats.map(stat => [stat.id, stat]));
+
+const inbound = (fields = {}) => ({
+  id: 'in-1',
+  type: 'inbound-rtp',
+  kind: 'video',
+  timestamp: 1000,
+  bytesReceived: 0,
+  framesDecoded: 0,
+  totalDecodeTime: 0,
+  packetsReceived: 0,
+  packetsLost: 0,
+  ...fields,
+});
+
+test('round-trip time comes from the transport\'s selected pair', () => {
+  const stats = report(
+    { id: 'pair-a', type: 'candidate-pair', nominated: true, state: 'succeeded', currentRoundTripTime: 0.2 },
+    { id: 'pair-b', type: 'candidate-pair', currentRoundTripTime: 0.015 },
+    { id: 't', type: 'transport', selectedCandidatePairId: 'pair-b' },
+  );
+  assert.equal(selectedRoundTripMs(stats), 15);
+});
+
+test('without a transport stat the nominated, succeeded pair is used', () => {
+  const stats = report(
+    { id: 'pair-a', type: 'candidate-pair', nominated: true, state: 'in-progress', currentRoundTripTime: 0.5 },
+    { id: 'pair-b', type: 'candidate-pair', nominated: true, state: 'succeeded', currentRoundTripTime: 0.04 },
+  );
+  assert.equal(selectedRoundTripMs(stats), 40);
+  assert.equal(selectedRoundTripMs(report({ id: 'pair', type: 'candidate-pair', nominated: true, state: 'succeeded' })), null);
+});
+
+test('the first sample has no rates yet', () => {
+  const stat = inbound({ bytesReceived: 5000, framesPerSecond: 30, frameWidth: 1920, frameHeight: 1080, jitter: 0.004 });
+  const metrics = summarizeInboundVideo(report(stat), stat, null, 12);
+  assert.equal(metrics.bitrateKbps, null);
+  assert.equal(metrics.fps, 30);
+  assert.equal(metrics.decodeMs, null);
+  assert.equal(metrics.lossPercent, 0);
+  assert.equal(metrics.jitterMs, 4);
+  assert.equal(metrics.width, 1920);
+  assert.equal(metrics.rttMs, 12);
+  assert.equal(metrics.raw.bytesReceived, 5000);
+});
+
+test('rates are deltas against the previous sample', () => {
+  const codec = { id: 'codec-1', type: 'codec', mimeType: 'video/H264' };
+  const first = inbound({ codecId: 'codec-1' });
+  const previous = summarizeInboundVideo(report(first, codec), first, null, null).raw;
+  const second = inbound({
+    codecId: 'codec-1',
+    timestamp: 3000,
+    bytesReceived: 500_000,
+    framesDecoded: 120,
+    totalDecodeTime: 0.6,
+    packetsReceived: 95,
+    packetsLost: 5,
+  });
+  const metrics = summarizeInboundVideo(report(second, codec), second, previous, null);
+  assert.equal(metrics.bitrateKbps, 2000);
+  assert.equal(metrics.fps, 60);
+  assert.equal(metrics.decodeMs, 5);
+  assert.equal(metrics.lossPercent, 5);
+  assert.equal(metrics.codec, 'H264');
+});
+
+test('counters that went backwards (a new track) start over', () => {
+  const before = inbound({ timestamp: 1000, bytesReceived: 900_000, framesDecoded: 500 });
+  const previous = summarizeInboundVideo(report(before), before, null, null).raw;
+  const after = inbound({ timestamp: 2000, bytesReceived: 1000, framesDecoded: 2 });
+  const metrics = summarizeInboundVideo(report(after), after, previous, null);
+  assert.equal(metrics.bitrateKbps, null);
+  assert.equal(metrics.decodeMs, null);
+});
+
+test('connection stats are split by panel, skipping unknown and non-video streams', () => {
+  const stats = report(
+    inbound({ id: 'in-a', mid: '0', bytesReceived: 10 }),
+    inbound({ id: 'in-b', mid: '1', bytesReceived: 20 }),
+    inbound({ id: 'in-x', mid: '9' }),
+    { id: 'audio', type: 'inbound-rtp', kind: 'audio', mid: '0' },
+  );
+  const panels = { 0: 'panel-a', 1: 'panel-b' };
+  const previous = new Map([['panel-a', { raw: { timestamp: 0, bytesReceived: 0 } }]]);
+  const result = summarizeConnectionStats(stats, stat => panels[stat.mid], previous);
+  assert.deepEqual(Array.from(result.keys()), ['panel-a', 'panel-b']);
+  assert.equal(result.get('panel-a').bitrateKbps, 0);
+  assert.equal(result.get('panel-b').bitrateKbps, null);
+});
@@ -1,4 +1,4 @@
-import { defineConfig } from 'vite';
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
 import { resolve } from 'path';
 import basicSsl from '@vitejs/plugin-basic-ssl';
 
@@ -7,11 +7,17 @@ export default defineConfig({
   server: {
     host: true,
     port: 3000,
+    fs: {
+      // Protocol schema lives in the repo-level shared/ directory
+      allow: [searchForWorkspaceRoot(process.cwd()), resolve(__dirname, '..', 'shared')],
+    },
     proxy: {
       // Proxy WebSocket signaling through Vite so everything is HTTPS/WSS on port 3000
       '/signal': {
         target: 'ws://localhost:8080',
         ws: true,
+        // Forward the client address so the signaling server can tell LAN viewers from local peers
+        xfwd: true,
         rewrite: (path) => path.replace(/^\/signal/, ''),
       },
     },
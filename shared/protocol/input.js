@@ -0,0 +1,90 @@
+/**
+ * HaloView input events — sent by the VR viewer over each panel's
+ * `input:<panelId>` data channel and injected into the PC by the capture app.
+ *
+ * Pointer events carry UV coordinates (0-1) on the captured window and a
+ * `button` (0 left, 1 middle, 2 right):
+ *   mousemove         — hover, or drag while a button is down
+ *   mousedown/mouseup — one button transition; the second press of a double-click
+ *                       reuses the first press's UV so the OS sees both on the same pixel
+ *   click / dblclick  — a complete single / double click
+ *   scroll            — wheel notches: `deltaY` positive = down, `deltaX` positive = right
+ * Keyboard
+ * events name keys with DOM `KeyboardEvent.key` values ('a', 'Enter',
+ * 'ArrowUp', 'F5', 'Control', ...); the capture side maps them to the OS.
+ *   keydown / keyup — one key transition; `modifiers` on keydown are held for
+ *                     the key and released with its keyup
+ *   chord           — press `modifiers` + `key`, then release (Ctrl+Shift+P)
+ *   text            — type a string, independent of the PC's keyboard layout
+ * Unknown extra fields are allowed, as in signaling.js.
+ */
+import { checkField } from './signaling.js';
+
+/** Modifier names accepted in `modifiers`, and the key each one presses. */
+export const MODIFIER_KEYS = {
+  ctrl: 'Control',
+  shift: 'Shift',
+  alt: 'Alt',
+  meta: 'Meta',
+};
+
+/** Mouse button numbers used in pointer events. */
+export const MOUSE_BUTTONS = {
+  left: 0,
+  middle: 1,
+  right: 2,
+};
+
+/** Longest `text` accepted in one event. */
+export const MAX_TEXT_LENGTH = 1024;
+
+const UV = { type: 'number' };
+const KEY = { type: 'string', required: true, maxLength: 32 };
+const MODIFIERS = { type: 'array', items: 'string' };
+const BUTTON = { type: 'integer', enum: [0, 1, 2] };
+
+export const INPUT_EVENT_SCHEMAS = {
+  // ── Pointer ──
+  'mousemove': { u: UV, v: UV },
+  'mousedown': { u: UV, v: UV, button: BUTTON },
+  'mouseup': { u: UV, v: UV, button: BUTTON },
+  'click': { u: UV, v: UV, button: BUTTON },
+  'dblclick': { u: UV, v: UV, button: BUTTON },
+  'scroll': { u: UV, v: UV, deltaX: { type: 'number' }, deltaY: { type: 'number' } },
+
+  // ── Keyboard ──
+  'keydown': { key: KEY, code: { type: 'string', maxLength: 32 }, modifiers: MODIFIERS, repeat: { type: 'boolean' } },
+  'keyup': { key: KEY, code: { type: 'string', maxLength: 32 } },
+  'chord': { key: KEY, modifiers: MODIFIERS },
+  'text': { text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH } },
+};
+
+/**
+ * Validate a parsed input event. Returns null if valid, otherwise a message.
+ */
+export function validateInputEvent(event) {
+  if (event === null || typeof event !== 'object' || Array.isArray(event)) {
+    return 'input event must be a JSON object';
+  }
+  const fields = Object.prototype.hasOwnProperty.call(INPUT_EVENT_SCHEMAS, event.type)
+    ? INPUT_EVENT_SCHEMAS[event.type]
+    : null;
+  if (!fields) return `unknown input event type '${event.type}'`;
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const problem = checkField(event[name], spec);
+    if (problem) return `${event.type}.${name} ${problem}`;
+  }
+  const unknownModifier = (event.modifiers ?? []).find(m => !Object.hasOwn(MODIFIER_KEYS, m));
+  if (unknownModifier !== undefined) {
+    return `${event.type}.modifiers has unknown modifier '${unknownModifier}'`;
+  }
+  return null;
+}
+
+/**
+ * Modifier names held in a DOM KeyboardEvent (or anything with ctrlKey etc.).
+ */
+export function modifiersOf(event) {
+  return Object.keys(MODIFIER_KEYS).filter(name => event[`${name}Key`]);
+}
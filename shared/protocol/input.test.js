@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MODIFIER_KEYS, MAX_TEXT_LENGTH, validateInputEvent, modifiersOf } from './input.js';
+
+test('well-formed input events pass', () => {
+  assert.equal(validateInputEvent({ type: 'mousemove', u: 0.5, v: 0.25 }), null);
+  assert.equal(validateInputEvent({ type: 'mousedown', u: 0, v: 1, button: 2 }), null);
+  assert.equal(validateInputEvent({ type: 'keydown', key: 'a', modifiers: ['ctrl', 'shift'], repeat: false }), null);
+  assert.equal(validateInputEvent({ type: 'chord', key: 'p', modifiers: Object.keys(MODIFIER_KEYS) }), null);
+  assert.equal(validateInputEvent({ type: 'text', text: 'x'.repeat(MAX_TEXT_LENGTH) }), null);
+});
+
+test('malformed input events are rejected', () => {
+  assert.equal(validateInputEvent(null), 'input event must be a JSON object');
+  assert.equal(validateInputEvent([]), 'input event must be a JSON object');
+  assert.equal(validateInputEvent({ type: 'teleport' }), "unknown input event type 'teleport'");
+  assert.equal(validateInputEvent({ type: 'keyup' }), 'keyup.key is required');
+  assert.equal(validateInputEvent({ type: 'mousedown', button: 3 }), 'mousedown.button must be one of 0, 1, 2');
+  assert.equal(validateInputEvent({ type: 'text', text: 'x'.repeat(MAX_TEXT_LENGTH + 1) }),
+    `text.text exceeds ${MAX_TEXT_LENGTH} characters`);
+  assert.equal(validateInputEvent({ type: 'chord', key: 'p', modifiers: ['hyper'] }),
+    "chord.modifiers has unknown modifier 'hyper'");
+});
+
+test('inherited object keys are not event types or modifiers', () => {
+  for (const name of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    assert.equal(validateInputEvent({ type: name }), `unknown input event type '${name}'`);
+    assert.equal(validateInputEvent({ type: 'keydown', key: 'a', modifiers: [name] }),
+      `keydown.modifiers has unknown modifier '${name}'`);
+  }
+});
+
+test('modifiersOf reads the DOM modifier flags', () => {
+  assert.deepEqual(modifiersOf({ ctrlKey: true, shiftKey: false, altKey: true }), ['ctrl', 'alt']);
+  assert.deepEqual(modifiersOf({}), []);
+});
@@ -0,0 +1,353 @@
+/**
+ * HaloView signaling protocol — message schema and version handshake.
+ *
+ * Shared by the signaling server (Node), the VR viewer (StreamClient), the
+ * browser capture page (CaptureClient) and the Electron capture app
+ * (ElectronCaptureClient). Plain ES module with no dependencies so every
+ * runtime can import it directly.
+ *
+ * Every message is a JSON object with a `type`. Each type declares who sends it:
+ *   'peer'   — peer -> server (handled by the server itself)
+ *   'server' — server -> peer
+ *   'relay'  — peer -> server -> peer (the server adds `fromId` when forwarding)
+ * Unknown extra fields are allowed so newer peers can add optional data.
+ */
+
+/** Current protocol version. Bump on any incompatible message change. */
+export const PROTOCOL_VERSION = 1;
+
+/** Oldest version this build still understands. */
+export const MIN_PROTOCOL_VERSION = 1;
+
+/** Error codes used in `{ type: 'error', code }` replies. */
+export const ErrorCode = {
+  BAD_JSON: 'bad-json',
+  UNKNOWN_TYPE: 'unknown-type',
+  INVALID_MESSAGE: 'invalid-message',
+  UNSUPPORTED_VERSION: 'unsupported-version',
+  AUTH_REQUIRED: 'auth-required',
+  FORBIDDEN: 'forbidden',
+};
+
+/**
+ * Window management commands the viewer can send for a captured window.
+ * 'rotate' swaps the window's width and height (landscape <-> portrait).
+ */
+export const WINDOW_ACTIONS = ['focus', 'maximize', 'restore', 'minimize', 'resize', 'rotate', 'close'];
+
+/**
+ * Largest clipboard payload relayed in either direction: text length, or the
+ * length of an image's PNG data URL. Capture apps may use a lower limit.
+ */
+export const CLIPBOARD_MAX_LENGTH = 256 * 1024;
+
+const PEER_ID = { type: 'integer', required: true };
+const PANEL_ID = { type: 'string', required: true, maxLength: 128 };
+const WORKSPACE_NAME = { type: 'string', required: true, maxLength: 64 };
+const WORKSPACE_MAX_PANELS = 64;
+// Negotiation messages without a panelId belong to the multiplexed connection
+// that carries all panels between one capture peer and one viewer.
+const CONNECTION_PANEL_ID = { type: 'string', maxLength: 128 };
+
+/**
+ * Field specs: { type, required?, nullable?, enum?, maxLength?, items? }
+ * type: 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array' | 'any'
+ */
+export const MESSAGE_SCHEMAS = {
+  // ── Authentication & pairing ──
+  'auth': { from: 'peer', fields: { token: { type: 'string', required: true, maxLength: 256 } } },
+  'pair': { from: 'peer', fields: { code: { type: 'string', required: true, maxLength: 16 } } },
+  'pair-request': { from: 'peer', fields: {} },
+  'list-sessions': { from: 'peer', fields: {} },
+  'revoke-token': {
+    from: 'peer',
+    fields: {
+      sessionId: { type: 'string', maxLength: 64 },
+      all: { type: 'boolean' },
+    },
+  },
+
+  // ── Session & rooms ──
+  'register': {
+    from: 'peer',
+    fields: {
+      role: { type: 'string', required: true, enum: ['capture', 'viewer'] },
+      room: { type: 'string', maxLength: 64 },
+      panelIds: { type: 'array', items: 'string' },
+      protocolVersion: { type: 'integer' },
+    },
+  },
+  'list-rooms': { from: 'peer', fields: {} },
+  'resume': {
+    from: 'peer',
+    fields: { peerId: PEER_ID, resumeToken: { type: 'string', required: true, maxLength: 64 } },
+  },
+
+  // ── WebRTC negotiation ──
+  'offer': {
+    from: 'relay',
+    fields: {
+      targetId: PEER_ID,
+      panelId: CONNECTION_PANEL_ID,
+      sdp: { type: 'object', required: true },
+      panels: { type: 'array', items: 'object' }, // multiplexed: [{ panelId, mid }]
+    },
+  },
+  'answer': { from: 'relay', fields: { targetId: PEER_ID, panelId: CONNECTION_PANEL_ID, sdp: { type: 'object', required: true } } },
+  'ice-candidate': {
+    from: 'relay',
+    fields: { targetId: PEER_ID, panelId: CONNECTION_PANEL_ID, candidate: { type: 'object', nullable: true } },
+  },
+
+  // ── Panels & windows ──
+  'panel-request': {
+    from: 'relay',
+    fields: {
+      panelId: PANEL_ID,
+      targetId: { type: 'integer' },
+      multiplex: { type: 'boolean' }, // send over the shared connection
+      iceRestart: { type: 'boolean' }, // restart ICE on the connection carrying this panel
+      reset: { type: 'boolean' }, // multiplexed only: rebuild the shared connection
+    },
+  },
+  'window-list': {
+    from: 'relay',
+    fields: {
+      windows: { type: 'array', required: true, items: 'object' },
+      launchers: { type: 'array', items: 'object' }, // [{ id, name }] apps the capture peer can launch
+    },
+  },
+  'request-window-list': { from: 'relay', fields: {} },
+  'capture-window': {
+    from: 'relay',
+    fields: {
+      targetId: PEER_ID,
+      sourceId: { type: 'string', required: true, maxLength: 256 },
+      panelId: PANEL_ID,
+      orientation: { type: 'string', enum: ['landscape', 'portrait'] },
+      multiplex: { type: 'boolean' },
+    },
+  },
+  'release-panel': { from: 'relay', fields: { targetId: PEER_ID, panelId: PANEL_ID } },
+  'launch-app': {
+    from: 'relay',
+    fields: {
+      targetId: PEER_ID,
+      launcherId: { type: 'string', required: true, maxLength: 64 }, // id from window-list launchers
+      panelId: PANEL_ID, // the launched app's window is captured into this panel
+      multiplex: { type: 'boolean' },
+    },
+  },
+  'launch-failed': {
+    from: 'relay',
+    fields: {
+      targetId: PEER_ID, // the viewer that asked for the launch
+      launcherId: { type: 'string', required: true, maxLength: 64 },
+      panelId: PANEL_ID,
+      error: { type: 'string', required: true },
+    },
+  },
+  'crop-panel': {
+    from: 'relay',
+    fields: {
+      targetId: PEER_ID,
+      panelId: PANEL_ID, // panel whose picture is cropped (may itself be a crop)
+      newPanelId: PANEL_ID, // the region is captured into this new panel
+      rect: { type: 'object', required: true }, // { x, y, width, height } in 0-1 of panelId's picture
+      multiplex: { type: 'boolean' },
+    },
+  },
+  'window-command': {
+    from: 'relay',
+    fields: {
+      targetId: PEER_ID,
+      panelId: PANEL_ID, // the command applies to the window this panel captures
+      action: { type: 'string', required: true, enum: WINDOW_ACTIONS },
+      width: { type: 'integer' }, // resize: target size of the visible window in physical pixels
+      height: { type: 'integer' },
+    },
+  },
+  'window-bounds': {
+    from: 'relay',
+    fields: {
+      panelId: PANEL_ID,
+      width: { type: 'number', required: true }, // source size in physical pixels
+      height: { type: 'number', required: true },
+      minimized: { type: 'boolean' },
+    },
+  },
+  'clipboard': {
+    from: 'relay',
+    fields: {
+      text: { type: 'string', maxLength: CLIPBOARD_MAX_LENGTH }, // PC clipboard changed to this text...
+      image: { type: 'string', maxLength: CLIPBOARD_MAX_LENGTH }, // ...or image (data:image/png URL)
+      width: { type: 'integer' }, // image size in pixels
+      height: { type: 'integer' },
+      bytes: { type: 'integer', required: true }, // size of the copied content
+      tooLarge: { type: 'boolean' }, // over the capture app's limit: no text / image attached
+    },
+  },
+  'clipboard-set': {
+    from: 'relay',
+    fields: {
+      targetId: PEER_ID,
+      text: { type: 'string', required: true, maxLength: CLIPBOARD_MAX_LENGTH }, // for the PC's clipboard
+      panelId: { type: 'string', maxLength: 128 }, // also paste it into this panel's window
+    },
+  },
+  'workspace-save': {
+    from: 'relay',
+    fields: {
+      targetId: PEER_ID,
+      name: WORKSPACE_NAME,
+      // [{ panelId, layout }]: layout is the viewer's own placement data; the
+      // capture peer adds each panel's source (title / process) and crop
+      panels: { type: 'array', required: true, items: 'object', maxLength: WORKSPACE_MAX_PANELS },
+    },
+  },
+  'workspace-restore': { from: 'relay', fields: { targetId: PEER_ID, name: WORKSPACE_NAME } },
+  'workspace': {
+    from: 'relay',
+    fields: {
+      targetId: PEER_ID, // the viewer that asked for the restore
+      name: WORKSPACE_NAME,
+      // [{ panelId, layout, title, found }]: found panels are being captured again
+      // (they arrive like any new panel); the others' windows no longer exist
+      panels: { type: 'array', required: true, items: 'object', maxLength: WORKSPACE_MAX_PANELS },
+    },
+  },
+  'panel-focus': {
+    from: 'relay',
+    fields: {
+      panelId: { type: 'string', required: true, nullable: true, maxLength: 128 }, // null = no panel focused
+      targetId: { type: 'integer' },
+    },
+  },
+
+  // ── Server -> peer ──
+  'welcome': {
+    from: 'server',
+    fields: {
+      peerId: PEER_ID,
+      protocolVersion: { type: 'integer', required: true },
+      minProtocolVersion: { type: 'integer', required: true },
+      authRequired: { type: 'boolean', required: true },
+      token: { type: 'string' },
+    },
+  },
+  'auth-ok': { from: 'server', fields: { token: { type: 'string', nullable: true } } },
+  'auth-failed': { from: 'server', fields: { reason: { type: 'string', required: true } } },
+  'pair-code': {
+    from: 'server',
+    fields: { code: { type: 'string', required: true }, expiresAt: { type: 'number', required: true } },
+  },
+  'session-list': { from: 'server', fields: { sessions: { type: 'array', required: true, items: 'object' }, reason: { type: 'string' } } },
+  'room-joined': {
+    from: 'server',
+    fields: {
+      room: { type: 'string', required: true },
+      resumeToken: { type: 'string', required: true },
+      peers: { type: 'array', required: true, items: 'object' },
+      windowList: { type: 'array', nullable: true, items: 'object' },
+      launchers: { type: 'array', nullable: true, items: 'object' },
+    },
+  },
+  'resumed': {
+    from: 'server',
+    fields: {
+      peerId: PEER_ID,
+      room: { type: 'string', required: true },
+      resumeToken: { type: 'string', required: true },
+      peers: { type: 'array', required: true, items: 'object' },
+      windowList: { type: 'array', nullable: true, items: 'object' },
+      launchers: { type: 'array', nullable: true, items: 'object' },
+    },
+  },
+  'resume-failed': { from: 'server', fields: { reason: { type: 'string', required: true } } },
+  'room-list': { from: 'server', fields: { rooms: { type: 'array', required: true, items: 'object' } } },
+  'peer-registered': {
+    from: 'server',
+    fields: { peerId: PEER_ID, role: { type: 'string', nullable: true }, panelIds: { type: 'array', items: 'string' } },
+  },
+  'peer-disconnected': { from: 'server', fields: { peerId: PEER_ID } },
+  'peer-suspended': { from: 'server', fields: { peerId: PEER_ID } },
+  'peer-resumed': { from: 'server', fields: { peerId: PEER_ID } },
+  'error': {
+    from: 'server',
+    fields: {
+      code: { type: 'string', required: true },
+      message: { type: 'string', required: true },
+      replyTo: { type: 'string', nullable: true },
+    },
+  },
+};
+
+/**
+ * Check whether `version` falls in the supported range — this build's by default,
+ * or the range a server advertised in `welcome`.
+ */
+export function isCompatibleVersion(version, min = MIN_PROTOCOL_VERSION, max = PROTOCOL_VERSION) {
+  return Number.isInteger(version) && version >= min && version <= max;
+}
+
+/**
+ * Validate a parsed message against the schema.
+ * `receiver` is 'server' (accepts peer/relay messages) or 'peer' (accepts server/relay messages).
+ * Returns null if valid, otherwise { code, message }.
+ */
+export function validateMessage(msg, receiver) {
+  if (msg === null || typeof msg !== 'object' || Array.isArray(msg)) {
+    return { code: ErrorCode.INVALID_MESSAGE, message: 'message must be a JSON object' };
+  }
+  if (typeof msg.type !== 'string') {
+    return { code: ErrorCode.INVALID_MESSAGE, message: 'message.type must be a string' };
+  }
+
+  const schema = Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, msg.type)
+    ? MESSAGE_SCHEMAS[msg.type]
+    : null;
+  const accepted = receiver === 'server' ? ['peer', 'relay'] : ['server', 'relay'];
+  if (!schema || !accepted.includes(schema.from)) {
+    return { code: ErrorCode.UNKNOWN_TYPE, message: `unknown message type '${msg.type}'` };
+  }
+
+  for (const [name, spec] of Object.entries(schema.fields)) {
+    const problem = checkField(msg[name], spec);
+    if (problem) {
+      return { code: ErrorCode.INVALID_MESSAGE, message: `${msg.type}.${name} ${problem}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a structured error reply.
+ */
+export function errorMessage(code, message, replyTo = null) {
+  return { type: 'error', code, message, replyTo };
+}
+
+/**
+ * Check one value against a field spec. Returns null or a problem description.
+ * Also used by the input event schema (input.js).
+ */
+export function checkField(value, spec) {
+  if (value === undefined) return spec.required ? 'is required' : null;
+  if (value === null) return spec.nullable ? null : 'must not be null';
+  if (!matchesType(value, spec.type)) return `must be ${/^[aeiou]/.test(spec.type) ? 'an' : 'a'} ${spec.type}`;
+  if (spec.enum && !spec.enum.includes(value)) return `must be one of ${spec.enum.join(', ')}`;
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) return `exceeds ${spec.maxLength} characters`;
+  if (spec.items && !value.every(item => matchesType(item, spec.items))) return `must contain only ${spec.items} items`;
+  return null;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'any': return true;
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
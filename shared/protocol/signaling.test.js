@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ErrorCode, MESSAGE_SCHEMAS, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION,
+  validateMessage, checkField, errorMessage, isCompatibleVersion,
+} from './signaling.js';
+
+test('well-formed messages pass', () => {
+  assert.equal(validateMessage({ type: 'register', role: 'viewer', room: 'lab', protocolVersion: 1 }, 'server'), null);
+  assert.equal(validateMessage({ type: 'offer', targetId: 3, sdp: { type: 'offer', sdp: 'v=0' } }, 'server'), null);
+  assert.equal(validateMessage({ type: 'welcome', peerId: 1, protocolVersion: 1, minProtocolVersion: 1, authRequired: false }, 'peer'), null);
+});
+
+test('unknown extra fields are allowed', () => {
+  assert.equal(validateMessage({ type: 'pair', code: '123456', hint: 'newer peer' }, 'server'), null);
+});
+
+test('messages that are not objects with a string type are rejected', () => {
+  for (const msg of [null, 42, 'register', [], {}]) {
+    assert.equal(validateMessage(msg, 'server').code, ErrorCode.INVALID_MESSAGE, JSON.stringify(msg));
+  }
+  assert.deepEqual(validateMessage({ type: 7 }, 'server'),
+    { code: ErrorCode.INVALID_MESSAGE, message: 'message.type must be a string' });
+});
+
+test('missing required fields are reported by name', () => {
+  assert.deepEqual(validateMessage({ type: 'answer', targetId: 2 }, 'server'),
+    { code: ErrorCode.INVALID_MESSAGE, message: 'answer.sdp is required' });
+  assert.deepEqual(validateMessage({ type: 'resume', resumeToken: 'abc' }, 'server'),
+    { code: ErrorCode.INVALID_MESSAGE, message: 'resume.peerId is required' });
+});
+
+test('wrong types, enums and null are rejected', () => {
+  assert.equal(validateMessage({ type: 'offer', targetId: '3', sdp: {} }, 'server').message, 'offer.targetId must be an integer');
+  assert.equal(validateMessage({ type: 'offer', targetId: 1.5, sdp: {} }, 'server').message, 'offer.targetId must be an integer');
+  assert.equal(validateMessage({ type: 'offer', targetId: 3, sdp: [] }, 'server').message, 'offer.sdp must be an object');
+  assert.equal(validateMessage({ type: 'register', role: 'admin' }, 'server').message, 'register.role must be one of capture, viewer');
+  assert.equal(validateMessage({ type: 'register', role: 'viewer', panelIds: ['a', 2] }, 'server').message,
+    'register.panelIds must contain only string items');
+  assert.equal(validateMessage({ type: 'auth', token: null }, 'server').message, 'auth.token must not be null');
+});
+
+test('nullable fields accept null', () => {
+  assert.equal(validateMessage({ type: 'panel-focus', panelId: null }, 'server'), null);
+  assert.equal(validateMessage({ type: 'ice-candidate', targetId: 1, candidate: null }, 'server'), null);
+});
+
+test('maxLength applies to strings and arrays', () => {
+  assert.equal(validateMessage({ type: 'pair', code: '1'.repeat(16) }, 'server'), null);
+  assert.equal(validateMessage({ type: 'pair', code: '1'.repeat(17) }, 'server').message, 'pair.code exceeds 16 characters');
+  const panels = Array.from({ length: 65 }, (_, i) => ({ panelId: `panel-${i}` }));
+  assert.match(validateMessage({ type: 'workspace-save', targetId: 1, name: 'default', panels }, 'server').message,
+    /^workspace-save\.panels exceeds 64 /);
+  assert.equal(validateMessage({ type: 'workspace-save', targetId: 1, name: 'default', panels: panels.slice(1) }, 'server'), null);
+});
+
+test('unknown types and types from the wrong side are rejected', () => {
+  assert.deepEqual(validateMessage({ type: 'teleport' }, 'server'),
+    { code: ErrorCode.UNKNOWN_TYPE, message: "unknown message type 'teleport'" });
+  // Only the server sends welcome; peers don't send it to the server
+  assert.equal(validateMessage({ type: 'welcome', peerId: 1, protocolVersion: 1, minProtocolVersion: 1, authRequired: false }, 'server').code,
+    ErrorCode.UNKNOWN_TYPE);
+  // ...and peers never receive server-bound messages
+  assert.equal(validateMessage({ type: 'pair', code: '123456' }, 'peer').code, ErrorCode.UNKNOWN_TYPE);
+});
+
+test('relayed messages are accepted in both directions', () => {
+  const msg = { type: 'release-panel', targetId: 2, panelId: 'panel-1' };
+  assert.equal(validateMessage(msg, 'server'), null);
+  assert.equal(validateMessage(msg, 'peer'), null);
+});
+
+test('inherited object keys are not message types', () => {
+  for (const type of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    assert.equal(validateMessage({ type }, 'server').code, ErrorCode.UNKNOWN_TYPE, type);
+    assert.equal(validateMessage({ type }, 'peer').code, ErrorCode.UNKNOWN_TYPE, type);
+  }
+});
+
+test('every schema declares a sender and valid field types', () => {
+  const types = new Set(['string', 'integer', 'number', 'boolean', 'object', 'array', 'any']);
+  for (const [type, schema] of Object.entries(MESSAGE_SCHEMAS)) {
+    assert.ok(['peer', 'server', 'relay'].includes(schema.from), type);
+    for (const [name, spec] of Object.entries(schema.fields)) {
+      assert.ok(types.has(spec.type), `${type}.${name}`);
+    }
+  }
+});
+
+test('checkField reports problems without a message prefix', () => {
+  assert.equal(checkField(undefined, { type: 'string' }), null);
+  assert.equal(checkField(undefined, { type: 'string', required: true }), 'is required');
+  assert.equal(checkField(Infinity, { type: 'number' }), 'must be a number');
+  assert.equal(checkField('x', { type: 'any' }), null);
+});
+
+test('errorMessage builds the error reply', () => {
+  const reply = errorMessage(ErrorCode.FORBIDDEN, 'not allowed', 'pair-request');
+  assert.deepEqual(reply, { type: 'error', code: 'forbidden', message: 'not allowed', replyTo: 'pair-request' });
+  assert.equal(validateMessage(reply, 'peer'), null);
+  assert.equal(errorMessage(ErrorCode.BAD_JSON, 'bad').replyTo, null);
+});
+
+test('isCompatibleVersion checks the supported range', () => {
+  assert.equal(isCompatibleVersion(PROTOCOL_VERSION), true);
+  assert.equal(isCompatibleVersion(MIN_PROTOCOL_VERSION - 1), false);
+  assert.equal(isCompatibleVersion(PROTOCOL_VERSION + 1), false);
+  assert.equal(isCompatibleVersion('1'), false);
+  assert.equal(isCompatibleVersion(3, 2, 4), true);
+});
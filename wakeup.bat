@@ -14,6 +14,14 @@ REM ============================================================
 
 cd /d "C:\Strix Halo VR"
 
+REM Optional: set HALOVIEW_AUTOSTART=1 to also start the signaling server and
+REM the headless capture app streaming the first display. Capture status is
+REM written as JSON lines to %TEMP%\haloview-capture.jsonl.
+if "%HALOVIEW_AUTOSTART%"=="1" (
+  start "HaloView Signaling" /min /d prototype cmd /c npm run signal-server
+  start "HaloView Capture" /min /d prototype\electron cmd /c npx electron . --headless --capture=display:0 ^> "%TEMP%\haloview-capture.jsonl"
+)
+
 echo.
 echo  =============================================
 echo   HaloView - Resuming session...